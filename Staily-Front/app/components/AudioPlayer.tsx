@@ -2,20 +2,36 @@
 
 import { useRef, useState, useEffect } from 'react';
 
+interface Word {
+  word: string;
+  start: number;
+  end: number;
+  probability: number;
+}
+
 interface Segment {
   id: number;
   start: number;
   end: number;
   text: string;
+  words?: Word[]; // Présent si la transcription a été faite avec wordTimestamps
+}
+
+// Demande de saut à un instant (ex: résultat de recherche) ; nonce distingue deux sauts au même instant
+export interface SeekRequest {
+  time: number;
+  nonce: number;
 }
 
 interface AudioPlayerProps {
   audioUrl: string;
   segments: Segment[];
+  seekRequest?: SeekRequest | null;
 }
 
-export default function AudioPlayer({ audioUrl, segments }: AudioPlayerProps) {
+export default function AudioPlayer({ audioUrl, segments, seekRequest }: AudioPlayerProps) {
   const audioRef = useRef<HTMLAudioElement>(null);
+  const segmentRefs = useRef(new Map<number, HTMLDivElement>());
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
@@ -52,6 +68,31 @@ export default function AudioPlayer({ audioUrl, segments }: AudioPlayerProps) {
     setActiveSegmentId(active?.id ?? null);
   }, [currentTime, segments]);
 
+  // Sauter au segment demandé de l'extérieur et l'afficher dans la liste
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !seekRequest) return;
+
+    const seek = () => {
+      audio.currentTime = seekRequest.time;
+      audio.play().catch(() => {
+        // Lecture automatique refusée par le navigateur : la position est tout de même appliquée
+      });
+    };
+
+    const target = segments.find((seg) => seekRequest.time >= seg.start && seekRequest.time <= seg.end);
+    if (target) {
+      segmentRefs.current.get(target.id)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    // Nouveau fichier : attendre ses métadonnées avant de changer la position
+    if (audio.readyState === 0) {
+      audio.addEventListener('loadedmetadata', seek, { once: true });
+      return () => audio.removeEventListener('loadedmetadata', seek);
+    }
+    seek();
+  }, [seekRequest, segments]);
+
   // Sauter à un segment
   const jumpToSegment = (startTime: number) => {
     if (audioRef.current) {
@@ -149,6 +190,13 @@ export default function AudioPlayer({ audioUrl, segments }: AudioPlayerProps) {
             return (
               <div
                 key={segment.id}
+                ref={(element) => {
+                  if (element) {
+                    segmentRefs.current.set(segment.id, element);
+                  } else {
+                    segmentRefs.current.delete(segment.id);
+                  }
+                }}
                 onClick={() => jumpToSegment(segment.start)}
                 className={`
                   p-3 rounded-lg border-l-4 cursor-pointer transition-all
@@ -167,7 +215,23 @@ export default function AudioPlayer({ audioUrl, segments }: AudioPlayerProps) {
                   </span>
                 </div>
                 <p className={`text-sm ${isActive ? 'text-gray-900 dark:text-white font-medium' : 'text-gray-700 dark:text-gray-300'}`}>
-                  {segment.text}
+                  {isActive && segment.words && segment.words.length > 0 ? (
+                    // Surlignage karaoké du mot en cours de lecture
+                    segment.words.map((word, index) => {
+                      const isSpoken = currentTime >= word.start;
+                      const isCurrent = isSpoken && currentTime <= word.end;
+                      return (
+                        <span
+                          key={index}
+                          className={`${isCurrent ? 'bg-yellow-200 dark:bg-yellow-600 rounded px-0.5' : ''} ${isSpoken ? '' : 'opacity-60'}`}
+                        >
+                          {word.word}{' '}
+                        </span>
+                      );
+                    })
+                  ) : (
+                    segment.text
+                  )}
                 </p>
                 {isActive && (
                   <div className="mt-2 flex items-center text-xs text-blue-600 dark:text-blue-400">
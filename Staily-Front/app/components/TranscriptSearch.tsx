@@ -0,0 +1,211 @@
+'use client';
+
+import { useState } from 'react';
+
+// Segment trouvé par GET /search
+export interface SearchResult {
+  cacheKey: string;
+  fileHash: string;
+  file: string | null;
+  originalFile: string | null;
+  language: string | null;
+  createdAt: string;
+  source: 'formatted' | 'cleaned' | 'raw';
+  matchedIn: string[];
+  segmentIndex: number;
+  start: number;
+  end: number;
+  timestamp: string;
+  speaker: string | null;
+  text: string;
+  snippet: string;
+  highlights: [number, number][];
+  score: number;
+}
+
+interface TranscriptSearchProps {
+  apiBaseUrl: string;
+  onOpen: (result: SearchResult) => void;
+}
+
+// Libellés des sources de texte
+const SOURCE_LABELS: Record<SearchResult['source'], string> = {
+  formatted: 'Corrigé',
+  cleaned: 'Nettoyé',
+  raw: 'Brut',
+};
+
+// Extrait avec les termes trouvés surlignés
+function renderSnippet(snippet: string, highlights: [number, number][]) {
+  const parts: React.ReactNode[] = [];
+  let position = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start > position) {
+      parts.push(snippet.slice(position, start));
+    }
+    parts.push(
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-600 rounded px-0.5">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+
+  return parts;
+}
+
+export default function TranscriptSearch({ apiBaseUrl, onOpen }: TranscriptSearchProps) {
+  const [query, setQuery] = useState('');
+  const [language, setLanguage] = useState('');
+  const [speaker, setSpeaker] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState<SearchResult[] | null>(null);
+  const [total, setTotal] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Recherche dans les transcriptions en cache
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setSearching(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ q: query });
+      if (language) params.set('language', language);
+      if (speaker.trim()) params.set('speaker', speaker.trim());
+      if (from) params.set('from', from);
+      if (to) params.set('to', to);
+
+      const response = await fetch(`${apiBaseUrl}/search?${params}`);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || response.statusText);
+      }
+
+      setResults(body.results);
+      setTotal(body.total);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+      setResults(null);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">
+        🔎 Rechercher dans les transcriptions
+      </h2>
+
+      <form onSubmit={handleSearch} className="space-y-3">
+        <div className="flex gap-2">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Quel entretien a parlé de… ?"
+            className="flex-1 text-sm text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 p-2.5"
+          />
+          <button
+            type="submit"
+            disabled={!query.trim() || searching}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-semibold px-4 rounded-lg transition-colors disabled:cursor-not-allowed"
+          >
+            {searching ? '⏳' : 'Rechercher'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs text-gray-600 dark:text-gray-400">
+          <label className="flex flex-col">
+            Langue
+            <select
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              className="mt-1 text-sm text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded bg-gray-50 dark:bg-gray-700 p-1.5"
+            >
+              <option value="">Toutes</option>
+              <option value="fr">Français</option>
+              <option value="en">Anglais</option>
+            </select>
+          </label>
+          <label className="flex flex-col">
+            Locuteur
+            <input
+              type="text"
+              value={speaker}
+              onChange={(e) => setSpeaker(e.target.value)}
+              placeholder="SPEAKER_00"
+              className="mt-1 text-sm text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded bg-gray-50 dark:bg-gray-700 p-1.5"
+            />
+          </label>
+          <label className="flex flex-col">
+            Du
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="mt-1 text-sm text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded bg-gray-50 dark:bg-gray-700 p-1.5"
+            />
+          </label>
+          <label className="flex flex-col">
+            Au
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="mt-1 text-sm text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded bg-gray-50 dark:bg-gray-700 p-1.5"
+            />
+          </label>
+        </div>
+      </form>
+
+      {error && (
+        <p className="mt-4 text-sm text-red-800 dark:text-red-200">
+          <strong>❌ Erreur:</strong> {error}
+        </p>
+      )}
+
+      {results && (
+        <div className="mt-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+            {total === 0 ? 'Aucun résultat' : `${total} passage(s)${total > results.length ? `, ${results.length} affichés` : ''}`}
+          </p>
+
+          <ul className="space-y-2 max-h-[400px] overflow-y-auto pr-2">
+            {results.map((result) => (
+              <li key={`${result.cacheKey}-${result.source}-${result.segmentIndex}`}>
+                <button
+                  onClick={() => onOpen(result)}
+                  className="w-full text-left p-3 rounded-lg border-l-4 border-blue-500 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors"
+                >
+                  <div className="flex items-center justify-between mb-1 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="font-medium text-gray-700 dark:text-gray-300 truncate">
+                      {result.file || result.fileHash.substring(0, 12)}
+                    </span>
+                    <span className="font-mono whitespace-nowrap ml-2">{result.timestamp}</span>
+                  </div>
+                  <p className="text-sm text-gray-800 dark:text-gray-200">
+                    {renderSnippet(result.snippet, result.highlights)}
+                  </p>
+                  <div className="mt-1 flex flex-wrap gap-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span>{SOURCE_LABELS[result.source]}</span>
+                    {result.speaker && <span>🗣️ {result.speaker}</span>}
+                    {result.language && <span>{result.language.toUpperCase()}</span>}
+                    <span>{new Date(result.createdAt).toLocaleDateString('fr-FR')}</span>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
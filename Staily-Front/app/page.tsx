@@ -1,11 +1,79 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import AudioPlayer from './components/AudioPlayer';
+import AudioPlayer, { SeekRequest } from './components/AudioPlayer';
+import TranscriptSearch, { SearchResult } from './components/TranscriptSearch';
 
 // Configuration de l'API backend
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3002';
 
+// Événement du pipeline reçu via GET /jobs/:id/events (SSE)
+interface PipelineEvent {
+  index: number;
+  type: string;
+  stage: string;
+  progress?: number;
+  message: string;
+  at: string;
+}
+
+// Transcription en cache du même enregistrement ré-encodé ou coupé (POST /duplicates/check)
+interface DuplicateMatch {
+  cacheKey: string;
+  fileHash: string;
+  originalFile: string | null;
+  createdAt: string;
+  modelSize: string | null;
+  language: string | null;
+  variantCount: number;
+  similarity: number;
+  offset: number;
+  overlap: number;
+  duration: number;
+}
+
+// Types d'événements diffusés par le backend
+const PIPELINE_EVENT_TYPES = [
+  'stage',
+  'audio-quality',
+  'enhancement',
+  'attempt',
+  'attempt-result',
+  'gpt-correction',
+  'warning',
+  'completed',
+  'failed',
+];
+
+// Formats d'export des sous-titres (GET /exports/:hash?format=)
+const EXPORT_FORMATS = [
+  { format: 'srt', label: 'SRT' },
+  { format: 'vtt', label: 'WebVTT' },
+  { format: 'ttml', label: 'TTML' },
+  { format: 'scc', label: 'SCC' },
+];
+
+// Type MIME d'un fichier uploadé d'après son extension (fichiers ouverts depuis la recherche)
+const MIME_TYPES: Record<string, string> = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  mkv: 'video/x-matroska',
+};
+
+// Icônes de la timeline selon le type d'événement
+const EVENT_ICONS: Record<string, string> = {
+  stage: '📍',
+  'audio-quality': '🔊',
+  enhancement: '🔧',
+  attempt: '🔄',
+  'attempt-result': '📊',
+  'gpt-correction': '🧠',
+  warning: '⚠️',
+  completed: '✅',
+  failed: '❌',
+};
+
 export default function Home() {
   const [file, setFile] = useState<File | null>(null);
   const [uploading, setUploading] = useState(false);
@@ -14,6 +82,11 @@ export default function Home() {
   const [uploadedFile, setUploadedFile] = useState<any>(null);
   const [transcription, setTranscription] = useState<any>(null);
   const [error, setError] = useState<string | null>(null);
+  const [jobProgress, setJobProgress] = useState(0);
+  const [timeline, setTimeline] = useState<PipelineEvent[]>([]);
+  const [seekRequest, setSeekRequest] = useState<SeekRequest | null>(null);
+  const [duplicate, setDuplicate] = useState<DuplicateMatch | null>(null);
+  const [reusingDuplicate, setReusingDuplicate] = useState(false);
 
   // Restaurer l'état depuis sessionStorage au chargement
   useEffect(() => {
@@ -34,6 +107,7 @@ export default function Home() {
       setError(null);
       setUploadedFile(null);
       setTranscription(null);
+      setDuplicate(null);
 
       // Nettoyer les anciennes données de sessionStorage
       sessionStorage.removeItem('transcription');
@@ -63,7 +137,8 @@ export default function Home() {
       });
 
       if (!response.ok) {
-        throw new Error(`Erreur upload: ${response.statusText}`);
+        const body = await response.json().catch(() => null);
+        throw new Error(`Erreur upload: ${body?.error || response.statusText}`);
       }
 
       const data = await response.json();
@@ -77,6 +152,20 @@ export default function Home() {
       // Nettoyer l'ancienne correction GPT pour éviter qu'elle s'affiche avec la nouvelle vidéo
       sessionStorage.removeItem('correctedTranscription');
 
+      // Sous-titres importés (.srt, .vtt) : la transcription est déjà fournie, pas de Whisper
+      if (data.transcription) {
+        setTranscription(data.transcription);
+        sessionStorage.setItem('transcription', JSON.stringify(data.transcription));
+        return;
+      }
+
+      // Même enregistrement déjà transcrit (ré-encodé ou coupé) : proposer la transcription existante
+      const match = await findDuplicate(data.file.relativePath);
+      if (match) {
+        setDuplicate(match);
+        return;
+      }
+
       // Lancer automatiquement la transcription
       await handleTranscribe(data.file.relativePath);
 
@@ -89,6 +178,72 @@ export default function Home() {
     }
   };
 
+  // Doublon acoustique le plus ressemblant d'un fichier uploadé (null si aucun ou si la détection échoue)
+  const findDuplicate = async (filePath: string): Promise<DuplicateMatch | null> => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/duplicates/check`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ filePath }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || response.statusText);
+      }
+
+      const duplicates: DuplicateMatch[] = body.duplicates;
+      return duplicates[0] || null;
+    } catch (err) {
+      // La transcription reste possible sans la détection des doublons
+      console.warn('Détection des doublons indisponible:', err);
+      return null;
+    }
+  };
+
+  // Reprendre la transcription du doublon, recalée pour le fichier uploadé
+  const handleReuseDuplicate = async () => {
+    if (!duplicate || !uploadedFile?.file?.relativePath) return;
+
+    setReusingDuplicate(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/duplicates/reuse`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          filePath: uploadedFile.file.relativePath,
+          cacheKey: duplicate.cacheKey,
+          offset: duplicate.offset,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+
+      setDuplicate(null);
+      setTranscription(data);
+      sessionStorage.setItem('transcription', JSON.stringify(data));
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.error('Erreur reprise de la transcription:', err);
+      setError(message);
+    } finally {
+      setReusingDuplicate(false);
+    }
+  };
+
+  // Ignorer le doublon et transcrire le fichier
+  const handleIgnoreDuplicate = async () => {
+    setDuplicate(null);
+    await handleTranscribe();
+  };
+
   // Transcription du fichier avec cache
   const handleTranscribe = async (filePath?: string) => {
     const pathToTranscribe = filePath || uploadedFile?.file?.relativePath;
@@ -100,6 +255,8 @@ export default function Home() {
 
     setTranscribing(true);
     setError(null);
+    setJobProgress(0);
+    setTimeline([]);
 
     try {
       const response = await fetch(`${API_BASE_URL}/transcribe-robust`, {
@@ -111,6 +268,7 @@ export default function Home() {
           filePath: pathToTranscribe,
           modelSize: 'large-v3',
           language: 'fr',
+          wordTimestamps: true,
           useCache: true,
           autoEnhance: true,
           useFallback: false,
@@ -123,7 +281,9 @@ export default function Home() {
         throw new Error(`Erreur transcription: ${response.statusText}`);
       }
 
-      const data = await response.json();
+      // Le backend retourne un job : suivre ses étapes jusqu'à la fin du traitement
+      const { jobId } = await response.json();
+      const data = await waitForJob(jobId);
       console.log('Transcription réussie:', data);
       setTranscription(data);
 
@@ -139,6 +299,108 @@ export default function Home() {
     }
   };
 
+  // Suivre un job via le flux SSE et retourner son résultat une fois terminé
+  const waitForJob = (jobId: string) => {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+      let settled = false;
+
+      // Résultat du job via GET /jobs/:id (fin du flux, ou flux interrompu)
+      const settleFromJob = async () => {
+        if (settled) return;
+        settled = true;
+        source.close();
+        try {
+          const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`);
+          const body = await response.json();
+          if (!response.ok) {
+            throw new Error(body.error || response.statusText);
+          }
+
+          const { job } = body;
+          if (job.status === 'completed') {
+            resolve(job.result);
+          } else if (job.status === 'failed') {
+            reject(new Error(job.message || job.error || 'La transcription a échoué'));
+          } else {
+            reject(new Error('Suivi de la transcription interrompu'));
+          }
+        } catch (err) {
+          reject(err);
+        }
+      };
+
+      const handleEvent = async (e: MessageEvent) => {
+        try {
+          const event: PipelineEvent = JSON.parse(e.data);
+          setTimeline((previous) =>
+            previous.some((item) => item.index === event.index) ? previous : [...previous, event]
+          );
+          if (typeof event.progress === 'number') {
+            setJobProgress((previous) => Math.max(previous, event.progress ?? 0));
+          }
+
+          if (event.type === 'completed' || event.type === 'failed') {
+            await settleFromJob();
+          }
+        } catch (err) {
+          // Événement illisible : le suivi s'arrête, le résultat est demandé une fois
+          console.error('Événement du pipeline illisible:', err);
+          await settleFromJob();
+        }
+      };
+
+      // Flux fermé (job inconnu, jobs supprimés, serveur arrêté) : EventSource ne se reconnectera pas
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          settleFromJob();
+        }
+      };
+
+      PIPELINE_EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+    });
+  };
+
+  // Ouvrir la transcription d'un résultat de recherche et sauter au segment trouvé
+  const handleOpenSearchResult = async (result: SearchResult) => {
+    setError(null);
+
+    try {
+      // Fichier déjà affiché : seulement sauter au segment
+      if (transcription?.cacheKey !== result.cacheKey) {
+        const response = await fetch(`${API_BASE_URL}/cache/${result.cacheKey}/transcription`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || response.statusText);
+        }
+
+        const extension = (result.originalFile || '').split('.').pop()?.toLowerCase() || '';
+        const openedFile = {
+          fromSearch: true,
+          file: {
+            originalName: result.file || result.fileHash,
+            relativePath: result.originalFile,
+            mimetype: MIME_TYPES[extension] || 'audio/mpeg',
+          },
+        };
+
+        setFile(null);
+        setUploadedFile(openedFile);
+        setTranscription(data);
+        setHasUploaded(true);
+        sessionStorage.setItem('uploadedFile', JSON.stringify(openedFile));
+        sessionStorage.setItem('transcription', JSON.stringify(data));
+        sessionStorage.removeItem('correctedTranscription');
+      }
+
+      setSeekRequest({ time: result.start, nonce: Date.now() });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      console.error('Erreur ouverture du résultat:', err);
+      setError(message);
+    }
+  };
+
   // Réinitialiser pour un nouvel upload
   const handleReset = () => {
     setFile(null);
@@ -146,6 +408,8 @@ export default function Home() {
     setUploadedFile(null);
     setTranscription(null);
     setError(null);
+    setSeekRequest(null);
+    setDuplicate(null);
 
     // Nettoyer sessionStorage
     sessionStorage.removeItem('transcription');
@@ -154,6 +418,12 @@ export default function Home() {
     sessionStorage.removeItem('correctedTranscription'); // ✅ Nettoyer l'ancienne correction GPT
   };
 
+  // Clé de cache de la variante affichée (hash seul pour les anciennes entrées)
+  const exportKey: string | undefined = transcription?.cacheKey
+    || transcription?.cacheMetadata?.cacheKey
+    || transcription?.fileHash
+    || transcription?.cacheMetadata?.hash;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 py-12 px-4">
       {/* Header */}
@@ -178,11 +448,11 @@ export default function Home() {
             <div className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                  Sélectionnez un fichier (.mp4, .mkv, .mp3, .wav)
+                  Sélectionnez un fichier (.mp4, .mkv, .mp3, .wav) ou des sous-titres (.srt, .vtt)
                 </label>
                 <input
                   type="file"
-                  accept=".mp4,.mkv,.mp3,.wav"
+                  accept=".mp4,.mkv,.mp3,.wav,.srt,.vtt"
                   onChange={handleFileChange}
                   disabled={uploading || transcribing}
                   className="block w-full text-sm text-gray-900 dark:text-gray-100 
@@ -217,6 +487,11 @@ export default function Home() {
             </div>
           </div>
 
+          {/* Recherche dans les transcriptions en cache */}
+          <div className="mb-8">
+            <TranscriptSearch apiBaseUrl={API_BASE_URL} onOpen={handleOpenSearchResult} />
+          </div>
+
           {error && (
             <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 mb-8">
               <p className="text-red-800 dark:text-red-200">
@@ -231,6 +506,7 @@ export default function Home() {
             </h3>
             <ol className="list-decimal list-inside space-y-2 text-gray-600 dark:text-gray-300">
               <li>Sélectionnez un fichier vidéo (.mp4, .mkv) ou audio (.mp3, .wav)</li>
+              <li>Ou importez des sous-titres existants (.srt, .vtt) pour les corriger sans transcription</li>
               <li>Cliquez sur "Upload et Transcrire"</li>
               <li>Attendez la transcription (avec cache intelligent)</li>
               <li>Consultez les résultats avec timestamps</li>
@@ -238,7 +514,7 @@ export default function Home() {
 
             <div className="mt-6 p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
               <p className="text-sm text-blue-800 dark:text-blue-200">
-                <strong>💾 Cache intelligent:</strong> Si vous uploadez la même vidéo, la transcription sera instantanée !
+                <strong>💾 Cache intelligent:</strong> Si vous uploadez la même vidéo, la transcription sera instantanée ! Une version ré-encodée ou coupée est aussi reconnue.
               </p>
             </div>
           </div>
@@ -248,6 +524,11 @@ export default function Home() {
       {/* 🔹 VUE APRÈS UPLOAD : Layout 2 colonnes */}
       {hasUploaded && (
         <div className="max-w-7xl mx-auto">
+          {/* Recherche dans les transcriptions en cache */}
+          <div className="mb-6">
+            <TranscriptSearch apiBaseUrl={API_BASE_URL} onOpen={handleOpenSearchResult} />
+          </div>
+
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* COLONNE GAUCHE : Média + Transcription synchronisée */}
             <div className="space-y-6">
@@ -256,7 +537,8 @@ export default function Home() {
                 <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
                   <div className="flex items-center justify-between mb-4">
                     <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
-                      {uploadedFile.file.mimetype === 'video/mp4' || uploadedFile.file.mimetype === 'video/x-matroska' ? '🎥 Vidéo' : '🎵 Audio'}
+                      {uploadedFile.transcription ? '📄 Sous-titres importés' :
+                        uploadedFile.file.mimetype === 'video/mp4' || uploadedFile.file.mimetype === 'video/x-matroska' ? '🎥 Vidéo' : '🎵 Audio'}
                     </h2>
                     <button
                       onClick={handleReset}
@@ -266,8 +548,8 @@ export default function Home() {
                     </button>
                   </div>
 
-                  {/* Vidéo */}
-                  {(uploadedFile.file.mimetype === 'video/mp4' || uploadedFile.file.mimetype === 'video/x-matroska') && (
+                  {/* Vidéo (fichier ouvert depuis la recherche : lu par le lecteur synchronisé) */}
+                  {!uploadedFile.fromSearch && (uploadedFile.file.mimetype === 'video/mp4' || uploadedFile.file.mimetype === 'video/x-matroska') && (
                     <video
                       controls
                       className="w-full rounded-lg"
@@ -278,7 +560,7 @@ export default function Home() {
                   )}
 
                   {/* Audio simple (WAV) */}
-                  {uploadedFile.file.mimetype === 'audio/wav' && (
+                  {!uploadedFile.fromSearch && uploadedFile.file.mimetype === 'audio/wav' && (
                     <audio
                       controls
                       className="w-full"
@@ -290,28 +572,91 @@ export default function Home() {
 
                   <div className="mt-4 text-sm text-gray-600 dark:text-gray-400">
                     <p><strong>Fichier:</strong> {uploadedFile.file.originalName}</p>
-                    <p><strong>Taille:</strong> {uploadedFile.file.sizeInMB} MB</p>
+                    {uploadedFile.file.sizeInMB && <p><strong>Taille:</strong> {uploadedFile.file.sizeInMB} MB</p>}
                   </div>
                 </div>
               )}
 
-              {/* Lecteur audio avec transcription synchronisée pour MP3 */}
-              {transcription && uploadedFile?.file?.mimetype === 'audio/mpeg' && transcription.raw?.segments && (
+              {/* Lecteur audio avec transcription synchronisée pour MP3 et les fichiers ouverts depuis la recherche */}
+              {transcription && (uploadedFile?.file?.mimetype === 'audio/mpeg' || uploadedFile?.fromSearch) && transcription.raw?.segments && (
                 <AudioPlayer
                   audioUrl={`${API_BASE_URL}${uploadedFile.file.relativePath}`}
                   segments={transcription.raw.segments}
+                  seekRequest={seekRequest}
                 />
               )}
             </div>
 
             {/* COLONNE DROITE : Transcription complète */}
             <div className="space-y-6">
+              {/* Même enregistrement déjà transcrit : reprendre sa transcription ou transcrire quand même */}
+              {duplicate && !transcription && (
+                <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
+                  <h2 className="text-xl font-semibold text-gray-800 dark:text-white mb-2">
+                    🔁 Enregistrement déjà transcrit
+                  </h2>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                    Ce fichier semble être une autre version de{' '}
+                    <strong>{duplicate.originalFile?.split('/').pop() || duplicate.fileHash.substring(0, 12)}</strong>
+                    {' '}(similarité {Math.round(duplicate.similarity * 100)} %), transcrit le{' '}
+                    {new Date(duplicate.createdAt).toLocaleDateString('fr-FR')}
+                    {duplicate.modelSize && ` avec ${duplicate.modelSize}`}.
+                  </p>
+                  {Math.abs(duplicate.offset) >= 0.1 && (
+                    <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                      ✂️ Il commence {Math.abs(duplicate.offset).toFixed(1)} s {duplicate.offset > 0 ? 'plus tard' : 'plus tôt'} :
+                      les timestamps seront recalés.
+                    </p>
+                  )}
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={handleReuseDuplicate}
+                      disabled={reusingDuplicate}
+                      className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white text-sm font-semibold px-4 py-2 rounded-lg transition-colors disabled:cursor-not-allowed"
+                    >
+                      {reusingDuplicate ? '⏳ Reprise en cours...' : 'Utiliser la transcription existante'}
+                    </button>
+                    <button
+                      onClick={handleIgnoreDuplicate}
+                      disabled={reusingDuplicate}
+                      className="bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 text-sm font-semibold px-4 py-2 rounded-lg transition-colors disabled:cursor-not-allowed"
+                    >
+                      Transcrire quand même
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {transcribing && (
                 <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-8 text-center">
                   <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
                   <p className="text-gray-600 dark:text-gray-400">
                     🎤 Transcription en cours...
                   </p>
+                  <div className="mt-4">
+                    <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                      <div
+                        className="bg-blue-600 h-2 rounded-full transition-all duration-500"
+                        style={{ width: `${jobProgress}%` }}
+                      ></div>
+                    </div>
+                    <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">{jobProgress}%</p>
+                  </div>
+
+                  {/* Timeline des étapes du pipeline */}
+                  {timeline.length > 0 && (
+                    <ol className="mt-4 space-y-2 text-left max-h-64 overflow-y-auto">
+                      {timeline.map((event) => (
+                        <li key={event.index} className="flex items-start space-x-2 text-sm">
+                          <span>{EVENT_ICONS[event.type] || '•'}</span>
+                          <span className="text-xs font-mono text-gray-400 dark:text-gray-500 pt-0.5">
+                            {new Date(event.at).toLocaleTimeString('fr-FR')}
+                          </span>
+                          <span className="text-gray-700 dark:text-gray-300">{event.message}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
                 </div>
               )}
 
@@ -355,6 +700,12 @@ export default function Home() {
                       <p className="text-sm text-green-800 dark:text-green-200">
                         ⚡ <strong>Récupéré depuis le cache</strong> - Temps gagné: {transcription.cacheMetadata?.processingTime || 'N/A'}
                       </p>
+                      {transcription.cacheMetadata?.duplicateOf && (
+                        <p className="text-xs text-green-700 dark:text-green-300 mt-1">
+                          🔁 Transcription d&apos;une autre version du même enregistrement
+                          {transcription.cacheMetadata.offset ? `, recalée de ${transcription.cacheMetadata.offset} s` : ''}
+                        </p>
+                      )}
                     </div>
                   )}
 
@@ -382,6 +733,22 @@ export default function Home() {
                     </div>
                   </div>
 
+                  {/* Export des sous-titres */}
+                  {exportKey && (
+                    <div className="flex flex-wrap items-center gap-2 mb-6">
+                      <span className="text-xs font-medium text-gray-600 dark:text-gray-400">Exporter :</span>
+                      {EXPORT_FORMATS.map(({ format, label }) => (
+                        <a
+                          key={format}
+                          href={`${API_BASE_URL}/exports/${exportKey}?format=${format}`}
+                          className="text-xs bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-800 dark:text-gray-200 px-3 py-1 rounded transition-colors"
+                        >
+                          {label}
+                        </a>
+                      ))}
+                    </div>
+                  )}
+
                   {/* Segments scrollable */}
                   <div className="space-y-3 max-h-[600px] overflow-y-auto pr-2">
                     <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3 sticky top-0 bg-white dark:bg-gray-800 py-2">
@@ -1,11 +1,19 @@
 /**
- * Route pour appliquer les règles de verbatim corrigé avec GPT-4o-mini
+ * Route pour appliquer les règles de verbatim corrigé avec un LLM
+ * (GPT-4o-mini par défaut, ou serveur local compatible OpenAI)
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { applyVerbatimRules, generateCorrectedText, generateCorrectedSRT } = require('../services/rulesEngine');
+const { TYPOGRAPHY_MODES, applyVerbatimRules, generateCorrectedText } = require('../services/rulesEngine');
+const { retimeSubtitles, loadSubtitleConstraints } = require('../services/subtitleRetimer');
+const { loadRules } = require('../services/applyRules');
+const { rulesetExists } = require('../services/rulesStore');
+const { toSRT } = require('../services/subtitleSerializer');
+const { pickLLMOverrides, resolveLLMConfig, getLLMConfigError } = require('../services/llmClient');
+const { loadProfile } = require('../services/styleProfiles');
+const { loadGlossary } = require('../services/glossaries');
 
 const router = express.Router();
 
@@ -19,8 +27,15 @@ require('dotenv').config();
  * Body JSON:
  * {
  *   "segments": [...],           // Segments de transcription brute
- *   "language": "fr",             // optionnel: fr, en
+ *   "language": "fr",             // optionnel: langue détectée (fr, en) ou jeu de règles (fr-CA, fr-FR)
  *   "context": "Entrevue formelle", // optionnel: contexte additionnel
+ *   "profileId": "radio-canada",   // optionnel: profil de style du client (voir /profiles)
+ *   "glossaryId": "radio-canada",  // optionnel: glossaire du projet, orthographes à conserver (voir /glossaries),
+ *                                 //   corrigées localement (glossaryCorrection de la réponse) et rappelées au LLM
+ *   "rulesetId": "projet-radio",   // optionnel: jeu de règles du projet, contraintes du SRT (voir /rules/sets)
+ *   "llm": { "provider": "ollama", "model": "llama3.1:8b" }, // optionnel: fournisseur LLM (défaut: LLM_* / OPENAI_API_KEY)
+ *   "typography": "before",       // optionnel: règles locales de chiffres et de typographie
+ *                                 //   before (avant le LLM), only (sans LLM) ou none
  *   "saveSRT": true               // optionnel: sauvegarder le fichier .srt
  * }
  */
@@ -32,6 +47,11 @@ router.post('/', async (req, res) => {
       segments,
       language = 'fr',
       context = '',
+      profileId = null,
+      glossaryId = null,
+      rulesetId = null,
+      llm = null,
+      typography = 'before',
       saveSRT = true
     } = req.body;
     
@@ -48,21 +68,68 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Vérifier la clé API OpenAI
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({
+    if (!TYPOGRAPHY_MODES.includes(typography)) {
+      return res.status(400).json({
+        success: false,
+        error: `Le paramètre "typography" doit valoir ${TYPOGRAPHY_MODES.join(', ')}`
+      });
+    }
+    
+    // Charger le profil de style du client
+    let profile = null;
+    if (profileId) {
+      profile = loadProfile(profileId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: `Profil introuvable: ${profileId}`
+        });
+      }
+    }
+    
+    // Charger le glossaire du projet
+    let glossary = null;
+    if (glossaryId) {
+      glossary = loadGlossary(glossaryId);
+      if (!glossary) {
+        return res.status(404).json({
+          success: false,
+          error: `Glossaire introuvable: ${glossaryId}`
+        });
+      }
+    }
+    
+    if (rulesetId !== null && !rulesetExists(rulesetId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Jeu de règles introuvable: ${rulesetId}`
+      });
+    }
+    
+    // Vérifier la configuration du LLM (surcharges de la requête ou environnement)
+    // Inutile si seules les règles locales sont appliquées
+    const llmOverrides = pickLLMOverrides(llm);
+    const llmConfig = resolveLLMConfig(llmOverrides);
+    const configError = typography === 'only' ? null : getLLMConfigError(llmConfig);
+    if (configError) {
+      return res.status(Object.keys(llmOverrides).length > 0 ? 400 : 500).json({
         success: false,
-        error: 'OPENAI_API_KEY non configurée sur le serveur'
+        error: 'Fournisseur LLM non configuré',
+        details: configError
       });
     }
     
-    // Appliquer les règles avec GPT-4o-mini
-    console.log('\n📍 Application des règles avec GPT-4o-mini...');
+    // Appliquer les règles avec le LLM
+    console.log(typography === 'only'
+      ? '\n📍 Application des règles locales uniquement...'
+      : `\n📍 Application des règles avec ${llmConfig.model} (${llmConfig.provider})...`);
     const result = await applyVerbatimRules(segments, {
-      openaiApiKey: apiKey,
+      llm: llmOverrides,
+      profile,
+      glossary,
       language,
-      context
+      context,
+      typography
     });
     
     // Générer le texte complet corrigé
@@ -74,7 +141,12 @@ router.post('/', async (req, res) => {
     let srtContent = null;
     
     if (saveSRT) {
-      srtContent = generateCorrectedSRT(result.correctedSegments);
+      // Découpage et temps conformes aux contraintes du jeu de règles (langue et projet)
+      const { cues } = retimeSubtitles(
+        result.correctedSegments.map(seg => ({ ...seg, text: seg.correctedText })),
+        loadSubtitleConstraints(loadRules(language, rulesetId))
+      );
+      srtContent = toSRT(cues);
       
       // Sauvegarder dans tmp/
       const tmpDir = path.join(__dirname, '..', 'tmp');
@@ -104,6 +176,9 @@ router.post('/', async (req, res) => {
       },
       summary: result.summary,
       statistics: result.statistics,
+      validation: result.validation,
+      typography: result.typography,
+      glossaryCorrection: result.glossaryCorrection,
       metadata: result.metadata,
       performance: {
         totalTimeSeconds: totalTime,
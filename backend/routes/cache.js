@@ -0,0 +1,195 @@
+/**
+ * Routes de consultation du cache de transcription
+ * Un fichier peut avoir plusieurs variantes en cache, une par configuration du pipeline
+ * (modèle, décodage, règles, prompt, LLM) : voir services/pipelineConfig.js
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { computeHash, parseCacheKey, resolveCacheKey, loadCache, listCacheVariants, getCacheStats } = require('../services/cacheManager');
+
+const router = express.Router();
+
+/**
+ * Résumé d'une variante en cache
+ * @param {Object} cache - Entrée retournée par listCacheVariants
+ * @returns {Object} Variante (legacy: entrée antérieure aux empreintes de configuration)
+ */
+function toVariant(cache) {
+  return {
+    cacheKey: cache.cacheKey,
+    fingerprint: cache.fingerprint,
+    legacy: !cache.fingerprint,
+    createdAt: cache.createdAt,
+    pipeline: cache.pipelineConfig?.pipeline || null,
+    modelSize: cache.modelSize || null,
+    language: cache.language || null,
+    rulesetId: cache.rulesetId || null,
+    rulesetVersion: cache.rulesetVersion || null,
+    glossaryId: cache.glossaryId || null,
+    originalFile: cache.originalFile || null,
+    processingTime: cache.processingTime || null,
+    segmentCount: cache.segmentCount ?? null,
+    size: cache.size,
+    lastAccessAt: cache.lastAccessAt,
+    hits: cache.hits,
+    config: cache.pipelineConfig || null
+  };
+}
+
+/**
+ * Réponse listant les variantes d'un fichier
+ * @param {Object} res - Réponse Express
+ * @param {string} hash - Hash SHA-256 du fichier
+ */
+function sendVariants(res, hash) {
+  const variants = listCacheVariants(hash).map(toVariant);
+  res.json({
+    success: true,
+    hash,
+    count: variants.length,
+    variants
+  });
+}
+
+/**
+ * GET /cache?filePath=uploads/video-123456.mp4
+ * Variantes en cache d'un fichier uploadé (hash calculé à partir du fichier)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { filePath } = req.query;
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "filePath" est requis (ou GET /cache/:hash)'
+      });
+    }
+
+    const fullPath = path.join(__dirname, '..', filePath);
+    if (!fs.existsSync(fullPath)) {
+      return res.status(404).json({
+        success: false,
+        error: `Fichier introuvable: ${filePath}`
+      });
+    }
+
+    sendVariants(res, await computeHash(fullPath));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de consulter le cache',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /cache/stats
+ * Taille du cache (résultats et étapes intermédiaires), limite configurée et utilisations
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "stats": { "totalSize": 52428800, "formattedSize": "50.00 MB", "maxSize": 10737418240,
+ *     "formattedMaxSize": "10240.00 MB", "cacheCount": 3, "stageCount": 14, "fileCount": 23, "hits": 8 }
+ * }
+ */
+router.get('/stats', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: getCacheStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de consulter le cache',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /cache/:hash
+ * Variantes en cache d'un fichier, de la plus récente à la plus ancienne
+ * ":hash" est le hash SHA-256 du fichier (fileHash des réponses) ou une clé de cache
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "hash": "3f0c...",
+ *   "count": 2,
+ *   "variants": [
+ *     { "cacheKey": "3f0c...-9a1b...", "fingerprint": "9a1b...", "pipeline": "robust", "modelSize": "small",
+ *       "language": "fr", "rulesetId": "default", "rulesetVersion": 3, "createdAt": "...", "config": {...} }
+ *   ]
+ * }
+ */
+router.get('/:hash', (req, res) => {
+  try {
+    const parsed = parseCacheKey(req.params.hash);
+
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        error: `Hash invalide: ${req.params.hash}`
+      });
+    }
+
+    sendVariants(res, parsed.hash);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de consulter le cache',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /cache/:hash/transcription
+ * Transcription en cache, dans la forme des réponses de transcription récupérées du cache
+ * (ex: ouvrir un résultat de GET /search)
+ * ":hash" est une clé de cache, ou le hash seul du fichier pour sa variante la plus récente
+ */
+router.get('/:hash/transcription', (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!parseCacheKey(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: `Hash invalide: ${hash}`
+      });
+    }
+
+    const cacheKey = resolveCacheKey(hash);
+    const cached = cacheKey ? loadCache(cacheKey) : null;
+    if (!cached) {
+      return res.status(404).json({
+        success: false,
+        error: `Aucune transcription en cache pour: ${hash}`
+      });
+    }
+
+    res.json({
+      success: true,
+      fromCache: true,
+      fileHash: parseCacheKey(cacheKey).hash,
+      cacheKey,
+      cacheMetadata: cached.metadata,
+      ...cached.transcription
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de consulter le cache',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * Routes de détection des doublons ré-encodés
+ * Un fichier réexporté (autre codec, autre débit, coupé au début) n'a pas le même hash qu'un fichier
+ * déjà transcrit : son empreinte acoustique permet de proposer la transcription existante,
+ * recalée si le fichier est coupé (voir services/audioFingerprint.js)
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { computeHash, buildCacheKey, parseCacheKey, saveCache, loadCache, listCacheVariants } = require('../services/cacheManager');
+const { createStageCache } = require('../services/stageCache');
+const { ensureFingerprint, findDuplicates, shiftTranscription } = require('../services/audioFingerprint');
+const { cuesFromTranscription, toSRT } = require('../services/subtitleSerializer');
+
+const router = express.Router();
+
+// Formats acceptés par le pipeline
+const SUPPORTED_EXTENSIONS = ['.mp4', '.mkv', '.mp3', '.wav'];
+
+/**
+ * Résout et vérifie le fichier d'une requête
+ * @param {Object} res - Réponse Express (erreur envoyée si le fichier est invalide)
+ * @param {string} filePath - Chemin relatif du fichier (ex: uploads/video-123456.mp4)
+ * @returns {string|null} Chemin absolu, null si une erreur a été envoyée
+ */
+function resolveUpload(res, filePath) {
+  if (!filePath) {
+    res.status(400).json({
+      success: false,
+      error: 'Le paramètre "filePath" est requis'
+    });
+    return null;
+  }
+
+  const fullPath = path.join(__dirname, '..', filePath);
+  if (!fs.existsSync(fullPath)) {
+    res.status(404).json({
+      success: false,
+      error: `Fichier introuvable: ${filePath}`
+    });
+    return null;
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    res.status(400).json({
+      success: false,
+      error: `Format non supporté: ${ext}`
+    });
+    return null;
+  }
+
+  return fullPath;
+}
+
+/**
+ * POST /duplicates/check
+ * Cherche les transcriptions en cache d'un même enregistrement (ré-encodé ou coupé)
+ * L'audio extrait pour l'empreinte est mis en cache : une transcription lancée ensuite le réutilise
+ *
+ * Body JSON:
+ * {
+ *   "filePath": "uploads/video-123456.mp4"
+ * }
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "fileHash": "3f0c...",
+ *   "cached": false,                  // true : ce fichier exact est déjà en cache (pas de recherche)
+ *   "duplicates": [
+ *     { "cacheKey": "9a1b...-5e2f...", "fileHash": "9a1b...", "originalFile": "uploads/entretien-1733.mp4",
+ *       "createdAt": "...", "modelSize": "large-v3", "language": "fr", "variantCount": 1,
+ *       "similarity": 0.86, "offset": 12.4, "overlap": 1784.2, "duration": 1796.6 }
+ *   ]
+ * }
+ * offset : secondes coupées au début du nouveau fichier (négatif s'il commence plus tôt)
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const { filePath } = req.body;
+    const fullPath = resolveUpload(res, filePath);
+    if (!fullPath) return;
+
+    const fileHash = await computeHash(fullPath);
+    if (listCacheVariants(fileHash).length > 0) {
+      return res.json({ success: true, fileHash, cached: true, duplicates: [] });
+    }
+
+    const stageCache = createStageCache(fileHash);
+    const fingerprint = await ensureFingerprint(fileHash, async () => (await stageCache.audio(fullPath)).data.audioPath);
+
+    const duplicates = findDuplicates(fingerprint, fileHash)
+      .map(duplicate => {
+        const variants = listCacheVariants(duplicate.fileHash);
+        const latest = variants[0];
+        return latest ? {
+          cacheKey: latest.cacheKey,
+          fileHash: duplicate.fileHash,
+          originalFile: latest.originalFile || null,
+          createdAt: latest.createdAt,
+          modelSize: latest.modelSize || null,
+          language: latest.language || null,
+          variantCount: variants.length,
+          similarity: duplicate.similarity,
+          offset: duplicate.offset,
+          overlap: duplicate.overlap,
+          duration: duplicate.duration
+        } : null;
+      })
+      .filter(Boolean);
+
+    if (duplicates.length > 0) {
+      console.log(`🔁 ${duplicates.length} doublon(s) acoustique(s) pour ${fileHash.substring(0, 12)}... (meilleur: ${duplicates[0].fileHash.substring(0, 12)}..., similarité ${duplicates[0].similarity}, décalage ${duplicates[0].offset}s)`);
+    }
+
+    res.json({ success: true, fileHash, cached: false, duplicates });
+  } catch (error) {
+    if (error.code === 'INVALID') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Erreur détection des doublons:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de rechercher les doublons',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /duplicates/reuse
+ * Reprend la transcription en cache d'un doublon pour un nouveau fichier, recalée de l'offset,
+ * et la met en cache pour ce fichier (même configuration que la transcription d'origine)
+ *
+ * Body JSON:
+ * {
+ *   "filePath": "uploads/video-123456.mp4",
+ *   "cacheKey": "9a1b...-5e2f...",    // clé retournée par POST /duplicates/check
+ *   "offset": 12.4                     // optionnel (défaut: 0)
+ * }
+ *
+ * Réponse : même forme qu'une transcription récupérée du cache (fromCache: true),
+ * cacheMetadata.duplicateOf et cacheMetadata.offset indiquent l'origine
+ */
+router.post('/reuse', async (req, res) => {
+  try {
+    const { filePath, cacheKey, offset = 0 } = req.body;
+    const fullPath = resolveUpload(res, filePath);
+    if (!fullPath) return;
+
+    if (!parseCacheKey(cacheKey)) {
+      return res.status(400).json({
+        success: false,
+        error: `Clé de cache invalide: ${cacheKey}`
+      });
+    }
+
+    if (typeof offset !== 'number' || !Number.isFinite(offset)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "offset" doit être un nombre de secondes'
+      });
+    }
+
+    const source = loadCache(cacheKey);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: `Aucune transcription en cache pour: ${cacheKey}`
+      });
+    }
+
+    const fileHash = await computeHash(fullPath);
+    const { hash, cacheKey: sourceKey, fingerprint, createdAt, ...sourceMetadata } = source.metadata;
+    const newKey = sourceMetadata.pipelineConfig ? buildCacheKey(fileHash, sourceMetadata.pipelineConfig) : fileHash;
+
+    const transcription = shiftTranscription(source.transcription, offset);
+    const cues = cuesFromTranscription(transcription);
+    const srtContent = cues.length > 0 ? toSRT(cues) : null;
+    if (transcription.formatted) {
+      transcription.formatted.srtFile = srtContent;
+    }
+
+    saveCache(newKey, transcription, srtContent, {
+      ...sourceMetadata,
+      originalFile: filePath,
+      duplicateOf: sourceKey,
+      offset
+    });
+    console.log(`🔁 Transcription de ${sourceKey.substring(0, 12)}... reprise pour ${fileHash.substring(0, 12)}... (décalage ${offset}s)`);
+
+    const saved = loadCache(newKey);
+    res.json({
+      success: true,
+      fromCache: true,
+      fileHash,
+      cacheKey: newKey,
+      cacheMetadata: saved.metadata,
+      ...saved.transcription
+    });
+  } catch (error) {
+    console.error('❌ Erreur reprise de la transcription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de reprendre la transcription',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Route d'export des sous-titres d'une transcription en cache
+ * Formats : SRT, WebVTT, TTML/DFXP et SCC
+ */
+
+const express = require('express');
+const path = require('path');
+const { parseCacheKey, resolveCacheKey, loadCache } = require('../services/cacheManager');
+const { SUBTITLE_FORMATS, cuesFromTranscription, serializeSubtitles } = require('../services/subtitleSerializer');
+const { retimeSubtitles, loadSubtitleConstraints } = require('../services/subtitleRetimer');
+const { loadRules } = require('../services/applyRules');
+const { rulesetExists } = require('../services/rulesStore');
+
+const router = express.Router();
+
+// Sources de sous-titres disponibles dans une transcription en cache
+const CUE_SOURCES = ['auto', 'formatted', 'cleaned', 'raw'];
+
+/**
+ * GET /exports/:hash?format=vtt|ttml|dfxp|scc|srt
+ * Génère le fichier de sous-titres d'une transcription en cache
+ * ":hash" est la clé de cache d'une variante (cacheKey des réponses de transcription),
+ * ou le hash seul du fichier pour sa variante la plus récente
+ *
+ * Query:
+ *   format   - srt (défaut), vtt, ttml, dfxp ou scc
+ *   source   - auto (défaut: SRT GPT, sinon segments nettoyés, sinon bruts), formatted, cleaned, raw
+ *   retime   - false pour conserver le découpage d'origine (défaut: true, contraintes de la langue et
+ *              du jeu de règles de la transcription, comme à la génération du SRT)
+ *   download - false pour afficher le fichier au lieu de le télécharger (défaut: true)
+ */
+router.get('/:hash', (req, res) => {
+  try {
+    const { hash } = req.params;
+    const { format = 'srt', source = 'auto', retime = 'true', download = 'true' } = req.query;
+
+    if (!parseCacheKey(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: `Hash invalide: ${hash}`
+      });
+    }
+
+    // Un paramètre répété arrive sous forme de tableau
+    if (typeof format !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "format" doit être une valeur unique'
+      });
+    }
+
+    // Clé propre uniquement : "constructor" ou "__proto__" ne sont pas des formats
+    const formatInfo = Object.prototype.hasOwnProperty.call(SUBTITLE_FORMATS, format) ? SUBTITLE_FORMATS[format] : null;
+    if (!formatInfo) {
+      return res.status(400).json({
+        success: false,
+        error: `Format non supporté: ${format}`,
+        details: `Formats disponibles: ${Object.keys(SUBTITLE_FORMATS).join(', ')}`
+      });
+    }
+
+    if (!CUE_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `Source non supportée: ${source}`,
+        details: `Sources disponibles: ${CUE_SOURCES.join(', ')}`
+      });
+    }
+
+    const cacheKey = resolveCacheKey(hash);
+    const cached = cacheKey ? loadCache(cacheKey) : null;
+    if (!cached) {
+      return res.status(404).json({
+        success: false,
+        error: `Aucune transcription en cache pour: ${hash}`
+      });
+    }
+
+    const sourceCues = cuesFromTranscription(cached.transcription, source);
+    if (sourceCues.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Aucun sous-titre disponible (source: ${source})`
+      });
+    }
+
+    const language = cached.metadata.language || cached.transcription.input?.language || 'fr';
+
+    let cues = sourceCues;
+    if (retime !== 'false') {
+      // Jeu de règles supprimé depuis la transcription : contraintes par défaut de la langue
+      const storedRulesetId = cached.metadata.rulesetId || null;
+      const rulesetId = storedRulesetId && rulesetExists(storedRulesetId) ? storedRulesetId : null;
+      if (storedRulesetId && !rulesetId) {
+        console.warn(`⚠️  Jeu de règles introuvable: ${storedRulesetId}, contraintes par défaut utilisées pour l'export`);
+      }
+      cues = retimeSubtitles(sourceCues, loadSubtitleConstraints(loadRules(language, rulesetId))).cues;
+    }
+
+    const content = serializeSubtitles(cues, format, { language });
+
+    const originalName = cached.metadata.originalFile
+      ? path.basename(cached.metadata.originalFile, path.extname(cached.metadata.originalFile)).replace(/[^\w.-]/g, '_')
+      : hash.substring(0, 12);
+
+    console.log(`📤 Export ${format.toUpperCase()}: ${originalName} (${cues.length} sous-titres)`);
+
+    res.set('Content-Type', formatInfo.contentType);
+    if (download !== 'false') {
+      res.set('Content-Disposition', `attachment; filename="${originalName}.${formatInfo.extension}"`);
+    }
+    res.send(content);
+
+  } catch (error) {
+    console.error('\n❌ === ERREUR EXPORT SOUS-TITRES ===');
+    console.error(error);
+    console.error('===================================\n');
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de l\'export des sous-titres',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * Routes de gestion des glossaires par projet
+ * Noms propres et noms de produits : vocabulaire Whisper, orthographes à conserver
+ * par le LLM et correction locale des segments (glossaryId des routes de transcription)
+ */
+
+const express = require('express');
+const {
+  listGlossaries,
+  loadGlossary,
+  createGlossary,
+  updateGlossary,
+  deleteGlossary,
+  buildWhisperHints
+} = require('../services/glossaries');
+const { applyGlossary } = require('../services/glossaryCorrection');
+
+const router = express.Router();
+
+/**
+ * Réponse d'erreur pour une exception du service de glossaires
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée
+ * @param {string} action - Action en cours (pour le message)
+ */
+function sendGlossaryError(res, error, action) {
+  if (error.code === 'INVALID') {
+    return res.status(400).json({ success: false, error: error.message, details: error.details });
+  }
+  if (error.code === 'EXISTS') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  console.error(`❌ Erreur ${action} du glossaire:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Erreur lors de ${action} du glossaire`,
+    details: error.message
+  });
+}
+
+/**
+ * GET /glossaries
+ * Liste les glossaires
+ */
+router.get('/', (req, res) => {
+  try {
+    const glossaries = listGlossaries();
+    res.json({ success: true, count: glossaries.length, glossaries });
+  } catch (error) {
+    sendGlossaryError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * GET /glossaries/:id
+ * Retourne un glossaire et les indications transmises à Whisper
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const glossary = loadGlossary(req.params.id);
+    if (!glossary) {
+      return res.status(404).json({ success: false, error: `Glossaire introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, glossary, whisper: buildWhisperHints(glossary) });
+  } catch (error) {
+    sendGlossaryError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * POST /glossaries/:id/preview
+ * Aperçu de la correction locale d'un texte
+ *
+ * Body JSON:
+ * { "text": "On en parle sur radio canada avec stay lee" }
+ */
+router.post('/:id/preview', (req, res) => {
+  const glossary = loadGlossary(req.params.id);
+  if (!glossary) {
+    return res.status(404).json({ success: false, error: `Glossaire introuvable: ${req.params.id}` });
+  }
+  if (typeof req.body?.text !== 'string') {
+    return res.status(400).json({ success: false, error: 'Le paramètre "text" est requis' });
+  }
+  res.json({ success: true, ...applyGlossary(req.body.text, glossary) });
+});
+
+/**
+ * POST /glossaries
+ * Crée un glossaire
+ *
+ * Body JSON:
+ * {
+ *   "id": "radio-canada",
+ *   "name": "Radio-Canada",
+ *   "description": "Émissions du matin",
+ *   "terms": [
+ *     "Radio-Canada",
+ *     { "term": "Staily", "aliases": ["stay lee"], "note": "nom du produit" },
+ *     { "term": "Ohdio", "fuzzy": false }   // fuzzy: corriger aussi les orthographes proches (défaut: true)
+ *   ]
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const glossary = createGlossary(req.body);
+    res.status(201).json({ success: true, glossary });
+  } catch (error) {
+    sendGlossaryError(res, error, 'la création');
+  }
+});
+
+/**
+ * PUT /glossaries/:id
+ * Remplace le contenu d'un glossaire (même format que POST, sans "id")
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const glossary = updateGlossary(req.params.id, req.body);
+    if (!glossary) {
+      return res.status(404).json({ success: false, error: `Glossaire introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, glossary });
+  } catch (error) {
+    sendGlossaryError(res, error, 'la mise à jour');
+  }
+});
+
+/**
+ * DELETE /glossaries/:id
+ * Supprime un glossaire
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteGlossary(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Glossaire introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, message: `Glossaire supprimé: ${req.params.id}` });
+  } catch (error) {
+    sendGlossaryError(res, error, 'la suppression');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+/**
+ * Routes de suivi des jobs asynchrones (transcription robuste)
+ */
+
+const express = require('express');
+const { getJob, listJobs, subscribeToJob, JOB_STATUS } = require('../services/jobQueue');
+
+const router = express.Router();
+
+// Intervalle des commentaires keep-alive SSE (évite la coupure par les proxys)
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Écrit un événement au format Server-Sent Events
+ * @param {Object} res - Réponse Express
+ * @param {Object} event - Événement du job
+ * @param {number} index - Position de l'événement dans l'historique (id SSE)
+ */
+function writeSSE(res, event, index) {
+  res.write(`id: ${index}\n`);
+  res.write(`event: ${event.type || 'stage'}\n`);
+  res.write(`data: ${JSON.stringify({ ...event, index })}\n\n`);
+}
+
+/**
+ * Indique si un job est terminé (succès ou échec)
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * GET /jobs
+ * Liste les jobs (sans les résultats)
+ */
+router.get('/', (req, res) => {
+  try {
+    const jobs = listJobs();
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de lister les jobs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Retourne l'état d'un job : étape courante, pourcentage, historique et résultat final
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "3f0c...",
+ *     "status": "running",           // queued, running, completed, failed
+ *     "stage": "transcription",      // cache, extraction, audio-quality, enhancement, transcription, diarization, gpt, cleaning, srt, done
+ *     "progress": 46,
+ *     "message": "Tentative 2/5: Modèle base (compromis vitesse/précision)",
+ *     "history": [...],
+ *     "checkpoint": {                // transcription partielle (segments déjà décodés), null une fois terminé
+ *       "attempt": 2, "modelSize": "base", "segmentCount": 42, "processedSeconds": 181.4, "duration": 3600.2,
+ *       "segments": [...]
+ *     },
+ *     "result": null                 // réponse complète du pipeline une fois terminé
+ *   }
+ * }
+ */
+router.get('/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job introuvable: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * GET /jobs/:id/events
+ * Flux Server-Sent Events des étapes du pipeline
+ *
+ * Événements émis (champ "event" SSE):
+ * - stage           : début d'une étape (cache, extraction, audio-quality, transcription, diarization, cleaning, srt)
+ * - audio-quality   : rapport de qualité audio (score, niveau, problèmes)
+ * - enhancement     : preset d'amélioration choisi (ou raison de l'absence d'amélioration)
+ * - attempt         : début d'une tentative de fallback (modèle, n°/total)
+ * - attempt-result  : score de qualité obtenu par la tentative
+ * - partial-transcript : nouveaux segments décodés depuis le dernier point de reprise (data.segments),
+ *                    en direct uniquement : l'historique rejoué ne contient que le résumé, la transcription
+ *                    partielle complète est dans job.checkpoint
+ * - gpt-correction  : correction GPT (started, applied, failed, skipped)
+ * - warning         : avertissement non bloquant
+ * - completed / failed : fin du job (le résultat complet est disponible via GET /jobs/:id)
+ *
+ * L'historique déjà écoulé est rejoué à la connexion. L'en-tête Last-Event-ID
+ * (reconnexion automatique d'EventSource) permet de ne recevoir que les événements manqués.
+ */
+router.get('/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job introuvable: ${req.params.id}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // S'abonner avant de rejouer l'historique pour ne perdre aucun événement
+  const buffered = [];
+  let replaying = true;
+  let lastSentIndex = parseInt(req.get('Last-Event-ID'), 10);
+  if (Number.isNaN(lastSentIndex)) {
+    lastSentIndex = -1;
+  }
+
+  const send = (event) => {
+    if (event.index <= lastSentIndex) return;
+    writeSSE(res, event, event.index);
+    lastSentIndex = event.index;
+
+    if (event.type === 'completed' || event.type === 'failed') {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    if (replaying) {
+      buffered.push(event);
+    } else {
+      send(event);
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', cleanup);
+
+  // Rejouer l'historique (relu après l'abonnement pour inclure les derniers événements)
+  const current = getJob(job.id);
+  current.history.forEach((event, index) => send({ ...event, index }));
+  replaying = false;
+  buffered.forEach(send);
+
+  // Job déjà terminé sans événement final dans l'historique (jobs anciens)
+  if (isFinished(current) && !res.writableEnded) {
+    const last = current.history.length;
+    send({ type: current.status, stage: current.stage, progress: current.progress, message: current.message, index: last });
+  }
+});
+
+module.exports = router;
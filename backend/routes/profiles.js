@@ -0,0 +1,142 @@
+/**
+ * Routes de gestion des profils de style du Verbatim Corrigé
+ * Un profil par client : sections des règles activées, remplacées ou complétées
+ */
+
+const express = require('express');
+const {
+  listProfiles,
+  loadProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} = require('../services/styleProfiles');
+const { buildVerbatimRules } = require('../services/rulesEngine');
+const { getRuleSet, listRuleSets } = require('../services/ruleRegistry');
+
+const router = express.Router();
+
+/**
+ * Réponse d'erreur pour une exception du service de profils
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée
+ * @param {string} action - Action en cours (pour le message)
+ */
+function sendProfileError(res, error, action) {
+  if (error.code === 'INVALID') {
+    return res.status(400).json({ success: false, error: error.message, details: error.details });
+  }
+  if (error.code === 'EXISTS') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+
+  console.error(`❌ Erreur ${action} du profil:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Erreur lors de ${action} du profil`,
+    details: error.message
+  });
+}
+
+/**
+ * GET /profiles
+ * Liste les profils de style
+ */
+router.get('/', (req, res) => {
+  try {
+    const profiles = listProfiles();
+    res.json({ success: true, count: profiles.length, profiles });
+  } catch (error) {
+    sendProfileError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * GET /profiles/sections?language=en
+ * Sections des règles de verbatim corrigé modifiables par un profil
+ * (jeu de règles de la langue demandée, défaut: fr-CA)
+ */
+router.get('/sections', (req, res) => {
+  const ruleSet = getRuleSet(req.query.language);
+  res.json({
+    success: true,
+    ruleSet: ruleSet.id,
+    ruleSets: listRuleSets(),
+    sections: ruleSet.sections.map(({ id, number, title, content }) => ({ id, number, title, content }))
+  });
+});
+
+/**
+ * GET /profiles/:id?language=en
+ * Retourne un profil et le prompt de règles qui en résulte pour la langue demandée
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const profile = loadProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: `Profil introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, profile, rules: buildVerbatimRules(profile, req.query.language) });
+  } catch (error) {
+    sendProfileError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * POST /profiles
+ * Crée un profil
+ *
+ * Body JSON:
+ * {
+ *   "id": "radio-canada",                 // optionnel: dérivé du nom
+ *   "name": "Radio-Canada",
+ *   "description": "Sous-titrage des magazines",
+ *   "sections": {
+ *     "numbers": { "append": "- Heure : toujours au format 14 h 54" },
+ *     "profanity": { "content": "- Censurer les sacres : « c***** »" },
+ *     "character": { "enabled": false }
+ *   },
+ *   "customInstructions": "Nommer l'animatrice « Marie » si elle se présente"
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const profile = createProfile(req.body);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    sendProfileError(res, error, 'la création');
+  }
+});
+
+/**
+ * PUT /profiles/:id
+ * Remplace le contenu d'un profil (même format que POST, sans "id")
+ */
+router.put('/:id', (req, res) => {
+  try {
+    const profile = updateProfile(req.params.id, req.body);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: `Profil introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, profile });
+  } catch (error) {
+    sendProfileError(res, error, 'la mise à jour');
+  }
+});
+
+/**
+ * DELETE /profiles/:id
+ * Supprime un profil
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    if (!deleteProfile(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Profil introuvable: ${req.params.id}` });
+    }
+    res.json({ success: true, message: `Profil supprimé: ${req.params.id}` });
+  } catch (error) {
+    sendProfileError(res, error, 'la suppression');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+/**
+ * Routes de gestion des règles de nettoyage local
+ * Blacklist, remplacements, règles riches et longueur de ligne, avec historique des versions
+ * - /rules : jeu de règles par défaut (rules/rules.json)
+ * - /rules/sets/:rulesetId : jeux de règles nommés par projet (rulesetId des routes de transcription)
+ */
+
+const express = require('express');
+const {
+  DEFAULT_RULESET_ID,
+  getRuleset,
+  listRulesets,
+  createRuleset,
+  replaceRuleset,
+  patchRuleset,
+  deleteRuleset,
+  listRulesetHistory,
+  loadRulesetVersion,
+  rollbackRuleset
+} = require('../services/rulesStore');
+const { loadRules } = require('../services/applyRules');
+
+const router = express.Router();
+
+// Routes d'un jeu de règles, montées sur /rules (default) et /rules/sets/:rulesetId
+const rulesetRouter = express.Router({ mergeParams: true });
+
+/**
+ * Jeu de règles ciblé par la requête
+ * @param {Object} req - Requête Express
+ * @returns {string} Identifiant du jeu de règles
+ */
+function rulesetIdOf(req) {
+  return req.params.rulesetId || DEFAULT_RULESET_ID;
+}
+
+/**
+ * Réponse d'erreur pour une exception du service de règles
+ * @param {Object} res - Réponse Express
+ * @param {Error} error - Erreur levée
+ * @param {string} action - Action en cours (pour le message)
+ */
+function sendRulesError(res, error, action) {
+  if (error.code === 'INVALID') {
+    return res.status(400).json({ success: false, error: error.message, details: error.details });
+  }
+  if (error.code === 'EXISTS') {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+
+  console.error(`❌ Erreur ${action} des règles:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Erreur lors de ${action} des règles`,
+    details: error.message
+  });
+}
+
+/**
+ * GET /rules/sets
+ * Liste les jeux de règles (default en premier)
+ */
+router.get('/sets', (req, res) => {
+  try {
+    const rulesets = listRulesets();
+    res.json({ success: true, count: rulesets.length, rulesets });
+  } catch (error) {
+    sendRulesError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * POST /rules/sets
+ * Crée un jeu de règles nommé, en partant d'un jeu existant
+ *
+ * Body JSON:
+ * {
+ *   "id": "projet-radio",
+ *   "name": "Projet radio",
+ *   "description": "Magazines du matin",
+ *   "from": "default",                        // optionnel: jeu de départ (défaut: default)
+ *   "blacklist": ["genre"],                   // optionnel: champs absents repris du jeu de départ
+ *   "replacements": { "cbc": "CBC" },
+ *   "maxLineLength": 37
+ * }
+ */
+router.post('/sets', (req, res) => {
+  try {
+    const ruleset = createRuleset(req.body);
+    res.status(201).json({ success: true, ruleset });
+  } catch (error) {
+    sendRulesError(res, error, 'la création');
+  }
+});
+
+/**
+ * GET /rules[?language=en]
+ * GET /rules/sets/:rulesetId[?language=en]
+ * Retourne un jeu de règles et sa version
+ * Avec "language", ajoute les règles effectives fusionnées avec celles de la langue
+ */
+rulesetRouter.get('/', (req, res) => {
+  try {
+    const ruleset = getRuleset(rulesetIdOf(req));
+    if (!ruleset) {
+      return res.status(404).json({ success: false, error: `Jeu de règles introuvable: ${rulesetIdOf(req)}` });
+    }
+
+    const response = { success: true, ruleset };
+    if (req.query.language) {
+      const { ruleSet, blacklist, replacements, rules, maxLineLength } = loadRules(req.query.language, ruleset.id);
+      response.effective = { ruleSet, blacklist, replacements, rules, maxLineLength };
+    }
+    res.json(response);
+  } catch (error) {
+    sendRulesError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * PUT /rules
+ * PUT /rules/sets/:rulesetId
+ * Remplace le contenu d'un jeu de règles (les champs absents sont retirés)
+ *
+ * Body JSON:
+ * {
+ *   "blacklist": ["genre", "tsé"],
+ *   "replacements": { "youtube": "YouTube" },
+ *   "rules": [{ "phrase": "du coup", "scope": "sentence-start" }],
+ *   "maxLineLength": 42,
+ *   "subtitles": { "maxCharsPerSecond": 17 }
+ * }
+ */
+rulesetRouter.put('/', (req, res) => {
+  try {
+    const ruleset = replaceRuleset(rulesetIdOf(req), req.body);
+    res.json({ success: true, ruleset });
+  } catch (error) {
+    sendRulesError(res, error, 'la mise à jour');
+  }
+});
+
+/**
+ * PATCH /rules
+ * PATCH /rules/sets/:rulesetId
+ * Modifie une partie d'un jeu de règles (JSON Merge Patch : null supprime une clé,
+ * les listes sont remplacées)
+ *
+ * Body JSON:
+ * { "replacements": { "gpt": "GPT", "ok": null }, "maxLineLength": 37 }
+ */
+rulesetRouter.patch('/', (req, res) => {
+  try {
+    const ruleset = patchRuleset(rulesetIdOf(req), req.body);
+    res.json({ success: true, ruleset });
+  } catch (error) {
+    sendRulesError(res, error, 'la mise à jour');
+  }
+});
+
+/**
+ * DELETE /rules/sets/:rulesetId
+ * Supprime un jeu de règles nommé et son historique (le jeu par défaut ne peut pas l'être)
+ */
+rulesetRouter.delete('/', (req, res) => {
+  try {
+    if (!deleteRuleset(rulesetIdOf(req))) {
+      return res.status(404).json({ success: false, error: `Jeu de règles introuvable: ${rulesetIdOf(req)}` });
+    }
+    res.json({ success: true, message: `Jeu de règles supprimé: ${rulesetIdOf(req)}` });
+  } catch (error) {
+    sendRulesError(res, error, 'la suppression');
+  }
+});
+
+/**
+ * GET /rules/history
+ * GET /rules/sets/:rulesetId/history
+ * Versions enregistrées d'un jeu de règles (la plus récente en premier)
+ * Une modification manuelle du fichier est ajoutée à l'historique à la prochaine écriture
+ */
+rulesetRouter.get('/history', (req, res) => {
+  try {
+    const history = listRulesetHistory(rulesetIdOf(req));
+    if (!history) {
+      return res.status(404).json({ success: false, error: `Jeu de règles introuvable: ${rulesetIdOf(req)}` });
+    }
+    res.json({ success: true, rulesetId: rulesetIdOf(req), count: history.length, history });
+  } catch (error) {
+    sendRulesError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * GET /rules/history/:version
+ * GET /rules/sets/:rulesetId/history/:version
+ * Contenu d'une version enregistrée
+ */
+rulesetRouter.get('/history/:version', (req, res) => {
+  try {
+    const snapshot = loadRulesetVersion(rulesetIdOf(req), Number(req.params.version));
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: `Version introuvable: ${rulesetIdOf(req)} v${req.params.version}`
+      });
+    }
+    res.json({ success: true, rulesetId: rulesetIdOf(req), ...snapshot });
+  } catch (error) {
+    sendRulesError(res, error, 'la lecture');
+  }
+});
+
+/**
+ * POST /rules/rollback
+ * POST /rules/sets/:rulesetId/rollback
+ * Revient à une version précédente (enregistrée comme nouvelle version)
+ *
+ * Body JSON:
+ * { "version": 3 }
+ */
+rulesetRouter.post('/rollback', (req, res) => {
+  const version = req.body?.version;
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Le paramètre "version" doit être un entier positif'
+    });
+  }
+
+  try {
+    const ruleset = rollbackRuleset(rulesetIdOf(req), version);
+    res.json({ success: true, restoredVersion: version, ruleset });
+  } catch (error) {
+    sendRulesError(res, error, 'la restauration');
+  }
+});
+
+router.use('/sets/:rulesetId', rulesetRouter);
+router.use('/', rulesetRouter);
+
+module.exports = router;
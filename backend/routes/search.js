@@ -0,0 +1,84 @@
+/**
+ * Route de recherche plein texte dans les transcriptions en cache
+ * Texte brut, segments nettoyés et sous-titres corrigés : voir services/searchIndex.js
+ */
+
+const express = require('express');
+const { searchTranscriptions } = require('../services/searchIndex');
+
+const router = express.Router();
+
+// Paramètres de recherche (un paramètre répété arrive sous forme de tableau)
+const SEARCH_PARAMS = ['q', 'language', 'speaker', 'from', 'to', 'source', 'limit'];
+
+/**
+ * GET /search?q=budget formation
+ * Segments des transcriptions en cache contenant tous les mots recherchés
+ * (sans tenir compte de la casse ni des accents)
+ *
+ * Query:
+ *   q        - Texte recherché (obligatoire)
+ *   language - Langue de la transcription (ex: fr)
+ *   speaker  - Locuteur (ex: SPEAKER_00, transcriptions avec diarisation)
+ *   from     - Transcriptions créées à partir de cette date (ISO ou AAAA-MM-JJ)
+ *   to       - Transcriptions créées jusqu'à cette date incluse
+ *   source   - raw, cleaned ou formatted (défaut: toutes, version la plus corrigée retournée)
+ *   limit    - Nombre maximal de résultats (défaut: 50, max: 200)
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "query": "budget formation",
+ *   "total": 1,
+ *   "count": 1,
+ *   "results": [
+ *     { "cacheKey": "3f0c...-9a1b...", "fileHash": "3f0c...", "file": "entretien-1733.mp3",
+ *       "originalFile": "/uploads/entretien-1733.mp3", "language": "fr", "createdAt": "...",
+ *       "source": "cleaned", "matchedIn": ["cleaned", "raw"], "segmentIndex": 12,
+ *       "start": 83.4, "end": 87.9, "timestamp": "00:01:23.400", "speaker": "SPEAKER_01",
+ *       "text": "...", "snippet": "…le budget de formation…", "highlights": [[4, 10], [14, 23]], "score": 4 }
+ *   ]
+ * }
+ */
+router.get('/', (req, res) => {
+  try {
+    const { q, language, speaker, from, to, source, limit } = req.query;
+
+    const repeated = SEARCH_PARAMS.find(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        error: `Le paramètre "${repeated}" doit être une valeur unique`
+      });
+    }
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "q" est requis'
+      });
+    }
+
+    const { total, results } = searchTranscriptions(String(q), { language, speaker, from, to, source, limit });
+    res.json({
+      success: true,
+      query: q,
+      total,
+      count: results.length,
+      results
+    });
+  } catch (error) {
+    if (error.code === 'INVALID') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('❌ Erreur recherche:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Impossible de rechercher dans les transcriptions',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
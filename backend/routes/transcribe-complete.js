@@ -1,16 +1,27 @@
 /**
  * Route de transcription complète avec nettoyage et formatage GPT
  * Pipeline: Upload → Extraction audio → Whisper → Nettoyage local → Formatage GPT → SRT
+ * Chaque étape est mise en cache séparément (voir services/stageCache.js) : de nouvelles règles
+ * ou un autre modèle LLM réutilisent la sortie Whisper déjà calculée
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { extractAudio } = require('../scripts/extractAudio');
 const { transcribeAudio } = require('../scripts/transcribeAudio');
-const { applyRulesToTranscription, generateCleanedText } = require('../services/applyRules');
-const { formatWithGPT, generateSRTFile } = require('../services/gptFormatter');
-const { computeHash, isCached, saveCache, loadCache } = require('../services/cacheManager');
+const { loadRules, applyRulesToTranscription, generateCleanedText } = require('../services/applyRules');
+const { formatWithGPT, getPromptVersion } = require('../services/gptFormatter');
+const { retimeSubtitles, loadSubtitleConstraints } = require('../services/subtitleRetimer');
+const { toSRT } = require('../services/subtitleSerializer');
+const { computeHash, buildCacheKey, isCached, saveCache, loadCache } = require('../services/cacheManager');
+const { buildPipelineConfig, describeRules } = require('../services/pipelineConfig');
+const { STAGES, createStageCache } = require('../services/stageCache');
+const { ensureFingerprint } = require('../services/audioFingerprint');
+const { pickLLMOverrides, resolveLLMConfig, getLLMConfigError } = require('../services/llmClient');
+const { rulesetExists } = require('../services/rulesStore');
+const { loadGlossary, buildWhisperHints } = require('../services/glossaries');
+const { applyGlossaryToSegments } = require('../services/glossaryCorrection');
+const { validateWhisperSettings, resolveWhisperSettings } = require('../services/whisperSettings');
 
 const router = express.Router();
 
@@ -26,7 +37,12 @@ require('dotenv').config();
  *   "filePath": "uploads/video-123456.mp4",
  *   "modelSize": "base",           // optionnel: tiny, base, small, medium, large-v3
  *   "language": "fr",               // optionnel: fr, en, etc. (null = auto)
+ *   "wordTimestamps": false,        // optionnel: timestamps par mot dans chaque segment
+ *   "rulesetId": "projet-radio",    // optionnel: jeu de règles de nettoyage du projet (voir /rules/sets)
+ *   "glossaryId": "projet-radio",   // optionnel: glossaire du projet, vocabulaire Whisper et correction (voir /glossaries)
+ *   "whisper": { "beamSize": 8, "task": "translate" }, // optionnel: paramètres de décodage (voir POST /transcribe-robust)
  *   "useGPT": true,                 // optionnel: utiliser GPT pour formatage (défaut: true)
+ *   "llm": { "provider": "ollama" }, // optionnel: fournisseur LLM du formatage (défaut: LLM_* / OPENAI_API_KEY)
  *   "saveSRT": true                 // optionnel: sauvegarder le fichier .srt (défaut: true)
  * }
  */
@@ -38,7 +54,12 @@ router.post('/', async (req, res) => {
       filePath, 
       modelSize = 'large-v3', 
       language = null,
+      wordTimestamps = false,
+      rulesetId = null,
+      glossaryId = null,
+      whisper = null,
       useGPT = true,
+      llm = null,
       saveSRT = true,
       useCache = true  // Nouveau paramètre pour activer/désactiver le cache
     } = req.body;
@@ -48,6 +69,7 @@ router.post('/', async (req, res) => {
     console.log(`🤖 Modèle Whisper: ${modelSize}`);
     console.log(`🌍 Langue: ${language || 'auto-détection'}`);
     console.log(`🧠 Formatage GPT: ${useGPT ? 'OUI' : 'NON'}`);
+    console.log(`📏 Règles de nettoyage: ${rulesetId || 'default'}`);
     console.log(`💾 Cache: ${useCache ? 'ACTIVÉ' : 'DÉSACTIVÉ'}`);
     
     // Validation
@@ -57,6 +79,30 @@ router.post('/', async (req, res) => {
         error: 'Le paramètre "filePath" est requis'
       });
     }
+
+    if (rulesetId !== null && !rulesetExists(rulesetId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Jeu de règles introuvable: ${rulesetId}`
+      });
+    }
+
+    const whisperErrors = validateWhisperSettings(whisper);
+    if (whisperErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Paramètres Whisper invalides',
+        details: whisperErrors
+      });
+    }
+
+    const glossary = glossaryId !== null ? loadGlossary(glossaryId) : null;
+    if (glossaryId !== null && !glossary) {
+      return res.status(404).json({
+        success: false,
+        error: `Glossaire introuvable: ${glossaryId}`
+      });
+    }
     
     const fullPath = path.join(__dirname, '..', filePath);
     if (!fs.existsSync(fullPath)) {
@@ -67,18 +113,31 @@ router.post('/', async (req, res) => {
     }
     
     // ÉTAPE 0: Vérifier le cache
+    // Clé : hash du fichier + empreinte de la configuration (une variante par configuration)
     let fileHash = null;
-    let fromCache = false;
+    let cacheKey = null;
+    let pipelineConfig = null;
     
     if (useCache) {
       console.log('\n📍 ÉTAPE 0: Vérification du cache...');
       try {
         fileHash = await computeHash(fullPath);
-        console.log(`🔑 Hash du fichier: ${fileHash.substring(0, 12)}...`);
+        pipelineConfig = buildPipelineConfig('complete', {
+          modelSize,
+          language,
+          wordTimestamps,
+          whisper,
+          rulesetId,
+          glossary,
+          llm: useGPT ? pickLLMOverrides(llm) : null,
+          options: { useGPT, saveSRT }
+        });
+        cacheKey = buildCacheKey(fileHash, pipelineConfig);
+        console.log(`🔑 Hash du fichier: ${fileHash.substring(0, 12)}... (configuration ${cacheKey.split('-')[1]})`);
         
-        if (isCached(fileHash)) {
+        if (isCached(cacheKey)) {
           console.log('✅ Cache trouvé ! Chargement...');
-          const cached = loadCache(fileHash);
+          const cached = loadCache(cacheKey);
           
           if (cached) {
             const cacheAge = cached.metadata.createdAt 
@@ -94,6 +153,8 @@ router.post('/', async (req, res) => {
               success: true,
               message: 'Transcription récupérée depuis le cache',
               fromCache: true,
+              fileHash,
+              cacheKey,
               cacheMetadata: cached.metadata,
               ...cached.transcription,
               performance: {
@@ -105,21 +166,27 @@ router.post('/', async (req, res) => {
             });
           }
         } else {
-          console.log('❌ Aucun cache trouvé, traitement complet nécessaire');
+          console.log('❌ Aucun cache pour cette configuration, traitement complet nécessaire');
         }
       } catch (hashError) {
-        console.error(`⚠️  Erreur calcul hash: ${hashError.message}`);
+        console.error(`⚠️  Erreur vérification du cache: ${hashError.message}`);
         console.log('   → Continuation sans cache');
       }
     }
     
+    // Étapes intermédiaires en cache, chaînées depuis le hash du fichier
+    const stageCache = createStageCache(useCache ? fileHash : null);
+
     // ÉTAPE 1: Extraction audio (si nécessaire)
     console.log('\n📍 ÉTAPE 1/4: Extraction audio...');
     const ext = path.extname(filePath).toLowerCase();
     let audioPath;
+    let audioStageKey = stageCache.fileHash;
     
     if (ext === '.mp4' || ext === '.mkv') {
-      audioPath = await extractAudio(fullPath);
+      const audioStage = await stageCache.audio(fullPath);
+      audioPath = audioStage.data.audioPath;
+      audioStageKey = audioStage.key;
       console.log(`✅ Audio extrait: ${audioPath}`);
     } else if (['.mp3', '.wav'].includes(ext)) {
       audioPath = fullPath;
@@ -132,30 +199,76 @@ router.post('/', async (req, res) => {
     }
     
     // ÉTAPE 2: Transcription Whisper
+    // Client déconnecté avant la réponse : la transcription est annulée
     console.log('\n📍 ÉTAPE 2/4: Transcription Whisper...');
-    const rawTranscription = await transcribeAudio(audioPath, modelSize, language);
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+    // Mêmes paramètres que l'orchestrateur : la sortie Whisper en cache est partagée avec /transcribe-robust
+    const whisperSettings = resolveWhisperSettings(whisper);
+    const whisperHints = buildWhisperHints(glossary);
+    const whisperStage = await stageCache.run(STAGES.WHISPER, {
+      parent: audioStageKey,
+      params: { modelSize, language, wordTimestamps, whisper: whisperSettings, hints: whisperHints }
+    }, () => transcribeAudio(audioPath, modelSize, language, {
+      wordTimestamps,
+      whisper: whisperSettings,
+      signal: abortController.signal,
+      ...whisperHints
+    }));
+    const rawTranscription = whisperStage.data;
     console.log(`✅ Transcription brute: ${rawTranscription.segments.length} segments`);
     
     // ÉTAPE 3: Nettoyage local (règles)
     console.log('\n📍 ÉTAPE 3/4: Nettoyage local (règles)...');
-    const cleanedSegments = applyRulesToTranscription(rawTranscription.segments);
+    const cleaningRules = loadRules(rawTranscription.language, rulesetId);
+    const cleanedStage = await stageCache.run(STAGES.CLEANED, {
+      parent: whisperStage.key,
+      params: {
+        rules: describeRules(rawTranscription.language, rulesetId),
+        glossary: glossary ? { id: glossary.id, updatedAt: glossary.updatedAt } : null
+      }
+    }, async () => {
+      const rulesCleanedSegments = applyRulesToTranscription(rawTranscription.segments, cleaningRules);
+      console.log(`✅ Segments nettoyés (règles ${cleaningRules.rulesetId} v${cleaningRules.rulesetVersion}, ${cleaningRules.ruleSet}): suppression filler words, corrections casse`);
+
+      // Orthographes du glossaire (noms propres, produits)
+      const pass = glossary ? applyGlossaryToSegments(rulesCleanedSegments, glossary) : null;
+      return {
+        segments: pass ? pass.segments : rulesCleanedSegments,
+        glossaryPass: pass ? { changes: pass.changes, statistics: pass.statistics } : null
+      };
+    });
+    const { segments: cleanedSegments, glossaryPass } = cleanedStage.data;
+    if (glossaryPass) {
+      console.log(`📖 Glossaire: ${glossaryPass.statistics.changes} correction(s) dans ${glossaryPass.statistics.segmentsModified} segment(s)`);
+    }
     const cleanedText = generateCleanedText(cleanedSegments);
-    console.log(`✅ Segments nettoyés: suppression filler words, corrections casse`);
     
     // ÉTAPE 4: Formatage GPT (optionnel)
     let gptResult = null;
     let srtContent = null;
     
     if (useGPT) {
-      console.log('\n📍 ÉTAPE 4/4: Formatage GPT-4o-mini...');
+      console.log('\n📍 ÉTAPE 4/4: Formatage LLM...');
       
-      const apiKey = process.env.OPENAI_API_KEY;
-      if (!apiKey) {
-        console.log('⚠️  OPENAI_API_KEY non définie, formatage GPT ignoré');
+      const llmOverrides = pickLLMOverrides(llm);
+      const llmConfig = resolveLLMConfig(llmOverrides);
+      const configError = getLLMConfigError(llmConfig);
+      if (configError) {
+        console.log(`⚠️  ${configError}, formatage GPT ignoré`);
       } else {
         try {
-          gptResult = await formatWithGPT(cleanedSegments, apiKey);
-          srtContent = generateSRTFile(gptResult.srt);
+          const gptStage = await stageCache.run(STAGES.GPT, {
+            parent: cleanedStage.key,
+            params: { provider: llmConfig.provider, baseUrl: llmConfig.baseUrl, model: llmConfig.model, promptVersion: getPromptVersion() }
+          }, () => formatWithGPT(cleanedSegments, llmOverrides));
+          gptResult = gptStage.data;
+          // Les temps proposés par GPT sont ramenés aux contraintes du jeu de règles
+          srtContent = toSRT(retimeSubtitles(gptResult.srt, loadSubtitleConstraints(cleaningRules)).cues);
           console.log(`✅ Formatage GPT terminé: ${gptResult.srt.length} sous-titres`);
           console.log(`📝 Résumé: ${gptResult.summary}`);
         } catch (gptError) {
@@ -167,11 +280,12 @@ router.post('/', async (req, res) => {
       console.log('\n📍 ÉTAPE 4/4: Formatage GPT désactivé');
     }
     
-    // Sauvegarder le fichier SRT
+    // Sauvegarder le fichier SRT dans tmp/ (l'audio peut provenir du cache des étapes)
     let srtPath = null;
     if (saveSRT && srtContent) {
-      const baseName = path.basename(audioPath, path.extname(audioPath));
-      srtPath = path.join(path.dirname(audioPath), `${baseName}.srt`);
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      fs.mkdirSync(tmpDir, { recursive: true });
+      srtPath = path.join(tmpDir, `${path.basename(filePath, ext)}.srt`);
       fs.writeFileSync(srtPath, srtContent);
       console.log(`💾 Fichier SRT sauvegardé: ${srtPath}`);
     }
@@ -184,11 +298,14 @@ router.post('/', async (req, res) => {
       success: true,
       message: 'Pipeline de transcription terminé',
       fromCache: false,
+      fileHash,
+      cacheKey,
       input: {
         originalFile: filePath,
         audioFile: path.relative(path.join(__dirname, '..'), audioPath),
         modelSize,
-        language: rawTranscription.language
+        language: rawTranscription.language,
+        whisperSettings: rawTranscription.whisperSettings
       },
       raw: {
         text: rawTranscription.text,
@@ -198,14 +315,25 @@ router.post('/', async (req, res) => {
       },
       cleaned: {
         text: cleanedText,
-        segments: cleanedSegments
+        segments: cleanedSegments,
+        ruleSet: cleaningRules.ruleSet,
+        rulesetId: cleaningRules.rulesetId,
+        rulesetVersion: cleaningRules.rulesetVersion,
+        glossary: glossaryPass ? {
+          id: glossary.id,
+          name: glossary.name,
+          changes: glossaryPass.changes,
+          statistics: glossaryPass.statistics
+        } : null
       },
       formatted: gptResult ? {
         summary: gptResult.summary,
         srt: gptResult.srt,
+        validation: gptResult.validation,
         srtFile: srtContent,
         srtPath: srtPath ? path.relative(path.join(__dirname, '..'), srtPath) : null
       } : null,
+      stageCache: stageCache.summary(),
       performance: {
         totalTimeSeconds: totalTime,
         rawSegmentCount: rawTranscription.segments.length,
@@ -214,11 +342,11 @@ router.post('/', async (req, res) => {
     };
     
     // Sauvegarder dans le cache si activé
-    if (useCache && fileHash) {
+    if (useCache && cacheKey) {
       try {
         console.log('💾 Sauvegarde dans le cache...');
         saveCache(
-          fileHash,
+          cacheKey,
           {
             input: responseData.input,
             raw: responseData.raw,
@@ -229,13 +357,23 @@ router.post('/', async (req, res) => {
           {
             modelSize,
             language: rawTranscription.language,
+            wordTimestamps,
+            whisperSettings: rawTranscription.whisperSettings,
+            rulesetId: cleaningRules.rulesetId,
+            rulesetVersion: cleaningRules.rulesetVersion,
+            glossaryId,
             processingTime: `${totalTime}s`,
             originalFile: filePath,
             useGPT,
-            segmentCount: rawTranscription.segments.length
+            segmentCount: rawTranscription.segments.length,
+            pipelineConfig
           }
         );
         console.log('✅ Cache sauvegardé avec succès');
+
+        // Empreinte acoustique (en arrière-plan) : reconnaître ce fichier s'il est réimporté ré-encodé ou coupé
+        ensureFingerprint(fileHash, async () => (await stageCache.audio(fullPath)).data.audioPath)
+          .catch(error => console.error(`⚠️  Erreur empreinte acoustique: ${error.message}`));
       } catch (cacheError) {
         console.error(`⚠️  Erreur sauvegarde cache: ${cacheError.message}`);
       }
@@ -244,6 +382,10 @@ router.post('/', async (req, res) => {
     res.status(200).json(responseData);
     
   } catch (error) {
+    if (error.code === 'CANCELLED') {
+      console.log('⏹️  Pipeline annulé (client déconnecté)');
+      return;
+    }
     console.error('\n❌ === ERREUR PIPELINE ===');
     console.error(error);
     console.error('===========================\n');
@@ -1,62 +1,92 @@
 /**
  * Route de transcription robuste avec gestion intelligente de la qualité audio
  * Utilise l'orchestrateur Whisper pour gérer automatiquement les problèmes audio
+ *
+ * Le traitement est asynchrone : la route crée un job et retourne immédiatement son
+ * identifiant. La progression et le résultat sont consultables via GET /jobs/:id
  */
 
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { extractAudio } = require('../scripts/extractAudio');
-const { orchestrateTranscription } = require('../services/whisperOrchestrator');
-const { applyRulesToTranscription, generateCleanedText } = require('../services/applyRules');
-const { generateSRTFile } = require('../services/gptFormatter');
-const { computeHash, isCached, saveCache, loadCache } = require('../services/cacheManager');
+const { runRobustPipeline } = require('../services/robustPipeline');
+const { registerJobHandler, createJob } = require('../services/jobQueue');
+const { pickLLMOverrides } = require('../services/llmClient');
+const { rulesetExists } = require('../services/rulesStore');
+const { loadGlossary } = require('../services/glossaries');
+const { validateWhisperSettings } = require('../services/whisperSettings');
 
 const router = express.Router();
 
-// Charger les variables d'environnement
-require('dotenv').config();
+// Formats acceptés par le pipeline
+const SUPPORTED_EXTENSIONS = ['.mp4', '.mkv', '.mp3', '.wav'];
+
+// Exécution des jobs de transcription robuste
+registerJobHandler('transcribe-robust', (job, events) => {
+  return runRobustPipeline(job.params, events);
+});
 
 /**
  * POST /transcribe-robust
- * Pipeline robuste de transcription avec gestion automatique de la qualité
- * 
+ * Crée un job de transcription robuste avec gestion automatique de la qualité
+ *
  * Body JSON:
  * {
  *   "filePath": "uploads/video-123456.mp4",
  *   "modelSize": "base",              // optionnel: tiny, base, small, medium, large-v3
  *   "language": "fr",                  // optionnel: fr, en, etc. (null = auto)
+ *   "wordTimestamps": false,           // optionnel: timestamps par mot dans chaque segment (défaut: false)
  *   "autoEnhance": true,               // optionnel: amélioration audio auto (défaut: true)
  *   "useFallback": true,               // optionnel: utiliser les fallbacks (défaut: true)
  *   "useGPTCorrection": true,          // optionnel: correction GPT si qualité faible (défaut: true)
+ *   "diarize": false,                  // optionnel: identifier les locuteurs, tirets dans le SRT (défaut: false)
+ *   "numSpeakers": 2,                  // optionnel: nombre de locuteurs connu (défaut: estimation)
+ *   "rulesetId": "projet-radio",       // optionnel: jeu de règles de nettoyage du projet (voir /rules/sets)
+ *   "glossaryId": "projet-radio",      // optionnel: glossaire du projet, vocabulaire Whisper et correction (voir /glossaries)
+ *   "whisper": {                       // optionnel: paramètres de décodage faster-whisper (prioritaires sur les stratégies)
+ *     "beamSize": 5,                   //   faisceau de recherche (1-20)
+ *     "temperature": [0, 0.2, 0.4],    //   température ou températures essayées successivement (0-1)
+ *     "vadFilter": true,               //   filtre de détection de voix
+ *     "vadParameters": { "minSilenceDurationMs": 500 }, // threshold, minSpeechDurationMs, minSilenceDurationMs, speechPadMs
+ *     "device": "cpu",                 //   cpu, cuda ou auto (défaut: WHISPER_DEVICE ou cpu)
+ *     "computeType": "int8",           //   précision (défaut: WHISPER_COMPUTE_TYPE ou int8)
+ *     "conditionOnPreviousText": true, //   amorcer chaque segment avec le texte précédent
+ *     "noSpeechThreshold": 0.6,        //   seuil de probabilité de silence (0-1)
+ *     "task": "transcribe"             //   transcribe ou translate (vers l'anglais)
+ *   },
+ *   "llm": { "provider": "ollama" },   // optionnel: fournisseur LLM de la correction (défaut: LLM_* / OPENAI_API_KEY)
  *   "saveSRT": true,                   // optionnel: sauvegarder le fichier .srt (défaut: true)
  *   "useCache": true                   // optionnel: utiliser le cache intelligent (défaut: true)
  * }
+ *
+ * Réponse 202:
+ * {
+ *   "success": true,
+ *   "jobId": "3f0c...",
+ *   "status": "queued",
+ *   "statusUrl": "/jobs/3f0c..."
+ * }
  */
-router.post('/', async (req, res) => {
-  const startTime = Date.now();
-  
+router.post('/', (req, res) => {
   try {
-    const { 
-      filePath, 
-      modelSize = 'large-v3', 
+    const {
+      filePath,
+      modelSize = 'large-v3',
       language = null,
+      wordTimestamps = false,
       autoEnhance = true,
       useFallback = true,
       useGPTCorrection = true,
+      diarize = false,
+      numSpeakers = null,
+      rulesetId = null,
+      glossaryId = null,
+      whisper = null,
+      llm = null,
       saveSRT = true,
       useCache = true
     } = req.body;
-    
-    console.log('\n🚀 === PIPELINE ROBUSTE DE TRANSCRIPTION ===');
-    console.log(`📁 Fichier: ${filePath}`);
-    console.log(`🤖 Modèle Whisper: ${modelSize}`);
-    console.log(`🌍 Langue: ${language || 'auto-détection'}`);
-    console.log(`🔧 Amélioration auto: ${autoEnhance ? 'OUI' : 'NON'}`);
-    console.log(`🔄 Fallbacks: ${useFallback ? 'OUI' : 'NON'}`);
-    console.log(`🧠 Correction GPT: ${useGPTCorrection ? 'OUI' : 'NON'}`);
-    console.log(`💾 Cache: ${useCache ? 'ACTIVÉ' : 'DÉSACTIVÉ'}`);
-    
+
     // Validation
     if (!filePath) {
       return res.status(400).json({
@@ -64,7 +94,7 @@ router.post('/', async (req, res) => {
         error: 'Le paramètre "filePath" est requis'
       });
     }
-    
+
     const fullPath = path.join(__dirname, '..', filePath);
     if (!fs.existsSync(fullPath)) {
       return res.status(404).json({
@@ -72,258 +102,83 @@ router.post('/', async (req, res) => {
         error: `Fichier introuvable: ${filePath}`
       });
     }
-    
-    // ÉTAPE 0: Vérifier le cache
-    let fileHash = null;
-    let fromCache = false;
-    
-    if (useCache) {
-      console.log('\n📍 ÉTAPE 0: Vérification du cache...');
-      try {
-        fileHash = await computeHash(fullPath);
-        console.log(`🔑 Hash du fichier: ${fileHash.substring(0, 12)}...`);
-        
-        if (isCached(fileHash)) {
-          console.log('✅ Cache trouvé ! Chargement...');
-          const cached = loadCache(fileHash);
-          
-          if (cached) {
-            const cacheAge = cached.metadata.createdAt 
-              ? `(créé le ${new Date(cached.metadata.createdAt).toLocaleString('fr-FR')})`
-              : '';
-            
-            console.log(`⚡ Transcription récupérée depuis le cache ${cacheAge}`);
-            console.log(`⏱️  Temps gagné: ~${cached.metadata.processingTime || 'inconnu'}`);
-            
-            const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-            
-            return res.status(200).json({
-              success: true,
-              message: 'Transcription récupérée depuis le cache',
-              fromCache: true,
-              cacheMetadata: cached.metadata,
-              ...cached.transcription,
-              performance: {
-                totalTimeSeconds: totalTime,
-                savedTime: cached.metadata.processingTime,
-                rawSegmentCount: cached.transcription.raw?.segments?.length || 0,
-                cleanedSegmentCount: cached.transcription.cleaned?.segments?.length || 0
-              }
-            });
-          }
-        } else {
-          console.log('❌ Aucun cache trouvé, traitement complet nécessaire');
-        }
-      } catch (hashError) {
-        console.error(`⚠️  Erreur calcul hash: ${hashError.message}`);
-        console.log('   → Continuation sans cache');
-      }
-    }
-    
-    // ÉTAPE 1: Extraction audio (si nécessaire)
-    console.log('\n📍 ÉTAPE 1: Extraction audio...');
+
     const ext = path.extname(filePath).toLowerCase();
-    let audioPath;
-    
-    if (ext === '.mp4' || ext === '.mkv') {
-      audioPath = await extractAudio(fullPath);
-      console.log(`✅ Audio extrait: ${audioPath}`);
-    } else if (['.mp3', '.wav'].includes(ext)) {
-      audioPath = fullPath;
-      console.log('✅ Fichier audio déjà prêt');
-    } else {
+    if (!SUPPORTED_EXTENSIONS.includes(ext)) {
       return res.status(400).json({
         success: false,
         error: `Format non supporté: ${ext}`
       });
     }
-    
-    // ÉTAPE 2: Orchestration intelligente de la transcription
-    console.log('\n📍 ÉTAPE 2: Orchestration intelligente...');
-    
-    const orchestrationResult = await orchestrateTranscription(audioPath, {
+
+    if (numSpeakers !== null && (!Number.isInteger(numSpeakers) || numSpeakers < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "numSpeakers" doit être un entier positif'
+      });
+    }
+
+    if (rulesetId !== null && !rulesetExists(rulesetId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Jeu de règles introuvable: ${rulesetId}`
+      });
+    }
+
+    if (glossaryId !== null && !loadGlossary(glossaryId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Glossaire introuvable: ${glossaryId}`
+      });
+    }
+
+    const whisperErrors = validateWhisperSettings(whisper);
+    if (whisperErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Paramètres Whisper invalides',
+        details: whisperErrors
+      });
+    }
+
+    const job = createJob('transcribe-robust', {
+      filePath,
       modelSize,
       language,
+      wordTimestamps,
       autoEnhance,
       useFallback,
       useGPTCorrection,
-      openaiApiKey: process.env.OPENAI_API_KEY
+      diarize,
+      numSpeakers,
+      rulesetId,
+      glossaryId,
+      whisper,
+      // Jamais de clé API dans les paramètres persistés du job
+      llm: pickLLMOverrides(llm),
+      saveSRT,
+      useCache
     });
-    
-    // Vérifier si la transcription a réussi
-    if (!orchestrationResult.success || !orchestrationResult.transcription) {
-      return res.status(500).json({
-        success: false,
-        error: 'Échec de la transcription',
-        userMessage: orchestrationResult.userMessage,
-        audioQuality: orchestrationResult.audioQuality,
-        warnings: orchestrationResult.warnings
-      });
-    }
-    
-    // ÉTAPE 3: Nettoyage local (règles)
-    console.log('\n📍 ÉTAPE 3: Nettoyage local (règles)...');
-    const cleanedSegments = applyRulesToTranscription(orchestrationResult.transcription.segments);
-    const cleanedText = generateCleanedText(cleanedSegments);
-    console.log(`✅ Segments nettoyés`);
-    
-    // ÉTAPE 4: Génération du SRT
-    let srtContent = null;
-    let srtPath = null;
-    
-    if (saveSRT) {
-      console.log('\n📍 ÉTAPE 4: Génération du fichier SRT...');
-      
-      // Utiliser le SRT de GPT si disponible, sinon générer depuis les segments nettoyés
-      if (orchestrationResult.gptCorrection && orchestrationResult.gptCorrection.srt) {
-        srtContent = generateSRTFile(orchestrationResult.gptCorrection.srt);
-        console.log('✅ SRT généré depuis la correction GPT');
-      } else {
-        // Générer un SRT simple depuis les segments nettoyés
-        const srtData = cleanedSegments.map((seg, index) => ({
-          index: index + 1,
-          start: secondsToSRT(seg.start),
-          end: secondsToSRT(seg.end),
-          text: seg.text
-        }));
-        srtContent = generateSRTFile(srtData);
-        console.log('✅ SRT généré depuis les segments nettoyés');
-      }
-      
-      // Sauvegarder le fichier SRT
-      const baseName = path.basename(orchestrationResult.finalAudioPath, path.extname(orchestrationResult.finalAudioPath));
-      srtPath = path.join(path.dirname(orchestrationResult.finalAudioPath), `${baseName}.srt`);
-      fs.writeFileSync(srtPath, srtContent);
-      console.log(`💾 Fichier SRT sauvegardé: ${srtPath}`);
-    }
-    
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n✅ === PIPELINE TERMINÉ EN ${totalTime}s ===\n`);
-    
-    // Préparer la réponse complète
-    const responseData = {
+
+    res.status(202).json({
       success: true,
-      message: 'Pipeline robuste de transcription terminé',
-      fromCache: false,
-      userMessage: orchestrationResult.userMessage,
-      input: {
-        originalFile: filePath,
-        audioFile: path.relative(path.join(__dirname, '..'), audioPath),
-        finalAudioFile: path.relative(path.join(__dirname, '..'), orchestrationResult.finalAudioPath),
-        modelSize,
-        language: orchestrationResult.transcription.language
-      },
-      quality: {
-        audio: {
-          level: orchestrationResult.audioQuality.qualityLevel,
-          score: orchestrationResult.audioQuality.qualityScore,
-          issues: orchestrationResult.audioQuality.issues
-        },
-        transcription: {
-          level: orchestrationResult.transcriptionQuality.qualityLevel,
-          score: orchestrationResult.transcriptionQuality.qualityScore,
-          issues: orchestrationResult.transcriptionQuality.issues
-        }
-      },
-      enhancement: orchestrationResult.enhancement ? {
-        applied: true,
-        preset: orchestrationResult.enhancement.preset,
-        originalQualityScore: orchestrationResult.enhancement.originalQualityScore
-      } : {
-        applied: false
-      },
-      fallback: orchestrationResult.fallback,
-      raw: {
-        text: orchestrationResult.transcription.text,
-        segments: orchestrationResult.transcription.segments,
-        duration: orchestrationResult.transcription.duration,
-        languageProbability: orchestrationResult.transcription.language_probability
-      },
-      cleaned: {
-        text: cleanedText,
-        segments: cleanedSegments
-      },
-      formatted: orchestrationResult.gptCorrection ? {
-        summary: orchestrationResult.gptCorrection.summary,
-        srt: orchestrationResult.gptCorrection.srt,
-        srtFile: srtContent,
-        srtPath: srtPath ? path.relative(path.join(__dirname, '..'), srtPath) : null
-      } : {
-        srtFile: srtContent,
-        srtPath: srtPath ? path.relative(path.join(__dirname, '..'), srtPath) : null
-      },
-      warnings: orchestrationResult.warnings,
-      performance: {
-        totalTimeSeconds: totalTime,
-        rawSegmentCount: orchestrationResult.transcription.segments.length,
-        cleanedSegmentCount: cleanedSegments.length
-      }
-    };
-    
-    // Sauvegarder dans le cache si activé
-    if (useCache && fileHash) {
-      try {
-        console.log('💾 Sauvegarde dans le cache...');
-        saveCache(
-          fileHash,
-          {
-            userMessage: responseData.userMessage,
-            input: responseData.input,
-            quality: responseData.quality,
-            enhancement: responseData.enhancement,
-            fallback: responseData.fallback,
-            raw: responseData.raw,
-            cleaned: responseData.cleaned,
-            formatted: responseData.formatted,
-            warnings: responseData.warnings
-          },
-          srtContent,
-          {
-            modelSize,
-            language: orchestrationResult.transcription.language,
-            processingTime: `${totalTime}s`,
-            originalFile: filePath,
-            autoEnhance,
-            useFallback,
-            useGPTCorrection,
-            segmentCount: orchestrationResult.transcription.segments.length,
-            audioQualityLevel: orchestrationResult.audioQuality.qualityLevel,
-            transcriptionQualityLevel: orchestrationResult.transcriptionQuality.qualityLevel
-          }
-        );
-        console.log('✅ Cache sauvegardé avec succès');
-      } catch (cacheError) {
-        console.error(`⚠️  Erreur sauvegarde cache: ${cacheError.message}`);
-      }
-    }
-    
-    res.status(200).json(responseData);
-    
+      message: 'Transcription mise en file d\'attente',
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`
+    });
+
   } catch (error) {
-    console.error('\n❌ === ERREUR PIPELINE ===');
+    console.error('\n❌ === ERREUR CRÉATION JOB ===');
     console.error(error);
-    console.error('===========================\n');
-    
+    console.error('==============================\n');
+
     res.status(500).json({
       success: false,
-      error: 'Erreur lors du pipeline de transcription',
+      error: 'Erreur lors de la création du job de transcription',
       details: error.message
     });
   }
 });
 
-/**
- * Convertit les secondes en format SRT (HH:MM:SS,mmm)
- * @param {number} seconds - Temps en secondes
- * @returns {string} Format SRT
- */
-function secondsToSRT(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 1000);
-  
-  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
-}
-
 module.exports = router;
@@ -8,6 +8,8 @@ const path = require('path');
 const fs = require('fs');
 const { extractAudio } = require('../scripts/extractAudio');
 const { transcribeAudio } = require('../scripts/transcribeAudio');
+const { validateWhisperSettings } = require('../services/whisperSettings');
+const { getWhisperWorkerPool } = require('../services/whisperWorkerPool');
 
 const router = express.Router();
 
@@ -19,7 +21,9 @@ const router = express.Router();
  * {
  *   "filePath": "uploads/video-123456.mp4",
  *   "modelSize": "base",  // optionnel: tiny, base, small, medium, large-v3
- *   "language": "fr"      // optionnel: fr, en, es, etc. (null = auto-détection)
+ *   "language": "fr",     // optionnel: fr, en, es, etc. (null = auto-détection)
+ *   "wordTimestamps": false, // optionnel: timestamps par mot dans chaque segment
+ *   "whisper": { "beamSize": 5 } // optionnel: paramètres de décodage (voir POST /transcribe-robust)
  * }
  */
 router.post('/', async (req, res) => {
@@ -27,7 +31,7 @@ router.post('/', async (req, res) => {
   
   try {
     // 1. Récupérer les paramètres
-    const { filePath, modelSize = 'large-v3', language = null } = req.body;
+    const { filePath, modelSize = 'large-v3', language = null, wordTimestamps = false, whisper = null } = req.body;
     
     console.log('\n🎬 === DÉBUT TRANSCRIPTION ===');
     console.log(`📁 Fichier: ${filePath}`);
@@ -43,6 +47,16 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const whisperErrors = validateWhisperSettings(whisper);
+    if (whisperErrors.length > 0) {
+      console.log('❌ Erreur: paramètres Whisper invalides');
+      return res.status(400).json({
+        success: false,
+        error: 'Paramètres Whisper invalides',
+        details: whisperErrors
+      });
+    }
+    
     // 3. Vérifier que le fichier existe
     const fullPath = path.join(__dirname, '..', filePath);
     if (!fs.existsSync(fullPath)) {
@@ -90,8 +104,16 @@ router.post('/', async (req, res) => {
     console.log('\n🎤 ÉTAPE 2/2: Transcription Whisper...');
     let transcription;
     
+    // Client déconnecté avant la réponse : la transcription est annulée
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        abortController.abort();
+      }
+    });
+    
     try {
-      transcription = await transcribeAudio(audioPath, modelSize, language);
+      transcription = await transcribeAudio(audioPath, modelSize, language, { wordTimestamps, whisper, signal: abortController.signal });
       const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
       
       console.log(`✅ Transcription terminée en ${totalTime}s`);
@@ -101,6 +123,10 @@ router.post('/', async (req, res) => {
       console.log(`   - JSON sauvegardé: ${transcription.jsonPath}`);
       
     } catch (transcribeError) {
+      if (transcribeError.code === 'CANCELLED') {
+        console.log('⏹️  Transcription annulée (client déconnecté)');
+        return;
+      }
       console.error(`❌ Erreur transcription: ${transcribeError.message}`);
       return res.status(500).json({
         success: false,
@@ -117,7 +143,9 @@ router.post('/', async (req, res) => {
         originalFile: filePath,
         audioFile: path.relative(path.join(__dirname, '..'), audioPath),
         modelSize: modelSize,
-        requestedLanguage: language
+        requestedLanguage: language,
+        wordTimestamps,
+        whisperSettings: transcription.whisperSettings
       },
       transcription: {
         language: transcription.language,
@@ -153,8 +181,10 @@ router.post('/', async (req, res) => {
 /**
  * GET /transcribe/status
  * Vérifie que tous les prérequis sont installés
+ * "workers" : état du pool de workers Whisper persistants, avec un contrôle de santé
+ * de chaque worker démarré (null si WHISPER_WORKERS=0)
  */
-router.get('/status', (req, res) => {
+router.get('/status', async (req, res) => {
   const checks = {
     ffmpeg: false,
     pythonVenv: false,
@@ -186,9 +216,14 @@ router.get('/status', (req, res) => {
   
   const allReady = checks.ffmpeg && checks.pythonVenv && checks.fasterWhisper;
   
+  // Workers Whisper : un worker sans réponse est arrêté et redémarré à la prochaine requête
+  const pool = getWhisperWorkerPool();
+  const workers = pool ? { ...pool.getStatus(), health: await pool.checkHealth() } : null;
+  
   res.json({
     ready: allReady,
     checks: checks,
+    workers,
     message: allReady 
       ? '✅ Tous les prérequis sont installés'
       : '⚠️ Certains prérequis manquent',
@@ -4,6 +4,10 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { extractAudio } = require('../scripts/extractAudio');
+const { transcriptionFromSubtitles } = require('../services/subtitleParser');
+
+// Fichiers de sous-titres importés directement comme transcription (sans Whisper)
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
 
 // Création du routeur Express
 const router = express.Router();
@@ -38,7 +42,7 @@ const storage = multer.diskStorage({
 // Fonction de validation des types de fichiers
 const fileFilter = (req, file, cb) => {
   // Extensions autorisées
-  const allowedExtensions = ['.mp4', '.mkv', '.mp3', '.wav'];
+  const allowedExtensions = ['.mp4', '.mkv', '.mp3', '.wav', ...SUBTITLE_EXTENSIONS];
   const ext = path.extname(file.originalname).toLowerCase();
   
   // Types MIME autorisés (pour validation supplémentaire)
@@ -50,6 +54,8 @@ const fileFilter = (req, file, cb) => {
     'video/mp4',            // .mp4
     'video/x-matroska',     // .mkv
     'video/x-msvideo',      // .avi
+    'application/x-subrip', // .srt
+    'text/vtt',             // .vtt
     'application/octet-stream' // Fallback pour fichiers non reconnus
   ];
   
@@ -103,8 +109,28 @@ router.post('/', upload.single('file'), async (req, res) => {
       }
     };
     
-    // Si c'est un fichier vidéo (.mp4, .mkv), extraire l'audio automatiquement
     const ext = path.extname(req.file.originalname).toLowerCase();
+
+    // Si c'est un fichier de sous-titres (.srt, .vtt), le convertir en transcription
+    if (SUBTITLE_EXTENSIONS.includes(ext)) {
+      const content = fs.readFileSync(req.file.path, 'utf8');
+      const transcription = transcriptionFromSubtitles(content, ext.substring(1));
+
+      if (transcription.raw.segments.length === 0) {
+        return res.status(422).json({
+          success: false,
+          error: 'Aucun sous-titre exploitable dans le fichier',
+          details: transcription.subtitleImport.errors
+        });
+      }
+
+      fileInfo.transcription = transcription;
+      fileInfo.message = `Sous-titres importés: ${transcription.raw.segments.length} segments`;
+
+      console.log(`📄 Sous-titres importés (${transcription.subtitleImport.format}): ${transcription.raw.segments.length} segments, ${transcription.subtitleImport.skippedCues} ignoré(s)`);
+    }
+
+    // Si c'est un fichier vidéo (.mp4, .mkv), extraire l'audio automatiquement
     const isVideo = ext === '.mp4' || ext === '.mkv';
     
     if (isVideo) {
@@ -0,0 +1,122 @@
+/**
+ * Route de validation de conformité des sous-titres
+ * Vérifie un SRT/VTT avant livraison (chevauchements, durées, vitesse de lecture, cadre)
+ */
+
+const express = require('express');
+const { parseCacheKey, resolveCacheKey, loadCache } = require('../services/cacheManager');
+const { parseSubtitles } = require('../services/subtitleParser');
+const { cuesFromTranscription } = require('../services/subtitleSerializer');
+const { loadSubtitleConstraints } = require('../services/subtitleRetimer');
+const { validateParsedSubtitles } = require('../services/subtitleValidator');
+
+const router = express.Router();
+
+/**
+ * POST /validate-subtitles
+ * Valide un fichier de sous-titres fourni ou celui d'une transcription en cache
+ *
+ * Body JSON:
+ * {
+ *   "content": "1\n00:00:01,000 --> ...",  // contenu SRT ou VTT (ou "hash")
+ *   "format": "auto",                      // optionnel: auto, srt, vtt
+ *   "hash": "3f0c...-9a1b...",             // optionnel: clé de cache (SRT livré, sinon segments) ; hash seul = variante la plus récente
+ *   "source": "cleaned",                   // optionnel avec hash: formatted, cleaned, raw au lieu du SRT livré
+ *   "constraints": { "maxCharsPerSecond": 15 } // optionnel: surcharge des contraintes de rules.json
+ * }
+ *
+ * Réponse:
+ * {
+ *   "success": true,
+ *   "valid": false,
+ *   "summary": { "cueCount": 120, "errors": 2, "warnings": 5, "infos": 1, "cuesWithErrors": [12, 48], "byRule": {...} },
+ *   "violations": [
+ *     { "cueIndex": 12, "rule": "overlap", "severity": "error", "message": "...", "details": {...} }
+ *   ]
+ * }
+ */
+router.post('/', (req, res) => {
+  try {
+    const { content, format = 'auto', hash, source = null, constraints = {} } = req.body;
+
+    if (!content && !hash) {
+      return res.status(400).json({
+        success: false,
+        error: 'Le paramètre "content" ou "hash" est requis'
+      });
+    }
+
+    if (!['auto', 'srt', 'vtt'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format non supporté: ${format}`
+      });
+    }
+
+    let parsed;
+    let origin;
+
+    if (content) {
+      if (typeof content !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Le paramètre "content" doit être une chaîne'
+        });
+      }
+      parsed = parseSubtitles(content, format);
+      origin = 'content';
+    } else {
+      if (!parseCacheKey(hash)) {
+        return res.status(400).json({
+          success: false,
+          error: `Hash invalide: ${hash}`
+        });
+      }
+
+      const cacheKey = resolveCacheKey(hash);
+      const cached = cacheKey ? loadCache(cacheKey) : null;
+      if (!cached) {
+        return res.status(404).json({
+          success: false,
+          error: `Aucune transcription en cache pour: ${hash}`
+        });
+      }
+
+      if (cached.srt && !source) {
+        parsed = parseSubtitles(cached.srt, 'srt');
+        origin = 'cache-srt';
+      } else {
+        parsed = { format: 'segments', cues: cuesFromTranscription(cached.transcription, source || 'auto'), errors: [] };
+        origin = `cache-${source || 'auto'}`;
+      }
+    }
+
+    const effectiveConstraints = { ...loadSubtitleConstraints(), ...constraints };
+    const report = validateParsedSubtitles(parsed, effectiveConstraints);
+
+    console.log(`🔎 Validation sous-titres (${origin}): ${report.summary.cueCount} sous-titres, ${report.summary.errors} erreur(s), ${report.summary.warnings} avertissement(s)`);
+
+    res.json({
+      success: true,
+      format: parsed.format,
+      origin,
+      valid: report.valid,
+      summary: report.summary,
+      violations: report.violations,
+      constraints: effectiveConstraints
+    });
+
+  } catch (error) {
+    console.error('\n❌ === ERREUR VALIDATION SOUS-TITRES ===');
+    console.error(error);
+    console.error('=======================================\n');
+
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la validation des sous-titres',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
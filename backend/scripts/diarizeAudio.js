@@ -0,0 +1,103 @@
+/**
+ * Script Node.js pour appeler la diarisation Python (whisper/diarize.py)
+ * Attribue un locuteur (SPEAKER_1, SPEAKER_2...) à chaque segment de transcription
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+/**
+ * Identifie les locuteurs d'une transcription
+ * @param {string} audioPath - Chemin du fichier audio WAV
+ * @param {Array<Object>} segments - Segments de transcription [{id, start, end, text}]
+ * @param {Object} options - Options de diarisation
+ * @param {number} options.numSpeakers - Nombre de locuteurs connu (défaut: null = estimation)
+ * @param {number} options.threshold - Distance cosinus maximale pour regrouper deux voix (défaut: 0.6)
+ * @param {number} options.maxSpeakers - Nombre maximum de locuteurs estimés (défaut: 8)
+ * @returns {Promise<Object>} - {speakers: ['SPEAKER_1', ...], segments: [{id, speaker}]}
+ */
+function diarizeAudio(audioPath, segments, options = {}) {
+  const { numSpeakers = null, threshold = 0.6, maxSpeakers = 8 } = options;
+
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(audioPath)) {
+      return reject(new Error(`Fichier audio introuvable: ${audioPath}`));
+    }
+
+    const pythonScript = path.join(__dirname, '../whisper/diarize.py');
+    const venvPython = path.join(__dirname, '../venv/bin/python');
+
+    if (!fs.existsSync(venvPython)) {
+      return reject(new Error(
+        `Environnement virtuel Python introuvable. ` +
+        `Exécutez: cd backend && python3 -m venv venv && source venv/bin/activate && pip install faster-whisper`
+      ));
+    }
+
+    // Les segments sont passés par fichier (trop volumineux pour la ligne de commande)
+    const segmentsPath = path.join(os.tmpdir(), `diarize-${Date.now()}-${process.pid}.json`);
+    fs.writeFileSync(segmentsPath, JSON.stringify({
+      segments: segments.map((s, index) => ({ id: s.id ?? index, start: s.start, end: s.end }))
+    }));
+
+    const args = [pythonScript, audioPath, segmentsPath, '--threshold', String(threshold), '--max-speakers', String(maxSpeakers)];
+    if (numSpeakers) {
+      args.push('--num-speakers', String(numSpeakers));
+    }
+
+    console.log(`🗣️  Diarisation en cours: ${audioPath}`);
+    console.log(`   Locuteurs: ${numSpeakers || `auto (max ${maxSpeakers})`}`);
+
+    execFile(venvPython, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      fs.rmSync(segmentsPath, { force: true });
+
+      if (stderr) {
+        console.log(stderr);
+      }
+
+      if (error) {
+        console.error(`❌ Erreur diarisation: ${error.message}`);
+        return reject(new Error(`Échec de la diarisation: ${error.message}`));
+      }
+
+      try {
+        const result = JSON.parse(stdout);
+        console.log(`✅ Diarisation terminée: ${result.speakers.length} locuteur(s)`);
+        resolve(result);
+      } catch (parseError) {
+        console.error(`❌ Erreur parsing JSON: ${parseError.message}`);
+        reject(new Error(`Impossible de parser le résultat: ${parseError.message}`));
+      }
+    });
+  });
+}
+
+// Permettre l'utilisation en ligne de commande
+if (require.main === module) {
+  const [audioPath, transcriptionPath, numSpeakers] = process.argv.slice(2);
+
+  if (!audioPath || !transcriptionPath) {
+    console.error('❌ Usage: node diarizeAudio.js <audio.wav> <transcription.json> [num_speakers]');
+    console.error('   Exemple: node diarizeAudio.js tmp/audio.wav tmp/audio.json 2');
+    process.exit(1);
+  }
+
+  const transcription = JSON.parse(fs.readFileSync(transcriptionPath, 'utf8'));
+
+  diarizeAudio(audioPath, transcription.segments, { numSpeakers: numSpeakers ? parseInt(numSpeakers, 10) : null })
+    .then((result) => {
+      console.log('\n📄 Résultat:');
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(`\n❌ Erreur: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  diarizeAudio
+};
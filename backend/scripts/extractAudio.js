@@ -7,6 +7,9 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
+// Format de sortie : WAV PCM 16 bits mono 16 kHz (fait partie des clés du cache des étapes)
+const EXTRACTION_FORMAT = { codec: 'pcm_s16le', sampleRate: 16000, channels: 1 };
+
 /**
  * Extrait l'audio d'un fichier vidéo/audio
  * @param {string} inputPath - Chemin du fichier source (ex: uploads/video.mp4)
@@ -42,9 +45,9 @@ function extractAudio(inputPath) {
     const ffmpegArgs = [
       '-i', inputPath,
       '-vn',
-      '-acodec', 'pcm_s16le',
-      '-ar', '16000',
-      '-ac', '1',
+      '-acodec', EXTRACTION_FORMAT.codec,
+      '-ar', String(EXTRACTION_FORMAT.sampleRate),
+      '-ac', String(EXTRACTION_FORMAT.channels),
       '-y',
       outputPath
     ];
@@ -101,4 +104,4 @@ if (require.main === module) {
 }
 
 // Export pour utilisation dans d'autres modules
-module.exports = { extractAudio };
+module.exports = { extractAudio, EXTRACTION_FORMAT };
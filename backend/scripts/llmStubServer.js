@@ -0,0 +1,138 @@
+/**
+ * Serveur LLM factice compatible OpenAI (POST /v1/chat/completions)
+ * Permet de tester le pipeline de correction hors ligne, sans clé API :
+ * - prompt de verbatim corrigé : retire les hésitations de chaque segment [index]
+ * - prompt de formatage SRT : un sous-titre par segment
+ *
+ * Usage: node backend/scripts/llmStubServer.js [port]
+ * Puis : LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://localhost:8089/v1 LLM_MODEL=stub
+ */
+
+const express = require('express');
+const { formatTimestamp } = require('../services/subtitleTime');
+
+// Hésitations retirées par le stub
+const HESITATIONS = /\b(euh|hum|mh|ben|um|uh)\b[,.]?\s*/gi;
+
+/**
+ * Réponse au prompt de verbatim corrigé (lignes "[index] (début - fin) texte")
+ * @param {string} prompt - Message utilisateur
+ * @returns {Object|null} Réponse JSON ou null si le prompt ne correspond pas
+ */
+function answerVerbatim(prompt) {
+  const lines = prompt.split('\n')
+    .map(line => /^\[(\d+)\] \(([\d.]+)s - ([\d.]+)s\) (?:\[[^\]]+\] )?(.*)$/.exec(line))
+    .filter(Boolean);
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  let hesitationsRemoved = 0;
+  const segments = lines.map(([, id, start, end, text]) => {
+    hesitationsRemoved += (text.match(HESITATIONS) || []).length;
+    const correctedText = text.replace(HESITATIONS, '').trim();
+    return {
+      id: Number(id),
+      start: Number(start),
+      end: Number(end),
+      originalText: text,
+      correctedText,
+      changes: correctedText !== text ? ['Hésitations supprimées'] : []
+    };
+  });
+
+  return {
+    segments,
+    summary: `Stub: ${segments.length} segments relus`,
+    statistics: {
+      totalSegments: segments.length,
+      segmentsModified: segments.filter(seg => seg.changes.length > 0).length,
+      hesitationsRemoved,
+      grammarFixed: 0
+    }
+  };
+}
+
+/**
+ * Réponse au prompt de formatage SRT (segments JSON entre "Segments de transcription :" et "Règles")
+ * @param {string} prompt - Message utilisateur
+ * @returns {Object|null} Réponse JSON ou null si le prompt ne correspond pas
+ */
+function answerFormatting(prompt) {
+  const match = /Segments de transcription :\n([\s\S]*?)\n\nRègles/.exec(prompt);
+  if (!match) {
+    return null;
+  }
+
+  const segments = JSON.parse(match[1]);
+  return {
+    srt: segments.map((seg, i) => ({
+      index: i + 1,
+      start: formatTimestamp(seg.start),
+      end: formatTimestamp(seg.end),
+      text: seg.text
+    })),
+    summary: `Stub: ${segments.length} segments formatés`
+  };
+}
+
+/**
+ * Crée l'application Express du serveur factice
+ * @returns {express.Application}
+ */
+function createStubApp() {
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+
+  app.get('/v1/models', (req, res) => {
+    res.json({ object: 'list', data: [{ id: 'stub', object: 'model', owned_by: 'local' }] });
+  });
+
+  app.post('/v1/chat/completions', (req, res) => {
+    const { model = 'stub', messages = [] } = req.body;
+    const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+
+    const answer = answerVerbatim(prompt) || answerFormatting(prompt) || { echo: prompt.substring(0, 200) };
+
+    res.json({
+      id: `chatcmpl-stub-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content: JSON.stringify(answer) },
+        finish_reason: 'stop'
+      }]
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Démarre le serveur factice
+ * @param {number} port - Port d'écoute (0 = port libre)
+ * @returns {Promise<http.Server>}
+ */
+function startStubServer(port = 8089) {
+  return new Promise((resolve) => {
+    const server = createStubApp().listen(port, () => resolve(server));
+  });
+}
+
+// Permettre l'utilisation en ligne de commande
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || '8089', 10);
+
+  startStubServer(port).then(() => {
+    console.log(`🧪 Serveur LLM factice sur http://localhost:${port}/v1`);
+    console.log(`   LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://localhost:${port}/v1 LLM_MODEL=stub`);
+  });
+}
+
+module.exports = {
+  createStubApp,
+  startStubServer
+};
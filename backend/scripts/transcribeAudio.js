@@ -1,84 +1,181 @@
 /**
  * Script Node.js pour appeler la transcription Python (faster-whisper)
- * Utilise child_process pour exécuter le script Python et récupérer le JSON
+ * Utilise le pool de workers persistants, ou child_process pour exécuter
+ * le script Python et lire ses segments au fil du décodage
  */
 
-const { execFile } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const {
+  resolveWhisperSettings,
+  buildWhisperArgs,
+  buildWhisperDecoding,
+  describeWhisperSettings
+} = require('../services/whisperSettings');
+const { getWhisperWorkerPool } = require('../services/whisperWorkerPool');
+const { runStreamingTranscription, createEventStream } = require('../services/transcriptionStream');
 
 /**
  * Transcrit un fichier audio avec faster-whisper (Python)
+ * Par défaut via le pool de workers persistants, qui garde les modèles en mémoire
+ * (voir services/whisperWorkerPool.js) ; WHISPER_WORKERS=0 lance un processus par appel
  * @param {string} audioPath - Chemin du fichier audio WAV (ex: tmp/audio.wav)
  * @param {string} modelSize - Taille du modèle (tiny, base, small, medium, large-v3)
  * @param {string} language - Code langue (fr, en, etc.) ou null pour auto-détection
- * @returns {Promise<object>} - Résultat de transcription avec segments
+ * @param {Object} options - Options de transcription
+ * @param {boolean} options.wordTimestamps - Timestamps par mot dans chaque segment (défaut: false)
+ * @param {string} options.initialPrompt - Texte d'amorce (initial_prompt), ex: termes d'un glossaire (optionnel)
+ * @param {string} options.hotwords - Termes à favoriser (hotwords), ex: "Staily, Radio-Canada" (optionnel)
+ * @param {Object} options.whisper - Paramètres de décodage {beamSize, temperature, vadFilter, ...} (voir whisperSettings.js)
+ * @param {AbortSignal} options.signal - Annulation de la transcription (error.code = 'CANCELLED'), optionnel
+ * @param {Function} options.onEvent - Suivi au fil du décodage, optionnel :
+ *                                     ({type: 'info', info: {language, duration, ...}} | {type: 'segment', segment}) => void
+ * @returns {Promise<object>} - Résultat de transcription avec segments et paramètres utilisés (whisperSettings)
  */
-function transcribeAudio(audioPath, modelSize = 'large-v3', language = null) {
-  return new Promise((resolve, reject) => {
-    // Vérifier que le fichier audio existe
-    if (!fs.existsSync(audioPath)) {
-      return reject(new Error(`Fichier audio introuvable: ${audioPath}`));
-    }
+async function transcribeAudio(audioPath, modelSize = 'large-v3', language = null, options = {}) {
+  const {
+    wordTimestamps = false,
+    initialPrompt = null,
+    hotwords = null,
+    whisper = null,
+    signal = null,
+    onEvent = null
+  } = options;
+
+  const settings = resolveWhisperSettings(whisper);
+
+  // Vérifier que le fichier audio existe
+  if (!fs.existsSync(audioPath)) {
+    throw new Error(`Fichier audio introuvable: ${audioPath}`);
+  }
 
-    // Chemins
-    const pythonScript = path.join(__dirname, '../whisper/transcribe.py');
-    const venvPython = path.join(__dirname, '../venv/bin/python');
-    
-    // Vérifier que le script Python existe
-    if (!fs.existsSync(pythonScript)) {
-      return reject(new Error(`Script Python introuvable: ${pythonScript}`));
-    }
+  // Chemins
+  const pythonScript = path.join(__dirname, '../whisper/transcribe.py');
+  const venvPython = path.join(__dirname, '../venv/bin/python');
+  
+  // Vérifier que le script Python existe
+  if (!fs.existsSync(pythonScript)) {
+    throw new Error(`Script Python introuvable: ${pythonScript}`);
+  }
 
-    // Vérifier que l'environnement virtuel existe
-    if (!fs.existsSync(venvPython)) {
-      return reject(new Error(
-        `Environnement virtuel Python introuvable. ` +
-        `Exécutez: cd backend && python3 -m venv venv && source venv/bin/activate && pip install faster-whisper`
-      ));
-    }
+  // Vérifier que l'environnement virtuel existe
+  if (!fs.existsSync(venvPython)) {
+    throw new Error(
+      `Environnement virtuel Python introuvable. ` +
+      `Exécutez: cd backend && python3 -m venv venv && source venv/bin/activate && pip install faster-whisper`
+    );
+  }
 
+  console.log(`🎤 Transcription en cours: ${audioPath}`);
+  console.log(`   Modèle: ${modelSize}, Langue: ${language || 'auto'}, Timestamps mots: ${wordTimestamps ? 'OUI' : 'NON'}`);
+  console.log(`   Décodage: ${describeWhisperSettings(settings)}`);
+  if (hotwords) {
+    console.log(`   Vocabulaire: ${hotwords.length > 80 ? `${hotwords.substring(0, 80)}...` : hotwords}`);
+  }
+
+  let result;
+  const pool = getWhisperWorkerPool();
+
+  if (pool) {
+    const response = await pool.transcribe({
+      audio_path: audioPath,
+      model_size: modelSize,
+      language,
+      word_timestamps: wordTimestamps,
+      initial_prompt: initialPrompt,
+      hotwords,
+      device: settings.device,
+      compute_type: settings.computeType,
+      decoding: buildWhisperDecoding(settings),
+      stream: Boolean(onEvent)
+    }, { signal, onEvent });
+
+    result = response.result;
+    result.worker = { pid: response.workerPid, ...response.model };
+    console.log(`   Worker ${response.workerPid}: modèle ${response.model?.cached ? 'déjà en mémoire' : `chargé en ${response.model?.loadSeconds}s`}`);
+  } else {
     // Construire les arguments (gère automatiquement les espaces)
     const args = [pythonScript, audioPath, modelSize];
     if (language) {
       args.push(language);
     }
+    if (wordTimestamps) {
+      args.push('--word-timestamps');
+    }
+    // Forme --option=valeur : une valeur commençant par un tiret reste une valeur
+    if (initialPrompt) {
+      args.push(`--initial-prompt=${initialPrompt}`);
+    }
+    if (hotwords) {
+      args.push(`--hotwords=${hotwords}`);
+    }
+    args.push(...buildWhisperArgs(settings));
+    // Segments lus ligne par ligne : pas de limite de taille de sortie
+    args.push('--stream');
 
-    console.log(`🎤 Transcription en cours: ${audioPath}`);
-    console.log(`   Modèle: ${modelSize}, Langue: ${language || 'auto'}`);
+    result = await runStreamingTranscription(venvPython, args, { signal, onEvent });
+  }
 
-    // Exécuter le script Python avec execFile (gère les espaces automatiquement)
-    execFile(venvPython, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      // Afficher les logs Python (stderr)
-      if (stderr) {
-        console.log(stderr);
-      }
+  console.log(`✅ Transcription terminée: ${result.segments.length} segments`);
+  console.log(`   Langue: ${result.language} (${(result.language_probability * 100).toFixed(1)}%)`);
+  console.log(`   Durée: ${result.duration}s`);
 
-      if (error) {
-        console.error(`❌ Erreur transcription: ${error.message}`);
-        return reject(new Error(`Échec de la transcription: ${error.message}`));
-      }
+  // Chemin du fichier JSON sauvegardé
+  result.jsonPath = audioPath.replace(/\.[^.]+$/, '.json');
 
-      try {
-        // Parser le JSON retourné par Python
-        const result = JSON.parse(stdout);
-        
-        console.log(`✅ Transcription terminée: ${result.segments.length} segments`);
-        console.log(`   Langue: ${result.language} (${(result.language_probability * 100).toFixed(1)}%)`);
-        console.log(`   Durée: ${result.duration}s`);
-
-        // Chemin du fichier JSON sauvegardé
-        const jsonPath = audioPath.replace(/\.[^.]+$/, '.json');
-        result.jsonPath = jsonPath;
-
-        resolve(result);
-      } catch (parseError) {
-        console.error(`❌ Erreur parsing JSON: ${parseError.message}`);
-        console.error(`Sortie Python: ${stdout}`);
-        reject(new Error(`Impossible de parser le résultat: ${parseError.message}`));
-      }
-    });
+  // Paramètres réellement utilisés (consignés dans les métadonnées du cache)
+  result.whisperSettings = { modelSize, ...settings };
+
+  return result;
+}
+
+/**
+ * Transcrit un fichier audio en exposant ses segments au fil du décodage
+ * Mêmes paramètres que transcribeAudio ; arrêter la lecture (break) annule la transcription
+ * @example
+ * for await (const event of streamTranscription('tmp/audio.wav', 'small', 'fr')) {
+ *   if (event.type === 'segment') console.log(event.segment.text);
+ *   if (event.type === 'done') console.log(event.result.segments.length);
+ * }
+ * @param {string} audioPath - Chemin du fichier audio WAV
+ * @param {string} modelSize - Taille du modèle
+ * @param {string} language - Code langue ou null
+ * @param {Object} options - Options de transcribeAudio (sauf onEvent)
+ * @yields {Object} {type: 'info', info}, {type: 'segment', segment}, puis {type: 'done', result}
+ */
+async function* streamTranscription(audioPath, modelSize = 'large-v3', language = null, options = {}) {
+  const controller = new AbortController();
+  const { signal = null } = options;
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) {
+    controller.abort();
+  }
+  signal?.addEventListener('abort', onAbort);
+
+  const stream = createEventStream();
+  let finished = false;
+  transcribeAudio(audioPath, modelSize, language, {
+    ...options,
+    signal: controller.signal,
+    onEvent: event => stream.push(event)
+  }).then(result => {
+    finished = true;
+    stream.push({ type: 'done', result });
+    stream.end();
+  }, error => {
+    finished = true;
+    stream.fail(error);
   });
+
+  try {
+    yield* stream;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    // Lecture interrompue avant la fin : inutile de poursuivre la transcription
+    if (!finished) {
+      controller.abort();
+    }
+  }
 }
 
 /**
@@ -104,18 +201,20 @@ function readTranscriptionJSON(jsonPath) {
 
 // Permettre l'utilisation en ligne de commande
 if (require.main === module) {
-  const audioPath = process.argv[2];
-  const modelSize = process.argv[3] || 'large-v3';
-  const language = process.argv[4] || null;
+  const positional = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const audioPath = positional[0];
+  const modelSize = positional[1] || 'large-v3';
+  const language = positional[2] || null;
+  const wordTimestamps = process.argv.includes('--word-timestamps');
 
   if (!audioPath) {
-    console.error('❌ Usage: node transcribeAudio.js <audio.wav> [model_size] [language]');
-    console.error('   Exemple: node transcribeAudio.js tmp/audio.wav base fr');
+    console.error('❌ Usage: node transcribeAudio.js <audio.wav> [model_size] [language] [--word-timestamps]');
+    console.error('   Exemple: node transcribeAudio.js tmp/audio.wav base fr --word-timestamps');
     console.error('   Modèles: tiny, base, small, medium, large-v3');
     process.exit(1);
   }
 
-  transcribeAudio(audioPath, modelSize, language)
+  transcribeAudio(audioPath, modelSize, language, { wordTimestamps })
     .then((result) => {
       console.log('\n📄 Résultat:');
       console.log(JSON.stringify(result, null, 2));
@@ -129,4 +228,4 @@ if (require.main === module) {
 }
 
 // Export pour utilisation dans d'autres modules
-module.exports = { transcribeAudio, readTranscriptionJSON };
+module.exports = { transcribeAudio, streamTranscription, readTranscriptionJSON };
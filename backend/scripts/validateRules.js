@@ -0,0 +1,43 @@
+/**
+ * Script pour vérifier les fichiers de règles de nettoyage local
+ * (rules/rules.json, rules/rulesets/<id>.json et rules/languages/<id>.json)
+ *
+ * Usage: node backend/scripts/validateRules.js
+ */
+
+const { listRuleSets } = require('../services/ruleRegistry');
+const { loadRules } = require('../services/applyRules');
+const { compileRules } = require('../services/ruleCompiler');
+const { listRulesetIds } = require('../services/rulesStore');
+
+function validateAllRules() {
+  console.log('🔍 VÉRIFICATION DES RÈGLES DE NETTOYAGE');
+  console.log('='.repeat(60));
+
+  let invalid = 0;
+
+  // Chaque jeu de règles de nettoyage, combiné à chaque langue
+  listRulesetIds().forEach(rulesetId => {
+    console.log(`\n📏 Jeu de règles: ${rulesetId}`);
+    listRuleSets().forEach(({ id, name }) => {
+      try {
+        const rules = loadRules(id, rulesetId);
+        const compiled = compileRules(rules, id);
+        console.log(`✅ ${id} (${name}): ${compiled.length} règle(s) compilée(s)`);
+      } catch (error) {
+        invalid++;
+        console.log(`❌ ${id} (${name}): ${error.code === 'INVALID' ? error.message.split(':')[0] : error.message}`);
+        (error.details || []).forEach(detail => console.log(`   - ${detail}`));
+      }
+    });
+  });
+
+  console.log('='.repeat(60));
+  return invalid;
+}
+
+if (require.main === module) {
+  process.exit(validateAllRules() > 0 ? 1 : 0);
+}
+
+module.exports = { validateAllRules };
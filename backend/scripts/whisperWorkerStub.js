@@ -0,0 +1,133 @@
+/**
+ * Worker Whisper factice (même protocole que whisper/worker.py)
+ * Permet de tester le pool de workers hors ligne, sans Python ni modèle :
+ * - chargement d'un modèle simulé (LOAD_MS), gardé en mémoire avec éviction LRU
+ * - un segment par tranche de SEGMENT_MS, annulation possible entre deux segments
+ * - params.stream : messages "info" puis "segment" au fil de la transcription
+ * - fichier audio dont le nom contient "crash" : arrêt brutal du worker
+ * - fichier audio dont le nom contient "hang" : worker bloqué (contrôles de santé sans réponse)
+ *
+ * Usage: node backend/scripts/whisperWorkerStub.js [--max-models=2]
+ */
+
+const readline = require('readline');
+
+const LOAD_MS = 50;
+const SEGMENT_MS = 20;
+const SEGMENT_COUNT = 5;
+
+const capacityArg = process.argv.find(arg => arg.startsWith('--max-models='));
+const capacity = capacityArg ? Math.max(1, parseInt(capacityArg.split('=')[1], 10)) : 2;
+
+// Modèles "chargés", du moins récemment utilisé au plus récent
+const models = [];
+const pending = [];
+const cancelled = new Set();
+let current = null;
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Charge un modèle (simulé) avec éviction du moins récemment utilisé
+ * @param {string} key - Clé du modèle
+ * @returns {Promise<Object>} {cached, loadSeconds}
+ */
+async function loadModel(key) {
+  const index = models.indexOf(key);
+  if (index !== -1) {
+    models.push(...models.splice(index, 1));
+    return { cached: true, loadSeconds: 0 };
+  }
+  while (models.length >= capacity) {
+    models.shift();
+  }
+  await sleep(LOAD_MS);
+  models.push(key);
+  return { cached: false, loadSeconds: LOAD_MS / 1000 };
+}
+
+async function transcribe(message) {
+  const { id, params } = message;
+  current = id;
+  try {
+    if (params.audio_path.includes('crash')) {
+      process.exit(3);
+    }
+    if (params.audio_path.includes('hang')) {
+      const until = Date.now() + 60000;
+      while (Date.now() < until) {
+        // Boucle bloquante : plus aucun message traité
+      }
+    }
+
+    const modelSize = params.model_size || 'large-v3';
+    const load = await loadModel(`${modelSize}/${params.device || 'cpu'}/${params.compute_type || 'int8'}`);
+    const info = {
+      language: params.language || 'fr',
+      source_language: params.language || 'fr',
+      language_probability: 1,
+      duration: SEGMENT_COUNT,
+      task: params.decoding?.task || 'transcribe'
+    };
+    if (params.stream) {
+      send({ id, type: 'info', info });
+    }
+
+    const segments = [];
+    for (let i = 0; i < SEGMENT_COUNT; i++) {
+      if (cancelled.has(id)) {
+        send({ id, type: 'error', error: 'Transcription annulée', cancelled: true, models });
+        return;
+      }
+      await sleep(SEGMENT_MS);
+      const segment = { id: i + 1, start: i, end: i + 1, text: `Segment ${i + 1}` };
+      segments.push(segment);
+      if (params.stream) {
+        send({ id, type: 'segment', segment });
+      }
+    }
+
+    send({
+      id,
+      type: 'result',
+      result: { ...info, segments },
+      model: { size: modelSize, ...load },
+      models
+    });
+  } finally {
+    cancelled.delete(id);
+    current = null;
+  }
+}
+
+async function processQueue() {
+  while (pending.length > 0 && !current) {
+    const message = pending.shift();
+    if (cancelled.has(message.id)) {
+      cancelled.delete(message.id);
+      send({ id: message.id, type: 'error', error: 'Transcription annulée', cancelled: true, models });
+      continue;
+    }
+    await transcribe(message);
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  const message = JSON.parse(line);
+
+  if (message.type === 'transcribe') {
+    pending.push(message);
+    processQueue();
+  } else if (message.type === 'cancel') {
+    cancelled.add(message.id);
+  } else if (message.type === 'health') {
+    send({ id: message.id, type: 'health', pid: process.pid, current, queued: pending.length, models, uptime: process.uptime() });
+  }
+}).on('close', () => process.exit(0));
+
+send({ type: 'ready', pid: process.pid, capacity });
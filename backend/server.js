@@ -10,6 +10,18 @@ const transcribeRouter = require('./routes/transcribe');
 const transcribeCompleteRouter = require('./routes/transcribe-complete');
 const transcribeRobustRouter = require('./routes/transcribe-robust');
 const applyRulesRouter = require('./routes/apply-rules');
+const jobsRouter = require('./routes/jobs');
+const exportsRouter = require('./routes/exports');
+const validateSubtitlesRouter = require('./routes/validate-subtitles');
+const profilesRouter = require('./routes/profiles');
+const rulesRouter = require('./routes/rules');
+const glossariesRouter = require('./routes/glossaries');
+const cacheRouter = require('./routes/cache');
+const searchRouter = require('./routes/search');
+const duplicatesRouter = require('./routes/duplicates');
+const { restoreJobs } = require('./services/jobQueue');
+const { shutdownWhisperWorkerPool } = require('./services/whisperWorkerPool');
+const { runCacheMaintenance, startCacheMaintenance, stopCacheMaintenance } = require('./services/cacheManager');
 
 // Initialisation de l'application Express
 const app = express();
@@ -43,12 +55,23 @@ app.get('/', (req, res) => {
   res.json({
     message: '🚀 Serveur Express opérationnel',
     endpoints: {
-      upload: 'POST /upload - Upload de fichiers audio/vidéo (.mp4, .mkv, .mp3, .wav)',
-      transcribe: 'POST /transcribe - Extraction audio + transcription Whisper',
-      transcribeComplete: 'POST /transcribe-complete - Pipeline complet avec cache intelligent (Whisper + Nettoyage + GPT + SRT)',
-      transcribeRobust: 'POST /transcribe-robust - Pipeline ROBUSTE avec gestion automatique de qualité audio (Analyse + Amélioration + Fallbacks + GPT)',
-      applyRules: 'POST /apply-rules - Application des règles de Verbatim Corrigé avec GPT-4o-mini',
-      status: 'GET /transcribe/status - Vérifier les prérequis (FFmpeg, Python, Whisper)',
+      upload: 'POST /upload - Upload de fichiers audio/vidéo (.mp4, .mkv, .mp3, .wav) ou import de sous-titres (.srt, .vtt)',
+      transcribe: 'POST /transcribe - Extraction audio + transcription Whisper (paramètres de décodage via whisper)',
+      transcribeComplete: 'POST /transcribe-complete - Pipeline complet avec cache intelligent (Whisper + Nettoyage + GPT + SRT), règles de nettoyage via rulesetId, décodage Whisper via whisper',
+      transcribeRobust: 'POST /transcribe-robust - Pipeline ROBUSTE avec gestion automatique de qualité audio (Analyse + Amélioration + Fallbacks + GPT), règles de nettoyage via rulesetId, décodage Whisper via whisper - retourne un jobId',
+      jobStatus: 'GET /jobs/:id - Étape, progression et résultat d\'un job de transcription',
+      jobEvents: 'GET /jobs/:id/events - Flux SSE des étapes du pipeline (qualité audio, amélioration, tentatives, GPT)',
+      exports: 'GET /exports/:hash?format=srt|vtt|ttml|dfxp|scc - Export des sous-titres d\'une transcription en cache (clé de cache, ou hash du fichier pour la variante la plus récente)',
+      cache: 'GET /cache/:hash, GET /cache?filePath= - Variantes en cache d\'un fichier (une par configuration: modèle, décodage, règles, prompt, LLM) ; GET /cache/:hash/transcription - Transcription en cache ; GET /cache/stats - Taille, limite (CACHE_MAX_SIZE_MB) et utilisations',
+      search: 'GET /search?q= - Recherche plein texte dans les transcriptions en cache (texte brut et corrigé), filtres language, speaker, from, to',
+      duplicates: 'POST /duplicates/check - Transcriptions en cache du même enregistrement ré-encodé ou coupé (empreinte acoustique) ; POST /duplicates/reuse - Reprise d\'une transcription en cache, recalée pour le nouveau fichier',
+      validateSubtitles: 'POST /validate-subtitles - Rapport de conformité d\'un SRT/VTT (contenu ou hash du cache)',
+      applyRules: 'POST /apply-rules - Application des règles de Verbatim Corrigé (LLM configurable, jeu de règles selon la langue, chiffres et typographie en local, profil de style via profileId, glossaire via glossaryId, contraintes du SRT du jeu de règles via rulesetId)',
+      profiles: 'GET|POST /profiles, GET|PUT|DELETE /profiles/:id - Profils de style par client des règles de Verbatim Corrigé',
+      rules: 'GET|PUT|PATCH /rules, GET /rules/history, POST /rules/rollback - Règles de nettoyage local (blacklist, remplacements, longueur de ligne) versionnées',
+      glossaries: 'GET|POST /glossaries, GET|PUT|DELETE /glossaries/:id, POST /glossaries/:id/preview - Glossaires par projet (vocabulaire Whisper, orthographes pour le LLM, correction locale) via glossaryId',
+      ruleSets: 'GET|POST /rules/sets, GET|PUT|PATCH|DELETE /rules/sets/:rulesetId (+ /history, /rollback) - Jeux de règles de nettoyage par projet',
+      status: 'GET /transcribe/status - Vérifier les prérequis (FFmpeg, Python, Whisper) et la santé des workers Whisper',
       cacheInspect: 'CLI: node backend/utils/inspectCache.js - Gérer le cache'
     }
   });
@@ -60,6 +83,15 @@ app.use('/transcribe', transcribeRouter);
 app.use('/transcribe-complete', transcribeCompleteRouter);
 app.use('/transcribe-robust', transcribeRobustRouter);
 app.use('/apply-rules', applyRulesRouter);
+app.use('/jobs', jobsRouter);
+app.use('/exports', exportsRouter);
+app.use('/validate-subtitles', validateSubtitlesRouter);
+app.use('/profiles', profilesRouter);
+app.use('/rules', rulesRouter);
+app.use('/glossaries', glossariesRouter);
+app.use('/cache', cacheRouter);
+app.use('/search', searchRouter);
+app.use('/duplicates', duplicatesRouter);
 
 // Middleware de gestion des erreurs
 app.use((err, req, res, next) => {
@@ -75,4 +107,27 @@ app.listen(PORT, () => {
   console.log(`✅ Serveur démarré sur http://localhost:${PORT}`);
   console.log(`📂 Uploads: ${uploadsDir}`);
   console.log(`💾 Cache: ${cacheDir}`);
+
+  // Relancer les jobs interrompus par un redémarrage
+  restoreJobs();
+
+  // Limite de taille et expiration du cache : au démarrage puis périodiquement
+  try {
+    const { expired, evicted } = runCacheMaintenance();
+    if (expired + evicted > 0) {
+      console.log(`🧹 Cache: ${expired} entrée(s) expirée(s), ${evicted} évincée(s)`);
+    }
+  } catch (error) {
+    console.error(`⚠️  Nettoyage du cache: ${error.message}`);
+  }
+  startCacheMaintenance();
+});
+
+// Arrêt propre : les workers Whisper libèrent leurs modèles avant la sortie
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    console.log(`\n🛑 ${signal} reçu, arrêt des workers Whisper...`);
+    stopCacheMaintenance();
+    shutdownWhisperWorkerPool().finally(() => process.exit(0));
+  });
 });
@@ -2,22 +2,77 @@
  * Service d'application de règles NLP sur les transcriptions
  * 
  * Fonctionnalités :
- * - Suppression des mots de la blacklist (filler words)
+ * - Suppression des mots et expressions de la blacklist (filler words)
  * - Remplacement de termes selon un dictionnaire
+ * - Règles riches : motifs, portée (début de phrase, répétitions), casse conservée
+ * - Jeux de règles nommés par projet (voir rulesStore.js)
  * - Découpage des lignes trop longues
+ * - Conservation des timestamps des mots gardés (word_timestamps)
  */
 
-const fs = require('fs');
-const path = require('path');
+const { getRuleSet, loadLanguageRules } = require('./ruleRegistry');
+const { DEFAULT_RULESET_ID, readRuleset, getRulesetVersion } = require('./rulesStore');
+const { compileRules, applyCompiledRules } = require('./ruleCompiler');
+
+// Règles compilées, par objet de règles (évite de recompiler à chaque segment)
+const compiledRulesCache = new WeakMap();
+
+// Règles fusionnées, par jeu de règles et langue : {base, language, merged}
+const mergedRulesCache = new Map();
+
+/**
+ * Charge les règles d'un jeu de règles (défaut: rules/rules.json, voir rulesStore)
+ * et de la langue (rules/languages/<id>.json)
+ * Les blacklists s'additionnent, les remplacements du jeu de règles priment sur ceux de la langue
+ * Le résultat ne change que si un des fichiers change : ne pas le modifier
+ * @param {string} language - Langue détectée ou jeu de règles de la langue (défaut: fr-CA)
+ * @param {string} rulesetId - Jeu de règles de nettoyage du projet (défaut: default)
+ * @returns {Object} Les règles (ruleSet, rulesetId, rulesetVersion, blacklist, replacements, rules, maxLineLength, subtitles)
+ * @throws {Error} error.code = 'INVALID' si un fichier de règles est invalide (error.details),
+ *   'NOT_FOUND' si le jeu de règles n'existe pas
+ */
+function loadRules(language = null, rulesetId = null) {
+  const id = rulesetId || DEFAULT_RULESET_ID;
+  const base = readRuleset(id);
+  if (!base) {
+    const error = new Error(`Jeu de règles introuvable: ${id}`);
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+
+  const ruleSet = getRuleSet(language);
+  const languageRules = loadLanguageRules(ruleSet.id);
+  const cacheKey = `${id}|${ruleSet.id}`;
+  const cached = mergedRulesCache.get(cacheKey);
+  if (cached && cached.base === base && cached.language === languageRules) {
+    return cached.merged;
+  }
+
+  const { blacklist = [], replacements = {}, rules = [], maxLineLength, subtitles } = base;
+  const merged = {
+    ruleSet: ruleSet.id,
+    rulesetId: id,
+    rulesetVersion: getRulesetVersion(id),
+    blacklist: [...new Set([...languageRules.blacklist, ...blacklist])],
+    replacements: { ...languageRules.replacements, ...replacements },
+    rules: [...rules, ...languageRules.rules],
+    maxLineLength,
+    subtitles
+  };
+  mergedRulesCache.set(cacheKey, { base, language: languageRules, merged });
+  return merged;
+}
 
 /**
- * Charge les règles depuis le fichier JSON
- * @returns {Object} Les règles (blacklist, replacements, maxLineLength)
+ * Règles compilées d'un objet de règles (mises en cache)
+ * @param {Object} rules - {blacklist, replacements, rules}
+ * @returns {Array<Object>} Règles compilées (voir ruleCompiler.compileRules)
  */
-function loadRules() {
-  const rulesPath = path.join(__dirname, '../rules/rules.json');
-  const rulesData = fs.readFileSync(rulesPath, 'utf8');
-  return JSON.parse(rulesData);
+function getCompiledRules(rules) {
+  if (!compiledRulesCache.has(rules)) {
+    compiledRulesCache.set(rules, compileRules(rules));
+  }
+  return compiledRulesCache.get(rules);
 }
 
 /**
@@ -30,39 +85,27 @@ function normalizeWord(word) {
 }
 
 /**
- * Supprime les mots de la blacklist d'un texte
+ * Supprime les mots et expressions de la blacklist d'un texte
  * @param {string} text - Le texte à nettoyer
- * @param {Array<string>} blacklist - Liste des mots à supprimer
+ * @param {Array<string>} blacklist - Liste des mots ou expressions à supprimer ("euh", "du coup")
  * @returns {string} Le texte nettoyé
  */
 function removeBlacklistedWords(text, blacklist) {
-  const words = text.split(/\s+/);
-  const filtered = words.filter(word => {
-    const normalized = normalizeWord(word);
-    return !blacklist.includes(normalized);
-  });
-  return filtered.join(' ').replace(/\s+/g, ' ').trim();
+  return applyCompiledRules(text, getCompiledRules({ blacklist }))
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
 /**
  * Applique les remplacements de termes
+ * Les termes sont littéraux ("node.js", "c++") et délimités en tenant compte des accents
  * @param {string} text - Le texte à traiter
  * @param {Object} replacements - Dictionnaire de remplacements
  * @returns {string} Le texte avec remplacements appliqués
  */
 function applyReplacements(text, replacements) {
-  let result = text;
-  
-  // Tri par longueur décroissante pour éviter les remplacements partiels
-  const sortedKeys = Object.keys(replacements).sort((a, b) => b.length - a.length);
-  
-  for (const key of sortedKeys) {
-    // Utilise une regex avec word boundaries pour remplacer les mots entiers
-    const regex = new RegExp(`\\b${key}\\b`, 'gi');
-    result = result.replace(regex, replacements[key]);
-  }
-  
-  return result;
+  // Termes les plus longs d'abord pour éviter les remplacements partiels
+  return applyCompiledRules(text, getCompiledRules({ replacements }));
 }
 
 /**
@@ -97,45 +140,91 @@ function breakLongLines(text, maxLength) {
   return lines.join('\n');
 }
 
+// Nombre maximum de mots d'origine sautés pour retrouver un mot nettoyé
+const WORD_ALIGNMENT_LOOKAHEAD = 8;
+
+/**
+ * Réaligne les timestamps des mots d'origine sur le texte nettoyé
+ * Les mots supprimés (blacklist) perdent leur timing, les mots remplacés
+ * prennent le texte remplacé avec le timing du mot d'origine
+ * @param {Array<Object>} words - Mots d'origine [{word, start, end, probability}]
+ * @param {string} cleanedText - Le texte après application des règles
+ * @returns {Array<Object>} Les mots conservés avec leurs timestamps
+ */
+function alignWordTimings(words, cleanedText) {
+  const tokens = cleanedText.split(/\s+/).filter(token => token.length > 0);
+  const aligned = [];
+  let cursor = 0;
+
+  for (const token of tokens) {
+    if (cursor >= words.length) {
+      break;
+    }
+
+    const target = normalizeWord(token);
+    let matchIndex = -1;
+    const limit = Math.min(words.length, cursor + WORD_ALIGNMENT_LOOKAHEAD);
+
+    for (let i = cursor; i < limit; i++) {
+      if (normalizeWord(words[i].word.trim()) === target) {
+        matchIndex = i;
+        break;
+      }
+    }
+
+    // Mot remplacé (texte différent) : reprendre le timing du prochain mot d'origine
+    if (matchIndex === -1) {
+      matchIndex = cursor;
+    }
+
+    aligned.push({ ...words[matchIndex], word: token });
+    cursor = matchIndex + 1;
+  }
+
+  return aligned;
+}
+
 /**
  * Applique toutes les règles sur un segment de transcription
- * @param {Object} segment - Segment avec {text, start, end}
+ * @param {Object} segment - Segment avec {text, start, end, words?}
  * @param {Object} rules - Les règles à appliquer
  * @returns {Object} Le segment nettoyé
  */
 function cleanSegment(segment, rules) {
-  let cleanedText = segment.text;
-  
-  // 1. Suppression des mots blacklistés
-  if (rules.blacklist && rules.blacklist.length > 0) {
-    cleanedText = removeBlacklistedWords(cleanedText, rules.blacklist);
-  }
+  // 1. Blacklist, 2. remplacements, 3. règles riches (voir ruleCompiler.js)
+  let cleanedText = applyCompiledRules(segment.text, getCompiledRules(rules))
+    .replace(/\s+/g, ' ')
+    .trim();
   
-  // 2. Application des remplacements
-  if (rules.replacements && Object.keys(rules.replacements).length > 0) {
-    cleanedText = applyReplacements(cleanedText, rules.replacements);
-  }
-  
-  // 3. Découpage des lignes longues
+  // 4. Découpage des lignes longues
   if (rules.maxLineLength && cleanedText.length > rules.maxLineLength) {
     cleanedText = breakLongLines(cleanedText, rules.maxLineLength);
   }
   
-  return {
+  const cleaned = {
     ...segment,
     text: cleanedText,
     originalText: segment.text // Garde l'original pour référence
   };
+
+  // 5. Timestamps des mots conservés
+  if (Array.isArray(segment.words)) {
+    cleaned.words = alignWordTimings(segment.words, cleanedText);
+  }
+
+  return cleaned;
 }
 
 /**
  * Applique les règles sur une transcription complète
  * @param {Array<Object>} segments - Liste des segments de transcription
  * @param {Object} customRules - Règles personnalisées (optionnel)
+ * @param {string} language - Langue détectée, utilisée sans règles personnalisées (optionnel)
+ * @param {string} rulesetId - Jeu de règles, utilisé sans règles personnalisées (optionnel)
  * @returns {Array<Object>} Les segments nettoyés
  */
-function applyRulesToTranscription(segments, customRules = null) {
-  const rules = customRules || loadRules();
+function applyRulesToTranscription(segments, customRules = null, language = null, rulesetId = null) {
+  const rules = customRules || loadRules(language, rulesetId);
   
   return segments.map(segment => cleanSegment(segment, rules));
 }
@@ -157,6 +246,7 @@ module.exports = {
   removeBlacklistedWords,
   applyReplacements,
   breakLongLines,
+  alignWordTimings,
   cleanSegment,
   applyRulesToTranscription,
   generateCleanedText
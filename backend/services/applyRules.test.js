@@ -8,6 +8,7 @@ const {
   removeBlacklistedWords,
   applyReplacements,
   breakLongLines,
+  alignWordTimings,
   cleanSegment,
   applyRulesToTranscription,
   generateCleanedText
@@ -155,6 +156,32 @@ assert(fullText.includes('YouTube'), 'Contient les remplacements');
 assert(!fullText.includes('euh'), 'Ne contient pas les mots blacklistés');
 console.log('');
 
+// Test 7: Conservation des timestamps des mots
+console.log(`${BLUE}Test 7: Conservation des timestamps des mots${RESET}`);
+const segmentWithWords = {
+  text: 'Euh, je regarde youtube',
+  start: 0,
+  end: 3,
+  words: [
+    { word: 'Euh,', start: 0, end: 0.4, probability: 0.6 },
+    { word: 'je', start: 0.5, end: 0.7, probability: 0.99 },
+    { word: 'regarde', start: 0.7, end: 1.2, probability: 0.98 },
+    { word: 'youtube', start: 1.3, end: 2.1, probability: 0.95 }
+  ]
+};
+const cleanedWithWords = cleanSegment(segmentWithWords, rules);
+assertEquals(cleanedWithWords.words.length, 3, 'Supprime les timings des mots blacklistés');
+assertEquals(cleanedWithWords.words[0].start, 0.5, 'Conserve le timing du premier mot gardé');
+assertEquals(cleanedWithWords.words[2].word, 'YouTube', 'Applique les remplacements aux mots');
+assertEquals(cleanedWithWords.words[2].end, 2.1, 'Conserve le timing du mot remplacé');
+assert(cleanSegment(segment, rules).words === undefined, 'Pas de mots si le segment n\'en a pas');
+assertEquals(
+  alignWordTimings([{ word: 'nodejs', start: 1, end: 2 }], 'Node.js').map(w => `${w.word}@${w.start}`).join(' '),
+  'Node.js@1',
+  'Aligne les mots remplacés avec ponctuation'
+);
+console.log('');
+
 // Résumé
 console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
 console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
@@ -0,0 +1,527 @@
+/**
+ * Empreinte acoustique des fichiers en cache (détection des doublons ré-encodés)
+ * computeHash ne reconnaît que des octets identiques : le même entretien réexporté en MP3 au lieu
+ * de MP4, ou coupé d'une seconde, n'a pas le même hash. L'empreinte est calculée sur l'audio extrait
+ * (WAV PCM 16 bits mono 16 kHz) et résiste au changement de codec, de débit et de volume.
+ *
+ * Méthode (Haitsma et Kalker) : l'audio est ramené à 8 kHz puis découpé en trames de 128 ms
+ * toutes les 32 ms. L'énergie de 33 bandes logarithmiques entre 300 et 2000 Hz donne 32 bits
+ * par trame : bit m = signe de la variation, d'une trame à la suivante, de la différence
+ * d'énergie entre les bandes m et m+1.
+ * Deux empreintes sont alignées par vote sur les trames identiques, puis comparées bit à bit :
+ * sous 35 % de bits différents, les fichiers sont considérés comme le même enregistrement.
+ *
+ * Stockage : cache/fingerprints/<hash du fichier>.json (une empreinte par fichier, partagée par ses variantes)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR, ENTRY_TYPES, listEntries } = require('./cacheIndex');
+const { parseTimestamp, formatTimestamp } = require('./subtitleTime');
+
+const FINGERPRINTS_DIR = path.join(CACHE_DIR, 'fingerprints');
+
+// Version du calcul : une empreinte d'une autre version est ignorée (recalculée au besoin)
+const FINGERPRINT_VERSION = 1;
+
+// Format attendu (voir scripts/extractAudio.js)
+const INPUT_SAMPLE_RATE = 16000;
+
+// Analyse : audio décimé à 8 kHz, trames de 1024 échantillons (128 ms) toutes les 256 (32 ms)
+const DECIMATION = 2;
+const SAMPLE_RATE = INPUT_SAMPLE_RATE / DECIMATION;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 256;
+const HOP_SECONDS = HOP_SIZE / SAMPLE_RATE;
+const BAND_COUNT = 33;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+
+// Comparaison : taux maximal de bits différents et recouvrement minimal entre les deux fichiers
+const MAX_BIT_ERROR_RATE = 0.35;
+const MIN_OVERLAP_SECONDS = 10;
+// Durées trop différentes : pas le même enregistrement (ex: un extrait de quelques minutes)
+const MIN_DURATION_RATIO = 0.5;
+// Décalages candidats vérifiés bit à bit (les plus votés)
+const CANDIDATE_OFFSETS = 5;
+
+const FILE_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Tables de la FFT (taille fixe)
+const WINDOW = Float64Array.from({ length: FRAME_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+const COS_TABLE = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, i) => Math.cos((2 * Math.PI * i) / FRAME_SIZE));
+const SIN_TABLE = Float64Array.from({ length: FRAME_SIZE / 2 }, (_, i) => Math.sin((2 * Math.PI * i) / FRAME_SIZE));
+const BIT_REVERSED = Uint32Array.from({ length: FRAME_SIZE }, (_, i) => {
+  let reversed = 0;
+  for (let bit = 1, source = i; bit < FRAME_SIZE; bit <<= 1, source >>= 1) {
+    reversed = (reversed << 1) | (source & 1);
+  }
+  return reversed;
+});
+
+// Bornes des bandes en indices de la FFT (espacement logarithmique)
+const BAND_EDGES = Array.from({ length: BAND_COUNT + 1 }, (_, b) => {
+  const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, b / BAND_COUNT);
+  return Math.round((frequency * FRAME_SIZE) / SAMPLE_RATE);
+});
+
+/**
+ * FFT complexe en place (radix 2)
+ * @param {Float64Array} re - Parties réelles
+ * @param {Float64Array} im - Parties imaginaires
+ */
+function fft(re, im) {
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    const j = BIT_REVERSED[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= FRAME_SIZE; size <<= 1) {
+    const half = size >> 1;
+    const step = FRAME_SIZE / size;
+    for (let start = 0; start < FRAME_SIZE; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = COS_TABLE[k * step];
+        const sin = SIN_TABLE[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos + im[b] * sin;
+        const tIm = im[b] * cos - re[b] * sin;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+/**
+ * Énergie des bandes d'une trame
+ * @param {Float64Array} frame - Échantillons de la trame
+ * @returns {Float64Array} Énergie par bande
+ */
+function bandEnergies(frame) {
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    re[i] = frame[i] * WINDOW[i];
+  }
+  fft(re, im);
+
+  const energies = new Float64Array(BAND_COUNT);
+  for (let b = 0; b < BAND_COUNT; b++) {
+    for (let k = BAND_EDGES[b]; k < BAND_EDGES[b + 1]; k++) {
+      energies[b] += re[k] * re[k] + im[k] * im[k];
+    }
+  }
+  return energies;
+}
+
+/**
+ * Code de 32 bits d'une trame, d'après l'énergie des bandes de la trame précédente
+ * @param {Float64Array} energies - Énergie des bandes de la trame
+ * @param {Float64Array} previous - Énergie des bandes de la trame précédente
+ * @returns {number} Code (entier non signé)
+ */
+function frameCode(energies, previous) {
+  let code = 0;
+  for (let m = 0; m < BAND_COUNT - 1; m++) {
+    const variation = (energies[m] - energies[m + 1]) - (previous[m] - previous[m + 1]);
+    if (variation > 0) {
+      code |= 1 << m;
+    }
+  }
+  return code >>> 0;
+}
+
+/**
+ * Lit l'en-tête d'un fichier WAV
+ * @param {number} fd - Descripteur du fichier
+ * @returns {Object} {dataOffset, dataSize}
+ * @throws {Error} error.code = 'INVALID' si le fichier n'est pas un WAV PCM 16 bits mono 16 kHz
+ */
+function readWavHeader(fd) {
+  const invalid = (message) => {
+    const error = new Error(`WAV non supporté: ${message} (attendu: PCM 16 bits mono ${INPUT_SAMPLE_RATE} Hz)`);
+    error.code = 'INVALID';
+    return error;
+  };
+
+  const header = Buffer.alloc(12);
+  fs.readSync(fd, header, 0, 12, 0);
+  if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+    throw invalid('en-tête RIFF absent');
+  }
+
+  let position = 12;
+  let format = null;
+  const chunk = Buffer.alloc(8);
+  while (fs.readSync(fd, chunk, 0, 8, position) === 8) {
+    const id = chunk.toString('ascii', 0, 4);
+    const size = chunk.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const fmt = Buffer.alloc(16);
+      fs.readSync(fd, fmt, 0, 16, position + 8);
+      format = {
+        audioFormat: fmt.readUInt16LE(0),
+        channels: fmt.readUInt16LE(2),
+        sampleRate: fmt.readUInt32LE(4),
+        bitsPerSample: fmt.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      if (!format) {
+        throw invalid('bloc fmt absent');
+      }
+      if (format.audioFormat !== 1 || format.channels !== 1 || format.sampleRate !== INPUT_SAMPLE_RATE || format.bitsPerSample !== 16) {
+        throw invalid(`${format.channels} canal(aux), ${format.sampleRate} Hz, ${format.bitsPerSample} bits`);
+      }
+      // FFmpeg en flux écrit parfois une taille nulle ou maximale : lire jusqu'à la fin du fichier
+      return { dataOffset: position + 8, dataSize: size };
+    }
+    position += 8 + size + (size % 2);
+  }
+
+  throw invalid('bloc data absent');
+}
+
+/**
+ * Calcule l'empreinte acoustique d'un fichier WAV
+ * Le calcul est découpé en blocs pour ne pas bloquer le serveur sur un long enregistrement
+ * @param {string} wavPath - Chemin du WAV PCM 16 bits mono 16 kHz (audio extrait)
+ * @returns {Promise<Object>} Empreinte {version, hopSeconds, duration, codes: Uint32Array}
+ */
+async function computeFingerprint(wavPath) {
+  const fd = fs.openSync(wavPath, 'r');
+
+  try {
+    const { dataOffset, dataSize } = readWavHeader(fd);
+    const available = fs.fstatSync(fd).size - dataOffset;
+    const byteCount = dataSize > 0 && dataSize <= available ? dataSize : available;
+
+    // Échantillons décimés à 8 kHz (moyenne de deux échantillons : filtre passe-bas sommaire)
+    const samples = new Float64Array(Math.floor(byteCount / 2 / DECIMATION));
+    const block = Buffer.alloc(1 << 20);
+    let read = 0;
+    let count = 0;
+    while (read < byteCount && count < samples.length) {
+      const bytes = fs.readSync(fd, block, 0, Math.min(block.length, byteCount - read), dataOffset + read);
+      if (bytes === 0) break;
+      for (let i = 0; i + 2 * DECIMATION <= bytes && count < samples.length; i += 2 * DECIMATION) {
+        samples[count++] = (block.readInt16LE(i) + block.readInt16LE(i + 2)) / 65536;
+      }
+      read += bytes - (bytes % (2 * DECIMATION));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const frameCount = Math.max(0, Math.floor((count - FRAME_SIZE) / HOP_SIZE));
+    const codes = new Uint32Array(frameCount);
+    let previous = bandEnergies(samples.subarray(0, FRAME_SIZE));
+    for (let n = 0; n < frameCount; n++) {
+      const energies = bandEnergies(samples.subarray((n + 1) * HOP_SIZE, (n + 1) * HOP_SIZE + FRAME_SIZE));
+      codes[n] = frameCode(energies, previous);
+      previous = energies;
+      if (n % 2000 === 1999) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+
+    return {
+      version: FINGERPRINT_VERSION,
+      hopSeconds: HOP_SECONDS,
+      duration: Math.round((count / SAMPLE_RATE) * 100) / 100,
+      codes
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Nombre de bits à 1 d'un entier de 32 bits
+ * @param {number} value - Entier
+ * @returns {number} Nombre de bits
+ */
+function popcount(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Compare deux empreintes
+ * @param {Object} candidate - Empreinte du nouveau fichier
+ * @param {Object} reference - Empreinte d'un fichier en cache
+ * @returns {Object|null} {similarity: 1 - taux de bits différents, offset: secondes à ajouter à un temps
+ *   du nouveau fichier pour obtenir le temps correspondant du fichier en cache (positif si le nouveau
+ *   fichier est coupé au début), overlap: durée commune en secondes}, null si ce n'est pas le même enregistrement
+ */
+function compareFingerprints(candidate, reference) {
+  const a = candidate.codes;
+  const b = reference.codes;
+  const minOverlapFrames = Math.ceil(MIN_OVERLAP_SECONDS / HOP_SECONDS);
+  if (Math.min(a.length, b.length) < minOverlapFrames) {
+    return null;
+  }
+
+  // Vote : chaque trame identique propose un décalage (trames muettes ignorées)
+  const positions = new Map();
+  b.forEach((code, j) => {
+    if (code === 0) return;
+    const list = positions.get(code);
+    if (!list) {
+      positions.set(code, [j]);
+    } else if (list.length < 8) {
+      list.push(j);
+    }
+  });
+
+  const votes = new Map([[0, 0]]);
+  a.forEach((code, i) => {
+    (positions.get(code) || []).forEach(j => votes.set(j - i, (votes.get(j - i) || 0) + 1));
+  });
+
+  const offsets = [...votes.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, CANDIDATE_OFFSETS)
+    .map(([offset]) => offset);
+  if (!offsets.includes(0)) {
+    offsets.push(0);
+  }
+
+  let best = null;
+  offsets.forEach(offset => {
+    let errors = 0;
+    let compared = 0;
+    const first = Math.max(0, -offset);
+    const last = Math.min(a.length, b.length - offset);
+    for (let i = first; i < last; i++) {
+      const x = a[i];
+      const y = b[i + offset];
+      // Silence numérique des deux côtés : ne prouve rien
+      if (x === 0 && y === 0) continue;
+      errors += popcount((x ^ y) >>> 0);
+      compared++;
+    }
+    if (compared < minOverlapFrames) {
+      return;
+    }
+    const bitErrorRate = errors / (compared * (BAND_COUNT - 1));
+    if (!best || bitErrorRate < best.bitErrorRate) {
+      best = { bitErrorRate, offset, compared };
+    }
+  });
+
+  if (!best || best.bitErrorRate > MAX_BIT_ERROR_RATE) {
+    return null;
+  }
+
+  return {
+    similarity: Math.round((1 - best.bitErrorRate) * 1000) / 1000,
+    offset: Math.round(best.offset * HOP_SECONDS * 100) / 100,
+    overlap: Math.round(best.compared * HOP_SECONDS * 10) / 10
+  };
+}
+
+/**
+ * Chemin de l'empreinte d'un fichier
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {string} Chemin
+ */
+function fingerprintPath(fileHash) {
+  return path.join(FINGERPRINTS_DIR, `${fileHash}.json`);
+}
+
+/**
+ * Sauvegarde l'empreinte d'un fichier (écriture atomique via fichier temporaire)
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @param {Object} fingerprint - Empreinte (voir computeFingerprint)
+ */
+function saveFingerprint(fileHash, fingerprint) {
+  if (!FILE_HASH_PATTERN.test(fileHash || '')) {
+    throw new Error(`Hash invalide: ${fileHash}`);
+  }
+  fs.mkdirSync(FINGERPRINTS_DIR, { recursive: true });
+  const target = fingerprintPath(fileHash);
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({
+    version: fingerprint.version,
+    hash: fileHash,
+    hopSeconds: fingerprint.hopSeconds,
+    duration: fingerprint.duration,
+    createdAt: new Date().toISOString(),
+    codes: Buffer.from(fingerprint.codes.buffer, fingerprint.codes.byteOffset, fingerprint.codes.byteLength).toString('base64')
+  }));
+  fs.renameSync(tmpFile, target);
+}
+
+/**
+ * Charge l'empreinte d'un fichier
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {Object|null} Empreinte, null si absente, illisible ou d'une autre version
+ */
+function loadFingerprint(fileHash) {
+  if (!FILE_HASH_PATTERN.test(fileHash || '') || !fs.existsSync(fingerprintPath(fileHash))) {
+    return null;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(fingerprintPath(fileHash), 'utf8'));
+    if (stored.version !== FINGERPRINT_VERSION) {
+      return null;
+    }
+    const bytes = Buffer.from(stored.codes, 'base64');
+    // Copie alignée : le tampon décodé peut commencer à un décalage quelconque
+    const codes = new Uint32Array(bytes.length / 4);
+    Buffer.from(codes.buffer).set(bytes);
+    return { ...stored, codes };
+  } catch (error) {
+    console.error(`❌ Erreur lecture empreinte ${fileHash.substring(0, 12)}...: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Empreinte d'un fichier : lue si elle existe, sinon calculée à partir de son audio extrait et sauvegardée
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @param {Function} getWavPath - async () => chemin du WAV extrait (appelée seulement si le calcul est nécessaire)
+ * @returns {Promise<Object>} Empreinte
+ */
+async function ensureFingerprint(fileHash, getWavPath) {
+  const existing = loadFingerprint(fileHash);
+  if (existing) {
+    return existing;
+  }
+
+  const startTime = Date.now();
+  const fingerprint = await computeFingerprint(await getWavPath());
+  saveFingerprint(fileHash, fingerprint);
+  console.log(`🔊 Empreinte acoustique calculée: ${fileHash.substring(0, 12)}... (${fingerprint.duration}s d'audio en ${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+  return fingerprint;
+}
+
+/**
+ * Cherche les fichiers en cache qui sont le même enregistrement (ré-encodé, coupé)
+ * Seuls les fichiers ayant encore une transcription en cache sont comparés
+ * @param {Object} fingerprint - Empreinte du nouveau fichier
+ * @param {string} fileHash - Hash du nouveau fichier (exclu de la recherche)
+ * @returns {Array<Object>} Doublons {fileHash, similarity, offset, overlap, duration}, les plus ressemblants d'abord
+ */
+function findDuplicates(fingerprint, fileHash = null) {
+  const cachedHashes = new Set(listEntries(ENTRY_TYPES.RESULT).map(entry => entry.hash));
+  cachedHashes.delete(fileHash);
+
+  const duplicates = [];
+  cachedHashes.forEach(hash => {
+    const reference = loadFingerprint(hash);
+    if (!reference) {
+      return;
+    }
+    const ratio = Math.min(reference.duration, fingerprint.duration) / Math.max(reference.duration, fingerprint.duration);
+    if (!(ratio >= MIN_DURATION_RATIO)) {
+      return;
+    }
+    const match = compareFingerprints(fingerprint, reference);
+    if (match) {
+      duplicates.push({ fileHash: hash, ...match, duration: reference.duration });
+    }
+  });
+
+  return duplicates.sort((x, y) => y.similarity - x.similarity);
+}
+
+/**
+ * Supprime les empreintes des fichiers qui n'ont plus de transcription en cache
+ * @returns {number} Nombre d'empreintes supprimées
+ */
+function pruneFingerprints() {
+  if (!fs.existsSync(FINGERPRINTS_DIR)) {
+    return 0;
+  }
+  const cachedHashes = new Set(listEntries(ENTRY_TYPES.RESULT).map(entry => entry.hash));
+  const orphans = fs.readdirSync(FINGERPRINTS_DIR)
+    .filter(file => file.endsWith('.json') && !cachedHashes.has(path.basename(file, '.json')));
+
+  orphans.forEach(file => fs.unlinkSync(path.join(FINGERPRINTS_DIR, file)));
+  return orphans.length;
+}
+
+/**
+ * Décale les temps d'une liste de segments ou de sous-titres
+ * Les entrées qui se terminent avant le début du nouveau fichier sont retirées
+ * @param {Array<Object>} entries - Entrées {start, end, words?} (secondes ou temps SRT)
+ * @param {number} offset - Décalage en secondes (soustrait)
+ * @returns {Array<Object>} Nouvelles entrées, dans le format de temps d'origine
+ */
+function shiftEntries(entries, offset) {
+  const shiftTime = (time) => {
+    const shifted = Math.max(0, Math.round((parseTimestamp(time) - offset) * 1000) / 1000);
+    return typeof time === 'number' ? shifted : formatTimestamp(shifted);
+  };
+
+  return entries
+    .filter(entry => parseTimestamp(entry.end) - offset > 0)
+    .map(entry => ({
+      ...entry,
+      start: shiftTime(entry.start),
+      end: shiftTime(entry.end),
+      ...(Array.isArray(entry.words) ? {
+        words: entry.words
+          .filter(word => word.end - offset > 0)
+          .map(word => ({ ...word, start: shiftTime(word.start), end: shiftTime(word.end) }))
+      } : {})
+    }));
+}
+
+/**
+ * Transcription d'un fichier en cache recalée sur un doublon coupé
+ * @param {Object} transcription - Transcription en cache
+ * @param {number} offset - Décalage retourné par findDuplicates (secondes)
+ * @returns {Object} Nouvelle transcription (segments bruts, nettoyés et SRT corrigé décalés)
+ */
+function shiftTranscription(transcription, offset) {
+  const shifted = { ...transcription };
+  const joinText = (segments) => segments.map(segment => String(segment.text || '').trim()).join(' ');
+
+  if (Array.isArray(transcription.raw?.segments)) {
+    const segments = shiftEntries(transcription.raw.segments, offset);
+    shifted.raw = {
+      ...transcription.raw,
+      segments,
+      text: segments.length === transcription.raw.segments.length ? transcription.raw.text : joinText(segments)
+    };
+  }
+  if (Array.isArray(transcription.cleaned?.segments)) {
+    const segments = shiftEntries(transcription.cleaned.segments, offset);
+    shifted.cleaned = {
+      ...transcription.cleaned,
+      segments,
+      text: segments.length === transcription.cleaned.segments.length ? transcription.cleaned.text : joinText(segments)
+    };
+  }
+  if (Array.isArray(transcription.formatted?.srt)) {
+    // Le fichier SRT d'origine n'est plus aligné : régénéré à partir de formatted.srt au besoin
+    shifted.formatted = {
+      ...transcription.formatted,
+      srt: shiftEntries(transcription.formatted.srt, offset),
+      srtFile: null,
+      srtPath: null
+    };
+  }
+  return shifted;
+}
+
+module.exports = {
+  FINGERPRINTS_DIR,
+  computeFingerprint,
+  compareFingerprints,
+  saveFingerprint,
+  loadFingerprint,
+  ensureFingerprint,
+  findDuplicates,
+  pruneFingerprints,
+  shiftTranscription
+};
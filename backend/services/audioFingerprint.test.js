@@ -0,0 +1,273 @@
+/**
+ * Tests unitaires pour l'empreinte acoustique (détection des doublons ré-encodés)
+ *
+ * Pour exécuter : node backend/services/audioFingerprint.test.js
+ *
+ * Les WAV de test sont synthétiques (voix simulée : syllabes harmoniques générées avec une graine fixe)
+ * et écrits dans le dossier temporaire du système.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildCacheKey, saveCache, deleteCache } = require('./cacheManager');
+const {
+  FINGERPRINTS_DIR,
+  computeFingerprint,
+  compareFingerprints,
+  saveFingerprint,
+  loadFingerprint,
+  ensureFingerprint,
+  findDuplicates,
+  pruneFingerprints,
+  shiftTranscription
+} = require('./audioFingerprint');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+const SAMPLE_RATE = 16000;
+
+// Hash fictifs propres aux tests (aucun fichier réel n'a ces hash)
+const HASH_ORIGINAL = 'c'.repeat(63) + '1';
+const HASH_COPY = 'c'.repeat(63) + '2';
+const KEY_ORIGINAL = buildCacheKey(HASH_ORIGINAL, { modelSize: 'small' });
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprint-test-'));
+
+/**
+ * Générateur pseudo-aléatoire à graine (mulberry32)
+ */
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Voix simulée : suite de syllabes (fondamentale de 100 à 250 Hz et ses harmoniques, enveloppe en cloche)
+ */
+function speechLike(seconds, seed) {
+  const next = random(seed);
+  const samples = new Float64Array(seconds * SAMPLE_RATE);
+  let phase = 0;
+  let i = 0;
+
+  while (i < samples.length) {
+    const length = Math.floor((0.08 + next() * 0.25) * SAMPLE_RATE);
+    const f0 = 100 + next() * 150;
+    const glide = (next() - 0.5) * 0.4;
+    const weights = Array.from({ length: 24 }, (_, h) => next() / (h + 1));
+    for (let k = 0; k < length && i < samples.length; k++, i++) {
+      phase += (2 * Math.PI * f0 * (1 + (glide * k) / length)) / SAMPLE_RATE;
+      let value = 0;
+      weights.forEach((weight, h) => {
+        value += weight * Math.sin((h + 1) * phase);
+      });
+      samples[i] = value * 0.3 * Math.sin((Math.PI * k) / length);
+    }
+  }
+  return samples;
+}
+
+/**
+ * Écrit un WAV PCM 16 bits (gain et bruit ajouté pour simuler un ré-encodage)
+ */
+function writeWav(name, samples, { gain = 1, noise = 0, seed = 1, channels = 1 } = {}) {
+  const next = random(seed);
+  const dataSize = samples.length * 2 * channels;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(channels, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2 * channels, 28);
+  buffer.writeUInt16LE(2 * channels, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < samples.length * channels; i++) {
+    const value = Math.max(-1, Math.min(1, samples[Math.floor(i / channels)] * gain + (next() - 0.5) * noise));
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+
+  const file = path.join(tmpDir, name);
+  fs.writeFileSync(file, buffer);
+  return file;
+}
+
+console.log(`${BLUE}=== Tests de l'empreinte acoustique ===${RESET}\n`);
+
+(async () => {
+  try {
+    const interview = speechLike(60, 1);
+    const originalWav = writeWav('original.wav', interview, { noise: 0.02, seed: 2 });
+    // Même entretien, réexporté plus bas avec du bruit de compression, et coupé d'une seconde au début
+    const copyWav = writeWav('copy.wav', interview.subarray(SAMPLE_RATE), { gain: 0.5, noise: 0.05, seed: 3 });
+    const otherWav = writeWav('other.wav', speechLike(60, 9), { noise: 0.02, seed: 4 });
+
+    // Test 1: Calcul de l'empreinte
+    console.log(`${BLUE}Test 1: Calcul de l'empreinte${RESET}`);
+    const original = await computeFingerprint(originalWav);
+    const copy = await computeFingerprint(copyWav);
+    const other = await computeFingerprint(otherWav);
+    assertEquals(original.duration, 60, 'Durée de l\'audio');
+    assert(original.codes.length > 1800 && original.codes.length < 1880, 'Une trame toutes les 32 ms');
+
+    const stereoWav = writeWav('stereo.wav', interview.subarray(0, SAMPLE_RATE), { channels: 2 });
+    let stereoError = null;
+    try {
+      await computeFingerprint(stereoWav);
+    } catch (error) {
+      stereoError = error.code;
+    }
+    assertEquals(stereoError, 'INVALID', 'WAV stéréo refusé (audio extrait attendu)');
+    console.log('');
+
+    // Test 2: Comparaison
+    console.log(`${BLUE}Test 2: Comparaison${RESET}`);
+    const match = compareFingerprints(copy, original);
+    assert(match !== null, 'Copie ré-encodée et coupée reconnue');
+    assert(Math.abs(match.offset - 1) <= 0.04, `Décalage d'une seconde retrouvé (${match.offset}s)`);
+    assert(match.similarity > 0.7, `Similarité élevée (${match.similarity})`);
+    assert(match.overlap > 55, 'Durée commune');
+    assert(compareFingerprints(original, copy).offset < 0, 'Décalage négatif dans l\'autre sens');
+    assertEquals(compareFingerprints(other, original), null, 'Autre enregistrement non reconnu');
+    assertEquals(compareFingerprints(original, original).similarity, 1, 'Fichier identique');
+
+    const excerpt = { ...original, codes: original.codes.slice(0, 200) };
+    assertEquals(compareFingerprints(excerpt, original), null, 'Extrait trop court ignoré');
+    console.log('');
+
+    // Test 3: Stockage
+    console.log(`${BLUE}Test 3: Stockage${RESET}`);
+    saveFingerprint(HASH_ORIGINAL, original);
+    const loaded = loadFingerprint(HASH_ORIGINAL);
+    assertEquals(loaded.codes.length, original.codes.length, 'Empreinte relue');
+    assert(loaded.codes.every((code, i) => code === original.codes[i]), 'Codes identiques après relecture');
+    assertEquals(loadFingerprint(HASH_COPY), null, 'Empreinte absente');
+
+    let computeCalls = 0;
+    await ensureFingerprint(HASH_ORIGINAL, async () => {
+      computeCalls++;
+      return originalWav;
+    });
+    assertEquals(computeCalls, 0, 'Empreinte existante réutilisée sans calcul');
+    await ensureFingerprint(HASH_COPY, async () => copyWav);
+    assert(loadFingerprint(HASH_COPY) !== null, 'Empreinte calculée et sauvegardée');
+
+    let hashError = null;
+    try {
+      saveFingerprint('../evil', original);
+    } catch (error) {
+      hashError = error;
+    }
+    assert(hashError !== null, 'Hash invalide refusé');
+    console.log('');
+
+    // Test 4: Recherche des doublons dans le cache
+    console.log(`${BLUE}Test 4: Recherche des doublons${RESET}`);
+    assertEquals(findDuplicates(copy, HASH_COPY).filter(duplicate => duplicate.fileHash === HASH_ORIGINAL).length, 0, 'Empreinte sans transcription en cache ignorée');
+
+    saveCache(KEY_ORIGINAL, { raw: { segments: [] } }, null, { language: 'fr', originalFile: '/uploads/entretien.wav' });
+    const duplicates = findDuplicates(copy, HASH_COPY);
+    const duplicate = duplicates.find(entry => entry.fileHash === HASH_ORIGINAL);
+    assert(duplicate !== undefined, 'Transcription en cache du même enregistrement trouvée');
+    assertEquals(duplicate && duplicate.duration, 60, 'Durée du fichier en cache');
+    assert(findDuplicates(original, HASH_ORIGINAL).every(entry => entry.fileHash !== HASH_ORIGINAL), 'Fichier lui-même exclu');
+    assert(findDuplicates(other, null).every(entry => entry.fileHash !== HASH_ORIGINAL), 'Autre enregistrement sans doublon');
+
+    deleteCache(KEY_ORIGINAL);
+    assert(pruneFingerprints() >= 2, 'Empreintes sans transcription en cache supprimées');
+    assertEquals(loadFingerprint(HASH_ORIGINAL), null, 'Empreinte orpheline supprimée');
+    console.log('');
+
+    // Test 5: Recalage de la transcription
+    console.log(`${BLUE}Test 5: Recalage de la transcription${RESET}`);
+    const shifted = shiftTranscription({
+      raw: {
+        text: 'Bonjour. On commence. Merci.',
+        segments: [
+          { id: 0, start: 0, end: 0.8, text: 'Bonjour.' },
+          { id: 1, start: 0.8, end: 3.5, text: 'On commence.', words: [{ word: 'On', start: 0.9, end: 1.2 }, { word: 'commence', start: 1.3, end: 2 }] },
+          { id: 2, start: 3.5, end: 5, text: 'Merci.' }
+        ]
+      },
+      cleaned: {
+        text: 'Bonjour. On commence. Merci.',
+        segments: [{ start: 0, end: 0.8, text: 'Bonjour.' }, { start: 0.8, end: 3.5, text: 'On commence.' }]
+      },
+      formatted: {
+        srt: [{ index: 1, start: '00:00:00,800', end: '00:00:03,500', text: 'On commence.' }],
+        srtFile: '1\n00:00:00,800 --> 00:00:03,500\nOn commence.\n',
+        srtPath: 'cache/ancien.srt'
+      }
+    }, 1);
+    assertEquals(shifted.raw.segments.length, 2, 'Segments avant le début du fichier coupé retirés');
+    assertEquals(shifted.raw.segments[0].start, 0, 'Segment commencé avant la coupure ramené à 0');
+    assertEquals(shifted.raw.segments[1].start, 2.5, 'Temps décalés');
+    assertEquals(shifted.raw.segments[0].words.map(word => word.start).join(','), '0,0.3', 'Mots décalés');
+    assertEquals(shifted.raw.text, 'On commence. Merci.', 'Texte recalculé');
+    assertEquals(shifted.cleaned.text, 'On commence.', 'Texte nettoyé recalculé');
+    assertEquals(shifted.formatted.srt[0].end, '00:00:02,500', 'Sous-titres décalés (format SRT conservé)');
+    assertEquals(shifted.formatted.srtFile, null, 'Ancien fichier SRT écarté');
+    assertEquals(shiftTranscription({ raw: { text: 'x', segments: [{ start: 0, end: 2, text: 'x' }] } }, -1.5).raw.segments[0].start, 1.5, 'Décalage négatif (fichier plus long au début)');
+    console.log('');
+  } catch (error) {
+    console.log(`${RED}✗ Erreur inattendue: ${error.stack}${RESET}`);
+    testsFailed++;
+  } finally {
+    deleteCache(KEY_ORIGINAL);
+    [HASH_ORIGINAL, HASH_COPY].forEach(hash => fs.rmSync(path.join(FINGERPRINTS_DIR, `${hash}.json`), { force: true }));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+})();
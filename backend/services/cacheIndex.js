@@ -0,0 +1,374 @@
+/**
+ * Index du cache de transcription (cache/index.json)
+ * Catalogue des entrées en cache, résultats finaux et étapes intermédiaires, avec leur taille,
+ * leur dernier accès et leur nombre d'utilisations : les listes et statistiques ne relisent
+ * plus chaque fichier, et la taille du cache est limitée par éviction LRU (moins récemment utilisée).
+ *
+ * L'index est reconstruit à partir des fichiers du cache s'il est absent ou illisible.
+ * Il est relu quand un autre processus l'a modifié (ex: utils/inspectCache.js pendant que le serveur tourne).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Dossier de cache (CACHE_DIR : autre dossier, ex. dossier temporaire des tests)
+const CACHE_DIR = process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : path.join(__dirname, '../cache');
+
+const INDEX_PATH = path.join(CACHE_DIR, 'index.json');
+
+// Version du format de l'index : une autre version entraîne une reconstruction
+const INDEX_VERSION = 1;
+
+// Types d'entrées
+const ENTRY_TYPES = {
+  RESULT: 'result',
+  STAGE: 'stage'
+};
+
+// Taille maximale du cache (défaut: 10 Go, 0 = illimitée)
+const DEFAULT_MAX_SIZE_MB = 10240;
+
+let index = null;
+let indexMtime = null;
+
+/**
+ * Taille maximale du cache configurée
+ * @returns {number} Taille en octets (0 = illimitée)
+ */
+function getMaxCacheSize() {
+  const megabytes = parseInt(process.env.CACHE_MAX_SIZE_MB ?? String(DEFAULT_MAX_SIZE_MB), 10);
+  return megabytes > 0 ? megabytes * 1024 * 1024 : 0;
+}
+
+/**
+ * Taille totale de fichiers du cache
+ * @param {Array<string>} files - Chemins relatifs au dossier de cache
+ * @returns {number} Taille en octets (fichiers absents ignorés)
+ */
+function measureFiles(files) {
+  return files.reduce((total, file) => {
+    const fullPath = path.join(CACHE_DIR, file);
+    return total + (fs.existsSync(fullPath) ? fs.statSync(fullPath).size : 0);
+  }, 0);
+}
+
+/**
+ * Identifiant d'une entrée de l'index
+ * @param {string} type - Type d'entrée (voir ENTRY_TYPES)
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de cache (résultat) ou clé d'étape
+ * @returns {string} Identifiant
+ */
+function entryId(type, hash, key) {
+  return type === ENTRY_TYPES.STAGE ? `stage:${hash}/${key}` : `result:${key}`;
+}
+
+/**
+ * Lit un fichier JSON du cache
+ * @param {string} fullPath - Chemin du fichier
+ * @returns {Object|null} Contenu, null si illisible
+ */
+function readJSON(fullPath) {
+  try {
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (error) {
+    console.error(`⚠️  Index du cache: fichier illisible ignoré (${path.relative(CACHE_DIR, fullPath)})`);
+    return null;
+  }
+}
+
+/**
+ * Entrées des résultats finaux présentes sur disque (<clé>.json, .srt, .meta.json)
+ * @returns {Array<Object>} Entrées
+ */
+function scanResults() {
+  return fs.readdirSync(CACHE_DIR)
+    .filter(file => file.endsWith('.meta.json'))
+    .map(metaFile => {
+      const key = metaFile.replace('.meta.json', '');
+      const meta = readJSON(path.join(CACHE_DIR, metaFile));
+      if (!meta || !fs.existsSync(path.join(CACHE_DIR, `${key}.json`))) {
+        return null;
+      }
+      const files = [`${key}.json`, `${key}.srt`, metaFile].filter(file => fs.existsSync(path.join(CACHE_DIR, file)));
+      const lastModified = fs.statSync(path.join(CACHE_DIR, metaFile)).mtime.toISOString();
+      return buildEntry(ENTRY_TYPES.RESULT, meta.hash || key.split('-')[0], key, files, meta, {
+        createdAt: meta.createdAt || lastModified,
+        lastAccessAt: lastModified
+      });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Entrées des étapes intermédiaires présentes sur disque (stages/<hash>/<clé>.json)
+ * @returns {Array<Object>} Entrées
+ */
+function scanStages() {
+  const stagesDir = path.join(CACHE_DIR, 'stages');
+  if (!fs.existsSync(stagesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(stagesDir).flatMap(hash => {
+    const dir = path.join(stagesDir, hash);
+    if (!fs.statSync(dir).isDirectory()) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const stored = readJSON(path.join(dir, file));
+        if (!stored || !stored.stage || !stored.key) {
+          return null;
+        }
+        const { data, ...meta } = stored;
+        const files = [path.join('stages', hash, file)];
+        if (meta.artifact) {
+          files.push(path.join('stages', hash, meta.artifact.file));
+        }
+        return buildEntry(ENTRY_TYPES.STAGE, hash, meta.key, files, meta, {
+          createdAt: meta.createdAt,
+          lastAccessAt: fs.statSync(path.join(dir, file)).mtime.toISOString()
+        });
+      })
+      .filter(Boolean);
+  });
+}
+
+/**
+ * Construit une entrée de l'index
+ * @param {string} type - Type d'entrée
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de l'entrée
+ * @param {Array<string>} files - Fichiers de l'entrée, relatifs au dossier de cache
+ * @param {Object} meta - Métadonnées (résultat : contenu de .meta.json, étape : tout sauf les données)
+ * @param {Object} timestamps - {createdAt, lastAccessAt, hits}
+ * @returns {Object} Entrée {id, type, hash, key, files, size, createdAt, lastAccessAt, hits, meta}
+ */
+function buildEntry(type, hash, key, files, meta, { createdAt, lastAccessAt, hits = 0 }) {
+  return {
+    id: entryId(type, hash, key),
+    type,
+    hash,
+    key,
+    files,
+    size: measureFiles(files),
+    createdAt,
+    lastAccessAt,
+    hits,
+    meta
+  };
+}
+
+/**
+ * Sauvegarde l'index sur disque (écriture atomique via fichier temporaire)
+ */
+function persistIndex() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const tmpFile = `${INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({
+    version: INDEX_VERSION,
+    updatedAt: new Date().toISOString(),
+    entries: Object.fromEntries(index)
+  }));
+  fs.renameSync(tmpFile, INDEX_PATH);
+  indexMtime = fs.statSync(INDEX_PATH).mtimeMs;
+}
+
+/**
+ * Reconstruit l'index à partir des fichiers du cache
+ * Les nombres d'utilisations sont perdus, le dernier accès est la date de modification des fichiers
+ * @returns {Object} {results, stages, totalSize}
+ */
+function rebuildIndex() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const entries = [...scanResults(), ...scanStages()];
+  index = new Map(entries.map(entry => [entry.id, entry]));
+  persistIndex();
+
+  const summary = {
+    results: entries.filter(entry => entry.type === ENTRY_TYPES.RESULT).length,
+    stages: entries.filter(entry => entry.type === ENTRY_TYPES.STAGE).length,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0)
+  };
+  console.log(`🗂️  Index du cache reconstruit: ${summary.results} résultat(s), ${summary.stages} étape(s)`);
+  return summary;
+}
+
+/**
+ * Index à jour : chargé au premier appel, relu s'il a été modifié par un autre processus,
+ * reconstruit s'il est absent, illisible ou d'une autre version
+ * @returns {Map<string, Object>} Entrées par identifiant
+ */
+function getIndex() {
+  const mtime = fs.existsSync(INDEX_PATH) ? fs.statSync(INDEX_PATH).mtimeMs : null;
+  if (index && mtime !== null && mtime === indexMtime) {
+    return index;
+  }
+
+  if (mtime !== null) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+      if (stored.version === INDEX_VERSION && stored.entries && typeof stored.entries === 'object') {
+        index = new Map(Object.entries(stored.entries));
+        indexMtime = mtime;
+        return index;
+      }
+      console.log('⚠️  Index du cache d\'une autre version, reconstruction...');
+    } catch (error) {
+      console.error(`⚠️  Index du cache illisible (${error.message}), reconstruction...`);
+    }
+  }
+
+  rebuildIndex();
+  return index;
+}
+
+/**
+ * Enregistre (ou remplace) une entrée après l'écriture de ses fichiers
+ * @param {string} type - Type d'entrée (voir ENTRY_TYPES)
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de l'entrée
+ * @param {Array<string>} files - Fichiers de l'entrée, relatifs au dossier de cache
+ * @param {Object} meta - Métadonnées conservées dans l'index
+ * @returns {Object} Entrée enregistrée
+ */
+function recordEntry(type, hash, key, files, meta) {
+  const entries = getIndex();
+  const id = entryId(type, hash, key);
+  const previous = entries.get(id);
+  const now = new Date().toISOString();
+
+  const entry = buildEntry(type, hash, key, files, meta, {
+    createdAt: meta.createdAt || now,
+    lastAccessAt: now,
+    hits: previous ? previous.hits : 0
+  });
+  entries.set(id, entry);
+  persistIndex();
+  return entry;
+}
+
+/**
+ * Enregistre une utilisation d'une entrée (dernier accès, nombre d'utilisations)
+ * @param {string} type - Type d'entrée
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de l'entrée
+ */
+function recordHit(type, hash, key) {
+  const entry = getIndex().get(entryId(type, hash, key));
+  if (!entry) {
+    return;
+  }
+  entry.hits++;
+  entry.lastAccessAt = new Date().toISOString();
+  persistIndex();
+}
+
+/**
+ * Retire une entrée de l'index (ses fichiers ont été supprimés)
+ * @param {string} type - Type d'entrée
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de l'entrée
+ */
+function forgetEntry(type, hash, key) {
+  if (getIndex().delete(entryId(type, hash, key))) {
+    persistIndex();
+  }
+}
+
+/**
+ * Liste les entrées de l'index
+ * @param {string} type - Type d'entrée (null = toutes)
+ * @returns {Array<Object>} Entrées
+ */
+function listEntries(type = null) {
+  return [...getIndex().values()].filter(entry => !type || entry.type === type);
+}
+
+/**
+ * Supprime les fichiers d'une entrée et la retire de l'index
+ * @param {Object} entry - Entrée
+ */
+function evictEntry(entry) {
+  entry.files.forEach(file => {
+    const fullPath = path.join(CACHE_DIR, file);
+    if (fs.existsSync(fullPath)) {
+      fs.unlinkSync(fullPath);
+    }
+  });
+
+  // Dossier d'étapes vide : supprimé avec sa dernière étape
+  if (entry.type === ENTRY_TYPES.STAGE) {
+    const dir = path.join(CACHE_DIR, 'stages', entry.hash);
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+    }
+  }
+  getIndex().delete(entry.id);
+}
+
+/**
+ * Supprime les entrées les moins récemment utilisées jusqu'à respecter la taille maximale
+ * @param {Object} options - Options
+ * @param {number} options.maxSize - Taille maximale en octets (défaut: CACHE_MAX_SIZE_MB, 0 = illimitée)
+ * @param {string} options.keepId - Entrée à conserver (celle qui vient d'être écrite)
+ * @returns {Object} {evicted: nombre d'entrées supprimées, freedSize, totalSize}
+ */
+function enforceSizeLimit({ maxSize = getMaxCacheSize(), keepId = null } = {}) {
+  const entries = listEntries();
+  let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  const result = { evicted: 0, freedSize: 0, totalSize };
+
+  if (!maxSize || totalSize <= maxSize) {
+    return result;
+  }
+
+  const candidates = entries
+    .filter(entry => entry.id !== keepId)
+    .sort((a, b) => new Date(a.lastAccessAt) - new Date(b.lastAccessAt));
+
+  for (const entry of candidates) {
+    if (totalSize <= maxSize) break;
+    evictEntry(entry);
+    totalSize -= entry.size;
+    result.evicted++;
+    result.freedSize += entry.size;
+  }
+
+  persistIndex();
+  result.totalSize = totalSize;
+  console.log(`🧹 Cache limité à ${Math.round(maxSize / (1024 * 1024))} Mo: ${result.evicted} entrée(s) supprimée(s) (moins récemment utilisées)`);
+  return result;
+}
+
+/**
+ * Supprime les entrées non utilisées depuis une certaine durée
+ * @param {number} maxAgeDays - Durée maximale sans utilisation, en jours
+ * @returns {number} Nombre d'entrées supprimées
+ */
+function evictUnusedSince(maxAgeDays) {
+  const limit = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const stale = listEntries().filter(entry => new Date(entry.lastAccessAt).getTime() < limit);
+
+  stale.forEach(evictEntry);
+  if (stale.length > 0) {
+    persistIndex();
+  }
+  return stale.length;
+}
+
+module.exports = {
+  CACHE_DIR,
+  INDEX_PATH,
+  ENTRY_TYPES,
+  getMaxCacheSize,
+  rebuildIndex,
+  recordEntry,
+  recordHit,
+  forgetEntry,
+  listEntries,
+  enforceSizeLimit,
+  evictUnusedSince
+};
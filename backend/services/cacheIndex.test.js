@@ -0,0 +1,189 @@
+/**
+ * Tests unitaires pour l'index du cache (taille, dernier accès, éviction LRU, reconstruction)
+ *
+ * Pour exécuter : node backend/services/cacheIndex.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Cache temporaire : le cache du serveur (cache/) et son index ne sont pas touchés
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'staily-cache-'));
+
+const {
+  CACHE_DIR,
+  INDEX_PATH,
+  ENTRY_TYPES,
+  recordEntry,
+  recordHit,
+  forgetEntry,
+  listEntries,
+  enforceSizeLimit,
+  evictUnusedSince
+} = require('./cacheIndex');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// Hash fictif des étapes de test
+const HASH = 'd'.repeat(63) + '0';
+const TEST_DIR = path.join(CACHE_DIR, 'stages', HASH);
+
+/**
+ * Écrit une étape de test sur disque et l'enregistre dans l'index
+ * @param {string} key - Clé de l'étape
+ * @param {number} padding - Taille approximative des données
+ * @returns {Object} Entrée de l'index
+ */
+function writeStage(key, padding) {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  const meta = { stage: 'whisper', key, parent: HASH, params: {}, createdAt: new Date().toISOString(), artifact: null };
+  fs.writeFileSync(path.join(TEST_DIR, `${key}.json`), JSON.stringify({ ...meta, data: 'x'.repeat(padding) }));
+  return recordEntry(ENTRY_TYPES.STAGE, HASH, key, [path.join('stages', HASH, `${key}.json`)], meta);
+}
+
+/**
+ * Entrée de test dans l'index
+ */
+function findEntry(key) {
+  return listEntries(ENTRY_TYPES.STAGE).find(entry => entry.hash === HASH && entry.key === key);
+}
+
+/**
+ * Modifie l'index sur disque comme le ferait un autre processus
+ * @param {Object} lastAccess - Dernier accès par clé d'étape
+ */
+function editIndexExternally(lastAccess) {
+  const stored = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+  Object.values(stored.entries)
+    .filter(entry => entry.hash === HASH && lastAccess[entry.key])
+    .forEach(entry => { entry.lastAccessAt = lastAccess[entry.key]; });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(stored));
+  // Date de modification distincte de celle de la dernière écriture par ce processus
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(INDEX_PATH, future, future);
+}
+
+const KEY_A = `whisper-${'a'.repeat(16)}`;
+const KEY_B = `whisper-${'b'.repeat(16)}`;
+const KEY_C = `whisper-${'c'.repeat(16)}`;
+const KEY_D = `whisper-${'d'.repeat(16)}`;
+
+console.log(`${BLUE}=== Tests de l'index du cache ===${RESET}\n`);
+
+try {
+  // Test 1: Enregistrement et utilisations
+  console.log(`${BLUE}Test 1: Enregistrement et utilisations${RESET}`);
+  const entryA = writeStage(KEY_A, 100);
+  writeStage(KEY_B, 200);
+  writeStage(KEY_C, 300);
+  assertEquals(entryA.id, `stage:${HASH}/${KEY_A}`, 'Identifiant de l\'entrée');
+  assertEquals(entryA.size, fs.statSync(path.join(TEST_DIR, `${KEY_A}.json`)).size, 'Taille mesurée sur disque');
+  assertEquals(entryA.hits, 0, 'Aucune utilisation à la création');
+  assert(fs.existsSync(INDEX_PATH), 'Index écrit sur disque');
+
+  recordHit(ENTRY_TYPES.STAGE, HASH, KEY_A);
+  recordHit(ENTRY_TYPES.STAGE, HASH, KEY_A);
+  assertEquals(findEntry(KEY_A).hits, 2, 'Utilisations comptées');
+  writeStage(KEY_A, 100);
+  assertEquals(findEntry(KEY_A).hits, 2, 'Réécriture : utilisations conservées');
+
+  forgetEntry(ENTRY_TYPES.STAGE, HASH, KEY_C);
+  assertEquals(findEntry(KEY_C), undefined, 'Entrée retirée de l\'index');
+  writeStage(KEY_C, 300);
+  console.log('');
+
+  // Test 2: Modification par un autre processus
+  console.log(`${BLUE}Test 2: Modification par un autre processus${RESET}`);
+  editIndexExternally({ [KEY_A]: '2000-01-01T00:00:00.000Z', [KEY_B]: '2000-01-02T00:00:00.000Z', [KEY_C]: '2000-01-03T00:00:00.000Z' });
+  assertEquals(findEntry(KEY_A).lastAccessAt, '2000-01-01T00:00:00.000Z', 'Index relu après modification');
+  console.log('');
+
+  // Test 3: Éviction LRU
+  console.log(`${BLUE}Test 3: Éviction LRU${RESET}`);
+  const totalSize = listEntries().reduce((total, entry) => total + entry.size, 0);
+  const sizeA = findEntry(KEY_A).size;
+  assertEquals(enforceSizeLimit({ maxSize: 0 }).evicted, 0, 'Taille illimitée : aucune éviction');
+  assertEquals(enforceSizeLimit({ maxSize: totalSize }).evicted, 0, 'Limite respectée : aucune éviction');
+
+  const lru = enforceSizeLimit({ maxSize: totalSize - sizeA });
+  assertEquals(lru.evicted, 1, 'Une entrée évincée');
+  assertEquals(lru.freedSize, sizeA, 'Taille libérée');
+  assertEquals(findEntry(KEY_A), undefined, 'Moins récemment utilisée évincée');
+  assert(!fs.existsSync(path.join(TEST_DIR, `${KEY_A}.json`)), 'Fichier de l\'entrée supprimé');
+  assert(findEntry(KEY_B) && findEntry(KEY_C), 'Entrées plus récentes conservées');
+
+  const kept = enforceSizeLimit({ maxSize: lru.totalSize - findEntry(KEY_B).size, keepId: findEntry(KEY_B).id });
+  assertEquals(kept.evicted, 1, 'Entrée conservée ignorée');
+  assert(findEntry(KEY_B) && !findEntry(KEY_C), 'Entrée suivante évincée à sa place');
+  console.log('');
+
+  // Test 4: Reconstruction de l'index
+  console.log(`${BLUE}Test 4: Reconstruction de l'index${RESET}`);
+  writeStage(KEY_D, 50);
+  recordHit(ENTRY_TYPES.STAGE, HASH, KEY_D);
+  fs.unlinkSync(INDEX_PATH);
+  assert(findEntry(KEY_B) && findEntry(KEY_D), 'Index absent : entrées retrouvées sur disque');
+  assertEquals(findEntry(KEY_D).hits, 0, 'Utilisations remises à zéro');
+  assertEquals(findEntry(KEY_D).size, fs.statSync(path.join(TEST_DIR, `${KEY_D}.json`)).size, 'Taille remesurée');
+  assertEquals(findEntry(KEY_D).meta.stage, 'whisper', 'Métadonnées relues');
+
+  fs.writeFileSync(INDEX_PATH, '{ illisible');
+  const future = new Date(Date.now() + 10000);
+  fs.utimesSync(INDEX_PATH, future, future);
+  assert(findEntry(KEY_B) && findEntry(KEY_D), 'Index illisible : reconstruit');
+  console.log('');
+
+  // Test 5: Entrées non utilisées
+  console.log(`${BLUE}Test 5: Entrées non utilisées${RESET}`);
+  editIndexExternally({ [KEY_B]: '2000-01-01T00:00:00.000Z' });
+  const daysSince2001 = Math.floor((Date.now() - new Date('2001-01-01').getTime()) / (24 * 60 * 60 * 1000));
+  assertEquals(evictUnusedSince(daysSince2001), 1, 'Entrée inutilisée supprimée');
+  assert(!findEntry(KEY_B) && findEntry(KEY_D), 'Entrée récente conservée');
+  assert(!fs.existsSync(path.join(TEST_DIR, `${KEY_B}.json`)), 'Fichier supprimé');
+  console.log('');
+} finally {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+}
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
@@ -1,14 +1,42 @@
 /**
  * Gestionnaire de cache pour les transcriptions
  * Évite de retraiter les fichiers déjà transcrits en utilisant un hash SHA-256
+ *
+ * Clé d'une entrée : <hash du fichier>-<empreinte de la configuration du pipeline>
+ * (modèle, décodage, version des règles et du prompt, modèle LLM...) : les résultats
+ * de configurations différentes d'un même fichier coexistent (variantes).
+ * Les entrées antérieures, dont la clé est le hash seul, restent lisibles.
+ *
+ * Les entrées sont recensées dans l'index du cache (voir cacheIndex.js) : taille, dernier accès,
+ * nombre d'utilisations. La taille totale est limitée par CACHE_MAX_SIZE_MB (éviction LRU).
  */
 
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const {
+  CACHE_DIR,
+  ENTRY_TYPES,
+  getMaxCacheSize,
+  recordEntry,
+  recordHit,
+  forgetEntry,
+  listEntries,
+  enforceSizeLimit,
+  evictUnusedSince
+} = require('./cacheIndex');
+const { pruneFingerprints } = require('./audioFingerprint');
 
-// Dossier de cache
-const CACHE_DIR = path.join(__dirname, '../cache');
+// Âge maximal sans utilisation d'une entrée, nettoyage périodique (défaut: 30 jours)
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+// Intervalle du nettoyage périodique (défaut: 1 heure, 0 = désactivé)
+const DEFAULT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let maintenanceTimer = null;
+
+// Clé de cache : hash SHA-256 du fichier, suivi de l'empreinte de configuration (absente des anciennes entrées)
+const CACHE_KEY_PATTERN = /^([a-f0-9]{64})(?:-([a-f0-9]{16}))?$/;
 
 /**
  * Initialise le dossier de cache s'il n'existe pas
@@ -46,29 +74,101 @@ function computeHash(filePath) {
 }
 
 /**
- * Vérifie si un fichier est en cache
+ * Sérialise une valeur en JSON avec les clés d'objets triées
+ * Deux configurations équivalentes donnent la même chaîne, quel que soit l'ordre des clés
+ * @param {*} value - Valeur
+ * @returns {string} JSON canonique
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return value === undefined ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * Empreinte d'une configuration de pipeline
+ * @param {Object} config - Configuration (voir pipelineConfig.buildPipelineConfig)
+ * @returns {string} 16 caractères hexadécimaux
+ */
+function computeConfigFingerprint(config) {
+  return crypto.createHash('sha256').update(stableStringify(config)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Clé de cache d'un fichier pour une configuration
  * @param {string} hash - Hash SHA-256 du fichier
+ * @param {Object} config - Configuration du pipeline
+ * @returns {string} "<hash>-<empreinte>"
+ */
+function buildCacheKey(hash, config) {
+  return `${hash}-${computeConfigFingerprint(config)}`;
+}
+
+/**
+ * Décompose une clé de cache
+ * @param {string} key - Clé de cache, ou hash seul (anciennes entrées)
+ * @returns {Object|null} {hash, fingerprint} (fingerprint null pour un hash seul), null si invalide
+ */
+function parseCacheKey(key) {
+  const match = CACHE_KEY_PATTERN.exec(String(key));
+  return match ? { hash: match[1], fingerprint: match[2] || null } : null;
+}
+
+/**
+ * Chemins des fichiers d'une entrée du cache
+ * @param {string} key - Clé de cache
+ * @returns {Object} {jsonPath, srtPath, metaPath}
+ */
+function cachePaths(key) {
+  return {
+    jsonPath: path.join(CACHE_DIR, `${key}.json`),
+    srtPath: path.join(CACHE_DIR, `${key}.srt`),
+    metaPath: path.join(CACHE_DIR, `${key}.meta.json`)
+  };
+}
+
+/**
+ * Vérifie si une entrée est en cache
+ * @param {string} key - Clé de cache (voir buildCacheKey)
  * @returns {boolean} true si le cache existe
  */
-function isCached(hash) {
-  const jsonPath = path.join(CACHE_DIR, `${hash}.json`);
-  return fs.existsSync(jsonPath);
+function isCached(key) {
+  const parsed = parseCacheKey(key);
+  if (!parsed) {
+    return false;
+  }
+  if (fs.existsSync(cachePaths(key).jsonPath)) {
+    return true;
+  }
+  // Fichier supprimé hors de l'application : l'index est mis à jour
+  forgetEntry(ENTRY_TYPES.RESULT, parsed.hash, key);
+  return false;
 }
 
 /**
  * Sauvegarde une transcription dans le cache
- * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de cache (voir buildCacheKey)
  * @param {Object} transcriptionData - Données de transcription complètes
  * @param {string} srtContent - Contenu du fichier SRT (optionnel)
- * @param {Object} metadata - Métadonnées (modèle, durée traitement, etc.)
+ * @param {Object} metadata - Métadonnées (modèle, durée traitement, configuration du pipeline, etc.)
  * @returns {Object} Chemins des fichiers créés
  */
-function saveCache(hash, transcriptionData, srtContent = null, metadata = {}) {
+function saveCache(key, transcriptionData, srtContent = null, metadata = {}) {
+  const parsed = parseCacheKey(key);
+  if (!parsed) {
+    throw new Error(`Clé de cache invalide: ${key}`);
+  }
   initCacheDir();
   
-  const jsonPath = path.join(CACHE_DIR, `${hash}.json`);
-  const srtPath = path.join(CACHE_DIR, `${hash}.srt`);
-  const metaPath = path.join(CACHE_DIR, `${hash}.meta.json`);
+  const { jsonPath, srtPath, metaPath } = cachePaths(key);
   
   // Sauvegarder la transcription JSON
   fs.writeFileSync(jsonPath, JSON.stringify(transcriptionData, null, 2));
@@ -80,13 +180,20 @@ function saveCache(hash, transcriptionData, srtContent = null, metadata = {}) {
   
   // Sauvegarder les métadonnées
   const meta = {
-    hash,
+    hash: parsed.hash,
+    cacheKey: key,
+    fingerprint: parsed.fingerprint,
     createdAt: new Date().toISOString(),
     ...metadata
   };
   fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
   
-  console.log(`💾 Cache sauvegardé: ${hash.substring(0, 12)}...`);
+  console.log(`💾 Cache sauvegardé: ${key.substring(0, 12)}...${parsed.fingerprint ? ` (configuration ${parsed.fingerprint})` : ''}`);
+  
+  // Index du cache, puis éviction des entrées les moins récemment utilisées si la taille maximale est dépassée
+  const files = [jsonPath, srtContent ? srtPath : null, metaPath].filter(Boolean).map(file => path.basename(file));
+  const entry = recordEntry(ENTRY_TYPES.RESULT, parsed.hash, key, files, meta);
+  enforceSizeLimit({ keepId: entry.id });
   
   return {
     jsonPath,
@@ -97,17 +204,16 @@ function saveCache(hash, transcriptionData, srtContent = null, metadata = {}) {
 
 /**
  * Charge une transcription depuis le cache
- * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de cache (voir buildCacheKey)
+ * @param {Object} options - Options
+ * @param {boolean} options.recordAccess - Compter l'utilisation dans l'index (défaut: true, false pour une simple inspection)
  * @returns {Object|null} {transcription, srt, metadata} ou null si non trouvé
  */
-function loadCache(hash) {
-  const jsonPath = path.join(CACHE_DIR, `${hash}.json`);
-  const srtPath = path.join(CACHE_DIR, `${hash}.srt`);
-  const metaPath = path.join(CACHE_DIR, `${hash}.meta.json`);
-  
-  if (!fs.existsSync(jsonPath)) {
+function loadCache(key, { recordAccess = true } = {}) {
+  if (!isCached(key)) {
     return null;
   }
+  const { jsonPath, srtPath, metaPath } = cachePaths(key);
   
   try {
     // Charger la transcription
@@ -119,13 +225,16 @@ function loadCache(hash) {
       srt = fs.readFileSync(srtPath, 'utf8');
     }
     
-    // Charger les métadonnées
-    let metadata = {};
+    // Charger les métadonnées (les anciennes entrées n'ont ni cacheKey ni fingerprint)
+    let metadata = { cacheKey: key, fingerprint: parseCacheKey(key).fingerprint };
     if (fs.existsSync(metaPath)) {
-      metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      metadata = { ...metadata, ...JSON.parse(fs.readFileSync(metaPath, 'utf8')) };
     }
     
-    console.log(`✅ Cache trouvé: ${hash.substring(0, 12)}... (créé le ${metadata.createdAt || 'inconnu'})`);
+    console.log(`✅ Cache trouvé: ${key.substring(0, 12)}... (créé le ${metadata.createdAt || 'inconnu'})`);
+    if (recordAccess) {
+      recordHit(ENTRY_TYPES.RESULT, parseCacheKey(key).hash, key);
+    }
     
     return {
       transcription,
@@ -140,13 +249,14 @@ function loadCache(hash) {
 
 /**
  * Supprime un cache spécifique
- * @param {string} hash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de cache (voir buildCacheKey)
  * @returns {boolean} true si supprimé avec succès
  */
-function deleteCache(hash) {
-  const jsonPath = path.join(CACHE_DIR, `${hash}.json`);
-  const srtPath = path.join(CACHE_DIR, `${hash}.srt`);
-  const metaPath = path.join(CACHE_DIR, `${hash}.meta.json`);
+function deleteCache(key) {
+  if (!parseCacheKey(key)) {
+    return false;
+  }
+  const { jsonPath, srtPath, metaPath } = cachePaths(key);
   
   let deleted = false;
   
@@ -162,100 +272,165 @@ function deleteCache(hash) {
   if (fs.existsSync(metaPath)) {
     fs.unlinkSync(metaPath);
   }
+  forgetEntry(ENTRY_TYPES.RESULT, parseCacheKey(key).hash, key);
   
   if (deleted) {
-    console.log(`🗑️  Cache supprimé: ${hash.substring(0, 12)}...`);
+    console.log(`🗑️  Cache supprimé: ${key.substring(0, 12)}...`);
   }
   
   return deleted;
 }
 
 /**
- * Liste tous les caches disponibles
- * @returns {Array<Object>} Liste des caches avec métadonnées
+ * Liste tous les caches disponibles (d'après l'index, sans relire les fichiers)
+ * @returns {Array<Object>} Liste des caches avec métadonnées {cacheKey, hash, fingerprint, createdAt, size, lastAccessAt, hits, ...}
  */
 function listCaches() {
-  initCacheDir();
-  
-  const files = fs.readdirSync(CACHE_DIR);
-  const metaFiles = files.filter(f => f.endsWith('.meta.json'));
-  
-  const caches = metaFiles.map(metaFile => {
-    const hash = metaFile.replace('.meta.json', '');
-    const metaPath = path.join(CACHE_DIR, metaFile);
-    const metadata = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
-    
-    return {
-      hash,
-      ...metadata
-    };
-  });
+  const caches = listEntries(ENTRY_TYPES.RESULT)
+    .filter(entry => parseCacheKey(entry.key))
+    .map(entry => {
+      const { hash, fingerprint } = parseCacheKey(entry.key);
+      
+      return {
+        cacheKey: entry.key,
+        fingerprint,
+        ...entry.meta,
+        size: entry.size,
+        lastAccessAt: entry.lastAccessAt,
+        hits: entry.hits,
+        hash
+      };
+    });
   
   return caches.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 }
 
 /**
- * Nettoie les caches plus anciens qu'une certaine durée
- * @param {number} maxAgeDays - Âge maximum en jours
- * @returns {number} Nombre de caches supprimés
+ * Liste les variantes en cache d'un fichier (une par configuration), de la plus récente à la plus ancienne
+ * @param {string} hash - Hash SHA-256 du fichier
+ * @returns {Array<Object>} Caches avec métadonnées (voir listCaches)
  */
-function cleanOldCaches(maxAgeDays = 30) {
-  const caches = listCaches();
-  const now = new Date();
-  let deletedCount = 0;
-  
-  caches.forEach(cache => {
-    const cacheDate = new Date(cache.createdAt);
-    const ageDays = (now - cacheDate) / (1000 * 60 * 60 * 24);
-    
-    if (ageDays > maxAgeDays) {
-      deleteCache(cache.hash);
-      deletedCount++;
-    }
-  });
-  
+function listCacheVariants(hash) {
+  return listCaches().filter(cache => cache.hash === hash);
+}
+
+/**
+ * Résout une clé de cache complète, ou le hash seul d'un fichier
+ * Pour un hash seul, la variante la plus récente est retenue
+ * @param {string} keyOrHash - Clé de cache ou hash SHA-256 du fichier
+ * @returns {string|null} Clé de cache existante, ou null
+ */
+function resolveCacheKey(keyOrHash) {
+  const parsed = parseCacheKey(keyOrHash);
+  if (!parsed) {
+    return null;
+  }
+  if (parsed.fingerprint) {
+    return isCached(keyOrHash) ? keyOrHash : null;
+  }
+  const [latest] = listCacheVariants(parsed.hash);
+  return latest ? latest.cacheKey : null;
+}
+
+/**
+ * Nettoie les entrées du cache (résultats et étapes intermédiaires) non utilisées depuis une certaine durée
+ * @param {number} maxAgeDays - Durée maximale sans utilisation, en jours
+ * @returns {number} Nombre d'entrées supprimées
+ */
+function cleanOldCaches(maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+  const deletedCount = evictUnusedSince(maxAgeDays);
   console.log(`🧹 ${deletedCount} cache(s) ancien(s) supprimé(s)`);
   return deletedCount;
 }
 
 /**
- * Obtient la taille totale du cache
- * @returns {Object} {totalSize, fileCount, formattedSize}
+ * Formate une taille en octets
+ * @param {number} bytes - Taille
+ * @returns {string} Taille lisible (B, KB, MB)
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Obtient la taille totale du cache (d'après l'index)
+ * @returns {Object} {totalSize, fileCount, formattedSize, cacheCount, stageCount, maxSize, formattedMaxSize, hits}
  */
 function getCacheStats() {
-  initCacheDir();
-  
-  const files = fs.readdirSync(CACHE_DIR);
-  let totalSize = 0;
-  
-  files.forEach(file => {
-    const filePath = path.join(CACHE_DIR, file);
-    const stats = fs.statSync(filePath);
-    totalSize += stats.size;
-  });
-  
-  const formatSize = (bytes) => {
-    if (bytes < 1024) return `${bytes} B`;
-    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
-  };
+  const entries = listEntries();
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  const maxSize = getMaxCacheSize();
   
   return {
     totalSize,
-    fileCount: files.length,
+    fileCount: entries.reduce((total, entry) => total + entry.files.length, 0),
     formattedSize: formatSize(totalSize),
-    cacheCount: files.filter(f => f.endsWith('.json') && !f.endsWith('.meta.json')).length
+    cacheCount: entries.filter(entry => entry.type === ENTRY_TYPES.RESULT).length,
+    stageCount: entries.filter(entry => entry.type === ENTRY_TYPES.STAGE).length,
+    maxSize,
+    formattedMaxSize: maxSize ? formatSize(maxSize) : 'illimitée',
+    hits: entries.reduce((total, entry) => total + entry.hits, 0)
   };
 }
 
+/**
+ * Nettoyage du cache : entrées inutilisées depuis CACHE_MAX_AGE_DAYS, puis taille maximale (LRU),
+ * puis empreintes acoustiques des fichiers qui n'ont plus de transcription en cache
+ * @returns {Object} {expired, evicted, totalSize, prunedFingerprints}
+ */
+function runCacheMaintenance() {
+  const maxAgeDays = parseInt(process.env.CACHE_MAX_AGE_DAYS, 10) || DEFAULT_MAX_AGE_DAYS;
+  const expired = cleanOldCaches(maxAgeDays);
+  const { evicted, totalSize } = enforceSizeLimit();
+  const prunedFingerprints = pruneFingerprints();
+  return { expired, evicted, totalSize, prunedFingerprints };
+}
+
+/**
+ * Démarre le nettoyage périodique du cache
+ * @param {number} intervalMs - Intervalle (défaut: CACHE_CLEANUP_INTERVAL_MS ou 1 heure, 0 = désactivé)
+ */
+function startCacheMaintenance(intervalMs = parseInt(process.env.CACHE_CLEANUP_INTERVAL_MS ?? String(DEFAULT_CLEANUP_INTERVAL_MS), 10)) {
+  if (maintenanceTimer || !(intervalMs > 0)) {
+    return;
+  }
+  maintenanceTimer = setInterval(() => {
+    try {
+      runCacheMaintenance();
+    } catch (error) {
+      console.error(`⚠️  Nettoyage du cache: ${error.message}`);
+    }
+  }, intervalMs);
+  // Le nettoyage ne doit pas empêcher l'arrêt du processus
+  maintenanceTimer.unref();
+}
+
+/**
+ * Arrête le nettoyage périodique du cache
+ */
+function stopCacheMaintenance() {
+  clearInterval(maintenanceTimer);
+  maintenanceTimer = null;
+}
+
 module.exports = {
   computeHash,
+  computeConfigFingerprint,
+  buildCacheKey,
+  parseCacheKey,
   isCached,
   saveCache,
   loadCache,
   deleteCache,
   listCaches,
+  listCacheVariants,
+  resolveCacheKey,
   cleanOldCaches,
   getCacheStats,
+  runCacheMaintenance,
+  startCacheMaintenance,
+  stopCacheMaintenance,
   CACHE_DIR
 };
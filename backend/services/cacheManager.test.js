@@ -0,0 +1,158 @@
+/**
+ * Tests unitaires pour les clés de cache (hash du fichier + empreinte de configuration)
+ *
+ * Pour exécuter : node backend/services/cacheManager.test.js
+ */
+
+const {
+  computeConfigFingerprint,
+  buildCacheKey,
+  parseCacheKey,
+  saveCache,
+  loadCache,
+  deleteCache,
+  isCached,
+  listCacheVariants,
+  resolveCacheKey
+} = require('./cacheManager');
+const { buildPipelineConfig } = require('./pipelineConfig');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// Hash fictif propre aux tests (aucun fichier réel n'a ce hash)
+const HASH = 'f'.repeat(63) + '0';
+
+console.log(`${BLUE}=== Tests des clés de cache ===${RESET}\n`);
+
+// Test 1: Empreinte de configuration
+console.log(`${BLUE}Test 1: Empreinte de configuration${RESET}`);
+const fingerprint = computeConfigFingerprint({ modelSize: 'small', whisper: { beamSize: 5, temperature: 0 } });
+assert(/^[a-f0-9]{16}$/.test(fingerprint), 'Empreinte de 16 caractères hexadécimaux');
+assertEquals(
+  computeConfigFingerprint({ whisper: { temperature: 0, beamSize: 5 }, modelSize: 'small' }),
+  fingerprint,
+  'Indépendante de l\'ordre des clés'
+);
+assertEquals(
+  computeConfigFingerprint({ modelSize: 'small', whisper: { beamSize: 5, temperature: 0 }, extra: undefined }),
+  fingerprint,
+  'Valeurs undefined ignorées'
+);
+assert(computeConfigFingerprint({ modelSize: 'base', whisper: { beamSize: 5, temperature: 0 } }) !== fingerprint, 'Autre modèle, autre empreinte');
+console.log('');
+
+// Test 2: Format des clés
+console.log(`${BLUE}Test 2: Format des clés${RESET}`);
+const key = buildCacheKey(HASH, { modelSize: 'small' });
+assertEquals(key, `${HASH}-${computeConfigFingerprint({ modelSize: 'small' })}`, 'Clé = hash-empreinte');
+assertEquals(parseCacheKey(key).hash, HASH, 'Hash extrait de la clé');
+assertEquals(parseCacheKey(key).fingerprint, computeConfigFingerprint({ modelSize: 'small' }), 'Empreinte extraite de la clé');
+assertEquals(parseCacheKey(HASH).fingerprint, null, 'Ancienne clé (hash seul) acceptée');
+assertEquals(parseCacheKey('../etc/passwd'), null, 'Chemin refusé');
+assertEquals(parseCacheKey(`${HASH}-XYZ`), null, 'Empreinte invalide refusée');
+assertEquals(parseCacheKey(null), null, 'Clé absente refusée');
+console.log('');
+
+// Test 3: Configuration des pipelines
+console.log(`${BLUE}Test 3: Configuration des pipelines${RESET}`);
+const baseParams = { modelSize: 'small', language: 'fr', whisper: { beamSize: 5 } };
+const robust = buildPipelineConfig('robust', { ...baseParams, options: { diarize: false } });
+assertEquals(
+  computeConfigFingerprint(buildPipelineConfig('robust', { ...baseParams, options: { diarize: false } })),
+  computeConfigFingerprint(robust),
+  'Même requête, même empreinte'
+);
+assert(computeConfigFingerprint(buildPipelineConfig('robust', { ...baseParams, modelSize: 'medium' })) !== computeConfigFingerprint(robust), 'Modèle Whisper pris en compte');
+assert(computeConfigFingerprint(buildPipelineConfig('robust', { ...baseParams, whisper: { beamSize: 1 } })) !== computeConfigFingerprint(robust), 'Paramètres de décodage pris en compte');
+assert(computeConfigFingerprint(buildPipelineConfig('complete', { ...baseParams, options: { diarize: false } })) !== computeConfigFingerprint(robust), 'Pipeline pris en compte');
+assert(robust.rules && /^[a-f0-9]{16}$/.test(robust.rules.content), 'Contenu des règles inclus');
+assertEquals(robust.llm, null, 'Étape LLM désactivée : aucun modèle LLM');
+let invalidCode = null;
+try {
+  buildPipelineConfig('robust', { ...baseParams, whisper: { beamSize: -1 } });
+} catch (error) {
+  invalidCode = error.code;
+}
+assertEquals(invalidCode, 'INVALID', 'Paramètres Whisper invalides refusés');
+console.log('');
+
+// Test 4: Variantes en cache
+console.log(`${BLUE}Test 4: Variantes en cache${RESET}`);
+const smallKey = buildCacheKey(HASH, { modelSize: 'small' });
+const mediumKey = buildCacheKey(HASH, { modelSize: 'medium' });
+try {
+  saveCache(smallKey, { segments: [{ text: 'small' }] }, null, { modelSize: 'small', createdAt: '2026-01-01T00:00:00.000Z' });
+  saveCache(mediumKey, { segments: [{ text: 'medium' }] }, '1\n00:00:00,000 --> 00:00:01,000\nmedium\n', { modelSize: 'medium', createdAt: '2026-01-02T00:00:00.000Z' });
+  saveCache(HASH, { segments: [{ text: 'legacy' }] }, null, { modelSize: 'base', createdAt: '2025-12-31T00:00:00.000Z' });
+
+  assert(isCached(smallKey) && isCached(mediumKey), 'Deux configurations coexistent');
+  assertEquals(loadCache(smallKey).transcription.segments[0].text, 'small', 'Variante lue par sa clé');
+  assertEquals(loadCache(mediumKey).metadata.fingerprint, parseCacheKey(mediumKey).fingerprint, 'Empreinte dans les métadonnées');
+  assertEquals(loadCache(HASH).transcription.segments[0].text, 'legacy', 'Ancienne entrée (hash seul) lisible');
+
+  const variants = listCacheVariants(HASH);
+  assertEquals(variants.length, 3, 'Toutes les variantes du fichier listées');
+  assertEquals(variants[0].cacheKey, mediumKey, 'Variante la plus récente en premier');
+  assertEquals(variants[2].fingerprint, null, 'Ancienne entrée sans empreinte');
+
+  assertEquals(resolveCacheKey(HASH), mediumKey, 'Hash seul : variante la plus récente');
+  assertEquals(resolveCacheKey(smallKey), smallKey, 'Clé complète résolue telle quelle');
+  assertEquals(resolveCacheKey(buildCacheKey(HASH, { modelSize: 'tiny' })), null, 'Configuration absente du cache');
+  assertEquals(resolveCacheKey('invalide'), null, 'Clé invalide non résolue');
+
+  let saveError = null;
+  try {
+    saveCache('../invalide', {});
+  } catch (error) {
+    saveError = error.message;
+  }
+  assert(saveError !== null, 'Écriture refusée pour une clé invalide');
+
+  assert(deleteCache(smallKey), 'Variante supprimée');
+  assert(!isCached(smallKey) && isCached(mediumKey), 'Autres variantes conservées');
+} finally {
+  [smallKey, mediumKey, HASH].forEach(cacheKey => deleteCache(cacheKey));
+}
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
@@ -0,0 +1,307 @@
+/**
+ * Glossaires par projet : noms propres et noms de produits à orthographier correctement
+ * Un glossaire sert à trois étapes :
+ * - Whisper : initial_prompt et hotwords (voir buildWhisperHints)
+ * - LLM : orthographes à conserver dans le prompt des règles (voir buildGlossaryInstructions)
+ * - correction locale approximative des segments (voir glossaryCorrection.js)
+ * Stockage : glossaries/<id>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Dossier de stockage des glossaires
+const GLOSSARIES_DIR = path.join(__dirname, '../glossaries');
+
+// Identifiant d'un glossaire (nom de fichier sûr)
+const GLOSSARY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Limites d'un glossaire
+const MAX_TERMS = 500;
+const MAX_TERM_LENGTH = 100;
+const MAX_ALIASES = 20;
+const MAX_NOTE_LENGTH = 500;
+
+// Longueur maximale du prompt Whisper (initial_prompt limité à ~224 jetons)
+const WHISPER_PROMPT_MAX_LENGTH = 600;
+
+/**
+ * Initialise le dossier des glossaires s'il n'existe pas
+ */
+function initGlossariesDir() {
+  if (!fs.existsSync(GLOSSARIES_DIR)) {
+    fs.mkdirSync(GLOSSARIES_DIR, { recursive: true });
+    console.log('📁 Dossier glossaries/ créé');
+  }
+}
+
+/**
+ * Chemin du fichier JSON d'un glossaire
+ * @param {string} id - Identifiant du glossaire
+ * @returns {string} Chemin du fichier
+ */
+function glossaryPath(id) {
+  return path.join(GLOSSARIES_DIR, `${id}.json`);
+}
+
+/**
+ * Indique si un identifiant de glossaire est valide
+ * @param {string} id - Identifiant
+ * @returns {boolean}
+ */
+function isValidGlossaryId(id) {
+  return typeof id === 'string' && GLOSSARY_ID_PATTERN.test(id);
+}
+
+/**
+ * Valide le contenu d'un glossaire
+ * Un terme est une chaîne ("Staily") ou un objet
+ * {term, aliases: orthographes fautives connues, note, fuzzy: correction approximative (défaut: true)}
+ * @param {Object} data - {name, description, terms}
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateGlossary(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['Le glossaire doit être un objet JSON'];
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('"name" est requis');
+  }
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('"description" doit être une chaîne');
+  }
+  if (!Array.isArray(data.terms) || data.terms.length === 0 || data.terms.length > MAX_TERMS) {
+    errors.push(`"terms" doit être une liste de 1 à ${MAX_TERMS} termes`);
+    return errors;
+  }
+
+  data.terms.forEach((entry, i) => {
+    const term = typeof entry === 'string' ? entry : entry?.term;
+    if (typeof term !== 'string' || !term.trim() || term.length > MAX_TERM_LENGTH) {
+      errors.push(`terms[${i}].term: chaîne de 1 à ${MAX_TERM_LENGTH} caractères attendue`);
+    }
+    if (!entry || typeof entry !== 'object') {
+      return;
+    }
+    if (entry.aliases !== undefined &&
+        (!Array.isArray(entry.aliases) || entry.aliases.length > MAX_ALIASES ||
+         entry.aliases.some(alias => typeof alias !== 'string' || !alias.trim() || alias.length > MAX_TERM_LENGTH))) {
+      errors.push(`terms[${i}].aliases: liste de ${MAX_ALIASES} chaînes maximum attendue`);
+    }
+    if (entry.note !== undefined && (typeof entry.note !== 'string' || entry.note.length > MAX_NOTE_LENGTH)) {
+      errors.push(`terms[${i}].note: chaîne de ${MAX_NOTE_LENGTH} caractères maximum attendue`);
+    }
+    if (entry.fuzzy !== undefined && typeof entry.fuzzy !== 'boolean') {
+      errors.push(`terms[${i}].fuzzy doit être un booléen`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Garde uniquement les champs connus d'un glossaire
+ * @param {Object} data - Données reçues
+ * @returns {Object} {name, description, terms: [{term, aliases, note, fuzzy}]}
+ */
+function normalizeGlossary(data) {
+  const terms = data.terms.map(entry => {
+    const source = typeof entry === 'string' ? { term: entry } : entry;
+    const term = { term: source.term.trim() };
+    if (source.aliases?.length) {
+      term.aliases = source.aliases.map(alias => alias.trim());
+    }
+    if (source.note) {
+      term.note = source.note;
+    }
+    if (source.fuzzy === false) {
+      term.fuzzy = false;
+    }
+    return term;
+  });
+
+  return {
+    name: data.name.trim(),
+    description: data.description || '',
+    terms
+  };
+}
+
+/**
+ * Sauvegarde un glossaire sur disque (écriture atomique via fichier temporaire)
+ * @param {Object} glossary - Glossaire complet
+ */
+function persistGlossary(glossary) {
+  initGlossariesDir();
+  const target = glossaryPath(glossary.id);
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(glossary, null, 2));
+  fs.renameSync(tmpFile, target);
+}
+
+/**
+ * Charge un glossaire
+ * @param {string} id - Identifiant du glossaire
+ * @returns {Object|null} Glossaire ou null s'il n'existe pas
+ */
+function loadGlossary(id) {
+  if (!isValidGlossaryId(id) || !fs.existsSync(glossaryPath(id))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(glossaryPath(id), 'utf8'));
+}
+
+/**
+ * Liste les glossaires (du plus récemment modifié au plus ancien)
+ * @returns {Array<Object>} Glossaires {id, name, description, termCount, updatedAt}
+ */
+function listGlossaries() {
+  if (!fs.existsSync(GLOSSARIES_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(GLOSSARIES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        const { id, name, description, terms, updatedAt } = JSON.parse(fs.readFileSync(path.join(GLOSSARIES_DIR, file), 'utf8'));
+        return { id, name, description, termCount: terms.length, updatedAt };
+      } catch (error) {
+        console.error(`⚠️  Glossaire illisible ignoré: ${file} (${error.message})`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * Crée un glossaire
+ * @param {Object} data - {id, name, description, terms}
+ * @returns {Object} Glossaire créé
+ * @throws {Error} error.code = 'INVALID' (error.details) ou 'EXISTS'
+ */
+function createGlossary(data) {
+  const errors = validateGlossary(data);
+  const id = data?.id;
+
+  if (!isValidGlossaryId(id)) {
+    errors.push(`Identifiant invalide: "${id}" (minuscules, chiffres et tirets)`);
+  }
+  if (errors.length > 0) {
+    const error = new Error('Glossaire invalide');
+    error.code = 'INVALID';
+    error.details = errors;
+    throw error;
+  }
+  if (fs.existsSync(glossaryPath(id))) {
+    const error = new Error(`Le glossaire existe déjà: ${id}`);
+    error.code = 'EXISTS';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const glossary = { id, ...normalizeGlossary(data), createdAt: now, updatedAt: now };
+  persistGlossary(glossary);
+  console.log(`📖 Glossaire créé: ${id} (${glossary.terms.length} termes)`);
+  return glossary;
+}
+
+/**
+ * Met à jour un glossaire (remplacement complet des champs modifiables)
+ * @param {string} id - Identifiant du glossaire
+ * @param {Object} data - {name, description, terms}
+ * @returns {Object|null} Glossaire mis à jour ou null s'il n'existe pas
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function updateGlossary(id, data) {
+  const existing = loadGlossary(id);
+  if (!existing) {
+    return null;
+  }
+
+  const errors = validateGlossary(data);
+  if (errors.length > 0) {
+    const error = new Error('Glossaire invalide');
+    error.code = 'INVALID';
+    error.details = errors;
+    throw error;
+  }
+
+  const glossary = { id, ...normalizeGlossary(data), createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+  persistGlossary(glossary);
+  console.log(`📖 Glossaire mis à jour: ${id} (${glossary.terms.length} termes)`);
+  return glossary;
+}
+
+/**
+ * Supprime un glossaire
+ * @param {string} id - Identifiant du glossaire
+ * @returns {boolean} true si le glossaire existait
+ */
+function deleteGlossary(id) {
+  if (!loadGlossary(id)) {
+    return false;
+  }
+  fs.unlinkSync(glossaryPath(id));
+  console.log(`🗑️  Glossaire supprimé: ${id}`);
+  return true;
+}
+
+/**
+ * Indications de vocabulaire pour Whisper
+ * Les termes sont listés dans l'ordre du glossaire, jusqu'à la longueur maximale du prompt
+ * @param {Object} glossary - Glossaire (null = aucune indication)
+ * @returns {Object} {initialPrompt, hotwords} (null sans glossaire)
+ */
+function buildWhisperHints(glossary) {
+  if (!glossary?.terms?.length) {
+    return { initialPrompt: null, hotwords: null };
+  }
+
+  const terms = [];
+  let length = 0;
+  for (const { term } of glossary.terms) {
+    length += term.length + 2;
+    if (length > WHISPER_PROMPT_MAX_LENGTH) {
+      console.log(`⚠️  Glossaire ${glossary.id}: ${glossary.terms.length - terms.length} terme(s) hors du prompt Whisper`);
+      break;
+    }
+    terms.push(term);
+  }
+
+  const list = terms.join(', ');
+  return { initialPrompt: `${list}.`, hotwords: list };
+}
+
+/**
+ * Liste des orthographes à conserver pour un prompt LLM
+ * ex: "- Staily (entendu : stay lee, stéli)"
+ * @param {Object} glossary - Glossaire
+ * @param {string} heardAs - Libellé des orthographes fautives ("entendu", "heard as")
+ * @returns {string} Une ligne par terme
+ */
+function buildGlossaryInstructions(glossary, heardAs = 'entendu') {
+  return glossary.terms.map(({ term, aliases, note }) => {
+    const details = [
+      aliases?.length ? `${heardAs} : ${aliases.join(', ')}` : null,
+      note || null
+    ].filter(Boolean);
+    return `- ${term}${details.length > 0 ? ` (${details.join(' ; ')})` : ''}`;
+  }).join('\n');
+}
+
+module.exports = {
+  GLOSSARIES_DIR,
+  isValidGlossaryId,
+  validateGlossary,
+  loadGlossary,
+  listGlossaries,
+  createGlossary,
+  updateGlossary,
+  deleteGlossary,
+  buildWhisperHints,
+  buildGlossaryInstructions
+};
@@ -0,0 +1,182 @@
+/**
+ * Tests unitaires pour le service glossaries
+ *
+ * Pour exécuter : node backend/services/glossaries.test.js
+ */
+
+const {
+  isValidGlossaryId,
+  validateGlossary,
+  loadGlossary,
+  listGlossaries,
+  createGlossary,
+  updateGlossary,
+  deleteGlossary,
+  buildWhisperHints,
+  buildGlossaryInstructions
+} = require('./glossaries');
+const { VERBATIM_RULES, buildVerbatimRules, applyVerbatimRules } = require('./rulesEngine');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Retourne le code de l'erreur levée par une fonction
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {string|null} error.code ou null si aucune erreur
+ */
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+const GLOSSARY = {
+  name: 'Radio',
+  terms: [
+    'Radio-Canada',
+    { term: 'Staily', aliases: ['stay lee', 'stéli'], note: 'nom du produit' },
+    { term: 'Ohdio', fuzzy: false }
+  ]
+};
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service glossaries ===${RESET}\n`);
+
+  // Test 1: Validation
+  console.log(`${BLUE}Test 1: Validation${RESET}`);
+  assert(isValidGlossaryId('radio-canada') && !isValidGlossaryId('../etc'), 'Identifiants de fichier sûrs');
+  assertEquals(validateGlossary(GLOSSARY).length, 0, 'Glossaire valide');
+  assert(validateGlossary({ terms: ['A'] }).includes('"name" est requis'), 'Nom requis');
+  assert(validateGlossary({ name: 'X', terms: [] }).some(error => error.startsWith('"terms"')), 'Au moins un terme requis');
+  const errors = validateGlossary({ name: 'X', terms: ['', { term: 'A', aliases: 'a' }, { term: 'B', fuzzy: 'oui' }] });
+  assert(errors.some(error => error.startsWith('terms[0].term')), 'Terme vide détecté');
+  assert(errors.some(error => error.startsWith('terms[1].aliases')), 'Type des aliases vérifié');
+  assertEquals(errors.includes('terms[2].fuzzy doit être un booléen'), true, 'Type de fuzzy vérifié');
+  console.log('');
+
+  // Test 2: Indications pour Whisper et le LLM
+  console.log(`${BLUE}Test 2: Indications pour Whisper et le LLM${RESET}`);
+  const hints = buildWhisperHints({ terms: [{ term: 'Radio-Canada' }, GLOSSARY.terms[1], GLOSSARY.terms[2]] });
+  assertEquals(hints.initialPrompt, 'Radio-Canada, Staily, Ohdio.', 'Prompt initial Whisper');
+  assertEquals(hints.hotwords, 'Radio-Canada, Staily, Ohdio', 'Hotwords Whisper');
+  assertEquals(buildWhisperHints(null).initialPrompt, null, 'Aucune indication sans glossaire');
+  const long = buildWhisperHints({ id: 'long', terms: Array.from({ length: 100 }, (_, i) => ({ term: `Terme numéro ${i}` })) });
+  assert(long.hotwords.length <= 600, 'Prompt Whisper tronqué à la longueur maximale');
+
+  const instructions = buildGlossaryInstructions({ terms: [{ term: 'Radio-Canada' }, GLOSSARY.terms[1]] });
+  assertEquals(instructions, '- Radio-Canada\n- Staily (entendu : stay lee, stéli ; nom du produit)', 'Orthographes listées pour le LLM');
+  assertEquals(buildVerbatimRules(null, null, null), VERBATIM_RULES, 'Sans glossaire, règles standard inchangées');
+  const rules = buildVerbatimRules(null, 'fr-CA', { terms: [{ term: 'Staily', aliases: ['stay lee'] }] });
+  assert(rules.includes('GLOSSAIRE DU CLIENT (ORTHOGRAPHES À RESPECTER)\n- Staily (entendu : stay lee)'), 'Glossaire ajouté au prompt français');
+  const english = buildVerbatimRules(null, 'en', { terms: [{ term: 'Staily', aliases: ['stay lee'] }] });
+  assert(english.includes('CLIENT GLOSSARY (SPELLINGS TO PRESERVE)\n- Staily (heard as : stay lee)'), 'Glossaire ajouté au prompt anglais');
+  console.log('');
+
+  // Test 3: Création, mise à jour et suppression
+  console.log(`${BLUE}Test 3: Création, mise à jour et suppression${RESET}`);
+  const id = `test-glossaire-${process.pid}`;
+  try {
+    const created = createGlossary({ id, ...GLOSSARY, terms: [...GLOSSARY.terms, { term: ' Télé-Québec ', extra: 1 }] });
+    assertEquals(JSON.stringify(created.terms[0]), '{"term":"Radio-Canada"}', 'Terme simple normalisé en objet');
+    assertEquals(JSON.stringify(created.terms[3]), '{"term":"Télé-Québec"}', 'Champs inconnus écartés et espaces retirés');
+    assertEquals(loadGlossary(id).terms.length, 4, 'Glossaire enregistré sur disque');
+    const listed = listGlossaries().find(glossary => glossary.id === id);
+    assertEquals(listed?.termCount, 4, 'Glossaire listé avec son nombre de termes');
+    assertEquals(errorCode(() => createGlossary({ id, ...GLOSSARY })), 'EXISTS', 'Doublon refusé');
+    assertEquals(errorCode(() => createGlossary({ ...GLOSSARY })), 'INVALID', 'Identifiant requis');
+
+    const updated = updateGlossary(id, { name: 'Radio 2', terms: ['Ohdio'] });
+    assertEquals(updated.createdAt, created.createdAt, 'Date de création conservée');
+    assertEquals(loadGlossary(id).terms.length, 1, 'Glossaire mis à jour');
+    assertEquals(updateGlossary('glossaire-absent', GLOSSARY), null, 'Mise à jour d\'un glossaire absent');
+    assertEquals(errorCode(() => updateGlossary(id, { name: 'X', terms: [] })), 'INVALID', 'Mise à jour invalide refusée');
+
+    // Test 4: Glossaire transmis au LLM (serveur factice)
+    console.log(`\n${BLUE}Test 4: Glossaire transmis au LLM${RESET}`);
+    const server = await startStubServer(0);
+    const stub = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+    try {
+      const result = await applyVerbatimRules([{ start: 0, end: 1, text: 'oui' }], { llm: stub, glossary: loadGlossary(id) });
+      assertEquals(result.metadata.glossary.id, id, 'Glossaire consigné dans les métadonnées');
+      assertEquals(result.metadata.glossary.terms, 1, 'Nombre de termes consigné');
+      const standard = await applyVerbatimRules([{ start: 0, end: 1, text: 'oui' }], { llm: stub });
+      assertEquals(standard.metadata.glossary, null, 'Aucun glossaire par défaut');
+      assertEquals(standard.glossaryCorrection, null, 'Aucune correction du glossaire par défaut');
+
+      // Avec le LLM, le glossaire est aussi appliqué localement avant l'envoi
+      const fuzzy = await applyVerbatimRules([{ start: 0, end: 1, text: 'Écoutez ohdyo' }], { llm: stub, glossary: loadGlossary(id) });
+      assertEquals(fuzzy.glossaryCorrection?.statistics.changes, 1, 'Correction du glossaire rapportée avec le LLM');
+      assertEquals(fuzzy.correctedSegments[0].correctedText, 'Écoutez Ohdio', 'Texte corrigé envoyé au LLM');
+      assertEquals(fuzzy.correctedSegments[0].originalText, 'Écoutez ohdyo', 'Texte d\'origine conservé');
+      assertEquals(fuzzy.statistics.glossaryChanges, 1, 'Corrections du glossaire comptées avec le LLM');
+    } finally {
+      server.close();
+    }
+
+    // Sans LLM (typography: 'only'), le glossaire est appliqué localement
+    const local = await applyVerbatimRules([{ start: 0, end: 1, text: 'Il a 3 balados sur ohdyo' }], { typography: 'only', glossary: loadGlossary(id) });
+    assertEquals(local.correctedSegments[0].correctedText, 'Il a trois balados sur Ohdio', 'Glossaire appliqué sans LLM');
+    assert(local.correctedSegments[0].changes.some(change => change.startsWith('glossaire:')), 'Correction du glossaire rapportée');
+    assertEquals(local.statistics.glossaryChanges, 1, 'Corrections du glossaire comptées');
+    assertEquals(local.metadata.glossary?.id, id, 'Glossaire consigné dans les métadonnées (règles locales)');
+    assertEquals(local.glossaryCorrection?.changes.length, 1, 'Rapport de correction du glossaire (règles locales)');
+
+    assert(deleteGlossary(id), 'Glossaire supprimé');
+    assertEquals(loadGlossary(id), null, 'Glossaire absent après suppression');
+    assert(!deleteGlossary(id), 'Suppression d\'un glossaire absent');
+  } finally {
+    deleteGlossary(id);
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
@@ -0,0 +1,246 @@
+/**
+ * Correction locale des segments d'après un glossaire (voir glossaries.js)
+ * Les mots ou groupes de mots proches d'un terme du glossaire sont remplacés
+ * par son orthographe : casse, accents et tirets ("radio canada" → "Radio-Canada"),
+ * orthographes fautives connues (aliases) et fautes de frappe proches (distance d'édition)
+ */
+
+const { alignWordTimings } = require('./applyRules');
+
+// Mot : lettres et chiffres, avec apostrophes ou tirets internes ("Radio-Canada", "aujourd'hui")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Clé de comparaison : minuscules, sans accents, espaces ni ponctuation
+ * @param {string} text - Texte
+ * @returns {string} Clé ("Radio-Canada" → "radiocanada")
+ */
+function comparisonKey(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Nombre de fautes tolérées pour une clé (aucune sous 5 caractères)
+ * @param {string} key - Clé du terme
+ * @returns {number}
+ */
+function maxDistanceFor(key) {
+  if (key.length >= 9) return 2;
+  if (key.length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Distance d'édition (Levenshtein), interrompue au-delà d'un maximum
+ * @param {string} a - Première chaîne
+ * @param {string} b - Deuxième chaîne
+ * @param {number} max - Distance maximale utile
+ * @returns {number} Distance (max + 1 si elle dépasse max)
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Parties d'un mot ou d'une expression, tirets et apostrophes compris ("Radio-Canada" : radio, canada)
+const PART_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Clés de comparaison des parties d'un texte
+ * @param {string} text - Texte
+ * @returns {Array<string>} Clés ("Hydro-Québec" → ["hydro", "quebec"])
+ */
+function partKeys(text) {
+  return (text.match(PART_PATTERN) || []).map(comparisonKey);
+}
+
+/**
+ * Prépare les termes d'un glossaire pour la comparaison
+ * @param {Object} glossary - Glossaire {terms: [{term, aliases, fuzzy}]}
+ * @returns {Array<Object>} Termes {term, maxWords, keys: [{key, parts, fuzzy}]}
+ */
+function compileGlossary(glossary) {
+  return (glossary?.terms || []).map(({ term, aliases = [], fuzzy = true }) => {
+    const keys = [
+      { key: comparisonKey(term), parts: partKeys(term), fuzzy },
+      ...aliases.map(alias => ({ key: comparisonKey(alias), parts: partKeys(alias), fuzzy: false }))
+    ].filter(({ key }) => key.length > 0);
+
+    return { term, keys, maxWords: Math.max(...keys.map(key => key.parts.length)) };
+  }).filter(entry => entry.keys.length > 0);
+}
+
+/**
+ * Distance entre les parties d'un groupe de mots et celles d'un terme
+ * Même nombre de parties : fautes tolérées partie par partie ("radio canadaa")
+ * Moins de parties : mots soudés acceptés sans autre faute ("hydroquébec")
+ * Plus de parties : jamais ("des jardins" n'est pas "Desjardins")
+ * @param {Array<string>} parts - Clés des parties du groupe de mots
+ * @param {Object} candidate - Clé compilée {key, parts, fuzzy}
+ * @returns {number} Distance (Infinity si le groupe ne correspond pas)
+ */
+function termDistance(parts, candidate) {
+  if (parts.length > candidate.parts.length) {
+    return Infinity;
+  }
+  if (parts.length < candidate.parts.length) {
+    return parts.join('') === candidate.key ? 0 : Infinity;
+  }
+
+  let total = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const max = candidate.fuzzy ? maxDistanceFor(candidate.parts[i]) : 0;
+    const distance = editDistance(parts[i], candidate.parts[i], max);
+    if (distance > max) {
+      return Infinity;
+    }
+    total += distance;
+  }
+  return total <= (candidate.fuzzy ? maxDistanceFor(candidate.key) : 0) ? total : Infinity;
+}
+
+/**
+ * Meilleur terme pour un groupe de mots
+ * @param {string} text - Groupe de mots
+ * @param {Array<Object>} terms - Termes compilés
+ * @returns {Object|null} {term, distance} ou null
+ */
+function findTerm(text, terms) {
+  const parts = partKeys(text);
+  let best = null;
+  for (const entry of terms) {
+    for (const candidate of entry.keys) {
+      const distance = termDistance(parts, candidate);
+      if (distance !== Infinity && (!best || distance < best.distance)) {
+        best = { term: entry.term, distance };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Corrige un texte d'après des termes compilés
+ * À chaque position, le groupe de mots le plus proche d'un terme l'emporte (puis le plus long)
+ * @param {string} text - Texte à corriger
+ * @param {Array<Object>} terms - Termes compilés (voir compileGlossary)
+ * @returns {Object} {text, changes: [{term, before, after, distance}]}
+ */
+function correctText(text, terms) {
+  const words = [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+  const maxWords = Math.max(0, ...terms.map(entry => entry.maxWords));
+  const matches = [];
+
+  for (let i = 0; i < words.length;) {
+    let best = null;
+    for (let count = 1; count <= maxWords && i + count <= words.length; count++) {
+      const before = text.substring(words[i].start, words[i + count - 1].end);
+      const found = findTerm(before, terms);
+      if (found && (!best || found.distance < best.distance || (found.distance === best.distance && count > best.count))) {
+        best = { ...found, before, count, start: words[i].start, end: words[i + count - 1].end };
+      }
+    }
+
+    if (best) {
+      if (best.before !== best.term) {
+        matches.push(best);
+      }
+      i += best.count;
+    } else {
+      i++;
+    }
+  }
+
+  // Remplacements de la fin vers le début pour conserver les positions
+  const corrected = matches.reduceRight(
+    (current, match) => `${current.substring(0, match.start)}${match.term}${current.substring(match.end)}`,
+    String(text || '')
+  );
+
+  return {
+    text: corrected,
+    changes: matches.map(({ term, before, distance }) => ({ term, before, after: term, distance }))
+  };
+}
+
+/**
+ * Corrige un texte d'après un glossaire
+ * @param {string} text - Texte à corriger
+ * @param {Object} glossary - Glossaire
+ * @returns {Object} {text, changes: [{term, before, after, distance}]}
+ */
+function applyGlossary(text, glossary) {
+  return correctText(text, compileGlossary(glossary));
+}
+
+/**
+ * Corrige des segments d'après un glossaire
+ * Les timestamps des mots (word_timestamps) sont réalignés sur le texte corrigé
+ * @param {Array<Object>} segments - Segments {text, words?, ...}
+ * @param {Object} glossary - Glossaire
+ * @param {Object} options - {field: champ texte des segments (défaut: text)}
+ * @returns {Object} {segments, changes: [{segment, term, before, after, distance}], statistics: {segmentsModified, changes, byTerm}}
+ */
+function applyGlossaryToSegments(segments, glossary, options = {}) {
+  const { field = 'text' } = options;
+  const terms = compileGlossary(glossary);
+  const changes = [];
+  let segmentsModified = 0;
+
+  const processed = segments.map((segment, index) => {
+    const result = correctText(segment[field], terms);
+    if (result.changes.length === 0) {
+      return segment;
+    }
+    segmentsModified++;
+    changes.push(...result.changes.map(change => ({ segment: index, ...change })));
+
+    const corrected = { ...segment, [field]: result.text };
+    if (Array.isArray(segment.words)) {
+      corrected.words = alignWordTimings(segment.words, result.text);
+    }
+    return corrected;
+  });
+
+  const byTerm = changes.reduce((counts, change) => {
+    counts[change.term] = (counts[change.term] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    segments: processed,
+    changes,
+    statistics: { segmentsModified, changes: changes.length, byTerm }
+  };
+}
+
+module.exports = {
+  comparisonKey,
+  editDistance,
+  applyGlossary,
+  applyGlossaryToSegments
+};
@@ -0,0 +1,128 @@
+/**
+ * Tests unitaires pour la correction locale par glossaire
+ *
+ * Pour exécuter : node backend/services/glossaryCorrection.test.js
+ */
+
+const {
+  comparisonKey,
+  editDistance,
+  applyGlossary,
+  applyGlossaryToSegments
+} = require('./glossaryCorrection');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+const GLOSSARY = {
+  id: 'test',
+  terms: [
+    { term: 'Radio-Canada' },
+    { term: 'Desjardins' },
+    { term: 'Hydro-Québec' },
+    { term: 'Staily', aliases: ['stay lee'] },
+    { term: 'Ohdio', fuzzy: false },
+    { term: 'TVA' }
+  ]
+};
+
+const correct = text => applyGlossary(text, GLOSSARY).text;
+
+console.log(`${BLUE}=== Tests de la correction par glossaire ===${RESET}\n`);
+
+// Test 1: Comparaison
+console.log(`${BLUE}Test 1: Comparaison${RESET}`);
+assertEquals(comparisonKey('Radio-Canada'), 'radiocanada', 'Clé sans tiret ni majuscule');
+assertEquals(comparisonKey('Hydro-Québec'), 'hydroquebec', 'Clé sans accent');
+assertEquals(editDistance('desjardin', 'desjardins', 2), 1, 'Distance d\'une lettre manquante');
+assertEquals(editDistance('chat', 'chien', 1), 2, 'Distance interrompue au-delà du maximum');
+console.log('');
+
+// Test 2: Casse, accents et tirets
+console.log(`${BLUE}Test 2: Casse, accents et tirets${RESET}`);
+assertEquals(correct('On écoute radio canada ce matin.'), 'On écoute Radio-Canada ce matin.', 'Mots séparés réunis');
+assertEquals(correct('La facture de hydro-quebec.'), 'La facture de Hydro-Québec.', 'Accent rétabli');
+assertEquals(correct('Chez Radio-Canada.'), 'Chez Radio-Canada.', 'Terme déjà correct inchangé');
+assertEquals(applyGlossary('Chez Radio-Canada.', GLOSSARY).changes.length, 0, 'Aucune modification consignée');
+assertEquals(correct('Il parle de stay lee.'), 'Il parle de Staily.', 'Orthographe fautive connue (alias)');
+console.log('');
+
+// Test 3: Correction approximative
+console.log(`${BLUE}Test 3: Correction approximative${RESET}`);
+assertEquals(correct('Ma caisse desjardin.'), 'Ma caisse Desjardins.', 'Faute de frappe corrigée');
+assertEquals(correct('Sur ohdios.'), 'Sur ohdios.', 'Terme sans correction approximative (fuzzy: false)');
+assertEquals(correct('Dans des jardins fleuris.'), 'Dans des jardins fleuris.', 'Mots courants non soudés à un terme');
+assertEquals(correct('Le gaz et hydroquébec.'), 'Le gaz et Hydro-Québec.', 'Mots soudés corrigés sans absorber le mot voisin');
+assertEquals(correct('Sur tva et tvb.'), 'Sur TVA et tvb.', 'Aucune faute tolérée pour un terme court');
+console.log('');
+
+// Test 4: Segments
+console.log(`${BLUE}Test 4: Segments${RESET}`);
+const segments = [
+  {
+    start: 0,
+    end: 2,
+    text: 'Bonjour radio canada',
+    words: [
+      { word: 'Bonjour', start: 0, end: 0.5 },
+      { word: 'radio', start: 0.6, end: 1.2 },
+      { word: 'canada', start: 1.2, end: 2 }
+    ]
+  },
+  { start: 2, end: 3, text: 'Rien à corriger' },
+  { start: 3, end: 4, text: 'desjardin et radio canada' }
+];
+const result = applyGlossaryToSegments(segments, GLOSSARY);
+assertEquals(result.segments[0].text, 'Bonjour Radio-Canada', 'Texte du segment corrigé');
+assertEquals(result.segments[0].words.length, 2, 'Mots réalignés sur le texte corrigé');
+assertEquals(result.segments[0].words[1].word, 'Radio-Canada', 'Mot corrigé dans les timestamps');
+assertEquals(result.segments[0].words[1].start, 0.6, 'Début du mot corrigé conservé');
+assert(result.segments[1] === segments[1], 'Segment inchangé conservé tel quel');
+assertEquals(segments[0].text, 'Bonjour radio canada', 'Segments d\'origine non modifiés');
+assertEquals(result.statistics.segmentsModified, 2, 'Segments modifiés comptés');
+assertEquals(result.statistics.changes, 3, 'Modifications comptées');
+assertEquals(result.statistics.byTerm['Radio-Canada'], 2, 'Modifications par terme');
+assertEquals(result.changes[1].segment, 2, 'Segment de chaque modification consigné');
+assertEquals(applyGlossaryToSegments([{ text: 'radio canada' }], null).statistics.changes, 0, 'Sans glossaire, aucune modification');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
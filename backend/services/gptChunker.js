@@ -0,0 +1,233 @@
+/**
+ * Découpage des longues transcriptions pour GPT
+ * Découpe les segments en fenêtres qui se chevauchent, les traite avec une
+ * concurrence bornée et recompose le résultat par index de segment
+ */
+
+const { formatTimestamp, parseTimestamp } = require('./subtitleTime');
+
+/**
+ * Paramètres par défaut du découpage
+ */
+const DEFAULT_CHUNK_OPTIONS = {
+  maxSegments: 80,   // Segments propres à une fenêtre
+  maxChars: 8000,    // Caractères de texte propres à une fenêtre
+  overlap: 3,        // Segments de contexte ajoutés de chaque côté
+  concurrency: 3     // Requêtes GPT simultanées
+};
+
+/**
+ * Découpe les segments en fenêtres
+ * Chaque fenêtre possède les segments [ownStart, ownEnd[ et reçoit en plus
+ * `overlap` segments de contexte avant et après, ignorés à la fusion
+ * @param {Array<Object>} segments - Segments {start, end, text}
+ * @param {Object} options - Voir DEFAULT_CHUNK_OPTIONS
+ * @returns {Array<Object>} Fenêtres {index, from, to, ownStart, ownEnd}
+ */
+function buildChunks(segments, options = {}) {
+  const { maxSegments, maxChars, overlap } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  const chunks = [];
+  let ownStart = 0;
+
+  while (ownStart < segments.length) {
+    let ownEnd = ownStart;
+    let chars = 0;
+
+    // Au moins un segment par fenêtre, même s'il dépasse maxChars
+    while (ownEnd < segments.length && ownEnd - ownStart < maxSegments) {
+      const length = String(segments[ownEnd].text || '').length;
+      if (ownEnd > ownStart && chars + length > maxChars) {
+        break;
+      }
+      chars += length;
+      ownEnd++;
+    }
+
+    chunks.push({
+      index: chunks.length,
+      from: Math.max(0, ownStart - overlap),
+      to: Math.min(segments.length, ownEnd + overlap),
+      ownStart,
+      ownEnd
+    });
+    ownStart = ownEnd;
+  }
+
+  return chunks;
+}
+
+/**
+ * Exécute une tâche asynchrone sur chaque élément avec une concurrence bornée
+ * @param {Array} items - Éléments à traiter
+ * @param {number} limit - Nombre maximal de tâches simultanées
+ * @param {Function} worker - async (item, index) => résultat
+ * @returns {Promise<Array>} Résultats dans l'ordre des éléments
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < items.length) {
+      const current = next++;
+      results[current] = await worker(items[current], current);
+    }
+  };
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane);
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Rattache les segments renvoyés par GPT aux index de la fenêtre
+ * Si les identifiants ne correspondent pas (renumérotés à partir de 0, doublons)
+ * mais que le nombre de segments est exact, la position fait foi
+ * @param {Object} chunk - Fenêtre (voir buildChunks)
+ * @param {Array<Object>} returned - Segments renvoyés {id, ...}
+ * @returns {Object} {byIndex: Map<index, segment>, renumbered}
+ */
+function mapChunkSegments(chunk, returned) {
+  const byIndex = new Map();
+  const list = Array.isArray(returned) ? returned : [];
+
+  list.forEach(seg => {
+    const id = Number(seg?.id);
+    if (Number.isInteger(id) && id >= chunk.from && id < chunk.to && !byIndex.has(id)) {
+      byIndex.set(id, seg);
+    }
+  });
+
+  const size = chunk.to - chunk.from;
+  if (byIndex.size < list.length && list.length === size) {
+    const byPosition = new Map(list.map((seg, i) => [chunk.from + i, seg]));
+    return { byIndex: byPosition, renumbered: true };
+  }
+
+  return { byIndex, renumbered: false };
+}
+
+/**
+ * Fusionne les segments corrigés de chaque fenêtre par index de segment
+ * Les segments absents de la réponse sont repris du texte original
+ * @param {Array<Object>} segments - Segments sources
+ * @param {Array<Object>} chunks - Fenêtres (voir buildChunks)
+ * @param {Array<Array<Object>>} chunkResults - Segments renvoyés pour chaque fenêtre
+ * @returns {Object} {segments, restored: [index], renumberedChunks}
+ */
+function mergeChunkSegments(segments, chunks, chunkResults) {
+  const merged = [];
+  const restored = [];
+  let renumberedChunks = 0;
+
+  chunks.forEach((chunk, i) => {
+    const { byIndex, renumbered } = mapChunkSegments(chunk, chunkResults[i]);
+    if (renumbered) {
+      renumberedChunks++;
+    }
+
+    for (let index = chunk.ownStart; index < chunk.ownEnd; index++) {
+      const source = segments[index];
+      const corrected = byIndex.get(index);
+
+      if (corrected && typeof corrected.correctedText === 'string') {
+        // Les temps et le texte d'origine viennent toujours de la source
+        merged.push({
+          ...corrected,
+          changes: Array.isArray(corrected.changes) ? corrected.changes : [],
+          id: index,
+          start: source.start,
+          end: source.end,
+          originalText: source.text
+        });
+      } else {
+        restored.push(index);
+        merged.push({
+          id: index,
+          start: source.start,
+          end: source.end,
+          originalText: source.text,
+          correctedText: source.text,
+          changes: [],
+          restored: true
+        });
+      }
+    }
+  });
+
+  return { segments: merged, restored, renumberedChunks };
+}
+
+/**
+ * Fusionne les sous-titres SRT re-découpés de chaque fenêtre
+ * Une fenêtre garde les sous-titres qui commencent dans sa plage propre ; les
+ * segments propres qu'aucun sous-titre ne couvre sont repris du texte original
+ * @param {Array<Object>} segments - Segments sources {start, end, text}
+ * @param {Array<Object>} chunks - Fenêtres (voir buildChunks)
+ * @param {Array<Array<Object>>} chunkResults - Sous-titres {start, end, text} (temps SRT) de chaque fenêtre
+ * @returns {Object} {srt, restored: [index]}
+ */
+function mergeChunkSubtitles(segments, chunks, chunkResults) {
+  const entries = [];
+  const restored = [];
+
+  chunks.forEach((chunk, i) => {
+    const rangeStart = chunk.ownStart === 0 ? -Infinity : segments[chunk.ownStart].start;
+    const rangeEnd = chunk.ownEnd === segments.length ? Infinity : segments[chunk.ownEnd].start;
+
+    const kept = (Array.isArray(chunkResults[i]) ? chunkResults[i] : [])
+      .map(entry => ({ ...entry, startSeconds: parseTimestamp(entry.start), endSeconds: parseTimestamp(entry.end) }))
+      .filter(entry => Number.isFinite(entry.startSeconds) && Number.isFinite(entry.endSeconds))
+      .filter(entry => entry.startSeconds >= rangeStart && entry.startSeconds < rangeEnd);
+
+    for (let index = chunk.ownStart; index < chunk.ownEnd; index++) {
+      const source = segments[index];
+      const covered = kept.some(entry => entry.startSeconds < source.end && entry.endSeconds > source.start);
+      if (!covered) {
+        restored.push(index);
+        kept.push({
+          start: formatTimestamp(source.start),
+          end: formatTimestamp(source.end),
+          text: source.text,
+          startSeconds: source.start,
+          endSeconds: source.end,
+          restored: true
+        });
+      }
+    }
+
+    entries.push(...kept);
+  });
+
+  const srt = entries
+    .sort((a, b) => a.startSeconds - b.startSeconds)
+    .map(({ startSeconds, endSeconds, ...entry }, i) => ({ ...entry, index: i + 1 }));
+
+  return { srt, restored };
+}
+
+/**
+ * Additionne les statistiques numériques renvoyées par chaque fenêtre
+ * @param {Array<Object>} statistics - Statistiques de chaque fenêtre
+ * @returns {Object} Statistiques cumulées
+ */
+function aggregateStatistics(statistics) {
+  return statistics.reduce((total, stats) => {
+    Object.entries(stats || {}).forEach(([key, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        total[key] = (total[key] || 0) + value;
+      }
+    });
+    return total;
+  }, {});
+}
+
+module.exports = {
+  DEFAULT_CHUNK_OPTIONS,
+  buildChunks,
+  runWithConcurrency,
+  mapChunkSegments,
+  mergeChunkSegments,
+  mergeChunkSubtitles,
+  aggregateStatistics
+};
@@ -0,0 +1,146 @@
+/**
+ * Tests unitaires pour le service gptChunker
+ *
+ * Pour exécuter : node backend/services/gptChunker.test.js
+ */
+
+const {
+  buildChunks,
+  runWithConcurrency,
+  mergeChunkSegments,
+  mergeChunkSubtitles,
+  aggregateStatistics
+} = require('./gptChunker');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// 10 segments de 2 secondes
+const segments = Array.from({ length: 10 }, (_, i) => ({
+  start: i * 2,
+  end: i * 2 + 1.5,
+  text: `euh segment ${i}`
+}));
+
+// Correction simulée d'une fenêtre : retire les hésitations
+const correct = (chunk) => segments.slice(chunk.from, chunk.to).map((seg, offset) => ({
+  id: chunk.from + offset,
+  start: 0,
+  end: 0,
+  originalText: seg.text,
+  correctedText: seg.text.replace('euh ', ''),
+  changes: ['hésitation']
+}));
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service gptChunker ===${RESET}\n`);
+
+  // Test 1: Fenêtres
+  console.log(`${BLUE}Test 1: Fenêtres${RESET}`);
+  const chunks = buildChunks(segments, { maxSegments: 4, overlap: 1 });
+  assertEquals(chunks.length, 3, 'Découpe en 3 fenêtres de 4 segments maximum');
+  assertEquals(`${chunks[1].from}-${chunks[1].ownStart}-${chunks[1].ownEnd}-${chunks[1].to}`, '3-4-8-9', 'Contexte de chevauchement de chaque côté');
+  assertEquals(chunks[2].to, 10, 'Dernière fenêtre bornée à la fin');
+  assertEquals(buildChunks(segments, { maxChars: 30, overlap: 0 })[0].ownEnd, 2, 'Limite de caractères respectée');
+  assertEquals(buildChunks([{ text: 'x'.repeat(100) }], { maxChars: 10 }).length, 1, 'Un segment trop long forme sa propre fenêtre');
+  console.log('');
+
+  // Test 2: Concurrence bornée
+  console.log(`${BLUE}Test 2: Concurrence bornée${RESET}`);
+  let running = 0;
+  let peak = 0;
+  const order = await runWithConcurrency([30, 10, 20, 5], 2, async (delay, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return i;
+  });
+  assertEquals(peak, 2, 'Jamais plus de 2 tâches simultanées');
+  assertEquals(order.join(','), '0,1,2,3', 'Résultats dans l\'ordre des éléments');
+  console.log('');
+
+  // Test 3: Fusion par index
+  console.log(`${BLUE}Test 3: Fusion par index${RESET}`);
+  const results = chunks.map(correct);
+  const merged = mergeChunkSegments(segments, chunks, results);
+  assertEquals(merged.segments.length, 10, 'Chaque segment apparaît une seule fois');
+  assertEquals(merged.segments.map(seg => seg.id).join(','), '0,1,2,3,4,5,6,7,8,9', 'Ordre des segments conservé');
+  assertEquals(merged.segments[4].start, 8, 'Temps repris de la source');
+  assertEquals(merged.segments[4].correctedText, 'segment 4', 'Texte corrigé conservé');
+
+  const dropped = results.map(list => list.filter(seg => seg.id !== 5));
+  const withDropped = mergeChunkSegments(segments, chunks, dropped);
+  assertEquals(withDropped.restored.join(','), '5', 'Segment omis détecté');
+  assertEquals(withDropped.segments[5].correctedText, 'euh segment 5', 'Segment omis repris du texte original');
+
+  const renumbered = results.map(list => list.map((seg, i) => ({ ...seg, id: i })));
+  const withRenumbered = mergeChunkSegments(segments, chunks, renumbered);
+  assertEquals(withRenumbered.renumberedChunks, 2, 'Fenêtres renumérotées détectées');
+  assertEquals(withRenumbered.segments[6].correctedText, 'segment 6', 'Renumérotation rattachée par position');
+  console.log('');
+
+  // Test 4: Fusion des sous-titres
+  console.log(`${BLUE}Test 4: Fusion des sous-titres${RESET}`);
+  const twoChunks = buildChunks(segments, { maxSegments: 5, overlap: 1 });
+  const srtResults = [
+    [{ index: 1, start: '00:00:00,000', end: '00:00:05,500', text: 'A' }, { index: 2, start: '00:00:06,000', end: '00:00:09,500', text: 'B' }, { index: 3, start: '00:00:10,000', end: '00:00:11,500', text: 'doublon' }],
+    [{ index: 1, start: '00:00:08,000', end: '00:00:09,500', text: 'doublon' }, { index: 2, start: '00:00:10,000', end: '00:00:15,500', text: 'C' }]
+  ];
+  const { srt, restored } = mergeChunkSubtitles(segments, twoChunks, srtResults);
+  assertEquals(srt.filter(entry => entry.text === 'doublon').length, 0, 'Chevauchement dédoublonné selon la plage de chaque fenêtre');
+  assertEquals(restored.join(','), '8,9', 'Segments non couverts détectés');
+  assertEquals(srt.map(entry => entry.index).join(','), '1,2,3,4,5', 'Sous-titres renumérotés');
+  assertEquals(srt[4].start, '00:00:18,000', 'Segment repris avec ses temps SRT');
+  console.log('');
+
+  // Test 5: Statistiques
+  console.log(`${BLUE}Test 5: Statistiques${RESET}`);
+  const stats = aggregateStatistics([{ hesitationsRemoved: 3, grammarFixed: 1 }, { hesitationsRemoved: 2, note: 'x' }, null]);
+  assertEquals(stats.hesitationsRemoved, 5, 'Statistiques additionnées');
+  assertEquals(stats.note, undefined, 'Valeurs non numériques ignorées');
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run();
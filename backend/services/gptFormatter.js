@@ -1,21 +1,46 @@
 /**
- * Service de formatage de transcription via GPT-4o-mini
+ * Service de formatage de transcription via LLM (GPT-4o-mini par défaut)
  * Prend des segments nettoyés et retourne un SRT structuré + résumé
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { withSpeakerDashes } = require('./speakerLabels');
+const {
+  DEFAULT_CHUNK_OPTIONS,
+  buildChunks,
+  runWithConcurrency,
+  mergeChunkSubtitles
+} = require('./gptChunker');
+const { createLLMClient } = require('./llmClient');
+const {
+  DEFAULT_MAX_RETRIES,
+  validateFormattingResponse,
+  requestValidatedJSON,
+  repairSubtitleEntries
+} = require('./llmResponseValidator');
+
+const PROMPT_PATH = path.join(__dirname, '../prompts/transcription-prompt.json');
 
 /**
  * Charge le template de prompt
  * @returns {Object} {system, user}
  */
 function loadPromptTemplate() {
-  const promptPath = path.join(__dirname, '../prompts/transcription-prompt.json');
-  const promptData = fs.readFileSync(promptPath, 'utf8');
+  const promptData = fs.readFileSync(PROMPT_PATH, 'utf8');
   return JSON.parse(promptData);
 }
 
+/**
+ * Version du template de prompt : empreinte de son contenu
+ * Toute modification du prompt change la version (et invalide les résultats en cache)
+ * @returns {string} 12 caractères hexadécimaux
+ */
+function getPromptVersion() {
+  return crypto.createHash('sha256').update(fs.readFileSync(PROMPT_PATH)).digest('hex').substring(0, 12);
+}
+
 /**
  * Convertit les secondes en format SRT (HH:MM:SS,mmm)
  * @param {number} seconds - Temps en secondes
@@ -39,62 +64,109 @@ function formatSegmentsForPrompt(segments) {
   return JSON.stringify(segments.map(s => ({
     start: s.start,
     end: s.end,
+    ...(s.speaker ? { speaker: s.speaker } : {}),
     text: s.text
   })), null, 2);
 }
 
 /**
- * Appelle l'API OpenAI GPT-4o-mini
- * @param {Array<Object>} segments - Segments de transcription nettoyés
- * @param {string} apiKey - Clé API OpenAI
- * @returns {Promise<Object>} {srt, summary}
+ * Appelle le LLM pour une fenêtre de segments
+ * La réponse est validée contre le schéma et relancée avec un message correctif si besoin
+ * @param {Array<Object>} segments - Segments de la fenêtre
+ * @param {Object} llm - Client LLM (voir llmClient.createLLMClient)
+ * @param {number} maxRetries - Relances après une réponse invalide
+ * @returns {Promise<Object>} {srt, summary, valid, attempts, failures, repairs}
  */
-async function formatWithGPT(segments, apiKey) {
+async function requestFormatting(segments, llm, maxRetries) {
   const prompt = loadPromptTemplate();
   const segmentsText = formatSegmentsForPrompt(segments);
   const userPrompt = prompt.user.replace('{{SEGMENTS}}', segmentsText);
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: prompt.system },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.3,
-      response_format: { type: 'json_object' }
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+  const { response, valid, attempts, failures } = await requestValidatedJSON(llm, [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: userPrompt }
+  ], validateFormattingResponse, { temperature: 0.3, maxRetries });
+
+  // Après les relances, les sous-titres inutilisables sont écartés ou normalisés
+  const { srt, repairs } = repairSubtitleEntries(response?.srt);
+
+  return {
+    srt,
+    summary: typeof response?.summary === 'string' ? response.summary : '',
+    valid,
+    attempts,
+    failures,
+    repairs
+  };
+}
+
+/**
+ * Formate les segments en sous-titres avec le LLM configuré
+ * Les longues transcriptions sont formatées par fenêtres qui se chevauchent,
+ * puis les sous-titres sont recomposés selon leurs temps
+ * @param {Array<Object>} segments - Segments de transcription nettoyés
+ * @param {Object|string} llmOptions - Fournisseur LLM {provider, baseUrl, model, apiKey}, ou clé API OpenAI
+ * @param {Object} chunking - Découpage (voir gptChunker.DEFAULT_CHUNK_OPTIONS)
+ * @param {number} maxRetries - Relances après une réponse invalide (défaut: 2)
+ * @returns {Promise<Object>} {srt, summary, chunks, restoredSegments, validation}
+ */
+async function formatWithGPT(segments, llmOptions = {}, chunking = {}, maxRetries = DEFAULT_MAX_RETRIES) {
+  const llm = createLLMClient(typeof llmOptions === 'string' ? { apiKey: llmOptions } : llmOptions);
+  const chunkOptions = { ...DEFAULT_CHUNK_OPTIONS, ...chunking };
+  const chunks = buildChunks(segments, chunkOptions);
+
+  if (chunks.length > 1) {
+    console.log(`🧩 Formatage ${llm.config.model} en ${chunks.length} parties (concurrence: ${chunkOptions.concurrency})`);
   }
 
-  const data = await response.json();
-  const content = data.choices[0].message.content;
-  
-  return JSON.parse(content);
+  const results = await runWithConcurrency(chunks, chunkOptions.concurrency, chunk =>
+    requestFormatting(segments.slice(chunk.from, chunk.to), llm, maxRetries)
+  );
+
+  const { srt, restored } = mergeChunkSubtitles(segments, chunks, results.map(result => result.srt));
+  if (restored.length > 0) {
+    console.log(`⚠️  ${restored.length} segment(s) absent(s) du SRT GPT, texte original conservé`);
+  }
+
+  return {
+    srt,
+    summary: results.map(result => result.summary).filter(Boolean).join(' '),
+    chunks: chunks.length,
+    restoredSegments: restored.length,
+    validation: {
+      valid: results.every(result => result.valid),
+      attempts: results.reduce((total, result) => total + result.attempts, 0),
+      retries: results.reduce((total, result) => total + result.attempts - 1, 0),
+      invalidResponses: results.flatMap((result, i) =>
+        result.failures.map(failure => ({ chunk: i, attempt: failure.attempt, errors: failure.errors }))
+      ),
+      repairs: [
+        ...results.flatMap((result, i) => result.repairs.map(repair => ({ ...repair, chunk: i }))),
+        ...restored.map(index => ({
+          type: 'restored-segment',
+          index,
+          message: `Segment [${index}] absent du SRT, texte original conservé`
+        }))
+      ]
+    }
+  };
 }
 
 /**
  * Convertit le format JSON en fichier SRT
- * @param {Array<Object>} srtData - Données SRT [{index, start, end, text}]
+ * Si les entrées portent un locuteur (speaker), chaque prise de parole commence par un tiret
+ * @param {Array<Object>} srtData - Données SRT [{index, start, end, text, speaker?}]
  * @returns {string} Contenu du fichier SRT
  */
 function generateSRTFile(srtData) {
-  return srtData.map(entry => {
+  return withSpeakerDashes(srtData).map(entry => {
     return `${entry.index}\n${entry.start} --> ${entry.end}\n${entry.text}\n`;
   }).join('\n');
 }
 
 module.exports = {
   loadPromptTemplate,
+  getPromptVersion,
   secondsToSRT,
   formatSegmentsForPrompt,
   formatWithGPT,
@@ -0,0 +1,422 @@
+/**
+ * File d'attente de jobs asynchrones avec stockage persistant
+ * Chaque job est sauvegardé dans jobs/<id>.json pour survivre à un redémarrage du serveur
+ * Pendant la transcription, les segments déjà décodés sont conservés dans job.checkpoint
+ * (transcription partielle consultable avant la fin, et après un échec)
+ * Le résultat final est écrit à part dans jobs/<id>.result.json : la liste des jobs
+ * et les mises à jour de progression ne relisent pas la transcription complète
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createPipelineEmitter } = require('./pipelineEvents');
+
+// Dossier de stockage des jobs (JOBS_DIR : autre dossier, ex. dossier temporaire des tests)
+const JOBS_DIR = process.env.JOBS_DIR ? path.resolve(process.env.JOBS_DIR) : path.join(__dirname, '../jobs');
+
+// Nombre de jobs traités en parallèle (la transcription est très gourmande en CPU)
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+
+/**
+ * Statuts possibles d'un job
+ */
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Handlers enregistrés par type de job
+const handlers = new Map();
+
+// Identifiants des jobs en attente d'exécution (ordre FIFO)
+const pendingQueue = [];
+
+// Nombre de jobs en cours d'exécution
+let runningCount = 0;
+
+// Diffusion en mémoire des événements de jobs (abonnés SSE)
+const jobBus = new EventEmitter();
+jobBus.setMaxListeners(0);
+
+/**
+ * Initialise le dossier des jobs s'il n'existe pas
+ */
+function initJobsDir() {
+  if (!fs.existsSync(JOBS_DIR)) {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    console.log('📁 Dossier jobs/ créé');
+  }
+}
+
+/**
+ * Chemin du fichier JSON d'un job
+ * @param {string} id - Identifiant du job
+ * @returns {string} Chemin du fichier
+ */
+function jobPath(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+/**
+ * Chemin du fichier JSON du résultat d'un job
+ * @param {string} id - Identifiant du job
+ * @returns {string} Chemin du fichier
+ */
+function resultPath(id) {
+  return path.join(JOBS_DIR, `${id}.result.json`);
+}
+
+/**
+ * Écrit un fichier JSON (écriture atomique via fichier temporaire)
+ * @param {string} target - Chemin du fichier
+ * @param {*} data - Données à écrire
+ */
+function writeJSONAtomic(target, data) {
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, target);
+}
+
+/**
+ * Sauvegarde un job sur disque, sans son résultat
+ * Le résultat n'est écrit (dans jobs/<id>.result.json) que s'il est présent sur l'objet
+ * @param {Object} job - Job à sauvegarder
+ */
+function persistJob(job) {
+  initJobsDir();
+  const { result, ...record } = job;
+  if (result != null) {
+    writeJSONAtomic(resultPath(job.id), result);
+  }
+  writeJSONAtomic(jobPath(job.id), record);
+}
+
+/**
+ * Lit le fichier d'un job, sans son résultat
+ * @param {string} id - Identifiant du job
+ * @returns {Object|null} Le job (result: null) ou null si introuvable
+ */
+function readJobRecord(id) {
+  // Empêche de sortir du dossier jobs/ avec un identifiant forgé
+  if (!/^[a-f0-9-]+$/i.test(id)) {
+    return null;
+  }
+
+  const file = jobPath(id);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    // Les jobs enregistrés avant la séparation du résultat le contiennent encore
+    const { result, ...record } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...record, result: null };
+  } catch (error) {
+    console.error(`❌ Erreur lecture job ${id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Lit le résultat d'un job
+ * @param {string} id - Identifiant du job
+ * @returns {Object|null} Résultat ou null s'il n'est pas encore disponible
+ */
+function readJobResult(id) {
+  const file = resultPath(id);
+  if (fs.existsSync(file)) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Erreur lecture résultat du job ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Job enregistré avant la séparation du résultat
+  try {
+    return JSON.parse(fs.readFileSync(jobPath(id), 'utf8')).result || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identifiants des jobs enregistrés
+ * @returns {Array<string>}
+ */
+function listJobIds() {
+  initJobsDir();
+
+  return fs.readdirSync(JOBS_DIR)
+    .filter(f => f.endsWith('.json') && !f.endsWith('.result.json'))
+    .map(f => f.replace('.json', ''));
+}
+
+/**
+ * Enregistre la fonction qui exécute un type de job
+ * @param {string} type - Type de job (ex: 'transcribe-robust')
+ * @param {Function} handler - async (job, events) => résultat, events étant un PipelineEventEmitter
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Crée un job et le place dans la file d'attente
+ * @param {string} type - Type de job (doit avoir un handler enregistré)
+ * @param {Object} params - Paramètres transmis au handler
+ * @returns {Object} Le job créé
+ */
+function createJob(type, params = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Aucun handler enregistré pour le type de job "${type}"`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: JOB_STATUS.QUEUED,
+    stage: 'queued',
+    progress: 0,
+    message: 'En attente de traitement',
+    params,
+    history: [{ type: 'stage', stage: 'queued', progress: 0, message: 'En attente de traitement', at: now }],
+    result: null,
+    checkpoint: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  persistJob(job);
+  pendingQueue.push(job.id);
+  console.log(`📥 Job créé: ${job.id} (${type})`);
+
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * Charge un job depuis le disque, avec son résultat
+ * @param {string} id - Identifiant du job
+ * @returns {Object|null} Le job ou null si introuvable
+ */
+function getJob(id) {
+  const job = readJobRecord(id);
+  if (!job) {
+    return null;
+  }
+
+  job.result = readJobResult(id);
+  return job;
+}
+
+/**
+ * Met à jour un job et le sauvegarde
+ * Le résultat n'est ni relu ni réécrit, sauf s'il fait partie des champs modifiés
+ * @param {string} id - Identifiant du job
+ * @param {Object} patch - Champs à modifier
+ * @returns {Object|null} Le job mis à jour (result: null si le résultat n'est pas modifié)
+ */
+function updateJob(id, patch) {
+  const job = readJobRecord(id);
+  if (!job) {
+    return null;
+  }
+
+  Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+  persistJob(job);
+  return job;
+}
+
+/**
+ * Liste tous les jobs (du plus récent au plus ancien), sans les résultats
+ * @returns {Array<Object>} Résumés des jobs
+ */
+function listJobs() {
+  return listJobIds()
+    .map(readJobRecord)
+    .filter(Boolean)
+    .map(({ result, history, checkpoint, ...summary }) => summary)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Point de reprise mis à jour par une transcription partielle
+ * Les segments s'ajoutent à ceux de la même tentative ; une nouvelle tentative,
+ * ou la reprise d'un job interrompu, repart de zéro
+ * @param {Object|null} checkpoint - Point de reprise actuel du job
+ * @param {Object} event - Événement partial-transcript
+ * @returns {Object} {attempt, strategy, modelSize, segmentCount, processedSeconds, duration, segments, updatedAt}
+ */
+function mergeCheckpoint(checkpoint, event) {
+  const { segments = [], ...summary } = event.data;
+  const previous = checkpoint && !checkpoint.interrupted && checkpoint.attempt === summary.attempt
+    ? checkpoint.segments
+    : [];
+  return { ...summary, segments: [...previous, ...segments], updatedAt: event.at };
+}
+
+/**
+ * Enregistre un événement dans l'historique d'un job et le diffuse aux abonnés
+ * Les segments des transcriptions partielles vont dans job.checkpoint, pas dans l'historique
+ * @param {string} id - Identifiant du job
+ * @param {Object} event - Événement structuré ({type, stage, progress, message, data, at})
+ */
+function recordJobEvent(id, event) {
+  const job = readJobRecord(id);
+  if (!job) return;
+
+  const patch = { history: [...job.history, event] };
+
+  if (event.type === 'partial-transcript') {
+    const { segments, ...summary } = event.data;
+    patch.checkpoint = mergeCheckpoint(job.checkpoint, event);
+    patch.history = [...job.history, { ...event, data: summary }];
+  }
+
+  if (event.stage) {
+    patch.stage = event.stage;
+  }
+  if (event.message) {
+    patch.message = event.message;
+  }
+  if (typeof event.progress === 'number') {
+    // La progression ne recule jamais (ex: nouvelle tentative de fallback)
+    patch.progress = Math.max(job.progress, Math.min(100, Math.round(event.progress)));
+  }
+
+  const updated = updateJob(id, patch);
+  jobBus.emit(id, { ...event, index: updated.history.length - 1, status: updated.status, progress: updated.progress });
+}
+
+/**
+ * S'abonne aux événements d'un job
+ * @param {string} id - Identifiant du job
+ * @param {Function} listener - (event) => void, appelé pour chaque nouvel événement
+ * @returns {Function} Fonction de désabonnement
+ */
+function subscribeToJob(id, listener) {
+  jobBus.on(id, listener);
+  return () => jobBus.off(id, listener);
+}
+
+/**
+ * Exécute un job avec son handler
+ * @param {string} id - Identifiant du job
+ */
+async function runJob(id) {
+  const job = readJobRecord(id);
+  if (!job) return;
+
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    updateJob(id, {
+      status: JOB_STATUS.FAILED,
+      error: `Aucun handler pour le type "${job.type}"`,
+      finishedAt: new Date().toISOString()
+    });
+    return;
+  }
+
+  updateJob(id, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+  console.log(`▶️  Job démarré: ${id} (${job.type})`);
+
+  const events = createPipelineEmitter();
+  events.on('event', event => recordJobEvent(id, event));
+
+  try {
+    const result = await handler(job, events);
+
+    // Le résultat complet remplace la transcription partielle
+    updateJob(id, {
+      status: JOB_STATUS.COMPLETED,
+      result,
+      checkpoint: null,
+      finishedAt: new Date().toISOString()
+    });
+    recordJobEvent(id, { type: 'completed', stage: 'done', progress: 100, message: 'Traitement terminé', at: new Date().toISOString() });
+    console.log(`✅ Job terminé: ${id}`);
+  } catch (error) {
+    console.error(`❌ Job échoué: ${id} - ${error.message}`);
+    updateJob(id, {
+      status: JOB_STATUS.FAILED,
+      error: error.message,
+      errorDetails: error.details || null,
+      finishedAt: new Date().toISOString()
+    });
+    recordJobEvent(id, { type: 'failed', stage: 'failed', message: error.userMessage || error.message, at: new Date().toISOString() });
+  } finally {
+    events.removeAllListeners();
+  }
+}
+
+/**
+ * Démarre les jobs en attente dans la limite de concurrence
+ */
+function processQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingQueue.length > 0) {
+    const id = pendingQueue.shift();
+    runningCount++;
+
+    runJob(id).finally(() => {
+      runningCount--;
+      setImmediate(processQueue);
+    });
+  }
+}
+
+/**
+ * Remet en file les jobs interrompus (redémarrage du serveur)
+ * Les jobs "queued" ou "running" au moment de l'arrêt sont relancés depuis le début
+ * (le point de reprise reste consultable, marqué "interrupted")
+ * @returns {number} Nombre de jobs relancés
+ */
+function restoreJobs() {
+  const interrupted = listJobIds()
+    .map(readJobRecord)
+    .filter(job => job && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  interrupted.forEach(job => {
+    const now = new Date().toISOString();
+    updateJob(job.id, {
+      status: JOB_STATUS.QUEUED,
+      stage: 'queued',
+      progress: 0,
+      message: 'Relancé après redémarrage du serveur',
+      // Transcription partielle gardée consultable jusqu'au premier point de reprise du nouveau passage
+      checkpoint: job.checkpoint ? { ...job.checkpoint, interrupted: true } : null,
+      history: [...job.history, { type: 'stage', stage: 'queued', progress: 0, message: 'Relancé après redémarrage du serveur', at: now }]
+    });
+    pendingQueue.push(job.id);
+  });
+
+  if (interrupted.length > 0) {
+    console.log(`🔁 ${interrupted.length} job(s) interrompu(s) remis en file`);
+    setImmediate(processQueue);
+  }
+
+  return interrupted.length;
+}
+
+module.exports = {
+  registerJobHandler,
+  createJob,
+  getJob,
+  updateJob,
+  listJobs,
+  restoreJobs,
+  subscribeToJob,
+  mergeCheckpoint,
+  JOB_STATUS,
+  JOBS_DIR
+};
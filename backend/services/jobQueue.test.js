@@ -0,0 +1,224 @@
+/**
+ * Tests unitaires pour la file d'attente de jobs
+ *
+ * Pour exécuter : node backend/services/jobQueue.test.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Dossier de jobs temporaire : les jobs du serveur (jobs/) ne sont ni relancés ni modifiés
+process.env.JOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'staily-jobs-'));
+
+const {
+  registerJobHandler,
+  createJob,
+  getJob,
+  listJobs,
+  restoreJobs,
+  subscribeToJob,
+  mergeCheckpoint,
+  JOB_STATUS,
+  JOBS_DIR
+} = require('./jobQueue');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+const JOB_TYPE = `test-job-${process.pid}`;
+const STRATEGY = { name: 'tiny', modelSize: 'tiny' };
+
+/**
+ * Événement partial-transcript minimal
+ * @param {number} attempt - Numéro de tentative
+ * @param {Array<string>} texts - Textes des nouveaux segments
+ * @returns {Object}
+ */
+function partial(attempt, texts) {
+  return {
+    type: 'partial-transcript',
+    at: new Date().toISOString(),
+    data: { attempt, strategy: 'tiny', modelSize: 'tiny', segmentCount: texts.length, segments: texts.map(text => ({ text })) }
+  };
+}
+
+/**
+ * Attend la fin d'un job (événement completed ou failed)
+ * @param {string} id - Identifiant du job
+ * @returns {Promise<Object>} Le job terminé
+ */
+function waitForJob(id) {
+  return new Promise(resolve => {
+    const unsubscribe = subscribeToJob(id, event => {
+      if (event.type === 'completed' || event.type === 'failed') {
+        unsubscribe();
+        resolve(getJob(id));
+      }
+    });
+  });
+}
+
+/**
+ * Écrit un job tel qu'il était sur disque au moment d'un arrêt du serveur
+ * @param {Object} fields - Champs du job
+ * @returns {string} Identifiant du job
+ */
+function writeInterruptedJob(fields) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  fs.mkdirSync(JOBS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(JOBS_DIR, `${id}.json`), JSON.stringify({
+    id,
+    type: JOB_TYPE,
+    stage: 'transcription',
+    progress: 40,
+    message: 'Transcription',
+    params: {},
+    history: [],
+    result: null,
+    checkpoint: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: now,
+    finishedAt: null,
+    ...fields
+  }));
+  return id;
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests de la file d'attente de jobs ===${RESET}\n`);
+
+  // Progressions et points de reprise observés par le handler après chaque événement
+  const observed = [];
+  const checkpoints = [];
+
+  registerJobHandler(JOB_TYPE, async (job, events) => {
+    events.stage('transcription', 50, 'Tentative 1');
+    observed.push(getJob(job.id).progress);
+    // Nouvelle tentative : l'étape recommence plus bas
+    events.stage('transcription', 30, 'Tentative 2');
+    observed.push(getJob(job.id).progress);
+    events.partialTranscript({ attempt: 1, strategy: STRATEGY, segments: [{ text: 'reprise' }], segmentCount: 1, processedSeconds: 5, progress: 60 });
+    observed.push(getJob(job.id).progress);
+    checkpoints.push(getJob(job.id).checkpoint.segments.map(seg => seg.text).join(','));
+    return { text: 'x'.repeat(1000), params: job.params };
+  });
+
+  try {
+    // Test 1: Point de reprise
+    console.log(`${BLUE}Test 1: Point de reprise${RESET}`);
+    const first = mergeCheckpoint(null, partial(1, ['a', 'b']));
+    assertEquals(first.segments.map(seg => seg.text).join(','), 'a,b', 'Premier point de reprise');
+    assertEquals(first.attempt, 1, 'Tentative consignée');
+    const next = mergeCheckpoint(first, partial(1, ['c']));
+    assertEquals(next.segments.map(seg => seg.text).join(','), 'a,b,c', 'Segments ajoutés pour la même tentative');
+    assertEquals(next.segmentCount, 1, 'Résumé repris du dernier événement');
+    const retry = mergeCheckpoint(next, partial(2, ['z']));
+    assertEquals(retry.segments.map(seg => seg.text).join(','), 'z', 'Nouvelle tentative : repart de zéro');
+    const resumed = mergeCheckpoint({ ...next, interrupted: true }, partial(1, ['d']));
+    assertEquals(resumed.segments.map(seg => seg.text).join(','), 'd', 'Job interrompu : repart de zéro même pour la même tentative');
+    assertEquals(resumed.interrupted, undefined, 'Marque "interrupted" retirée');
+    console.log('');
+
+    // Test 2: Progression et résultat
+    console.log(`${BLUE}Test 2: Progression et résultat${RESET}`);
+    const job = createJob(JOB_TYPE, { language: 'fr' });
+    assertEquals(job.status, JOB_STATUS.QUEUED, 'Job créé en attente');
+    const done = await waitForJob(job.id);
+    assertEquals(observed.join(','), '50,50,60', 'La progression ne recule jamais');
+    assertEquals(done.status, JOB_STATUS.COMPLETED, 'Job terminé');
+    assertEquals(done.progress, 100, 'Progression à 100 %');
+    assertEquals(done.checkpoint, null, 'Point de reprise remplacé par le résultat');
+    assertEquals(done.result.params.language, 'fr', 'Résultat relu avec le job');
+    const partialEvent = done.history.find(event => event.type === 'partial-transcript');
+    assert(partialEvent && !partialEvent.data.segments, 'Segments partiels absents de l\'historique');
+    const record = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, `${job.id}.json`), 'utf8'));
+    assert(!('result' in record), 'Résultat absent du fichier du job');
+    const listed = listJobs().filter(summary => summary.id === job.id);
+    assertEquals(listed.length, 1, 'Fichier du résultat non listé comme un job');
+    assert(listed[0] && !('result' in listed[0]) && !('history' in listed[0]), 'Liste sans résultat ni historique');
+    console.log('');
+
+    // Test 3: Reprise après redémarrage
+    console.log(`${BLUE}Test 3: Reprise après redémarrage${RESET}`);
+    checkpoints.length = 0;
+    const runningId = writeInterruptedJob({
+      status: JOB_STATUS.RUNNING,
+      checkpoint: { attempt: 1, strategy: 'tiny', modelSize: 'tiny', segmentCount: 2, segments: [{ text: 'a' }, { text: 'b' }] }
+    });
+    const queuedId = writeInterruptedJob({ status: JOB_STATUS.QUEUED, stage: 'queued', progress: 0 });
+    // Job terminé enregistré avant la séparation du résultat (résultat dans le fichier du job)
+    const finishedId = writeInterruptedJob({ status: JOB_STATUS.COMPLETED, stage: 'done', progress: 100, result: { text: 'ancien' } });
+
+    assertEquals(restoreJobs(), 2, 'Jobs interrompus comptés');
+    const restored = getJob(runningId);
+    assertEquals(restored.status, JOB_STATUS.QUEUED, 'Job en cours remis en file');
+    assertEquals(restored.progress, 0, 'Progression remise à zéro');
+    assertEquals(restored.checkpoint.interrupted, true, 'Point de reprise marqué interrompu');
+    assertEquals(restored.checkpoint.segments.length, 2, 'Transcription partielle toujours consultable');
+    assertEquals(restored.history[restored.history.length - 1].message, 'Relancé après redémarrage du serveur', 'Relance consignée dans l\'historique');
+    assertEquals(getJob(queuedId).status, JOB_STATUS.QUEUED, 'Job en attente remis en file');
+    assertEquals(getJob(finishedId).progress, 100, 'Job terminé laissé tel quel');
+
+    const [rerun] = await Promise.all([waitForJob(runningId), waitForJob(queuedId)]);
+    assertEquals(rerun.status, JOB_STATUS.COMPLETED, 'Job relancé jusqu\'au bout');
+    assertEquals(checkpoints[0], 'reprise', 'Premier point de reprise du nouveau passage : repart de zéro');
+    assertEquals(getJob(queuedId).status, JOB_STATUS.COMPLETED, 'Job en attente exécuté');
+    assertEquals(getJob(finishedId).status, JOB_STATUS.COMPLETED, 'Job terminé non relancé');
+    assertEquals(getJob(finishedId).result.text, 'ancien', 'Résultat d\'un ancien job relu depuis le fichier du job');
+    assert(!('result' in listJobs().find(summary => summary.id === finishedId)), 'Ancien job listé sans résultat');
+  } finally {
+    fs.rmSync(JOBS_DIR, { recursive: true, force: true });
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Client LLM commun (API Chat Completions compatible OpenAI)
+ * Utilisé par le Rules Engine et le formatage GPT. Fonctionne avec OpenAI ou
+ * tout serveur compatible (llama.cpp server, Ollama, vLLM) pour que les
+ * contenus confidentiels restent sur le réseau interne
+ *
+ * Configuration par variables d'environnement, surchargeable par requête :
+ *   LLM_PROVIDER   openai (défaut), ollama, llamacpp, vllm, openai-compatible
+ *   LLM_BASE_URL   URL de base de l'API (ex: http://localhost:11434/v1)
+ *   LLM_MODEL      Nom du modèle (ex: llama3.1:8b)
+ *   LLM_API_KEY    Clé API (défaut: OPENAI_API_KEY pour le fournisseur openai)
+ *   LLM_TIMEOUT_MS Délai maximal d'une requête (défaut: 120000)
+ */
+
+/**
+ * Fournisseurs connus et leurs valeurs par défaut
+ */
+const LLM_PROVIDERS = {
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresApiKey: true },
+  ollama: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1:8b', requiresApiKey: false },
+  llamacpp: { baseUrl: 'http://localhost:8080/v1', model: 'local', requiresApiKey: false },
+  vllm: { baseUrl: 'http://localhost:8000/v1', model: null, requiresApiKey: false },
+  'openai-compatible': { baseUrl: null, model: null, requiresApiKey: false }
+};
+
+// Délai maximal par défaut d'une requête (les modèles locaux peuvent être lents)
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Retire la barre oblique finale d'une URL
+ * @param {string} url - URL de base
+ * @returns {string|null}
+ */
+function normalizeBaseUrl(url) {
+  return url ? String(url).replace(/\/+$/, '') : null;
+}
+
+/**
+ * Garde uniquement les surcharges autorisées depuis une requête HTTP
+ * La clé API n'est jamais acceptée d'un client : elle reste côté serveur
+ * @param {Object} llm - Paramètre "llm" du body {provider, baseUrl, model}
+ * @returns {Object} Surcharges {provider?, baseUrl?, model?}
+ */
+function pickLLMOverrides(llm) {
+  if (!llm || typeof llm !== 'object') {
+    return {};
+  }
+
+  const overrides = {};
+  ['provider', 'baseUrl', 'model'].forEach(key => {
+    if (typeof llm[key] === 'string' && llm[key].trim()) {
+      overrides[key] = llm[key].trim();
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Résout la configuration LLM (surcharges > environnement > fournisseur)
+ * La clé API de l'environnement n'est transmise qu'à l'URL configurée côté
+ * serveur, jamais à une URL fournie par surcharge
+ * @param {Object} overrides - {provider, baseUrl, model, apiKey, timeoutMs}
+ * @returns {Object} {provider, baseUrl, model, apiKey, requiresApiKey, timeoutMs}
+ */
+function resolveLLMConfig(overrides = {}) {
+  const env = process.env;
+  const envProvider = env.LLM_PROVIDER || 'openai';
+  const provider = overrides.provider || envProvider;
+  const defaults = LLM_PROVIDERS[provider] || {};
+
+  // Les variables LLM_* ne s'appliquent qu'au fournisseur configuré par l'environnement
+  const fromEnv = provider === envProvider;
+  const configuredBaseUrl = normalizeBaseUrl((fromEnv && env.LLM_BASE_URL) || defaults.baseUrl);
+  const baseUrl = normalizeBaseUrl(overrides.baseUrl) || configuredBaseUrl;
+
+  const envApiKey = (fromEnv && env.LLM_API_KEY) || (provider === 'openai' ? env.OPENAI_API_KEY : null) || null;
+  const apiKey = overrides.apiKey || (baseUrl === configuredBaseUrl ? envApiKey : null);
+
+  return {
+    provider,
+    baseUrl,
+    model: overrides.model || (fromEnv && env.LLM_MODEL) || defaults.model || null,
+    apiKey,
+    requiresApiKey: Boolean(defaults.requiresApiKey),
+    timeoutMs: Number(overrides.timeoutMs || env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+}
+
+/**
+ * Vérifie qu'une configuration est utilisable
+ * @param {Object} config - Configuration résolue
+ * @returns {string|null} Message d'erreur ou null
+ */
+function getLLMConfigError(config) {
+  if (!LLM_PROVIDERS[config.provider]) {
+    return `Fournisseur LLM inconnu: ${config.provider} (${Object.keys(LLM_PROVIDERS).join(', ')})`;
+  }
+  if (!config.baseUrl) {
+    return `URL de base LLM manquante pour le fournisseur ${config.provider} (LLM_BASE_URL)`;
+  }
+  if (!/^https?:\/\//.test(config.baseUrl)) {
+    return `URL de base LLM invalide: ${config.baseUrl}`;
+  }
+  if (!config.model) {
+    return `Modèle LLM manquant pour le fournisseur ${config.provider} (LLM_MODEL)`;
+  }
+  if (config.requiresApiKey && !config.apiKey) {
+    return `Clé API manquante pour le fournisseur ${config.provider} (LLM_API_KEY ou OPENAI_API_KEY)`;
+  }
+  return null;
+}
+
+/**
+ * Extrait l'objet JSON d'une réponse de modèle
+ * Les modèles locaux entourent parfois le JSON de texte ou de blocs ```json
+ * @param {string} content - Contenu de la réponse
+ * @returns {Object} Objet JSON
+ */
+function parseJSONContent(content) {
+  const text = String(content || '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const first = text.indexOf('{');
+    const last = text.lastIndexOf('}');
+    if (first === -1 || last <= first) {
+      throw new Error(`Réponse LLM non JSON: ${text.substring(0, 80)}`);
+    }
+    return JSON.parse(text.substring(first, last + 1));
+  }
+}
+
+/**
+ * Crée un client LLM
+ * @param {Object} overrides - Surcharges de configuration (voir resolveLLMConfig)
+ * @returns {Object} {config, complete, completeJSON}
+ */
+function createLLMClient(overrides = {}) {
+  const config = resolveLLMConfig(overrides);
+
+  /**
+   * Envoie une conversation et retourne le texte de la réponse
+   * @param {Array<Object>} messages - Messages {role, content}
+   * @param {Object} options - {temperature, json}
+   * @returns {Promise<string>} Contenu de la réponse
+   */
+  async function complete(messages, options = {}) {
+    const { temperature = 0.3, json = false } = options;
+
+    const configError = getLLMConfigError(config);
+    if (configError) {
+      throw new Error(configError);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        temperature,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => null);
+      throw new Error(`${config.provider} API error: ${error?.error?.message || error?.error || response.statusText}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error(`${config.provider} API error: réponse sans contenu`);
+    }
+
+    return content;
+  }
+
+  /**
+   * Envoie une conversation et retourne la réponse JSON
+   * @param {Array<Object>} messages - Messages {role, content}
+   * @param {Object} options - {temperature}
+   * @returns {Promise<Object>} Objet JSON de la réponse
+   */
+  async function completeJSON(messages, options = {}) {
+    const content = await complete(messages, { ...options, json: true });
+    return parseJSONContent(content);
+  }
+
+  return { config, complete, completeJSON };
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  pickLLMOverrides,
+  resolveLLMConfig,
+  getLLMConfigError,
+  parseJSONContent,
+  createLLMClient
+};
@@ -0,0 +1,130 @@
+/**
+ * Tests unitaires pour le service llmClient
+ * Les appels passent par le serveur LLM factice (scripts/llmStubServer.js)
+ *
+ * Pour exécuter : node backend/services/llmClient.test.js
+ */
+
+const {
+  pickLLMOverrides,
+  resolveLLMConfig,
+  getLLMConfigError,
+  parseJSONContent,
+  createLLMClient
+} = require('./llmClient');
+const { applyVerbatimRules } = require('./rulesEngine');
+const { formatWithGPT } = require('./gptFormatter');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// Environnement maîtrisé pour les tests
+['LLM_PROVIDER', 'LLM_BASE_URL', 'LLM_MODEL', 'LLM_API_KEY', 'LLM_TIMEOUT_MS'].forEach(key => delete process.env[key]);
+process.env.OPENAI_API_KEY = 'sk-test';
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service llmClient ===${RESET}\n`);
+
+  // Test 1: Configuration
+  console.log(`${BLUE}Test 1: Configuration${RESET}`);
+  const openai = resolveLLMConfig();
+  assertEquals(`${openai.provider} ${openai.baseUrl} ${openai.model}`, 'openai https://api.openai.com/v1 gpt-4o-mini', 'OpenAI par défaut');
+  assertEquals(openai.apiKey, 'sk-test', 'Clé OPENAI_API_KEY reprise');
+  assertEquals(resolveLLMConfig({ provider: 'ollama' }).baseUrl, 'http://localhost:11434/v1', 'URL par défaut du fournisseur');
+  assertEquals(resolveLLMConfig({ baseUrl: 'http://evil.example/v1' }).apiKey, null, 'Clé jamais envoyée à une URL surchargée');
+  assertEquals(JSON.stringify(pickLLMOverrides({ provider: 'vllm', apiKey: 'x', model: ' m ' })), '{"provider":"vllm","model":"m"}', 'Clé API ignorée dans une requête');
+  assert(getLLMConfigError(resolveLLMConfig({ provider: 'vllm' })).includes('Modèle'), 'Modèle requis pour vLLM');
+  assert(getLLMConfigError(resolveLLMConfig({ provider: 'inconnu' })).includes('inconnu'), 'Fournisseur inconnu refusé');
+  process.env.LLM_PROVIDER = 'llamacpp';
+  process.env.LLM_BASE_URL = 'http://gpu-01:8080/v1/';
+  assertEquals(resolveLLMConfig().baseUrl, 'http://gpu-01:8080/v1', 'Environnement LLM_* appliqué');
+  assertEquals(resolveLLMConfig({ provider: 'ollama' }).baseUrl, 'http://localhost:11434/v1', 'LLM_BASE_URL réservé au fournisseur configuré');
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_BASE_URL;
+  console.log('');
+
+  // Test 2: Réponses JSON
+  console.log(`${BLUE}Test 2: Réponses JSON${RESET}`);
+  assertEquals(parseJSONContent('```json\n{"a": 1}\n```').a, 1, 'Bloc ```json accepté');
+  let parseError = null;
+  try {
+    parseJSONContent('pas de JSON');
+  } catch (error) {
+    parseError = error;
+  }
+  assert(parseError !== null, 'Réponse non JSON signalée');
+  console.log('');
+
+  // Test 3: Serveur compatible OpenAI (stub local)
+  console.log(`${BLUE}Test 3: Serveur compatible OpenAI${RESET}`);
+  const server = await startStubServer(0);
+  const llm = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+
+  try {
+    const client = createLLMClient(llm);
+    const echo = await client.completeJSON([{ role: 'user', content: 'bonjour' }]);
+    assertEquals(echo.echo, 'bonjour', 'Requête Chat Completions');
+
+    const segments = [
+      { start: 0, end: 2, text: 'euh bonjour à tous' },
+      { start: 2, end: 4, text: 'on commence' },
+      { start: 4, end: 6, text: 'ben voilà' }
+    ];
+    const corrected = await applyVerbatimRules(segments, { llm, chunking: { maxSegments: 2, overlap: 1 } });
+    assertEquals(corrected.correctedSegments.map(seg => seg.correctedText).join('|'), 'bonjour à tous|on commence|voilà', 'Rules Engine hors ligne');
+    assertEquals(corrected.metadata.provider, 'openai-compatible', 'Fournisseur indiqué dans les métadonnées');
+
+    const formatted = await formatWithGPT(segments, llm);
+    assertEquals(formatted.srt[2].start, '00:00:04,000', 'Formatage SRT hors ligne');
+  } finally {
+    server.close();
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
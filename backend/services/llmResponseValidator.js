@@ -0,0 +1,308 @@
+/**
+ * Validation des réponses JSON du LLM
+ * Schémas explicites des réponses du Rules Engine (verbatim corrigé) et du
+ * formatage SRT, relance avec message correctif et réparation des sous-titres
+ */
+
+const { parseJSONContent } = require('./llmClient');
+const { parseTimestamp, formatTimestamp } = require('./subtitleTime');
+
+// Nombre de relances après une réponse invalide
+const DEFAULT_MAX_RETRIES = 2;
+
+// Format d'un temps SRT attendu dans les réponses de formatage
+const SRT_TIMESTAMP = /^\d{2}:\d{2}:\d{2},\d{3}$/;
+
+// Nombre maximal d'erreurs rapportées au modèle dans le message correctif
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Schéma de la réponse du Rules Engine
+ */
+const VERBATIM_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['segments'],
+  properties: {
+    segments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'correctedText'],
+        properties: {
+          id: { type: 'integer' },
+          start: { type: 'number' },
+          end: { type: 'number' },
+          originalText: { type: 'string' },
+          correctedText: { type: 'string' },
+          changes: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    summary: { type: 'string' },
+    statistics: { type: 'object' }
+  }
+};
+
+/**
+ * Schéma de la réponse du formatage SRT
+ */
+const FORMATTING_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['srt'],
+  properties: {
+    srt: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['start', 'end', 'text'],
+        properties: {
+          index: { type: 'integer' },
+          start: { type: 'string' },
+          end: { type: 'string' },
+          text: { type: 'string' }
+        }
+      }
+    },
+    summary: { type: 'string' }
+  }
+};
+
+/**
+ * Vérifie le type d'une valeur JSON
+ * @param {*} value - Valeur
+ * @param {string} type - object, array, string, number, integer
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return true;
+  }
+}
+
+/**
+ * Valide une valeur contre un schéma (sous-ensemble de JSON Schema : type,
+ * required, properties, items)
+ * @param {*} value - Valeur à valider
+ * @param {Object} schema - Schéma
+ * @param {string} at - Chemin de la valeur (pour les messages)
+ * @returns {Array<string>} Erreurs
+ */
+function validateSchema(value, schema, at = 'réponse') {
+  if (!matchesType(value, schema.type)) {
+    return [`${at}: ${schema.type} attendu`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${at}.${key}: champ requis manquant`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, `${at}[${i}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Valide une réponse du Rules Engine pour une fenêtre de segments
+ * @param {Object} response - Réponse JSON du modèle
+ * @param {Object} expected - {from, to} index globaux attendus [from, to[
+ * @returns {Array<string>} Erreurs
+ */
+function validateVerbatimResponse(response, expected) {
+  const errors = validateSchema(response, VERBATIM_RESPONSE_SCHEMA);
+  if (!Array.isArray(response?.segments)) {
+    return errors;
+  }
+
+  const seen = new Set();
+  response.segments.forEach((seg, i) => {
+    if (!Number.isInteger(seg?.id)) {
+      return;
+    }
+    if (seg.id < expected.from || seg.id >= expected.to) {
+      errors.push(`réponse.segments[${i}].id: ${seg.id} hors de la plage [${expected.from}] à [${expected.to - 1}]`);
+    } else if (seen.has(seg.id)) {
+      errors.push(`réponse.segments[${i}].id: ${seg.id} en double`);
+    }
+    seen.add(seg.id);
+  });
+
+  const missing = [];
+  for (let id = expected.from; id < expected.to; id++) {
+    if (!seen.has(id)) {
+      missing.push(id);
+    }
+  }
+  if (missing.length > 0) {
+    errors.push(`Segments manquants: ${missing.map(id => `[${id}]`).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valide une réponse du formatage SRT
+ * @param {Object} response - Réponse JSON du modèle
+ * @returns {Array<string>} Erreurs
+ */
+function validateFormattingResponse(response) {
+  const errors = validateSchema(response, FORMATTING_RESPONSE_SCHEMA);
+  if (!Array.isArray(response?.srt)) {
+    return errors;
+  }
+
+  let previousStart = -Infinity;
+  response.srt.forEach((entry, i) => {
+    if (typeof entry?.start !== 'string' || typeof entry?.end !== 'string') {
+      return;
+    }
+    [['start', entry.start], ['end', entry.end]].forEach(([key, time]) => {
+      if (!SRT_TIMESTAMP.test(time)) {
+        errors.push(`réponse.srt[${i}].${key}: "${time}" n'est pas au format HH:MM:SS,mmm`);
+      }
+    });
+
+    const start = parseTimestamp(entry.start);
+    const end = parseTimestamp(entry.end);
+    if (Number.isFinite(start) && Number.isFinite(end)) {
+      if (end <= start) {
+        errors.push(`réponse.srt[${i}]: la fin (${entry.end}) ne suit pas le début (${entry.start})`);
+      }
+      if (start < previousStart) {
+        errors.push(`réponse.srt[${i}]: commence avant le sous-titre précédent (${entry.start})`);
+      }
+      previousStart = start;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Message correctif envoyé au modèle après une réponse invalide
+ * @param {Array<string>} errors - Erreurs de validation
+ * @returns {string}
+ */
+function buildCorrectionMessage(errors) {
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    listed.push(`- ... et ${errors.length - MAX_REPORTED_ERRORS} autre(s) erreur(s)`);
+  }
+
+  return `Ta réponse précédente est invalide :
+${listed.join('\n')}
+
+Renvoie la réponse COMPLÈTE corrigée, au même format JSON, sans aucun autre texte.`;
+}
+
+/**
+ * Interroge le LLM et relance avec un message correctif tant que la réponse
+ * est invalide (JSON illisible ou erreurs de validation)
+ * @param {Object} llm - Client LLM (voir llmClient.createLLMClient)
+ * @param {Array<Object>} messages - Conversation initiale {role, content}
+ * @param {Function} validate - (response) => Array<string> erreurs
+ * @param {Object} options - {temperature, maxRetries}
+ * @returns {Promise<Object>} {response, valid, attempts, failures: [{attempt, errors}]}
+ */
+async function requestValidatedJSON(llm, messages, validate, options = {}) {
+  const { temperature = 0.3, maxRetries = DEFAULT_MAX_RETRIES } = options;
+  const conversation = [...messages];
+  const failures = [];
+  let response = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const content = await llm.complete(conversation, { temperature, json: true });
+
+    let errors;
+    try {
+      response = parseJSONContent(content);
+      errors = validate(response);
+    } catch (error) {
+      errors = [`JSON illisible: ${error.message}`];
+    }
+
+    if (errors.length === 0) {
+      return { response, valid: true, attempts: attempt, failures };
+    }
+
+    failures.push({ attempt, errors });
+    console.log(`⚠️  Réponse LLM invalide (tentative ${attempt}/${maxRetries + 1}): ${errors.length} erreur(s)`);
+
+    conversation.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildCorrectionMessage(errors) }
+    );
+  }
+
+  return { response, valid: false, attempts: maxRetries + 1, failures };
+}
+
+/**
+ * Répare les sous-titres d'une réponse de formatage
+ * Les temps lisibles mal formatés sont normalisés, les sous-titres sans texte
+ * ou aux temps inutilisables sont écartés, puis l'ensemble est trié
+ * @param {Array<Object>} entries - Sous-titres {index, start, end, text}
+ * @returns {Object} {srt, repairs: [{type, index, message}]}
+ */
+function repairSubtitleEntries(entries) {
+  const repairs = [];
+  const kept = [];
+
+  (Array.isArray(entries) ? entries : []).forEach((entry, i) => {
+    const start = parseTimestamp(entry?.start);
+    const end = parseTimestamp(entry?.end);
+
+    if (typeof entry?.text !== 'string' || !entry.text.trim()) {
+      repairs.push({ type: 'dropped-subtitle', index: i, message: 'Sous-titre sans texte écarté' });
+      return;
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      repairs.push({ type: 'dropped-subtitle', index: i, message: `Temps inutilisables (${entry.start} --> ${entry.end}), sous-titre écarté` });
+      return;
+    }
+
+    const normalized = { ...entry, start: formatTimestamp(start), end: formatTimestamp(end) };
+    if (normalized.start !== entry.start || normalized.end !== entry.end) {
+      repairs.push({ type: 'normalized-timestamp', index: i, message: `Temps normalisés: ${entry.start} --> ${entry.end}` });
+    }
+    kept.push({ entry: normalized, start, i });
+  });
+
+  const sorted = [...kept].sort((a, b) => a.start - b.start);
+  if (sorted.some((item, position) => item !== kept[position])) {
+    repairs.push({ type: 'reordered-subtitles', index: null, message: 'Sous-titres remis dans l\'ordre chronologique' });
+  }
+
+  return { srt: sorted.map(item => item.entry), repairs };
+}
+
+module.exports = {
+  DEFAULT_MAX_RETRIES,
+  VERBATIM_RESPONSE_SCHEMA,
+  FORMATTING_RESPONSE_SCHEMA,
+  validateSchema,
+  validateVerbatimResponse,
+  validateFormattingResponse,
+  buildCorrectionMessage,
+  requestValidatedJSON,
+  repairSubtitleEntries
+};
@@ -0,0 +1,166 @@
+/**
+ * Tests unitaires pour le service llmResponseValidator
+ *
+ * Pour exécuter : node backend/services/llmResponseValidator.test.js
+ */
+
+const {
+  VERBATIM_RESPONSE_SCHEMA,
+  validateSchema,
+  validateVerbatimResponse,
+  validateFormattingResponse,
+  requestValidatedJSON,
+  repairSubtitleEntries
+} = require('./llmResponseValidator');
+const { applyVerbatimRules } = require('./rulesEngine');
+const { formatWithGPT } = require('./gptFormatter');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Client LLM simulé : renvoie les réponses prévues dans l'ordre
+ * @param {Array<string>} contents - Contenus successifs
+ * @returns {Object} {complete, calls}
+ */
+function scriptedLLM(contents) {
+  const calls = [];
+  return {
+    calls,
+    complete: async (messages) => {
+      calls.push(messages);
+      return contents[Math.min(calls.length - 1, contents.length - 1)];
+    }
+  };
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service llmResponseValidator ===${RESET}\n`);
+
+  // Test 1: Schémas
+  console.log(`${BLUE}Test 1: Schémas${RESET}`);
+  assertEquals(validateSchema({ segments: [{ id: 0, correctedText: 'ok' }] }, VERBATIM_RESPONSE_SCHEMA).length, 0, 'Réponse conforme');
+  const schemaErrors = validateSchema({ segments: [{ id: '0' }] }, VERBATIM_RESPONSE_SCHEMA);
+  assert(schemaErrors.includes('réponse.segments[0].correctedText: champ requis manquant'), 'correctedText manquant détecté');
+  assert(schemaErrors.includes('réponse.segments[0].id: integer attendu'), 'Type d\'identifiant vérifié');
+  assertEquals(validateSchema([], VERBATIM_RESPONSE_SCHEMA)[0], 'réponse: object attendu', 'Racine objet requise');
+  console.log('');
+
+  // Test 2: Réponses du Rules Engine
+  console.log(`${BLUE}Test 2: Réponses du Rules Engine${RESET}`);
+  const chunk = { from: 10, to: 13 };
+  const verbatimErrors = validateVerbatimResponse({
+    segments: [
+      { id: 10, correctedText: 'a' },
+      { id: 10, correctedText: 'b' },
+      { id: 0, correctedText: 'c' }
+    ]
+  }, chunk);
+  assert(verbatimErrors.some(error => error.includes('en double')), 'Identifiant en double détecté');
+  assert(verbatimErrors.some(error => error.includes('hors de la plage')), 'Identifiant renuméroté détecté');
+  assert(verbatimErrors.includes('Segments manquants: [11], [12]'), 'Segments manquants listés');
+  console.log('');
+
+  // Test 3: Réponses du formatage
+  console.log(`${BLUE}Test 3: Réponses du formatage${RESET}`);
+  const formattingErrors = validateFormattingResponse({
+    srt: [
+      { index: 1, start: '00:00:05,000', end: '00:00:04,000', text: 'A' },
+      { index: 2, start: '00:00:01.000', end: '00:00:02,000', text: 'B' }
+    ]
+  });
+  assert(formattingErrors.some(error => error.includes('HH:MM:SS,mmm')), 'Format de temps SRT vérifié');
+  assert(formattingErrors.some(error => error.includes('ne suit pas le début')), 'Fin avant début détectée');
+  assert(formattingErrors.some(error => error.includes('commence avant')), 'Temps non croissants détectés');
+
+  const repaired = repairSubtitleEntries([
+    { index: 1, start: '00:00:03,000', end: '00:00:04,000', text: 'B' },
+    { index: 2, start: '00:00:01.000', end: '00:00:02,000', text: 'A' },
+    { index: 3, start: 'n/a', end: '00:00:06,000', text: 'C' },
+    { index: 4, start: '00:00:07,000', end: '00:00:08,000', text: ' ' }
+  ]);
+  assertEquals(repaired.srt.map(entry => entry.text).join(''), 'AB', 'Sous-titres inutilisables écartés et triés');
+  assertEquals(repaired.srt[0].start, '00:00:01,000', 'Temps normalisés');
+  assertEquals(repaired.repairs.map(repair => repair.type).sort().join(','), 'dropped-subtitle,dropped-subtitle,normalized-timestamp,reordered-subtitles', 'Réparations rapportées');
+  console.log('');
+
+  // Test 4: Relance avec message correctif
+  console.log(`${BLUE}Test 4: Relance avec message correctif${RESET}`);
+  const llm = scriptedLLM(['pas du JSON', '{"segments": [{"id": 0}]}', '{"segments": [{"id": 0, "correctedText": "ok"}]}']);
+  const validate = response => validateVerbatimResponse(response, { from: 0, to: 1 });
+  const answer = await requestValidatedJSON(llm, [{ role: 'user', content: 'corrige' }], validate);
+  assert(answer.valid, 'Réponse valide après relances');
+  assertEquals(answer.attempts, 3, 'Trois tentatives');
+  assert(answer.failures[0].errors[0].startsWith('JSON illisible'), 'JSON illisible rapporté');
+  const followUp = llm.calls[2];
+  assertEquals(followUp.length, 5, 'Historique et messages correctifs transmis');
+  assert(followUp[4].content.includes('correctedText: champ requis manquant'), 'Le message correctif cite les erreurs');
+
+  const stubborn = scriptedLLM(['{"segments": []}']);
+  const gaveUp = await requestValidatedJSON(stubborn, [{ role: 'user', content: 'corrige' }], validate, { maxRetries: 1 });
+  assert(!gaveUp.valid && gaveUp.attempts === 2, 'Abandon après le nombre de relances maximal');
+  console.log('');
+
+  // Test 5: Rapport de réparation (serveur factice)
+  console.log(`${BLUE}Test 5: Rapport de réparation${RESET}`);
+  const server = await startStubServer(0);
+  const stub = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+  try {
+    const corrected = await applyVerbatimRules([{ start: 0, end: 1, text: 'euh oui' }], { llm: stub });
+    assert(corrected.validation.valid && corrected.validation.retries === 0, 'Réponse conforme sans relance');
+    assertEquals(corrected.validation.repairs.length, 0, 'Aucune réparation');
+
+    const formatted = await formatWithGPT([{ start: 0, end: 1, text: 'oui' }], stub);
+    assert(formatted.validation.valid, 'Formatage validé');
+  } finally {
+    server.close();
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
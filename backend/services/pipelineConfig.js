@@ -0,0 +1,95 @@
+/**
+ * Configuration d'un pipeline de transcription, telle qu'elle détermine son résultat
+ * Son empreinte complète le hash du fichier dans les clés de cache (voir cacheManager.buildCacheKey) :
+ * un autre modèle, d'autres options de décodage, une nouvelle version des règles ou du prompt,
+ * un autre modèle LLM donnent une autre variante en cache au lieu d'un résultat périmé
+ */
+
+const { resolveWhisperSettings } = require('./whisperSettings');
+const { loadRules } = require('./applyRules');
+const { computeConfigFingerprint } = require('./cacheManager');
+const { resolveLLMConfig, getLLMConfigError } = require('./llmClient');
+const { getPromptVersion } = require('./gptFormatter');
+
+// Version du format de configuration : à incrémenter quand la forme des résultats en cache change
+const PIPELINE_CONFIG_VERSION = 1;
+
+/**
+ * Règles de nettoyage appliquées : version du jeu de règles et empreinte du contenu
+ * (un rules.json modifié à la main change l'empreinte sans changer de version)
+ * Avec une langue détectée automatiquement, seul le jeu de la langue par défaut est pris en compte
+ * @param {string} language - Langue demandée (null = détection automatique)
+ * @param {string} rulesetId - Jeu de règles du projet (null = défaut)
+ * @returns {Object} {id, version, ruleSet, content}
+ */
+function describeRules(language, rulesetId) {
+  const { ruleSet, rulesetId: id, rulesetVersion, blacklist, replacements, rules, maxLineLength, subtitles } = loadRules(language, rulesetId);
+  return {
+    id,
+    version: rulesetVersion,
+    ruleSet,
+    content: computeConfigFingerprint({ blacklist, replacements, rules, maxLineLength, subtitles })
+  };
+}
+
+/**
+ * Modèle LLM utilisé et version du prompt
+ * @param {Object} llm - Surcharges LLM {provider, baseUrl, model}
+ * @returns {Object|null} {provider, model, promptVersion}, null si le LLM n'est pas configuré (étape ignorée)
+ */
+function describeLLM(llm) {
+  const config = resolveLLMConfig(llm || {});
+  if (getLLMConfigError(config)) {
+    return null;
+  }
+  return { provider: config.provider, model: config.model, promptVersion: getPromptVersion() };
+}
+
+/**
+ * Construit la configuration d'un pipeline
+ * @param {string} pipeline - 'robust' (POST /transcribe-robust) ou 'complete' (POST /transcribe-complete)
+ * @param {Object} params - Paramètres de la requête
+ * @param {string} params.modelSize - Taille du modèle Whisper
+ * @param {string} params.language - Langue demandée (null = détection automatique)
+ * @param {boolean} params.wordTimestamps - Timestamps par mot
+ * @param {Object} params.whisper - Paramètres de décodage (voir whisperSettings.js)
+ * @param {string} params.rulesetId - Jeu de règles de nettoyage
+ * @param {Object} params.glossary - Glossaire chargé (voir glossaries.js), null sans glossaire
+ * @param {Object} params.llm - Surcharges LLM, null si l'étape LLM est désactivée
+ * @param {Object} params.options - Options propres au pipeline (autoEnhance, useFallback, diarize...)
+ * @returns {Object} Configuration (voir cacheManager.computeConfigFingerprint)
+ * @throws {Error} error.code = 'INVALID' si les paramètres Whisper sont invalides,
+ *   'NOT_FOUND' si le jeu de règles n'existe pas
+ */
+function buildPipelineConfig(pipeline, params) {
+  const {
+    modelSize,
+    language = null,
+    wordTimestamps = false,
+    whisper = null,
+    rulesetId = null,
+    glossary = null,
+    llm = null,
+    options = {}
+  } = params;
+
+  return {
+    version: PIPELINE_CONFIG_VERSION,
+    pipeline,
+    modelSize,
+    language: language || null,
+    wordTimestamps: Boolean(wordTimestamps),
+    // Paramètres complets : les défauts et le matériel (WHISPER_DEVICE...) font partie de la configuration
+    whisper: resolveWhisperSettings(whisper),
+    rules: describeRules(language, rulesetId),
+    glossary: glossary ? { id: glossary.id, updatedAt: glossary.updatedAt } : null,
+    llm: llm ? describeLLM(llm) : null,
+    options
+  };
+}
+
+module.exports = {
+  PIPELINE_CONFIG_VERSION,
+  buildPipelineConfig,
+  describeRules
+};
@@ -0,0 +1,206 @@
+/**
+ * Émetteur d'événements structurés pour le pipeline de transcription
+ * Remplace le suivi par console.log ("ÉTAPE 3", "Tentative 2/5") par des événements
+ * exploitables (flux SSE, historique des jobs, frontend)
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Types d'événements émis par le pipeline
+ */
+const PIPELINE_EVENT_TYPES = {
+  STAGE: 'stage',                     // Début d'une étape (cache, extraction, transcription...)
+  AUDIO_QUALITY: 'audio-quality',     // Rapport de qualité audio
+  ENHANCEMENT: 'enhancement',         // Preset d'amélioration audio choisi
+  ATTEMPT: 'attempt',                 // Début d'une tentative de transcription (fallback)
+  ATTEMPT_RESULT: 'attempt-result',   // Résultat d'une tentative avec score de qualité
+  PARTIAL_TRANSCRIPT: 'partial-transcript', // Segments décodés depuis le dernier point de reprise
+  GPT_CORRECTION: 'gpt-correction',   // Correction GPT (démarrée, appliquée, échouée, ignorée)
+  WARNING: 'warning'                  // Avertissement non bloquant
+};
+
+/**
+ * Événement structuré du pipeline
+ * @typedef {Object} PipelineEvent
+ * @property {string} type - Type d'événement (voir PIPELINE_EVENT_TYPES)
+ * @property {string} stage - Étape du pipeline concernée
+ * @property {number} [progress] - Pourcentage d'avancement global (0-100)
+ * @property {string} message - Message lisible
+ * @property {Object} [data] - Données spécifiques au type d'événement
+ * @property {string} at - Date ISO de l'événement
+ */
+
+/**
+ * Émetteur d'événements du pipeline
+ * Chaque événement est émis sous son type ('audio-quality', 'attempt'...) et sous 'event'
+ */
+class PipelineEventEmitter extends EventEmitter {
+  /**
+   * Émet un événement structuré
+   * @param {string} type - Type d'événement
+   * @param {Object} payload - {stage, progress, message, data}
+   * @returns {PipelineEvent} L'événement émis
+   */
+  publish(type, { stage, progress, message = '', data = null }) {
+    const event = { type, stage, message, at: new Date().toISOString() };
+
+    if (typeof progress === 'number') {
+      event.progress = progress;
+    }
+    if (data) {
+      event.data = data;
+    }
+
+    this.emit(type, event);
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Début d'une étape du pipeline
+   */
+  stage(stage, progress, message) {
+    return this.publish(PIPELINE_EVENT_TYPES.STAGE, { stage, progress, message });
+  }
+
+  /**
+   * Rapport de qualité audio
+   * @param {Object} report - Rapport retourné par checkAudioQuality
+   */
+  audioQuality(report) {
+    return this.publish(PIPELINE_EVENT_TYPES.AUDIO_QUALITY, {
+      stage: 'audio-quality',
+      message: `Qualité audio: ${report.qualityLevel} (${report.qualityScore}/100)`,
+      data: {
+        qualityScore: report.qualityScore,
+        qualityLevel: report.qualityLevel,
+        needsEnhancement: report.needsEnhancement,
+        issues: report.issues
+      }
+    });
+  }
+
+  /**
+   * Amélioration audio (status: applied, failed, skipped)
+   */
+  enhancement({ status, preset = null, reason = null }) {
+    const messages = {
+      applied: `Audio amélioré avec le preset ${preset}`,
+      failed: `Échec de l'amélioration audio: ${reason}`,
+      skipped: reason || 'Pas d\'amélioration audio'
+    };
+
+    return this.publish(PIPELINE_EVENT_TYPES.ENHANCEMENT, {
+      stage: 'enhancement',
+      message: messages[status],
+      data: { status, preset, reason }
+    });
+  }
+
+  /**
+   * Début d'une tentative de transcription
+   */
+  attempt({ attempt, totalAttempts, strategy, progress }) {
+    return this.publish(PIPELINE_EVENT_TYPES.ATTEMPT, {
+      stage: 'transcription',
+      progress,
+      message: `Tentative ${attempt}/${totalAttempts}: ${strategy.description}`,
+      data: {
+        attempt,
+        totalAttempts,
+        strategy: strategy.name,
+        modelSize: strategy.modelSize
+      }
+    });
+  }
+
+  /**
+   * Résultat d'une tentative (score de qualité ou erreur)
+   */
+  attemptResult({ attempt, strategy, qualityReport = null, durationSeconds = null, segmentCount = null, error = null }) {
+    const message = error
+      ? `Échec avec ${strategy.modelSize}: ${error}`
+      : `Qualité ${qualityReport.qualityScore}/100 (${qualityReport.qualityLevel}) avec ${strategy.modelSize}`;
+
+    return this.publish(PIPELINE_EVENT_TYPES.ATTEMPT_RESULT, {
+      stage: 'transcription',
+      message,
+      data: {
+        attempt,
+        strategy: strategy.name,
+        modelSize: strategy.modelSize,
+        qualityScore: qualityReport?.qualityScore ?? null,
+        qualityLevel: qualityReport?.qualityLevel ?? null,
+        isAcceptable: qualityReport?.isAcceptable ?? false,
+        durationSeconds,
+        segmentCount,
+        error
+      }
+    });
+  }
+
+  /**
+   * Transcription partielle d'une tentative (point de reprise)
+   * @param {Object} checkpoint - {attempt, strategy, segments: nouveaux segments, segmentCount: total,
+   *                              processedSeconds, duration, progress}
+   */
+  partialTranscript({ attempt, strategy, segments, segmentCount, processedSeconds, duration = null, progress }) {
+    const position = duration ? ` (${processedSeconds}s / ${duration}s)` : '';
+
+    return this.publish(PIPELINE_EVENT_TYPES.PARTIAL_TRANSCRIPT, {
+      stage: 'transcription',
+      progress,
+      message: `Transcription partielle: ${segmentCount} segments${position}`,
+      data: {
+        attempt,
+        strategy: strategy.name,
+        modelSize: strategy.modelSize,
+        segmentCount,
+        processedSeconds,
+        duration,
+        segments
+      }
+    });
+  }
+
+  /**
+   * Correction GPT (status: started, applied, failed, skipped)
+   */
+  gptCorrection({ status, progress, summary = null, reason = null }) {
+    const messages = {
+      started: 'Correction GPT en cours',
+      applied: 'Correction GPT appliquée',
+      failed: `Correction GPT échouée: ${reason}`,
+      skipped: reason || 'Correction GPT non nécessaire'
+    };
+
+    return this.publish(PIPELINE_EVENT_TYPES.GPT_CORRECTION, {
+      stage: 'gpt',
+      progress,
+      message: messages[status],
+      data: { status, summary, reason }
+    });
+  }
+
+  /**
+   * Avertissement non bloquant
+   */
+  warning(stage, message) {
+    return this.publish(PIPELINE_EVENT_TYPES.WARNING, { stage, message });
+  }
+}
+
+/**
+ * Crée un nouvel émetteur d'événements de pipeline
+ * @returns {PipelineEventEmitter}
+ */
+function createPipelineEmitter() {
+  return new PipelineEventEmitter();
+}
+
+module.exports = {
+  PipelineEventEmitter,
+  createPipelineEmitter,
+  PIPELINE_EVENT_TYPES
+};
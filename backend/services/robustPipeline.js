@@ -0,0 +1,401 @@
+/**
+ * Pipeline robuste de transcription
+ * Cache → Extraction audio → Orchestration Whisper → Nettoyage local → SRT
+ * Sans résultat final en cache, les étapes intermédiaires déjà calculées sont réutilisées (voir stageCache.js)
+ * Exécuté en tâche de fond par la file de jobs (voir routes/transcribe-robust.js)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { orchestrateTranscription } = require('./whisperOrchestrator');
+const { loadRules, applyRulesToTranscription, generateCleanedText } = require('./applyRules');
+const { retimeSubtitles, loadSubtitleConstraints } = require('./subtitleRetimer');
+const { toSRT } = require('./subtitleSerializer');
+const { computeHash, buildCacheKey, isCached, saveCache, loadCache } = require('./cacheManager');
+const { buildPipelineConfig, describeRules } = require('./pipelineConfig');
+const { STAGES, createStageCache } = require('./stageCache');
+const { ensureFingerprint } = require('./audioFingerprint');
+const { createPipelineEmitter } = require('./pipelineEvents');
+const { buildSpeakerExport } = require('./speakerLabels');
+const { loadGlossary } = require('./glossaries');
+const { applyGlossaryToSegments } = require('./glossaryCorrection');
+
+// Charger les variables d'environnement
+require('dotenv').config();
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+
+/**
+ * Exécute le pipeline robuste complet
+ * @param {Object} params - Paramètres de la requête POST /transcribe-robust
+ * @param {string} params.filePath - Chemin relatif du fichier uploadé
+ * @param {string} params.modelSize - Taille du modèle Whisper (défaut: 'large-v3')
+ * @param {string} params.language - Langue (défaut: null = auto)
+ * @param {boolean} params.wordTimestamps - Timestamps par mot dans les segments (défaut: false)
+ * @param {boolean} params.autoEnhance - Amélioration audio auto (défaut: true)
+ * @param {boolean} params.useFallback - Utiliser les fallbacks (défaut: true)
+ * @param {boolean} params.useGPTCorrection - Correction GPT si qualité faible (défaut: true)
+ * @param {boolean} params.diarize - Identifier les locuteurs (défaut: false)
+ * @param {number} params.numSpeakers - Nombre de locuteurs connu (défaut: null = estimation)
+ * @param {string} params.rulesetId - Jeu de règles de nettoyage (défaut: null = rules/rules.json)
+ * @param {string} params.glossaryId - Glossaire du projet : vocabulaire Whisper et correction locale (défaut: null)
+ * @param {Object} params.whisper - Paramètres de décodage faster-whisper (voir whisperSettings.js, défaut: null)
+ * @param {Object} params.llm - Fournisseur LLM de la correction {provider, baseUrl, model} (défaut: environnement)
+ * @param {boolean} params.saveSRT - Sauvegarder le fichier .srt (défaut: true)
+ * @param {boolean} params.useCache - Utiliser le cache intelligent (défaut: true)
+ * @param {PipelineEventEmitter} events - Émetteur d'événements structurés (voir pipelineEvents.js)
+ * @returns {Promise<Object>} Réponse complète du pipeline
+ */
+async function runRobustPipeline(params, events = createPipelineEmitter()) {
+  const startTime = Date.now();
+
+  const {
+    filePath,
+    modelSize = 'large-v3',
+    language = null,
+    wordTimestamps = false,
+    autoEnhance = true,
+    useFallback = true,
+    useGPTCorrection = true,
+    diarize = false,
+    numSpeakers = null,
+    rulesetId = null,
+    glossaryId = null,
+    whisper = null,
+    llm = {},
+    saveSRT = true,
+    useCache = true
+  } = params;
+
+  console.log('\n🚀 === PIPELINE ROBUSTE DE TRANSCRIPTION ===');
+  console.log(`📁 Fichier: ${filePath}`);
+  console.log(`🤖 Modèle Whisper: ${modelSize}`);
+  console.log(`🌍 Langue: ${language || 'auto-détection'}`);
+  console.log(`⏱️  Timestamps mots: ${wordTimestamps ? 'OUI' : 'NON'}`);
+  console.log(`🔧 Amélioration auto: ${autoEnhance ? 'OUI' : 'NON'}`);
+  console.log(`🔄 Fallbacks: ${useFallback ? 'OUI' : 'NON'}`);
+  console.log(`🧠 Correction GPT: ${useGPTCorrection ? 'OUI' : 'NON'}`);
+  console.log(`🗣️  Diarisation: ${diarize ? `OUI (${numSpeakers || 'auto'})` : 'NON'}`);
+  console.log(`💾 Cache: ${useCache ? 'ACTIVÉ' : 'DÉSACTIVÉ'}`);
+
+  const fullPath = path.join(BACKEND_ROOT, filePath);
+
+  // Glossaire vérifié à la création du job, mais il a pu être supprimé depuis
+  const glossary = glossaryId ? loadGlossary(glossaryId) : null;
+  if (glossaryId && !glossary) {
+    throw new Error(`Glossaire introuvable: ${glossaryId}`);
+  }
+
+  // ÉTAPE 0: Vérifier le cache
+  // Clé : hash du fichier + empreinte de la configuration (une variante par configuration)
+  let fileHash = null;
+  let cacheKey = null;
+  let pipelineConfig = null;
+
+  if (useCache) {
+    console.log('\n📍 ÉTAPE 0: Vérification du cache...');
+    events.stage('cache', 2, 'Vérification du cache');
+    try {
+      fileHash = await computeHash(fullPath);
+      pipelineConfig = buildPipelineConfig('robust', {
+        modelSize,
+        language,
+        wordTimestamps,
+        whisper,
+        rulesetId,
+        glossary,
+        llm: useGPTCorrection ? llm : null,
+        options: { autoEnhance, useFallback, useGPTCorrection, diarize, numSpeakers, saveSRT }
+      });
+      cacheKey = buildCacheKey(fileHash, pipelineConfig);
+      console.log(`🔑 Hash du fichier: ${fileHash.substring(0, 12)}... (configuration ${cacheKey.split('-')[1]})`);
+
+      if (isCached(cacheKey)) {
+        console.log('✅ Cache trouvé ! Chargement...');
+        const cached = loadCache(cacheKey);
+
+        if (cached) {
+          const cacheAge = cached.metadata.createdAt
+            ? `(créé le ${new Date(cached.metadata.createdAt).toLocaleString('fr-FR')})`
+            : '';
+
+          console.log(`⚡ Transcription récupérée depuis le cache ${cacheAge}`);
+          console.log(`⏱️  Temps gagné: ~${cached.metadata.processingTime || 'inconnu'}`);
+
+          const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+          return {
+            success: true,
+            message: 'Transcription récupérée depuis le cache',
+            fromCache: true,
+            fileHash,
+            cacheKey,
+            cacheMetadata: cached.metadata,
+            ...cached.transcription,
+            performance: {
+              totalTimeSeconds: totalTime,
+              savedTime: cached.metadata.processingTime,
+              rawSegmentCount: cached.transcription.raw?.segments?.length || 0,
+              cleanedSegmentCount: cached.transcription.cleaned?.segments?.length || 0
+            }
+          };
+        }
+      } else {
+        console.log('❌ Aucun cache pour cette configuration, traitement complet nécessaire');
+      }
+    } catch (hashError) {
+      console.error(`⚠️  Erreur vérification du cache: ${hashError.message}`);
+      console.log('   → Continuation sans cache');
+    }
+  }
+
+  // Étapes intermédiaires en cache, chaînées depuis le hash du fichier
+  const stageCache = createStageCache(useCache ? fileHash : null);
+
+  // ÉTAPE 1: Extraction audio (si nécessaire)
+  console.log('\n📍 ÉTAPE 1: Extraction audio...');
+  events.stage('extraction', 5, 'Extraction audio');
+  const ext = path.extname(filePath).toLowerCase();
+  let audioPath;
+  let audioStageKey = stageCache.fileHash;
+
+  if (ext === '.mp4' || ext === '.mkv') {
+    const audioStage = await stageCache.audio(fullPath);
+    audioPath = audioStage.data.audioPath;
+    audioStageKey = audioStage.key;
+    console.log(`✅ Audio extrait: ${audioPath}`);
+  } else if (['.mp3', '.wav'].includes(ext)) {
+    audioPath = fullPath;
+    console.log('✅ Fichier audio déjà prêt');
+  } else {
+    throw new Error(`Format non supporté: ${ext}`);
+  }
+
+  // ÉTAPE 2: Orchestration intelligente de la transcription
+  console.log('\n📍 ÉTAPE 2: Orchestration intelligente...');
+
+  const orchestrationResult = await orchestrateTranscription(audioPath, {
+    modelSize,
+    language,
+    wordTimestamps,
+    autoEnhance,
+    useFallback,
+    useGPTCorrection,
+    diarize,
+    numSpeakers,
+    glossary,
+    whisper,
+    llm,
+    events,
+    stageCache,
+    audioStageKey
+  });
+
+  // Vérifier si la transcription a réussi
+  if (!orchestrationResult.success || !orchestrationResult.transcription) {
+    const error = new Error('Échec de la transcription');
+    error.userMessage = orchestrationResult.userMessage;
+    error.details = {
+      audioQuality: orchestrationResult.audioQuality,
+      warnings: orchestrationResult.warnings
+    };
+    throw error;
+  }
+
+  // ÉTAPE 3: Nettoyage local (règles)
+  console.log('\n📍 ÉTAPE 3: Nettoyage local (règles)...');
+  events.stage('cleaning', 90, 'Nettoyage local (règles)');
+  const cleaningRules = loadRules(orchestrationResult.transcription.language, rulesetId);
+  const cleanedStage = await stageCache.run(STAGES.CLEANED, {
+    parent: orchestrationResult.stageKeys.segments,
+    params: {
+      rules: describeRules(orchestrationResult.transcription.language, rulesetId),
+      glossary: glossary ? { id: glossary.id, updatedAt: glossary.updatedAt } : null
+    }
+  }, async () => {
+    const rulesCleanedSegments = applyRulesToTranscription(orchestrationResult.transcription.segments, cleaningRules);
+    console.log(`✅ Segments nettoyés (règles ${cleaningRules.rulesetId} v${cleaningRules.rulesetVersion}, ${cleaningRules.ruleSet})`);
+
+    // Orthographes du glossaire (noms propres, produits)
+    const pass = glossary ? applyGlossaryToSegments(rulesCleanedSegments, glossary) : null;
+    return {
+      segments: pass ? pass.segments : rulesCleanedSegments,
+      glossaryPass: pass ? { changes: pass.changes, statistics: pass.statistics } : null
+    };
+  });
+  const { segments: cleanedSegments, glossaryPass } = cleanedStage.data;
+
+  // Glossaire appliqué aussi au SRT corrigé par GPT
+  if (glossaryPass) {
+    console.log(`📖 Glossaire: ${glossaryPass.statistics.changes} correction(s) dans ${glossaryPass.statistics.segmentsModified} segment(s)`);
+    if (orchestrationResult.gptCorrection?.srt) {
+      orchestrationResult.gptCorrection.srt = applyGlossaryToSegments(orchestrationResult.gptCorrection.srt, glossary).segments;
+    }
+  }
+  const cleanedText = generateCleanedText(cleanedSegments);
+
+  // ÉTAPE 4: Génération du SRT
+  let srtContent = null;
+  let srtPath = null;
+  let retiming = null;
+
+  if (saveSRT) {
+    console.log('\n📍 ÉTAPE 4: Génération du fichier SRT...');
+    events.stage('srt', 95, 'Génération du fichier SRT');
+
+    // Utiliser le SRT de GPT si disponible, sinon les segments nettoyés
+    // Dans les deux cas, le découpage et les temps sont ramenés aux contraintes du jeu de règles
+    const useGPTSubtitles = Boolean(orchestrationResult.gptCorrection && orchestrationResult.gptCorrection.srt);
+    const { cues, stats } = retimeSubtitles(
+      useGPTSubtitles ? orchestrationResult.gptCorrection.srt : cleanedSegments,
+      loadSubtitleConstraints(cleaningRules)
+    );
+    srtContent = toSRT(cues);
+    retiming = stats;
+    console.log(`✅ SRT généré depuis ${useGPTSubtitles ? 'la correction GPT' : 'les segments nettoyés'}`);
+    console.log(`   ${stats.outputCues} sous-titres (${stats.splitSegments} découpes, ${stats.mergedCues} fusions)`);
+
+    // Sauvegarder le fichier SRT dans tmp/ (l'audio peut provenir du cache des étapes)
+    const tmpDir = path.join(BACKEND_ROOT, 'tmp');
+    fs.mkdirSync(tmpDir, { recursive: true });
+    srtPath = path.join(tmpDir, `${path.basename(filePath, ext)}.srt`);
+    fs.writeFileSync(srtPath, srtContent);
+    console.log(`💾 Fichier SRT sauvegardé: ${srtPath}`);
+  }
+
+  const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`\n✅ === PIPELINE TERMINÉ EN ${totalTime}s ===\n`);
+
+  // Préparer la réponse complète
+  const responseData = {
+    success: true,
+    message: 'Pipeline robuste de transcription terminé',
+    fromCache: false,
+    fileHash,
+    cacheKey,
+    userMessage: orchestrationResult.userMessage,
+    input: {
+      originalFile: filePath,
+      audioFile: path.relative(BACKEND_ROOT, audioPath),
+      finalAudioFile: path.relative(BACKEND_ROOT, orchestrationResult.finalAudioPath),
+      modelSize,
+      language: orchestrationResult.transcription.language,
+      whisperSettings: orchestrationResult.fallback.whisperSettings
+    },
+    quality: {
+      audio: {
+        level: orchestrationResult.audioQuality.qualityLevel,
+        score: orchestrationResult.audioQuality.qualityScore,
+        issues: orchestrationResult.audioQuality.issues
+      },
+      transcription: {
+        level: orchestrationResult.transcriptionQuality.qualityLevel,
+        score: orchestrationResult.transcriptionQuality.qualityScore,
+        issues: orchestrationResult.transcriptionQuality.issues
+      }
+    },
+    enhancement: orchestrationResult.enhancement ? {
+      applied: true,
+      preset: orchestrationResult.enhancement.preset,
+      originalQualityScore: orchestrationResult.enhancement.originalQualityScore
+    } : {
+      applied: false
+    },
+    fallback: orchestrationResult.fallback,
+    speakers: orchestrationResult.diarization ? buildSpeakerExport(cleanedSegments) : null,
+    raw: {
+      text: orchestrationResult.transcription.text,
+      segments: orchestrationResult.transcription.segments,
+      duration: orchestrationResult.transcription.duration,
+      languageProbability: orchestrationResult.transcription.language_probability
+    },
+    cleaned: {
+      text: cleanedText,
+      segments: cleanedSegments,
+      ruleSet: cleaningRules.ruleSet,
+      rulesetId: cleaningRules.rulesetId,
+      rulesetVersion: cleaningRules.rulesetVersion,
+      glossary: glossaryPass ? {
+        id: glossary.id,
+        name: glossary.name,
+        changes: glossaryPass.changes,
+        statistics: glossaryPass.statistics
+      } : null
+    },
+    formatted: orchestrationResult.gptCorrection ? {
+      summary: orchestrationResult.gptCorrection.summary,
+      srt: orchestrationResult.gptCorrection.srt,
+      validation: orchestrationResult.gptCorrection.validation,
+      srtFile: srtContent,
+      srtPath: srtPath ? path.relative(BACKEND_ROOT, srtPath) : null,
+      retiming
+    } : {
+      srtFile: srtContent,
+      srtPath: srtPath ? path.relative(BACKEND_ROOT, srtPath) : null,
+      retiming
+    },
+    warnings: orchestrationResult.warnings,
+    stageCache: stageCache.summary(),
+    performance: {
+      totalTimeSeconds: totalTime,
+      rawSegmentCount: orchestrationResult.transcription.segments.length,
+      cleanedSegmentCount: cleanedSegments.length
+    }
+  };
+
+  // Sauvegarder dans le cache si activé
+  if (useCache && cacheKey) {
+    try {
+      console.log('💾 Sauvegarde dans le cache...');
+      saveCache(
+        cacheKey,
+        {
+          userMessage: responseData.userMessage,
+          input: responseData.input,
+          quality: responseData.quality,
+          enhancement: responseData.enhancement,
+          fallback: responseData.fallback,
+          speakers: responseData.speakers,
+          raw: responseData.raw,
+          cleaned: responseData.cleaned,
+          formatted: responseData.formatted,
+          warnings: responseData.warnings
+        },
+        srtContent,
+        {
+          modelSize,
+          language: orchestrationResult.transcription.language,
+          wordTimestamps,
+          whisperSettings: orchestrationResult.fallback.whisperSettings,
+          rulesetId: cleaningRules.rulesetId,
+          rulesetVersion: cleaningRules.rulesetVersion,
+          glossaryId,
+          processingTime: `${totalTime}s`,
+          originalFile: filePath,
+          autoEnhance,
+          useFallback,
+          useGPTCorrection,
+          diarize,
+          speakerCount: orchestrationResult.diarization?.count || null,
+          segmentCount: orchestrationResult.transcription.segments.length,
+          audioQualityLevel: orchestrationResult.audioQuality.qualityLevel,
+          transcriptionQualityLevel: orchestrationResult.transcriptionQuality.qualityLevel,
+          pipelineConfig
+        }
+      );
+      console.log('✅ Cache sauvegardé avec succès');
+
+      // Empreinte acoustique (en arrière-plan) : reconnaître ce fichier s'il est réimporté ré-encodé ou coupé
+      ensureFingerprint(fileHash, async () => (await stageCache.audio(fullPath)).data.audioPath)
+        .catch(error => console.error(`⚠️  Erreur empreinte acoustique: ${error.message}`));
+    } catch (cacheError) {
+      console.error(`⚠️  Erreur sauvegarde cache: ${cacheError.message}`);
+    }
+  }
+
+  return responseData;
+}
+
+module.exports = {
+  runRobustPipeline
+};
@@ -0,0 +1,401 @@
+/**
+ * Compilation et validation des règles de nettoyage local (rules.json)
+ * - blacklist : mots ou expressions supprimés ("euh", "du coup")
+ * - replacements : termes remplacés ("youtube" → "YouTube", "node.js" → "Node.js")
+ * - rules : règles riches {phrase|pattern, replace, flags, scope, preserveCase}
+ * Les limites de mots tiennent compte des lettres accentuées (Unicode)
+ */
+
+// Portées d'une règle
+// anywhere : partout | sentence-start : en début de phrase | repeated : répétitions consécutives
+const RULE_SCOPES = ['anywhere', 'sentence-start', 'repeated'];
+
+// Champs reconnus d'une règle riche
+const RULE_FIELDS = ['id', 'description', 'phrase', 'pattern', 'replace', 'flags', 'caseSensitive', 'preserveCase', 'scope'];
+
+// Drapeaux autorisés pour un motif (g et u sont toujours ajoutés)
+const ALLOWED_FLAGS = ['i', 'm', 's'];
+
+// Caractère de mot : lettre (accentuée ou non), chiffre ou souligné
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// Limite de mot Unicode (remplace \b dans les motifs)
+const WORD_BOUNDARY = `(?:(?<=${WORD_CHAR})(?!${WORD_CHAR})|(?<!${WORD_CHAR})(?=${WORD_CHAR}))`;
+
+// Ponctuation collée à une expression supprimée (supprimée avec elle)
+const ATTACHED_PUNCTUATION = /^[.,!?;:…]+/;
+
+// Séparateurs entre deux occurrences d'une répétition ("je je", "j'ai-j'ai")
+const REPETITION_GAP = /^[\s,-]+$/;
+
+// Début de phrase : début du texte ou ponctuation finale, suivis d'espaces ou d'un tiret
+const SENTENCE_START = /(?:^|[.!?…])[\s\-–—]*$/;
+
+/**
+ * Échappe les caractères spéciaux d'une expression régulière
+ * @param {string} text - Texte littéral
+ * @returns {string} Texte échappé
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Motif d'une expression littérale, avec limites de mots Unicode
+ * Les espaces de l'expression acceptent n'importe quelle suite d'espaces
+ * @param {string} phrase - Mot ou expression ("du coup", "node.js", "c++")
+ * @returns {string} Source de l'expression régulière
+ */
+function phraseSource(phrase) {
+  const body = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const before = new RegExp(`^${WORD_CHAR}`, 'u').test(phrase.trim()) ? `(?<!${WORD_CHAR})` : '';
+  const after = new RegExp(`${WORD_CHAR}$`, 'u').test(phrase.trim()) ? `(?!${WORD_CHAR})` : '';
+  return `${before}${body}${after}`;
+}
+
+/**
+ * Remplace les \b d'un motif par des limites de mots Unicode
+ * (\b ne reconnaît que les lettres ASCII : "é" n'y est pas une lettre)
+ * @param {string} source - Source de l'expression régulière
+ * @returns {string} Source convertie
+ */
+function unicodeWordBoundaries(source) {
+  let result = '';
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      const escaped = source.substring(i, i + 2);
+      result += escaped === '\\b' && !inClass ? WORD_BOUNDARY : escaped;
+      i++;
+    } else {
+      if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      }
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Valide une règle riche
+ * @param {Object} rule - Règle {phrase|pattern, replace, flags, caseSensitive, preserveCase, scope}
+ * @param {string} at - Emplacement de la règle (pour les messages)
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateRule(rule, at) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${at}: objet attendu`];
+  }
+
+  const errors = [];
+  Object.keys(rule)
+    .filter(key => !RULE_FIELDS.includes(key))
+    .forEach(key => errors.push(`${at}: champ inconnu "${key}" (${RULE_FIELDS.join(', ')})`));
+
+  const hasPhrase = rule.phrase !== undefined;
+  const hasPattern = rule.pattern !== undefined;
+  if (hasPhrase === hasPattern) {
+    errors.push(`${at}: "phrase" ou "pattern" requis (un seul des deux)`);
+  }
+
+  if (hasPhrase) {
+    const phrases = Array.isArray(rule.phrase) ? rule.phrase : [rule.phrase];
+    if (phrases.length === 0 || phrases.some(phrase => typeof phrase !== 'string' || !phrase.trim())) {
+      errors.push(`${at}.phrase: chaîne non vide ou liste de chaînes non vides attendue`);
+    }
+    if (rule.flags !== undefined) {
+      errors.push(`${at}.flags: réservé aux motifs ("pattern"), utiliser "caseSensitive" pour une expression`);
+    }
+  }
+
+  if (hasPattern) {
+    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+      errors.push(`${at}.pattern: chaîne non vide attendue`);
+    } else if (rule.flags !== undefined && (typeof rule.flags !== 'string' || [...rule.flags].some(flag => !ALLOWED_FLAGS.includes(flag)))) {
+      errors.push(`${at}.flags: drapeaux autorisés ${ALLOWED_FLAGS.join(', ')} (g et u sont toujours ajoutés)`);
+    } else {
+      try {
+        new RegExp(unicodeWordBoundaries(rule.pattern), `gu${rule.flags || ''}`);
+      } catch (error) {
+        errors.push(`${at}.pattern: expression invalide (${error.message})`);
+      }
+    }
+  }
+
+  if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+    errors.push(`${at}.replace: chaîne attendue`);
+  }
+  ['caseSensitive', 'preserveCase'].forEach(key => {
+    if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+      errors.push(`${at}.${key}: booléen attendu`);
+    }
+  });
+  if (rule.scope !== undefined && !RULE_SCOPES.includes(rule.scope)) {
+    errors.push(`${at}.scope: valeur inconnue "${rule.scope}" (${RULE_SCOPES.join(', ')})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valide les règles de nettoyage d'un fichier de règles
+ * @param {Object} rules - {blacklist, replacements, rules}
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Les règles doivent être un objet JSON'];
+  }
+
+  const errors = [];
+
+  if (rules.blacklist !== undefined) {
+    if (!Array.isArray(rules.blacklist)) {
+      errors.push('blacklist: liste de mots ou d\'expressions attendue');
+    } else {
+      rules.blacklist.forEach((entry, i) => {
+        if (typeof entry !== 'string' || !entry.trim()) {
+          errors.push(`blacklist[${i}]: chaîne non vide attendue`);
+        }
+      });
+    }
+  }
+
+  if (rules.replacements !== undefined) {
+    if (!rules.replacements || typeof rules.replacements !== 'object' || Array.isArray(rules.replacements)) {
+      errors.push('replacements: objet { "terme": "remplacement" } attendu');
+    } else {
+      Object.entries(rules.replacements).forEach(([key, value]) => {
+        if (!key.trim()) {
+          errors.push('replacements: terme vide');
+        }
+        if (typeof value !== 'string') {
+          errors.push(`replacements["${key}"]: chaîne attendue`);
+        }
+      });
+    }
+  }
+
+  if (rules.rules !== undefined) {
+    if (!Array.isArray(rules.rules)) {
+      errors.push('rules: liste de règles attendue');
+    } else {
+      rules.rules.forEach((rule, i) => errors.push(...validateRule(rule, `rules[${i}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Compile une règle riche validée
+ * @param {Object} rule - Règle (voir validateRule)
+ * @returns {Object} Règle compilée {regex, replace, scope, preserveCase, isPhrase, source}
+ */
+function compileRule(rule) {
+  const isPhrase = rule.phrase !== undefined;
+  const phrases = isPhrase ? (Array.isArray(rule.phrase) ? rule.phrase : [rule.phrase]) : [];
+
+  // Expressions les plus longues d'abord ("du coup" avant "du")
+  const source = isPhrase
+    ? [...phrases].sort((a, b) => b.length - a.length).map(phraseSource).join('|')
+    : unicodeWordBoundaries(rule.pattern);
+  const flags = isPhrase ? `gu${rule.caseSensitive ? '' : 'i'}` : `gu${rule.flags || ''}`;
+
+  return {
+    id: rule.id || null,
+    regex: new RegExp(isPhrase ? `(?:${source})` : source, flags),
+    replace: rule.replace,
+    scope: rule.scope || 'anywhere',
+    preserveCase: Boolean(rule.preserveCase),
+    isPhrase,
+    source: isPhrase ? phrases.join(', ') : rule.pattern
+  };
+}
+
+/**
+ * Vérifie les règles de nettoyage
+ * @param {Object} rules - {blacklist, replacements, rules}
+ * @param {string} origin - Origine des règles pour le message d'erreur (ex: rules/languages/en.json)
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function assertValidRules(rules, origin = 'règles') {
+  const errors = validateRules(rules);
+  if (errors.length > 0) {
+    const error = new Error(`Règles invalides (${origin}): ${errors.join(' | ')}`);
+    error.code = 'INVALID';
+    error.details = errors;
+    throw error;
+  }
+}
+
+/**
+ * Valide puis compile les règles de nettoyage
+ * Ordre d'application : blacklist, replacements (termes les plus longs d'abord), rules
+ * @param {Object} rules - {blacklist, replacements, rules}
+ * @param {string} origin - Origine des règles pour le message d'erreur
+ * @returns {Array<Object>} Règles compilées
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function compileRules(rules, origin = 'règles') {
+  assertValidRules(rules, origin);
+
+  const blacklist = (rules.blacklist || []).map(phrase => compileRule({ phrase }));
+  const replacements = Object.keys(rules.replacements || {})
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => compileRule({ phrase, replace: rules.replacements[phrase] }));
+
+  return [...blacklist, ...replacements, ...(rules.rules || []).map(compileRule)];
+}
+
+/**
+ * Développe un modèle de remplacement ($&, $1, $<nom>, $$)
+ * @param {string} template - Modèle de remplacement
+ * @param {Array} match - Résultat de RegExp.exec / matchAll
+ * @returns {string} Remplacement
+ */
+function expandReplacement(template, match) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, reference, name) => {
+    if (reference === '$') {
+      return '$';
+    }
+    if (reference === '&') {
+      return match[0];
+    }
+    if (name !== undefined) {
+      return match.groups?.[name] ?? '';
+    }
+    const index = Number(reference);
+    return index > 0 && index < match.length ? (match[index] ?? '') : token;
+  });
+}
+
+/**
+ * Reporte la casse du texte trouvé sur le remplacement
+ * ("Fak" → "Alors", "FAK" → "ALORS", "fak" → "alors")
+ * @param {string} matched - Texte trouvé
+ * @param {string} replacement - Remplacement
+ * @returns {string} Remplacement à la casse du texte trouvé
+ */
+function matchCase(matched, replacement) {
+  const letters = matched.replace(/[^\p{L}]/gu, '');
+  if (letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (letters && letters[0] === letters[0].toUpperCase() && letters[0] !== letters[0].toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Occurrences d'une règle, regroupées selon sa portée
+ * @param {string} text - Texte à traiter
+ * @param {Object} rule - Règle compilée
+ * @returns {Array<Object>} Occurrences {start, end, match} (match = première occurrence d'une répétition)
+ */
+function findOccurrences(text, rule) {
+  const matches = [...text.matchAll(rule.regex)].filter(match => match[0].length > 0);
+
+  if (rule.scope === 'sentence-start') {
+    return matches
+      .filter(match => SENTENCE_START.test(text.substring(0, match.index)))
+      .map(match => ({ start: match.index, end: match.index + match[0].length, match }));
+  }
+
+  if (rule.scope === 'repeated') {
+    const runs = [];
+    matches.forEach(match => {
+      const run = runs[runs.length - 1];
+      const gap = run ? text.substring(run.end, match.index) : '';
+      if (run && REPETITION_GAP.test(gap) && run.match[0].toLowerCase() === match[0].toLowerCase()) {
+        run.end = match.index + match[0].length;
+        run.count++;
+      } else {
+        runs.push({ start: match.index, end: match.index + match[0].length, match, count: 1 });
+      }
+    });
+    return runs.filter(run => run.count > 1);
+  }
+
+  return matches.map(match => ({ start: match.index, end: match.index + match[0].length, match }));
+}
+
+/**
+ * Applique une règle compilée à un texte
+ * @param {string} text - Texte à traiter
+ * @param {Object} rule - Règle compilée
+ * @returns {string} Texte modifié
+ */
+function applyRule(text, rule) {
+  const occurrences = findOccurrences(text, rule);
+  if (occurrences.length === 0) {
+    return text;
+  }
+
+  let result = '';
+  let cursor = 0;
+
+  occurrences.forEach(occurrence => {
+    if (occurrence.start < cursor) {
+      return;
+    }
+
+    // Sans remplacement : suppression, ou une seule occurrence pour une répétition
+    let replacement = rule.replace === undefined
+      ? (rule.scope === 'repeated' ? occurrence.match[0] : '')
+      : expandReplacement(rule.replace, occurrence.match);
+    if (rule.preserveCase) {
+      replacement = matchCase(occurrence.match[0], replacement);
+    }
+
+    let end = occurrence.end;
+    if (replacement === '' && rule.isPhrase) {
+      // "Euh," ou "mmh!" : la ponctuation collée part avec l'expression
+      end += (ATTACHED_PUNCTUATION.exec(text.substring(end)) || [''])[0].length;
+
+      // Suppression en début de phrase : la suite prend la majuscule
+      if (rule.scope === 'sentence-start') {
+        const rest = text.substring(end);
+        const firstLetter = /\p{L}/u.exec(rest);
+        if (firstLetter && /^\s*$/.test(rest.substring(0, firstLetter.index))) {
+          result += text.substring(cursor, occurrence.start) + rest.substring(0, firstLetter.index) + firstLetter[0].toUpperCase();
+          cursor = end + firstLetter.index + 1;
+          return;
+        }
+      }
+    }
+
+    result += text.substring(cursor, occurrence.start) + replacement;
+    cursor = end;
+  });
+
+  return result + text.substring(cursor);
+}
+
+/**
+ * Applique une liste de règles compilées, dans l'ordre
+ * @param {string} text - Texte à traiter
+ * @param {Array<Object>} compiledRules - Règles (voir compileRules)
+ * @returns {string} Texte modifié (espaces non normalisés)
+ */
+function applyCompiledRules(text, compiledRules) {
+  return compiledRules.reduce((current, rule) => applyRule(current, rule), String(text || ''));
+}
+
+module.exports = {
+  RULE_SCOPES,
+  escapeRegExp,
+  phraseSource,
+  unicodeWordBoundaries,
+  validateRules,
+  assertValidRules,
+  compileRules,
+  applyCompiledRules
+};
@@ -0,0 +1,161 @@
+/**
+ * Tests unitaires pour le service ruleCompiler
+ *
+ * Pour exécuter : node backend/services/ruleCompiler.test.js
+ */
+
+const {
+  unicodeWordBoundaries,
+  validateRules,
+  compileRules,
+  applyCompiledRules
+} = require('./ruleCompiler');
+const { loadRules, applyReplacements, removeBlacklistedWords, cleanSegment } = require('./applyRules');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Applique des règles riches à un texte
+ * @param {string} text - Texte à traiter
+ * @param {Array<Object>} rules - Règles riches
+ * @returns {string} Texte traité (espaces normalisés)
+ */
+function applyRichRules(text, rules) {
+  return applyCompiledRules(text, compileRules({ rules })).replace(/\s+/g, ' ').trim();
+}
+
+console.log(`${BLUE}=== Tests du service ruleCompiler ===${RESET}\n`);
+
+// Test 1: Termes littéraux et limites de mots Unicode
+console.log(`${BLUE}Test 1: Termes littéraux et limites de mots Unicode${RESET}`);
+const replacements = { 'node.js': 'Node.js', 'c++': 'C++', nodejs: 'Node.js', api: 'API', 'été': 'ÉTÉ' };
+assertEquals(applyReplacements('node.js et c++', replacements), 'Node.js et C++', 'Termes avec caractères spéciaux');
+assertEquals(applyReplacements('nodeXjs', replacements), 'nodeXjs', 'Le point n\'est pas un joker');
+assertEquals(applyReplacements('éapi apié api', replacements), 'éapi apié API', 'Limites de mots avec accents');
+assertEquals(applyReplacements('l\'été, étés', replacements), 'l\'ÉTÉ, étés', 'Termes accentués');
+assertEquals(removeBlacklistedWords('Bon, du coup, on y va. Euh... voilà!', ['du coup', 'euh', 'voilà']), 'Bon, on y va.', 'Expressions de plusieurs mots et ponctuation collée');
+assertEquals(removeBlacklistedWords('on a du   coup fini', ['du coup']), 'on a fini', 'Espaces multiples dans une expression');
+console.log('');
+
+// Test 2: Règles riches
+console.log(`${BLUE}Test 2: Règles riches${RESET}`);
+assertEquals(
+  applyRichRules('Il gagne 50k ou 60 K', [{ pattern: '\\b(\\d+) ?k\\b', replace: '$1 000', flags: 'i' }]),
+  'Il gagne 50 000 ou 60 000',
+  'Motif avec groupe de capture'
+);
+assertEquals(
+  applyRichRules('Le 2024-05-01', [{ pattern: '(?<y>\\d{4})-(?<m>\\d{2})-(?<d>\\d{2})', replace: '$<d>/$<m>/$<y>' }]),
+  'Le 01/05/2024',
+  'Groupes nommés'
+);
+assertEquals(unicodeWordBoundaries('[\\b]\\b').startsWith('[\\b]'), true, '\\b conservé dans une classe de caractères');
+assertEquals(
+  applyRichRules('Fak on part, FAK non, fak oui', [{ phrase: ['fak', 'faque'], replace: 'alors', preserveCase: true }]),
+  'Alors on part, ALORS non, alors oui',
+  'Casse conservée'
+);
+assertEquals(
+  applyRichRules('Fak on part', [{ phrase: 'fak', replace: 'alors', caseSensitive: true }]),
+  'Fak on part',
+  'Expression sensible à la casse'
+);
+console.log('');
+
+// Test 3: Portées
+console.log(`${BLUE}Test 3: Portées${RESET}`);
+const sentenceStart = [{ phrase: 'du coup', scope: 'sentence-start' }];
+assertEquals(applyRichRules('Du coup, on part. Il a du coup fini', sentenceStart), 'On part. Il a du coup fini', 'Début de phrase seulement, majuscule reportée');
+assertEquals(applyRichRules('- Du coup oui', sentenceStart), '- Oui', 'Début de réplique');
+const repeated = [{ phrase: ['je', 'le', "j'ai"], scope: 'repeated' }];
+assertEquals(applyRichRules('Je je pense que le le chat', repeated), 'Je pense que le chat', 'Répétitions réduites à une occurrence');
+assertEquals(applyRichRules("j'ai-j'ai vu le chat", repeated), "j'ai vu le chat", 'Répétition avec tiret');
+assertEquals(applyRichRules('je le vois', repeated), 'je le vois', 'Occurrences uniques conservées');
+assertEquals(
+  applyRichRules('non non non', [{ phrase: 'non', scope: 'repeated', replace: 'non, non' }]),
+  'non, non',
+  'Remplacement d\'une répétition'
+);
+console.log('');
+
+// Test 4: Validation
+console.log(`${BLUE}Test 4: Validation${RESET}`);
+const errors = validateRules({
+  blacklist: ['ok', ''],
+  replacements: { a: 1 },
+  rules: [
+    { phrase: 'a', pattern: 'b' },
+    { pattern: '(', scope: 'partout', replce: 'x' },
+    { pattern: 'a', flags: 'g' },
+    { phrase: 'a', flags: 'i' }
+  ]
+});
+assert(errors.includes('blacklist[1]: chaîne non vide attendue'), 'Entrée de blacklist vide');
+assert(errors.includes('replacements["a"]: chaîne attendue'), 'Remplacement non textuel');
+assert(errors.includes('rules[0]: "phrase" ou "pattern" requis (un seul des deux)'), 'phrase et pattern exclusifs');
+assert(errors.some(error => error.startsWith('rules[1]: champ inconnu "replce"')), 'Champ inconnu signalé');
+assert(errors.some(error => error.startsWith('rules[1].pattern: expression invalide')), 'Expression invalide signalée');
+assert(errors.some(error => error.startsWith('rules[1].scope: valeur inconnue "partout"')), 'Portée inconnue signalée');
+assert(errors.some(error => error.startsWith('rules[2].flags')), 'Drapeau interdit signalé');
+assert(errors.some(error => error.startsWith('rules[3].flags')), 'Drapeaux réservés aux motifs');
+let thrown = null;
+try {
+  compileRules({ rules: [{ scope: 'repeated' }] }, 'rules/languages/test.json');
+} catch (error) {
+  thrown = error;
+}
+assert(thrown && thrown.code === 'INVALID' && thrown.message.startsWith('Règles invalides (rules/languages/test.json)'), 'Erreur INVALID avec l\'origine des règles');
+console.log('');
+
+// Test 5: Règles livrées
+console.log(`${BLUE}Test 5: Règles livrées${RESET}`);
+['fr-CA', 'fr-FR', 'en'].forEach(language => {
+  const rules = loadRules(language);
+  assert(compileRules(rules).length > 0, `Règles ${language} valides`);
+});
+const cleaned = cleanSegment({ text: 'Euh, du coup je je pense que fak c\'est bon', start: 0, end: 2 }, loadRules('fr-CA'));
+assertEquals(cleaned.text, 'Je pense que alors c\'est bon', 'Nettoyage français québécois');
+assertEquals(cleanSegment({ text: 'I I think the um thing', start: 0, end: 2 }, loadRules('en')).text, 'I think the thing', 'Nettoyage anglais');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
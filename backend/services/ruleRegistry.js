@@ -0,0 +1,401 @@
+/**
+ * Registre des jeux de règles par langue
+ * Chaque jeu regroupe le prompt des règles de verbatim corrigé envoyé au LLM
+ * et les listes locales (blacklist, remplacements) de rules/languages/<id>.json
+ * utilisées par applyRules.cleanSegment
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readRulesFile } = require('./rulesStore');
+
+// Dossier des listes locales par langue
+const LANGUAGE_RULES_DIR = path.join(__dirname, '../rules/languages');
+
+// En-tête du prompt des règles (français)
+const FRENCH_RULES_INTRO = `
+# RÈGLES DE VERBATIM CORRIGÉ (CV)
+
+Tu es un expert en transcription de sous-titres professionnels. Tu dois appliquer les règles suivantes :
+
+`;
+
+/**
+ * Sections des règles de verbatim corrigé en français québécois
+ * Tous les jeux de règles partagent les mêmes identifiants de section : un profil
+ * de style peut les désactiver, les remplacer ou les compléter (voir styleProfiles.js)
+ */
+const QUEBEC_RULE_SECTIONS = [
+  {
+    id: 'cleanup',
+    number: 1,
+    title: 'NETTOYAGE DU TEXTE',
+    content: `- Supprimer TOUTES les hésitations : "euh", "hum", "mh", "ben", "pis"
+- Supprimer les bégaiements et répétitions inutiles : "j'ai-j'ai", "s-s-soir"
+- Supprimer les mots béquille : "du coup", "genre", "comme", "là", "donc" (quand inutiles)
+- Supprimer les tics de langage répétitifs
+- Garder UNE SEULE hésitation si le locuteur change le sens de sa phrase`
+  },
+  {
+    id: 'grammar',
+    number: 2,
+    title: 'GRAMMAIRE ET SYNTAXE',
+    content: `- Ajouter le "ne" de négation : "j'ai pas" → "je n'ai pas"
+- Corriger "si j'aurais" → "si j'avais"
+- Corriger les erreurs de pluriel/féminin
+- Corriger "fak" → enlever ou remplacer par "alors"
+- Corriger la ponctuation pour rendre le texte lisible`
+  },
+  {
+    id: 'punctuation',
+    number: 3,
+    title: 'PONCTUATION',
+    content: `- Utiliser la virgule pour les énumérations et compléments
+- Ne PAS mettre de virgule à chaque pause orale
+- Mettre un point pour marquer la fin d'une idée
+- Ne PAS mettre de point devant "et" (enlever le "et" si début de phrase)
+- Points de suspension (...) uniquement pour interruptions ou idées non terminées
+- Majuscules accentuées obligatoires : "À", "Ça", "É"`
+  },
+  {
+    id: 'numbers',
+    number: 4,
+    title: 'CHIFFRES ET NOMBRES',
+    content: `- Nombres < 10 : en lettres (un, deux, trois)
+- Nombres ≥ 10 : en chiffres (26, 300)
+- Pourcentages : avec symbole (25 %)
+- Fractions : en lettres (deux tiers)
+- Montants : 15 $ (avec espace)
+- Heure Québec : 14h54 | Heure France : 14:54`
+  },
+  {
+    id: 'anglicisms',
+    number: 5,
+    title: 'ANGLICISMES ET QUÉBÉCISMES',
+    content: `- Mettre entre guillemets français : « burnout », « check ben »
+- Sacres entre guillemets : « caliss », « tabarnak »
+- Si répété plusieurs fois dans la vidéo, normaliser sans guillemets`
+  },
+  {
+    id: 'quotes',
+    number: 6,
+    title: 'CITATIONS',
+    content: `- Citations directes : "Elle m'a dit : « Je devrais y aller »"
+- Citations indirectes : "Elle m'a dit qu'elle devrait y aller" (sans guillemets)
+- Majuscule au début d'une citation directe`
+  },
+  {
+    id: 'speakers',
+    number: 7,
+    title: 'INTERLOCUTEURS MULTIPLES',
+    content: `- Utiliser le tiret (-) pour chaque personne
+- Si les segments indiquent un locuteur [SPEAKER_N], ne PAS recopier l'étiquette dans le texte corrigé
+- Ne PAS nommer les personnes (sauf demande client)
+- Points de suspension (...) pour interruptions
+- Omettre les interruptions à un mot : "OK", "Miam", "Ah"`
+  },
+  {
+    id: 'inaudible',
+    number: 8,
+    title: 'INAUDIBLE',
+    content: `- Utiliser [inaudible] uniquement si vraiment impossible à comprendre
+- Faire un effort de compréhension avant de marquer [inaudible]
+- Si phrase non essentielle et inaudible : omettre ou mettre "..."`
+  },
+  {
+    id: 'profanity',
+    number: 9,
+    title: 'SACRES ET INJURES',
+    content: `- Écrire normalement sans censure (sauf demande client)`
+  },
+  {
+    id: 'character',
+    number: 10,
+    title: 'PERSONNAGE ET CONTEXTE',
+    content: `- Corriger les erreurs d'une personne normale en entrevue
+- Garder les erreurs caractéristiques d'un personnage (anglophone, accent)
+- Adapter selon le contexte (formel vs familier)`
+  }
+];
+
+// Objectif rappelé en fin de prompt (français)
+const FRENCH_RULES_GOAL = `## OBJECTIF FINAL
+Le texte doit être CLAIR, LISIBLE et FACILE À COMPRENDRE même sans le son.
+Privilégier la clarté à la fidélité exacte à 100%.
+`;
+
+
+/**
+ * Sections propres au français de France (les autres reprennent le jeu québécois)
+ */
+const FRANCE_SECTION_CONTENT = {
+  cleanup: `- Supprimer TOUTES les hésitations : "euh", "hum", "mh", "bah", "ben"
+- Supprimer les bégaiements et répétitions inutiles : "j'ai-j'ai", "s-s-soir"
+- Supprimer les mots béquille : "du coup", "genre", "en fait", "voilà", "quoi" (quand inutiles)
+- Supprimer les tics de langage répétitifs
+- Garder UNE SEULE hésitation si le locuteur change le sens de sa phrase`,
+  grammar: `- Ajouter le "ne" de négation : "j'ai pas" → "je n'ai pas"
+- Corriger "si j'aurais" → "si j'avais"
+- Corriger les erreurs de pluriel/féminin
+- Corriger "y a" → "il y a", "t'es" → "tu es" (sauf effet de style)
+- Corriger la ponctuation pour rendre le texte lisible`,
+  numbers: `- Nombres < 10 : en lettres (un, deux, trois)
+- Nombres ≥ 10 : en chiffres (26, 300)
+- Pourcentages : avec symbole (25 %)
+- Fractions : en lettres (deux tiers)
+- Montants : 15 € (avec espace)
+- Heure : 14:54`,
+  anglicisms: `- Mettre les anglicismes entre guillemets français : « burnout », « deadline »
+- Garder sans guillemets les anglicismes passés dans l'usage : week-end, parking, mail
+- Si répété plusieurs fois dans la vidéo, normaliser sans guillemets`
+};
+
+const FRANCE_RULE_SECTIONS = QUEBEC_RULE_SECTIONS.map(section => ({
+  ...section,
+  title: section.id === 'anglicisms' ? 'ANGLICISMES' : section.title,
+  content: FRANCE_SECTION_CONTENT[section.id] ?? section.content
+}));
+
+// En-tête du prompt des règles (anglais)
+const ENGLISH_RULES_INTRO = `
+# CLEAN VERBATIM RULES
+
+You are an expert in professional subtitle transcription. Apply the following rules:
+
+`;
+
+/**
+ * Sections des règles de verbatim corrigé en anglais (mêmes identifiants que le français)
+ */
+const ENGLISH_RULE_SECTIONS = [
+  {
+    id: 'cleanup',
+    number: 1,
+    title: 'TEXT CLEANUP',
+    content: `- Remove ALL hesitations: "um", "uh", "er", "hmm", "mm"
+- Remove stutters and needless repetitions: "I-I think", "th-the"
+- Remove filler words: "like", "you know", "I mean", "sort of", "basically" (when meaningless)
+- Remove repetitive verbal tics
+- Keep ONE hesitation only if the speaker changes the meaning of their sentence`
+  },
+  {
+    id: 'grammar',
+    number: 2,
+    title: 'GRAMMAR AND SYNTAX',
+    content: `- Fix agreement errors: "they was" → "they were", "he don't" → "he doesn't"
+- Keep natural contractions: "I'm", "don't", "it's"
+- Write "gonna", "wanna", "gotta" in full: "going to", "want to", "got to"
+- Fix double negatives unless they are part of a character's voice
+- Fix punctuation so the text reads clearly`
+  },
+  {
+    id: 'punctuation',
+    number: 3,
+    title: 'PUNCTUATION',
+    content: `- Use commas for lists and clauses
+- Do NOT add a comma at every spoken pause
+- Use a period at the end of each idea
+- Do NOT start sentences with "And" or "So" when they are only fillers (remove them)
+- Ellipses (...) only for interruptions or unfinished thoughts
+- Capitalize "I" and the first word of every sentence`
+  },
+  {
+    id: 'numbers',
+    number: 4,
+    title: 'NUMBERS',
+    content: `- Numbers under 10: spelled out (one, two, three)
+- Numbers 10 and above: digits (26, 300)
+- Percentages: with symbol (25%)
+- Fractions: spelled out (two thirds)
+- Amounts: $15 (no space)
+- Time: 2:54 p.m.`
+  },
+  {
+    id: 'anglicisms',
+    number: 5,
+    title: 'FOREIGN WORDS AND SLANG',
+    content: `- Write foreign words as spoken, with their usual spelling: "café", "déjà vu"
+- Keep slang that carries meaning ("cool", "awesome"), remove slang used as filler
+- If repeated many times in the video, normalize the spelling`
+  },
+  {
+    id: 'quotes',
+    number: 6,
+    title: 'QUOTATIONS',
+    content: `- Direct quotes: She told me, "I should go."
+- Indirect quotes: She told me she should go (no quotation marks)
+- Capital letter at the start of a direct quote`
+  },
+  {
+    id: 'speakers',
+    number: 7,
+    title: 'MULTIPLE SPEAKERS',
+    content: `- Use a dash (-) for each speaker
+- If segments carry a speaker label [SPEAKER_N], do NOT copy the label into the corrected text
+- Do NOT name the speakers (unless the client asks)
+- Ellipses (...) for interruptions
+- Omit one-word interruptions: "OK", "Yeah", "Oh"`
+  },
+  {
+    id: 'inaudible',
+    number: 8,
+    title: 'INAUDIBLE',
+    content: `- Use [inaudible] only when truly impossible to understand
+- Make an effort to understand before marking [inaudible]
+- If the sentence is not essential and inaudible: omit it or use "..."`
+  },
+  {
+    id: 'profanity',
+    number: 9,
+    title: 'PROFANITY',
+    content: `- Write normally without censoring (unless the client asks)`
+  },
+  {
+    id: 'character',
+    number: 10,
+    title: 'CHARACTER AND CONTEXT',
+    content: `- Fix the errors a regular person makes in an interview
+- Keep the errors that define a character (non-native speaker, accent)
+- Adapt to the context (formal vs casual)`
+  }
+];
+
+// Objectif rappelé en fin de prompt (anglais)
+const ENGLISH_RULES_GOAL = `## FINAL GOAL
+The text must be CLEAR, READABLE and EASY TO UNDERSTAND even without sound.
+Favor clarity over 100% literal accuracy.
+`;
+
+/**
+ * Jeux de règles disponibles, par identifiant
+ * typography : conventions appliquées localement par typographyRules.js
+ * (symbole monétaire, format de l'heure)
+ */
+const RULE_SETS = {
+  'fr-CA': {
+    id: 'fr-CA',
+    language: 'fr',
+    name: 'Français (Québec)',
+    intro: FRENCH_RULES_INTRO,
+    sections: QUEBEC_RULE_SECTIONS,
+    customInstructionsTitle: 'INSTRUCTIONS PARTICULIÈRES DU CLIENT',
+    glossaryTitle: 'GLOSSAIRE DU CLIENT (ORTHOGRAPHES À RESPECTER)',
+    glossaryHeardAs: 'entendu',
+    goal: FRENCH_RULES_GOAL,
+    typography: { currency: '$', timeFormat: '14h54' }
+  },
+  'fr-FR': {
+    id: 'fr-FR',
+    language: 'fr',
+    name: 'Français (France)',
+    intro: FRENCH_RULES_INTRO,
+    sections: FRANCE_RULE_SECTIONS,
+    customInstructionsTitle: 'INSTRUCTIONS PARTICULIÈRES DU CLIENT',
+    glossaryTitle: 'GLOSSAIRE DU CLIENT (ORTHOGRAPHES À RESPECTER)',
+    glossaryHeardAs: 'entendu',
+    goal: FRENCH_RULES_GOAL,
+    typography: { currency: '€', timeFormat: '14:54' }
+  },
+  en: {
+    id: 'en',
+    language: 'en',
+    name: 'English',
+    intro: ENGLISH_RULES_INTRO,
+    sections: ENGLISH_RULE_SECTIONS,
+    customInstructionsTitle: 'CLIENT-SPECIFIC INSTRUCTIONS',
+    glossaryTitle: 'CLIENT GLOSSARY (SPELLINGS TO PRESERVE)',
+    glossaryHeardAs: 'heard as',
+    goal: ENGLISH_RULES_GOAL,
+    typography: { currency: '$', timeFormat: null }
+  }
+};
+
+// Jeu utilisé sans langue connue
+const DEFAULT_RULE_SET_ID = 'fr-CA';
+
+/**
+ * Jeu de règles du français quand Whisper ne détecte que "fr"
+ * (variable FRENCH_RULE_SET : fr-CA par défaut, ou fr-FR)
+ * @returns {string} Identifiant du jeu
+ */
+function getFrenchRuleSetId() {
+  const configured = process.env.FRENCH_RULE_SET;
+  return RULE_SETS[configured]?.language === 'fr' ? configured : 'fr-CA';
+}
+
+/**
+ * Choisit le jeu de règles d'une langue
+ * Accepte un identifiant exact (fr-FR), une variante (en-US, fr_ca) ou le code
+ * détecté par Whisper (fr, en). Une langue sans jeu retombe sur le jeu par défaut
+ * @param {string} language - Langue demandée ou détectée (null = défaut)
+ * @returns {Object} {id, fallback}
+ */
+function resolveRuleSetId(language) {
+  if (!language) {
+    return { id: DEFAULT_RULE_SET_ID, fallback: false };
+  }
+
+  const code = String(language).trim().replace('_', '-').toLowerCase();
+  const exact = Object.keys(RULE_SETS).find(id => id.toLowerCase() === code);
+  if (exact) {
+    return { id: exact, fallback: false };
+  }
+
+  const baseLanguage = code.split('-')[0];
+  if (baseLanguage === 'fr') {
+    return { id: getFrenchRuleSetId(), fallback: false };
+  }
+  const sameLanguage = Object.values(RULE_SETS).find(set => set.language === baseLanguage);
+  if (sameLanguage) {
+    return { id: sameLanguage.id, fallback: false };
+  }
+
+  return { id: DEFAULT_RULE_SET_ID, fallback: true };
+}
+
+/**
+ * Retourne le jeu de règles d'une langue
+ * @param {string} language - Langue demandée ou détectée (voir resolveRuleSetId)
+ * @returns {Object} Jeu de règles {id, language, name, intro, sections, customInstructionsTitle, glossaryTitle, glossaryHeardAs, goal, typography, requestedLanguage, fallback}
+ */
+function getRuleSet(language = null) {
+  const { id, fallback } = resolveRuleSetId(language);
+  if (fallback) {
+    console.log(`⚠️  Aucun jeu de règles pour la langue "${language}", utilisation de ${id}`);
+  }
+  return { ...RULE_SETS[id], requestedLanguage: language || null, fallback };
+}
+
+/**
+ * Liste les jeux de règles disponibles
+ * @returns {Array<Object>} Jeux {id, language, name}
+ */
+function listRuleSets() {
+  return Object.values(RULE_SETS).map(({ id, language, name }) => ({ id, language, name }));
+}
+
+/**
+ * Charge les listes locales d'un jeu de règles (rules/languages/<id>.json)
+ * Le fichier est validé et relu seulement s'il a changé (voir rulesStore.readRulesFile)
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {Object} {blacklist, replacements, rules} (voir ruleCompiler.js)
+ * @throws {Error} error.code = 'INVALID' si le fichier est invalide (error.details)
+ */
+function loadLanguageRules(id) {
+  const rulesPath = path.join(LANGUAGE_RULES_DIR, `${id}.json`);
+  if (!RULE_SETS[id] || !fs.existsSync(rulesPath)) {
+    return { blacklist: [], replacements: {}, rules: [] };
+  }
+
+  return readRulesFile(rulesPath, `rules/languages/${id}.json`,
+    ({ blacklist = [], replacements = {}, rules = [] }) => ({ blacklist, replacements, rules }));
+}
+
+module.exports = {
+  RULE_SETS,
+  DEFAULT_RULE_SET_ID,
+  resolveRuleSetId,
+  getRuleSet,
+  listRuleSets,
+  loadLanguageRules
+};
@@ -0,0 +1,127 @@
+/**
+ * Tests unitaires pour le service ruleRegistry
+ *
+ * Pour exécuter : node backend/services/ruleRegistry.test.js
+ */
+
+const { RULE_SETS, resolveRuleSetId, getRuleSet, listRuleSets, loadLanguageRules } = require('./ruleRegistry');
+const { loadRules, applyRulesToTranscription } = require('./applyRules');
+const { VERBATIM_RULES, buildVerbatimRules, applyVerbatimRules } = require('./rulesEngine');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service ruleRegistry ===${RESET}\n`);
+
+  // Test 1: Choix du jeu de règles
+  console.log(`${BLUE}Test 1: Choix du jeu de règles${RESET}`);
+  assertEquals(resolveRuleSetId(null).id, 'fr-CA', 'Sans langue : français québécois');
+  assertEquals(resolveRuleSetId('fr').id, 'fr-CA', 'Langue Whisper "fr" : français québécois');
+  assertEquals(resolveRuleSetId('fr_FR').id, 'fr-FR', 'Variante française explicite');
+  assertEquals(resolveRuleSetId('en').id, 'en', 'Langue Whisper "en" : anglais');
+  assertEquals(resolveRuleSetId('en-US').id, 'en', 'Variante anglaise ramenée à "en"');
+  const unknown = resolveRuleSetId('es');
+  assert(unknown.fallback && unknown.id === 'fr-CA', 'Langue sans jeu : jeu par défaut signalé');
+
+  process.env.FRENCH_RULE_SET = 'fr-FR';
+  assertEquals(resolveRuleSetId('fr').id, 'fr-FR', 'Variante du français configurable');
+  process.env.FRENCH_RULE_SET = 'en';
+  assertEquals(resolveRuleSetId('fr').id, 'fr-CA', 'Variante non française ignorée');
+  delete process.env.FRENCH_RULE_SET;
+
+  assertEquals(listRuleSets().map(set => set.id).join(','), 'fr-CA,fr-FR,en', 'Jeux de règles listés');
+  const sectionIds = set => set.sections.map(section => section.id).join(',');
+  assert(Object.values(RULE_SETS).every(set => sectionIds(set) === sectionIds(RULE_SETS['fr-CA'])), 'Mêmes sections dans tous les jeux');
+  console.log('');
+
+  // Test 2: Prompt des règles
+  console.log(`${BLUE}Test 2: Prompt des règles${RESET}`);
+  assertEquals(buildVerbatimRules(null, 'fr'), VERBATIM_RULES, 'Français québécois par défaut');
+  const english = buildVerbatimRules({ customInstructions: 'Use British spelling' }, 'en');
+  assert(english.includes('# CLEAN VERBATIM RULES'), 'Prompt anglais');
+  assert(!english.includes('euh'), 'Aucune règle française dans le prompt anglais');
+  assert(english.includes('## CLIENT-SPECIFIC INSTRUCTIONS\nUse British spelling'), 'Instructions du client titrées en anglais');
+  const france = buildVerbatimRules(null, 'fr-FR');
+  assert(france.includes('15 €') && !france.includes('fak'), 'Prompt français de France');
+  assert(france.includes('## 5. ANGLICISMES\n'), 'Québécismes retirés du titre');
+  console.log('');
+
+  // Test 3: Listes locales
+  console.log(`${BLUE}Test 3: Listes locales${RESET}`);
+  assert(loadLanguageRules('en').blacklist.includes('um'), 'Blacklist anglaise');
+  assertEquals(loadLanguageRules('inconnu').blacklist.length, 0, 'Jeu inconnu : listes vides');
+
+  const englishRules = loadRules('en');
+  assertEquals(englishRules.ruleSet, 'en', 'Jeu de règles consigné');
+  assert(!englishRules.blacklist.includes('euh'), 'Pas de blacklist française en anglais');
+  assertEquals(englishRules.replacements.youtube, 'YouTube', 'Remplacements communs conservés');
+  assertEquals(englishRules.maxLineLength, 42, 'Contraintes communes conservées');
+  assertEquals(loadRules().ruleSet, 'fr-CA', 'Règles locales par défaut : français québécois');
+
+  const [cleanedEnglish] = applyRulesToTranscription([{ start: 0, end: 1, text: 'um i think uh euh yes' }], null, 'en');
+  assertEquals(cleanedEnglish.text, 'I think euh yes', 'Nettoyage anglais');
+  const [cleanedFrench] = applyRulesToTranscription([{ start: 0, end: 1, text: 'euh oui um' }], null, 'fr');
+  assertEquals(cleanedFrench.text, 'oui um', 'Nettoyage français');
+  console.log('');
+
+  // Test 4: Jeu de règles du LLM (serveur factice)
+  console.log(`${BLUE}Test 4: Jeu de règles du LLM${RESET}`);
+  const server = await startStubServer(0);
+  const stub = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+  try {
+    const result = await applyVerbatimRules([{ start: 0, end: 1, text: 'um yes' }], { llm: stub, language: 'en' });
+    assertEquals(result.metadata.ruleSet, 'en', 'Jeu de règles anglais consigné');
+    assertEquals(result.correctedSegments[0].correctedText, 'yes', 'Segment corrigé');
+  } finally {
+    server.close();
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
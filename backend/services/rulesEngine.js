@@ -1,127 +1,102 @@
 /**
  * Rules Engine pour le Verbatim Corrigé (CV)
- * Applique les règles de transcription professionnelle avec GPT-4o-mini
+ * Applique les règles de transcription professionnelle avec un LLM
+ * (GPT-4o-mini par défaut, ou tout serveur compatible OpenAI via llmClient)
  */
 
-const OpenAI = require('openai');
+const { withSpeakerDashes } = require('./speakerLabels');
+const {
+  DEFAULT_CHUNK_OPTIONS,
+  buildChunks,
+  runWithConcurrency,
+  mergeChunkSegments,
+  aggregateStatistics
+} = require('./gptChunker');
+const { createLLMClient, getLLMConfigError } = require('./llmClient');
+const { DEFAULT_MAX_RETRIES, validateVerbatimResponse, requestValidatedJSON } = require('./llmResponseValidator');
+const { RULE_SETS, DEFAULT_RULE_SET_ID, getRuleSet } = require('./ruleRegistry');
+const { applyTypographyToSegments } = require('./typographyRules');
+const { buildGlossaryInstructions } = require('./glossaries');
+const { applyGlossaryToSegments } = require('./glossaryCorrection');
+
+// Passage des règles locales de chiffres et de typographie (voir typographyRules.js)
+// before : avant le LLM | only : à la place du LLM | none : désactivé
+const TYPOGRAPHY_MODES = ['before', 'only', 'none'];
 
 /**
- * Règles de verbatim corrigé pour GPT-4o-mini
+ * Sections des règles de verbatim corrigé du jeu par défaut (français québécois)
  */
-const VERBATIM_RULES = `
-# RÈGLES DE VERBATIM CORRIGÉ (CV)
-
-Tu es un expert en transcription de sous-titres professionnels. Tu dois appliquer les règles suivantes :
-
-## 1. NETTOYAGE DU TEXTE
-- Supprimer TOUTES les hésitations : "euh", "hum", "mh", "ben", "pis"
-- Supprimer les bégaiements et répétitions inutiles : "j'ai-j'ai", "s-s-soir"
-- Supprimer les mots béquille : "du coup", "genre", "comme", "là", "donc" (quand inutiles)
-- Supprimer les tics de langage répétitifs
-- Garder UNE SEULE hésitation si le locuteur change le sens de sa phrase
-
-## 2. GRAMMAIRE ET SYNTAXE
-- Ajouter le "ne" de négation : "j'ai pas" → "je n'ai pas"
-- Corriger "si j'aurais" → "si j'avais"
-- Corriger les erreurs de pluriel/féminin
-- Corriger "fak" → enlever ou remplacer par "alors"
-- Corriger la ponctuation pour rendre le texte lisible
-
-## 3. PONCTUATION
-- Utiliser la virgule pour les énumérations et compléments
-- Ne PAS mettre de virgule à chaque pause orale
-- Mettre un point pour marquer la fin d'une idée
-- Ne PAS mettre de point devant "et" (enlever le "et" si début de phrase)
-- Points de suspension (...) uniquement pour interruptions ou idées non terminées
-- Majuscules accentuées obligatoires : "À", "Ça", "É"
-
-## 4. CHIFFRES ET NOMBRES
-- Nombres < 10 : en lettres (un, deux, trois)
-- Nombres ≥ 10 : en chiffres (26, 300)
-- Pourcentages : avec symbole (25 %)
-- Fractions : en lettres (deux tiers)
-- Montants : 15 $ (avec espace)
-- Heure Québec : 14h54 | Heure France : 14:54
-
-## 5. ANGLICISMES ET QUÉBÉCISMES
-- Mettre entre guillemets français : « burnout », « check ben »
-- Sacres entre guillemets : « caliss », « tabarnak »
-- Si répété plusieurs fois dans la vidéo, normaliser sans guillemets
-
-## 6. CITATIONS
-- Citations directes : "Elle m'a dit : « Je devrais y aller »"
-- Citations indirectes : "Elle m'a dit qu'elle devrait y aller" (sans guillemets)
-- Majuscule au début d'une citation directe
-
-## 7. INTERLOCUTEURS MULTIPLES
-- Utiliser le tiret (-) pour chaque personne
-- Ne PAS nommer les personnes (sauf demande client)
-- Points de suspension (...) pour interruptions
-- Omettre les interruptions à un mot : "OK", "Miam", "Ah"
-
-## 8. INAUDIBLE
-- Utiliser [inaudible] uniquement si vraiment impossible à comprendre
-- Faire un effort de compréhension avant de marquer [inaudible]
-- Si phrase non essentielle et inaudible : omettre ou mettre "..."
-
-## 9. SACRES ET INJURES
-- Écrire normalement sans censure (sauf demande client)
-
-## 10. PERSONNAGE ET CONTEXTE
-- Corriger les erreurs d'une personne normale en entrevue
-- Garder les erreurs caractéristiques d'un personnage (anglophone, accent)
-- Adapter selon le contexte (formel vs familier)
-
-## OBJECTIF FINAL
-Le texte doit être CLAIR, LISIBLE et FACILE À COMPRENDRE même sans le son.
-Privilégier la clarté à la fidélité exacte à 100%.
-`;
+const VERBATIM_RULE_SECTIONS = RULE_SETS[DEFAULT_RULE_SET_ID].sections;
 
 /**
- * Applique les règles de verbatim corrigé avec GPT-4o-mini
- * @param {Array} segments - Segments de transcription brute
- * @param {Object} options - Options de traitement
- * @param {string} options.openaiApiKey - Clé API OpenAI
- * @param {string} options.language - Langue (fr, en)
- * @param {string} options.context - Contexte additionnel (optionnel)
- * @returns {Promise<Object>} Résultat avec segments corrigés
+ * Construit le prompt des règles de verbatim corrigé pour un profil de style
+ * Les sections désactivées sont omises (les numéros des autres restent stables)
+ * @param {Object} profile - Profil de style {sections: {<id>: {enabled, content, append}}, customInstructions} (null = règles par défaut)
+ * @param {string} language - Langue ou jeu de règles (voir ruleRegistry.resolveRuleSetId, défaut: fr-CA)
+ * @param {Object} glossary - Glossaire du projet, orthographes à conserver (voir glossaries.js, optionnel)
+ * @returns {string} Prompt système
  */
-async function applyVerbatimRules(segments, options = {}) {
-  const {
-    openaiApiKey,
-    language = 'fr',
-    context = ''
-  } = options;
+function buildVerbatimRules(profile = null, language = null, glossary = null) {
+  const ruleSet = getRuleSet(language);
+  const overrides = profile?.sections || {};
+
+  const sections = ruleSet.sections
+    .filter(section => overrides[section.id]?.enabled !== false)
+    .map(section => {
+      const override = overrides[section.id] || {};
+      const content = [override.content ?? section.content, override.append].filter(Boolean).join('\n');
+      return `## ${section.number}. ${section.title}\n${content}\n`;
+    });
 
-  if (!openaiApiKey) {
-    throw new Error('Clé API OpenAI requise');
-  }
+  const customInstructions = profile?.customInstructions?.trim()
+    ? `## ${ruleSet.customInstructionsTitle}\n${profile.customInstructions.trim()}\n\n`
+    : '';
 
-  if (!segments || segments.length === 0) {
-    throw new Error('Aucun segment à traiter');
-  }
+  const glossaryInstructions = glossary?.terms?.length
+    ? `## ${ruleSet.glossaryTitle}\n${buildGlossaryInstructions(glossary, ruleSet.glossaryHeardAs)}\n\n`
+    : '';
 
-  console.log('\n🎯 === APPLICATION DES RÈGLES DE VERBATIM CORRIGÉ ===');
-  console.log(`📝 Segments à traiter: ${segments.length}`);
-  console.log(`🌍 Langue: ${language}`);
+  return `${ruleSet.intro}${sections.join('\n')}\n${customInstructions}${glossaryInstructions}${ruleSet.goal}`;
+}
 
-  const openai = new OpenAI({ apiKey: openaiApiKey });
+/**
+ * Règles de verbatim corrigé par défaut (sans profil)
+ */
+const VERBATIM_RULES = buildVerbatimRules();
 
-  // Préparer le texte complet avec timestamps
-  const fullText = segments.map((seg, idx) => {
-    return `[${idx}] (${seg.start?.toFixed(2)}s - ${seg.end?.toFixed(2)}s) ${seg.text}`;
+/**
+ * Corrige une fenêtre de segments en un seul appel au LLM
+ * Les segments sont numérotés par leur index global dans la transcription
+ * @param {Object} llm - Client LLM (voir llmClient.createLLMClient)
+ * @param {Array} segments - Tous les segments de la transcription
+ * @param {Object} chunk - Fenêtre à traiter (voir gptChunker.buildChunks)
+ * @param {Object} options - {ruleSet, context, profile, glossary, chunkCount, maxRetries}
+ * @returns {Promise<Object>} {result: {segments, summary, statistics}, valid, attempts, failures}
+ */
+async function correctChunk(llm, segments, chunk, options) {
+  const { ruleSet, context, profile, glossary, chunkCount, maxRetries } = options;
+
+  // Préparer le texte de la fenêtre avec timestamps
+  const fullText = segments.slice(chunk.from, chunk.to).map((seg, offset) => {
+    const idx = chunk.from + offset;
+    const speaker = seg.speaker ? `[${seg.speaker}] ` : '';
+    return `[${idx}] (${seg.start?.toFixed(2)}s - ${seg.end?.toFixed(2)}s) ${speaker}${seg.text}`;
   }).join('\n');
 
-  console.log(`📄 Longueur du texte: ${fullText.length} caractères`);
+  const partInfo = chunkCount > 1
+    ? `PARTIE ${chunk.index + 1}/${chunkCount} d'une transcription plus longue (segments [${chunk.from}] à [${chunk.to - 1}])\n`
+    : '';
+
+  console.log(`📄 Partie ${chunk.index + 1}/${chunkCount}: ${chunk.to - chunk.from} segments, ${fullText.length} caractères`);
 
   // Construire le prompt
-  const systemPrompt = VERBATIM_RULES;
+  const systemPrompt = buildVerbatimRules(profile, ruleSet.id, glossary);
   
   const userPrompt = `
 Voici une transcription brute à corriger selon les règles de Verbatim Corrigé (CV).
 
-${context ? `CONTEXTE: ${context}\n` : ''}
-LANGUE: ${language === 'fr' ? 'Français' : 'Anglais'}
+${context ? `CONTEXTE: ${context}\n` : ''}${partInfo}
+LANGUE: ${ruleSet.fallback ? ruleSet.requestedLanguage : ruleSet.name}
 
 TRANSCRIPTION BRUTE:
 ${fullText}
@@ -129,13 +104,13 @@ ${fullText}
 INSTRUCTIONS:
 1. Applique TOUTES les règles de verbatim corrigé
 2. Garde le format [index] (timestamps) pour chaque segment
-3. Corrige le texte de chaque segment
-4. Retourne UNIQUEMENT les segments corrigés au format JSON suivant:
+3. Corrige le texte de chaque segment, sans en fusionner ni en supprimer
+4. Retourne UNIQUEMENT les segments corrigés au format JSON suivant, avec "id" égal à l'[index] du segment:
 
 {
   "segments": [
     {
-      "id": 0,
+      "id": ${chunk.from},
       "start": 0.0,
       "end": 2.5,
       "originalText": "texte original",
@@ -153,55 +128,269 @@ INSTRUCTIONS:
 }
 `;
 
+  // Réponse validée contre le schéma, relancée avec un message correctif si besoin
+  const { response, valid, attempts, failures } = await requestValidatedJSON(llm, [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], response => validateVerbatimResponse(response, chunk), {
+    temperature: 0.3, // Basse température pour cohérence
+    maxRetries
+  });
+
+  // Après les relances, les segments inutilisables reprennent le texte original à la fusion
+  const result = {
+    segments: Array.isArray(response?.segments) ? response.segments : [],
+    summary: typeof response?.summary === 'string' ? response.summary : '',
+    statistics: response?.statistics && typeof response.statistics === 'object' ? response.statistics : {}
+  };
+
+  return { result, valid, attempts, failures };
+}
+
+/**
+ * Applique les règles de verbatim corrigé avec le LLM configuré
+ * Les longues transcriptions sont traitées par fenêtres qui se chevauchent
+ * puis recomposées par index de segment
+ * @param {Array} segments - Segments de transcription brute
+ * @param {Object} options - Options de traitement
+ * @param {Object} options.llm - Fournisseur LLM {provider, baseUrl, model, apiKey} (défaut: environnement)
+ * @param {string} options.openaiApiKey - Clé API OpenAI (raccourci pour llm.apiKey)
+ * @param {string} options.language - Langue détectée ou jeu de règles (fr, fr-CA, fr-FR, en)
+ * @param {string} options.context - Contexte additionnel (optionnel)
+ * @param {Object} options.profile - Profil de style du client (voir styleProfiles.js, défaut: règles standard)
+ * @param {Object} options.glossary - Glossaire du projet, orthographes à conserver (voir glossaries.js, optionnel) :
+ *   corrigées localement avant le LLM (glossaryCorrection) puis rappelées dans son prompt
+ * @param {Object} options.chunking - Découpage (voir gptChunker.DEFAULT_CHUNK_OPTIONS)
+ * @param {number} options.maxRetries - Relances après une réponse invalide (défaut: 2)
+ * @param {string} options.typography - Règles locales de chiffres et de typographie : before, only ou none (défaut: before)
+ * @returns {Promise<Object>} Résultat avec segments corrigés, rapport de validation, modifications locales
+ *   et corrections du glossaire (glossaryCorrection: {changes, statistics} ou null)
+ */
+async function applyVerbatimRules(segments, options = {}) {
+  const {
+    llm: llmOptions = {},
+    openaiApiKey = null,
+    language = 'fr',
+    context = '',
+    profile = null,
+    glossary = null,
+    chunking = {},
+    maxRetries = DEFAULT_MAX_RETRIES,
+    typography = 'before'
+  } = options;
+
+  if (!TYPOGRAPHY_MODES.includes(typography)) {
+    throw new Error(`Mode de typographie inconnu: ${typography} (${TYPOGRAPHY_MODES.join(', ')})`);
+  }
+
+  // Sans passage au LLM, aucune configuration n'est requise
+  const llm = typography === 'only'
+    ? null
+    : createLLMClient({ ...(openaiApiKey ? { apiKey: openaiApiKey } : {}), ...llmOptions });
+  const configError = llm ? getLLMConfigError(llm.config) : null;
+  if (configError) {
+    throw new Error(configError);
+  }
+
+  if (!segments || segments.length === 0) {
+    throw new Error('Aucun segment à traiter');
+  }
+
+  const ruleSet = getRuleSet(language);
+
+  console.log('\n🎯 === APPLICATION DES RÈGLES DE VERBATIM CORRIGÉ ===');
+  console.log(`📝 Segments à traiter: ${segments.length}`);
+  console.log(`🌍 Langue: ${language} (règles: ${ruleSet.name})`);
+  console.log(`🎨 Profil: ${profile ? `${profile.name} (${profile.id})` : 'standard'}`);
+  if (glossary) {
+    console.log(`📖 Glossaire: ${glossary.name} (${glossary.terms.length} termes)`);
+  }
+
+  // Chiffres et typographie appliqués localement avant (ou à la place) du LLM
+  const localStartTime = Date.now();
+  const localPass = typography === 'none' ? null : applyTypographyToSegments(segments, language, { profile });
+  const typographyReport = {
+    mode: typography,
+    changes: localPass ? localPass.changes : [],
+    statistics: localPass ? localPass.statistics : null
+  };
+  if (localPass) {
+    console.log(`🔤 Règles locales: ${localPass.statistics.changes} modification(s) dans ${localPass.statistics.segmentsModified} segment(s)`);
+  }
+
+  // Orthographes du glossaire corrigées localement (correspondance approximative), avant le LLM
+  // qui reçoit aussi le glossaire dans son prompt
+  const glossaryPass = glossary ? applyGlossaryToSegments(localPass ? localPass.segments : segments, glossary) : null;
+  const glossaryCorrection = glossaryPass ? { changes: glossaryPass.changes, statistics: glossaryPass.statistics } : null;
+  if (glossaryPass) {
+    console.log(`📖 Glossaire: ${glossaryPass.statistics.changes} correction(s) dans ${glossaryPass.statistics.segmentsModified} segment(s)`);
+  }
+
+  if (!llm) {
+    const processingTime = `${((Date.now() - localStartTime) / 1000).toFixed(2)}s`;
+    return buildLocalResult(segments, localPass, { language, ruleSet, profile, glossary, glossaryPass, typographyReport, processingTime });
+  }
+
+  const sourceSegments = glossaryPass ? glossaryPass.segments : (localPass ? localPass.segments : segments);
+  const chunkOptions = { ...DEFAULT_CHUNK_OPTIONS, ...chunking };
+  const chunks = buildChunks(sourceSegments, chunkOptions);
+  console.log(`🧩 Parties: ${chunks.length} (concurrence: ${chunkOptions.concurrency})`);
+
   try {
-    console.log('🤖 Envoi à GPT-4o-mini...');
+    console.log(`🤖 Envoi à ${llm.config.model} (${llm.config.provider})...`);
     const startTime = Date.now();
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.3, // Basse température pour cohérence
-      response_format: { type: 'json_object' }
-    });
+    const answers = await runWithConcurrency(chunks, chunkOptions.concurrency, chunk =>
+      correctChunk(llm, sourceSegments, chunk, { ruleSet, context, profile, glossary, chunkCount: chunks.length, maxRetries })
+    );
+    const results = answers.map(answer => answer.result);
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Réponse reçue en ${duration}s`);
-
-    const result = JSON.parse(completion.choices[0].message.content);
+    console.log(`✅ Réponses reçues en ${duration}s`);
 
-    // Validation du résultat
-    if (!result.segments || !Array.isArray(result.segments)) {
-      throw new Error('Format de réponse invalide');
+    const merged = mergeChunkSegments(sourceSegments, chunks, results.map(result => result.segments));
+    if (merged.restored.length > 0) {
+      console.log(`⚠️  ${merged.restored.length} segment(s) absent(s) de la réponse, texte original conservé`);
     }
 
+    // Les locuteurs viennent de la diarisation, pas de GPT : on les reprend par index
+    // Le texte d'origine est celui d'avant les règles locales
+    const correctedSegments = merged.segments.map(seg => {
+      const source = segments[seg.id];
+      const corrected = { ...seg, originalText: source.text };
+      return source?.speaker ? { ...corrected, speaker: source.speaker } : corrected;
+    });
+
+    const statistics = {
+      ...aggregateStatistics(results.map(result => result.statistics)),
+      totalSegments: segments.length,
+      segmentsModified: correctedSegments.filter(seg => seg.correctedText !== seg.originalText).length,
+      chunks: chunks.length,
+      restoredSegments: merged.restored.length,
+      renumberedChunks: merged.renumberedChunks,
+      typographyChanges: typographyReport.changes.length,
+      ...(glossaryPass ? { glossaryChanges: glossaryPass.statistics.changes } : {})
+    };
+
+    const validation = {
+      valid: answers.every(answer => answer.valid),
+      attempts: answers.reduce((total, answer) => total + answer.attempts, 0),
+      retries: answers.reduce((total, answer) => total + answer.attempts - 1, 0),
+      invalidResponses: answers.flatMap((answer, i) =>
+        answer.failures.map(failure => ({ chunk: i, attempt: failure.attempt, errors: failure.errors }))
+      ),
+      repairs: [
+        ...merged.restored.map(index => ({
+          type: 'restored-segment',
+          index,
+          message: `Segment [${index}] absent ou invalide dans la réponse, texte original conservé`
+        })),
+        ...(merged.renumberedChunks > 0 ? [{
+          type: 'renumbered-segments',
+          index: null,
+          message: `${merged.renumberedChunks} partie(s) renumérotée(s) par le modèle, segments rattachés par position`
+        }] : [])
+      ]
+    };
+
+    const summary = results.length === 1
+      ? results[0].summary
+      : results.map(result => result.summary).filter(Boolean).join(' ');
+
     console.log(`📊 Statistiques:`);
-    console.log(`   - Segments traités: ${result.statistics?.totalSegments || result.segments.length}`);
-    console.log(`   - Segments modifiés: ${result.statistics?.segmentsModified || 'N/A'}`);
-    console.log(`   - Hésitations supprimées: ${result.statistics?.hesitationsRemoved || 'N/A'}`);
-    console.log(`   - Corrections grammaticales: ${result.statistics?.grammarFixed || 'N/A'}`);
+    console.log(`   - Segments traités: ${statistics.totalSegments}`);
+    console.log(`   - Segments modifiés: ${statistics.segmentsModified}`);
+    console.log(`   - Hésitations supprimées: ${statistics.hesitationsRemoved ?? 'N/A'}`);
+    console.log(`   - Corrections grammaticales: ${statistics.grammarFixed ?? 'N/A'}`);
 
     return {
       success: true,
-      correctedSegments: result.segments,
-      summary: result.summary,
-      statistics: result.statistics,
+      correctedSegments,
+      summary,
+      statistics,
+      validation,
+      typography: typographyReport,
+      glossaryCorrection,
       metadata: {
-        model: 'gpt-4o-mini',
+        model: llm.config.model,
+        provider: llm.config.provider,
         processingTime: `${duration}s`,
         language,
-        rulesApplied: 'Verbatim Corrigé (CV)'
+        chunks: chunks.length,
+        rulesApplied: 'Verbatim Corrigé (CV)',
+        ruleSet: ruleSet.id,
+        profile: profile ? { id: profile.id, name: profile.name, updatedAt: profile.updatedAt } : null,
+        glossary: glossary ? { id: glossary.id, name: glossary.name, terms: glossary.terms.length, updatedAt: glossary.updatedAt } : null
       }
     };
 
   } catch (error) {
-    console.error('❌ Erreur GPT:', error.message);
+    console.error('❌ Erreur LLM:', error.message);
     throw new Error(`Échec de l'application des règles: ${error.message}`);
   }
 }
 
+/**
+ * Résultat des seules règles locales (mode typography: 'only'), au même format
+ * que la correction par le LLM
+ * @param {Array} segments - Segments de transcription brute
+ * @param {Object} localPass - Résultat de typographyRules.applyTypographyToSegments
+ * @param {Object} context - {language, ruleSet, profile, glossary, glossaryPass, typographyReport, processingTime}
+ * @returns {Object} Résultat avec segments corrigés et modifications locales
+ */
+function buildLocalResult(segments, localPass, context) {
+  const { language, ruleSet, profile, glossary = null, glossaryPass = null, typographyReport, processingTime } = context;
+  const finalSegments = glossaryPass ? glossaryPass.segments : localPass.segments;
+  const glossaryChanges = glossaryPass ? glossaryPass.changes : [];
+  const segmentsModified = finalSegments.filter((seg, index) => seg.text !== segments[index].text).length;
+
+  const correctedSegments = segments.map((seg, index) => {
+    const corrected = {
+      id: index,
+      start: seg.start,
+      end: seg.end,
+      originalText: seg.text,
+      correctedText: finalSegments[index].text,
+      changes: [
+        ...localPass.changes
+          .filter(change => change.segment === index)
+          .map(change => `${change.rule}: ${change.before} → ${change.after}`),
+        ...glossaryChanges
+          .filter(change => change.segment === index)
+          .map(change => `glossaire: ${change.before} → ${change.after}`)
+      ]
+    };
+    return seg.speaker ? { ...corrected, speaker: seg.speaker } : corrected;
+  });
+
+  return {
+    success: true,
+    correctedSegments,
+    summary: `Règles locales uniquement : ${localPass.statistics.changes} modification(s) de chiffres et de typographie`
+      + (glossaryPass ? `, ${glossaryPass.statistics.changes} correction(s) du glossaire` : ''),
+    statistics: {
+      totalSegments: segments.length,
+      segmentsModified,
+      typographyChanges: localPass.statistics.changes,
+      ...(glossaryPass ? { glossaryChanges: glossaryPass.statistics.changes } : {})
+    },
+    validation: null,
+    typography: typographyReport,
+    glossaryCorrection: glossaryPass ? { changes: glossaryPass.changes, statistics: glossaryPass.statistics } : null,
+    metadata: {
+      model: null,
+      provider: 'local',
+      processingTime,
+      language,
+      chunks: 0,
+      rulesApplied: 'Verbatim Corrigé (CV) - règles locales',
+      ruleSet: ruleSet.id,
+      profile: profile ? { id: profile.id, name: profile.name, updatedAt: profile.updatedAt } : null,
+      glossary: glossary ? { id: glossary.id, name: glossary.name, terms: glossary.terms.length, updatedAt: glossary.updatedAt } : null
+    }
+  };
+}
+
 /**
  * Génère un texte complet à partir des segments corrigés
  * @param {Array} correctedSegments - Segments corrigés
@@ -217,11 +406,12 @@ function generateCorrectedText(correctedSegments) {
 
 /**
  * Génère un fichier SRT à partir des segments corrigés
+ * Les prises de parole sont marquées d'un tiret si les segments portent un locuteur
  * @param {Array} correctedSegments - Segments corrigés
  * @returns {string} Contenu SRT
  */
 function generateCorrectedSRT(correctedSegments) {
-  return correctedSegments.map((seg, index) => {
+  return withSpeakerDashes(correctedSegments, 'correctedText').map((seg, index) => {
     const startTime = formatSRTTime(seg.start);
     const endTime = formatSRTTime(seg.end);
     
@@ -244,8 +434,11 @@ function formatSRTTime(seconds) {
 }
 
 module.exports = {
+  TYPOGRAPHY_MODES,
   applyVerbatimRules,
   generateCorrectedText,
   generateCorrectedSRT,
+  buildVerbatimRules,
+  VERBATIM_RULE_SECTIONS,
   VERBATIM_RULES
 };
@@ -0,0 +1,553 @@
+/**
+ * Gestion des jeux de règles de nettoyage local (blacklist, remplacements, longueur de ligne)
+ * - "default" : rules/rules.json, utilisé sans rulesetId
+ * - jeux nommés par projet : rules/rulesets/<id>.json
+ * Chaque modification est validée puis versionnée (rules/history/<id>/<version>.json)
+ * pour permettre un retour arrière. Les fichiers sont relus dès qu'ils changent sur disque
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateRules } = require('./ruleCompiler');
+
+const RULES_DIR = path.join(__dirname, '../rules');
+const DEFAULT_RULES_PATH = path.join(RULES_DIR, 'rules.json');
+const RULESETS_DIR = path.join(RULES_DIR, 'rulesets');
+const HISTORY_DIR = path.join(RULES_DIR, 'history');
+
+// Jeu de règles utilisé sans rulesetId (rules/rules.json)
+const DEFAULT_RULESET_ID = 'default';
+
+// Identifiant d'un jeu de règles (nom de fichier sûr)
+const RULESET_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Nombre de versions conservées par jeu de règles
+const RULES_HISTORY_LIMIT = 50;
+
+// Contenu d'un jeu de règles (voir ruleCompiler.js pour blacklist, replacements et rules)
+const CONTENT_FIELDS = ['blacklist', 'replacements', 'maxLineLength', 'rules', 'subtitles'];
+
+// Informations descriptives d'un jeu nommé
+const METADATA_FIELDS = ['name', 'description'];
+
+// Champs gérés par le serveur (ignorés dans les requêtes)
+const READONLY_FIELDS = ['id', 'version', 'createdAt', 'updatedAt'];
+
+// Bornes de la longueur de ligne des sous-titres
+const MIN_LINE_LENGTH = 10;
+const MAX_LINE_LENGTH = 200;
+
+// Contraintes de sous-titrage modifiables (voir subtitleRetimer.js)
+const SUBTITLE_FIELDS = ['maxCharsPerSecond', 'minDuration', 'maxDuration', 'mergeBelow', 'maxMergeGap', 'maxLines', 'minGap'];
+
+// Fichiers de règles déjà lus : chemin → {mtimeMs, size, data}
+const fileCache = new Map();
+
+/**
+ * Crée une erreur de service avec un code
+ * @param {string} code - 'INVALID', 'EXISTS' ou 'NOT_FOUND'
+ * @param {string} message - Message
+ * @param {Array<string>} details - Détails (optionnel)
+ * @returns {Error}
+ */
+function rulesError(code, message, details = undefined) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Indique si un identifiant de jeu de règles est valide
+ * @param {string} id - Identifiant
+ * @returns {boolean}
+ */
+function isValidRulesetId(id) {
+  return typeof id === 'string' && RULESET_ID_PATTERN.test(id);
+}
+
+/**
+ * Chemin du fichier JSON d'un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {string} Chemin du fichier
+ */
+function rulesetPath(id) {
+  return id === DEFAULT_RULESET_ID ? DEFAULT_RULES_PATH : path.join(RULESETS_DIR, `${id}.json`);
+}
+
+/**
+ * Indique si un jeu de règles existe
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {boolean}
+ */
+function rulesetExists(id) {
+  return isValidRulesetId(id) && fs.existsSync(rulesetPath(id));
+}
+
+/**
+ * Valide le contenu d'un fichier ou d'une requête de règles
+ * @param {Object} data - {blacklist, replacements, maxLineLength, rules, subtitles, name, description}
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateRulesDocument(data) {
+  const errors = validateRules(data);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return errors;
+  }
+
+  Object.keys(data)
+    .filter(key => ![...CONTENT_FIELDS, ...METADATA_FIELDS, ...READONLY_FIELDS].includes(key))
+    .forEach(key => errors.push(`champ inconnu "${key}" (${[...CONTENT_FIELDS, ...METADATA_FIELDS].join(', ')})`));
+
+  METADATA_FIELDS
+    .filter(key => data[key] !== undefined && typeof data[key] !== 'string')
+    .forEach(key => errors.push(`${key}: chaîne attendue`));
+
+  if (data.maxLineLength !== undefined &&
+      (!Number.isInteger(data.maxLineLength) || data.maxLineLength < MIN_LINE_LENGTH || data.maxLineLength > MAX_LINE_LENGTH)) {
+    errors.push(`maxLineLength: entier entre ${MIN_LINE_LENGTH} et ${MAX_LINE_LENGTH} attendu`);
+  }
+
+  if (data.subtitles !== undefined) {
+    if (!data.subtitles || typeof data.subtitles !== 'object' || Array.isArray(data.subtitles)) {
+      errors.push(`subtitles: objet { ${SUBTITLE_FIELDS.join(', ')} } attendu`);
+    } else {
+      Object.entries(data.subtitles).forEach(([key, value]) => {
+        if (!SUBTITLE_FIELDS.includes(key)) {
+          errors.push(`subtitles: champ inconnu "${key}" (${SUBTITLE_FIELDS.join(', ')})`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 ||
+                   (key === 'maxLines' && (!Number.isInteger(value) || value < 1))) {
+          errors.push(`subtitles.${key}: nombre positif attendu`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Lit un fichier de règles validé, relu seulement s'il a changé sur disque
+ * Le résultat est partagé entre les appels : ne pas le modifier
+ * @param {string} filePath - Chemin du fichier JSON
+ * @param {string} origin - Nom du fichier pour les messages d'erreur
+ * @param {Function} normalize - Transformation appliquée une fois après lecture (optionnel)
+ * @returns {Object} Contenu du fichier
+ * @throws {Error} error.code = 'INVALID' si le fichier est invalide (error.details)
+ */
+function readRulesFile(filePath, origin, normalize = data => data) {
+  const stats = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.data;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw rulesError('INVALID', `Règles invalides (${origin}): JSON illisible`, [error.message]);
+  }
+
+  const errors = validateRulesDocument(data);
+  if (errors.length > 0) {
+    throw rulesError('INVALID', `Règles invalides (${origin}): ${errors.join('; ')}`, errors);
+  }
+
+  if (cached) {
+    console.log(`♻️  Règles rechargées: ${origin}`);
+  }
+  const normalized = normalize(data);
+  fileCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, data: normalized });
+  return normalized;
+}
+
+/**
+ * Lit le contenu d'un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {Object|null} Contenu du fichier ou null si le jeu n'existe pas
+ * @throws {Error} error.code = 'INVALID' si le fichier est invalide
+ */
+function readRuleset(id) {
+  if (!rulesetExists(id)) {
+    return null;
+  }
+  return readRulesFile(rulesetPath(id), path.relative(path.join(RULES_DIR, '..'), rulesetPath(id)));
+}
+
+/**
+ * Dossier d'historique d'un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {string} Chemin du dossier
+ */
+function historyDir(id) {
+  return path.join(HISTORY_DIR, id);
+}
+
+/**
+ * Numéros des versions enregistrées d'un jeu de règles (croissants)
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {Array<number>}
+ */
+function listVersionNumbers(id) {
+  if (!fs.existsSync(historyDir(id))) {
+    return [];
+  }
+  return fs.readdirSync(historyDir(id))
+    .map(file => /^(\d+)\.json$/.exec(file))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Version courante d'un jeu de règles (1 tant qu'il n'a jamais été modifié par l'API)
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {number}
+ */
+function getRulesetVersion(id) {
+  const versions = listVersionNumbers(id);
+  return versions.length > 0 ? versions[versions.length - 1] : 1;
+}
+
+/**
+ * Charge une version enregistrée d'un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {number} version - Numéro de version
+ * @returns {Object|null} {version, savedAt, reason, content} ou null
+ */
+function loadRulesetVersion(id, version) {
+  if (!isValidRulesetId(id) || !Number.isInteger(version) || version < 1) {
+    return null;
+  }
+  const file = path.join(historyDir(id), `${version}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Écrit un fichier JSON (écriture atomique via fichier temporaire)
+ * @param {string} target - Chemin du fichier
+ * @param {Object} data - Contenu
+ */
+function writeJsonAtomic(target, data) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(tmpFile, target);
+}
+
+/**
+ * Ajoute une version à l'historique (les plus anciennes au-delà de la limite sont supprimées)
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} content - Contenu enregistré
+ * @param {string} reason - Origine de la version
+ * @returns {number} Numéro de la version
+ */
+function appendHistory(id, content, reason) {
+  const versions = listVersionNumbers(id);
+  const version = versions.length > 0 ? versions[versions.length - 1] + 1 : 1;
+  writeJsonAtomic(path.join(historyDir(id), `${version}.json`), {
+    version,
+    savedAt: new Date().toISOString(),
+    reason,
+    content
+  });
+
+  versions.slice(0, Math.max(0, versions.length + 1 - RULES_HISTORY_LIMIT))
+    .forEach(old => fs.unlinkSync(path.join(historyDir(id), `${old}.json`)));
+  return version;
+}
+
+/**
+ * Enregistre l'état actuel du fichier s'il n'est pas encore dans l'historique
+ * (premier enregistrement ou modification manuelle du fichier)
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} current - Contenu actuel du fichier
+ */
+function recordCurrentState(id, current) {
+  const versions = listVersionNumbers(id);
+  if (versions.length === 0) {
+    appendHistory(id, current, 'état initial');
+    return;
+  }
+  const latest = loadRulesetVersion(id, versions[versions.length - 1]);
+  if (JSON.stringify(latest?.content) !== JSON.stringify(current)) {
+    appendHistory(id, current, 'modification manuelle du fichier');
+  }
+}
+
+/**
+ * Garde uniquement le contenu et les informations d'un jeu de règles
+ * @param {Object} data - Données reçues
+ * @returns {Object} Champs connus dans l'ordre du fichier
+ */
+function pickRulesFields(data) {
+  const picked = {};
+  [...METADATA_FIELDS, ...CONTENT_FIELDS].forEach(key => {
+    if (data[key] !== undefined) {
+      picked[key] = data[key];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Vue publique d'un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} data - Contenu du fichier
+ * @returns {Object} {id, name, description, version, createdAt, updatedAt, blacklist, replacements, maxLineLength, rules, subtitles}
+ */
+function toRuleset(id, data) {
+  const { name, description, createdAt = null, updatedAt = null, ...content } = data;
+  return {
+    id,
+    name: name || (id === DEFAULT_RULESET_ID ? 'Règles par défaut' : id),
+    description: description || '',
+    version: getRulesetVersion(id),
+    createdAt,
+    updatedAt,
+    blacklist: [],
+    replacements: {},
+    rules: [],
+    ...pickRulesFields(content)
+  };
+}
+
+/**
+ * Valide et enregistre le contenu d'un jeu de règles, puis l'ajoute à l'historique
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} data - Contenu (champs en lecture seule ignorés)
+ * @param {string} reason - Origine de la modification
+ * @param {Object} existing - Contenu actuel du fichier (null = création)
+ * @returns {Object} Jeu de règles enregistré (voir toRuleset)
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function saveRuleset(id, data, reason, existing = null) {
+  const errors = validateRulesDocument(data);
+  if (errors.length > 0) {
+    throw rulesError('INVALID', 'Règles invalides', errors);
+  }
+
+  if (existing) {
+    recordCurrentState(id, existing);
+  }
+
+  const content = pickRulesFields(data);
+  // rules.json ne contient que les règles ; les jeux nommés gardent leur identité et leurs dates
+  const document = id === DEFAULT_RULESET_ID
+    ? content
+    : { id, ...content, createdAt: existing?.createdAt || new Date().toISOString(), updatedAt: new Date().toISOString() };
+
+  writeJsonAtomic(rulesetPath(id), document);
+  fileCache.delete(rulesetPath(id));
+  const version = appendHistory(id, document, reason);
+  console.log(`📏 Règles ${id} enregistrées (version ${version}, ${reason})`);
+  return toRuleset(id, document);
+}
+
+/**
+ * Charge un jeu de règles existant ou lève une erreur NOT_FOUND
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {Object} Contenu du fichier
+ */
+function requireRuleset(id) {
+  const data = readRuleset(id);
+  if (!data) {
+    throw rulesError('NOT_FOUND', `Jeu de règles introuvable: ${id}`);
+  }
+  return data;
+}
+
+/**
+ * Retourne un jeu de règles
+ * @param {string} id - Identifiant du jeu de règles (défaut: default)
+ * @returns {Object|null} Jeu de règles (voir toRuleset) ou null s'il n'existe pas
+ * @throws {Error} error.code = 'INVALID' si le fichier est invalide
+ */
+function getRuleset(id = DEFAULT_RULESET_ID) {
+  const data = readRuleset(id);
+  return data ? toRuleset(id, data) : null;
+}
+
+/**
+ * Identifiants des jeux de règles (default en premier)
+ * @returns {Array<string>}
+ */
+function listRulesetIds() {
+  const ids = fs.existsSync(RULESETS_DIR)
+    ? fs.readdirSync(RULESETS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(id => isValidRulesetId(id) && id !== DEFAULT_RULESET_ID)
+      .sort()
+    : [];
+  return [DEFAULT_RULESET_ID, ...ids];
+}
+
+/**
+ * Liste les jeux de règles (default en premier)
+ * @returns {Array<Object>} Jeux {id, name, description, version, updatedAt}
+ */
+function listRulesets() {
+  return listRulesetIds()
+    .map(id => {
+      try {
+        const { name, description, version, updatedAt } = getRuleset(id);
+        return { id, name, description, version, updatedAt };
+      } catch (error) {
+        console.error(`⚠️  Jeu de règles illisible ignoré: ${id} (${error.message})`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Crée un jeu de règles nommé à partir d'un jeu existant
+ * @param {Object} data - {id, name, description, from (défaut: default), blacklist, replacements, maxLineLength, rules, subtitles}
+ * @returns {Object} Jeu de règles créé
+ * @throws {Error} error.code = 'INVALID' (error.details), 'EXISTS' ou 'NOT_FOUND' (jeu "from")
+ */
+function createRuleset(data) {
+  const { id, from = DEFAULT_RULESET_ID, ...fields } = data || {};
+
+  if (!isValidRulesetId(id) || id === DEFAULT_RULESET_ID) {
+    throw rulesError('INVALID', 'Jeu de règles invalide', [`Identifiant invalide: "${id}" (minuscules, chiffres et tirets, sauf "${DEFAULT_RULESET_ID}")`]);
+  }
+  if (rulesetExists(id)) {
+    throw rulesError('EXISTS', `Le jeu de règles existe déjà: ${id}`);
+  }
+
+  // Les champs absents sont repris du jeu de départ
+  const { name, description, ...baseContent } = requireRuleset(from);
+  return saveRuleset(id, { ...pickRulesFields(baseContent), ...fields }, `création depuis ${from}`);
+}
+
+/**
+ * Remplace le contenu d'un jeu de règles (les champs absents sont retirés)
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} data - {name, description, blacklist, replacements, maxLineLength, rules, subtitles}
+ * @returns {Object} Jeu de règles mis à jour
+ * @throws {Error} error.code = 'INVALID' (error.details) ou 'NOT_FOUND'
+ */
+function replaceRuleset(id, data) {
+  const existing = requireRuleset(id);
+  const { name = existing.name, description = existing.description } = data || {};
+  return saveRuleset(id, { ...data, name, description }, 'remplacement', existing);
+}
+
+/**
+ * Applique un correctif partiel (JSON Merge Patch, RFC 7396)
+ * Les objets sont fusionnés, null supprime une clé, les listes sont remplacées
+ * @param {*} target - Valeur actuelle
+ * @param {*} patch - Correctif
+ * @returns {*} Valeur corrigée
+ */
+function mergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = target && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Modifie partiellement un jeu de règles
+ * ex: { "replacements": { "gpt": "GPT", "ok": null }, "maxLineLength": 37 }
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {Object} patch - Correctif (voir mergePatch)
+ * @returns {Object} Jeu de règles mis à jour
+ * @throws {Error} error.code = 'INVALID' (error.details) ou 'NOT_FOUND'
+ */
+function patchRuleset(id, patch) {
+  const existing = requireRuleset(id);
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw rulesError('INVALID', 'Règles invalides', ['Le correctif doit être un objet JSON']);
+  }
+  return saveRuleset(id, mergePatch(existing, patch), 'modification', existing);
+}
+
+/**
+ * Supprime un jeu de règles nommé et son historique
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {boolean} true si le jeu existait
+ * @throws {Error} error.code = 'INVALID' pour le jeu par défaut
+ */
+function deleteRuleset(id) {
+  if (id === DEFAULT_RULESET_ID) {
+    throw rulesError('INVALID', `Le jeu de règles "${DEFAULT_RULESET_ID}" ne peut pas être supprimé`);
+  }
+  if (!rulesetExists(id)) {
+    return false;
+  }
+  fs.unlinkSync(rulesetPath(id));
+  fileCache.delete(rulesetPath(id));
+  fs.rmSync(historyDir(id), { recursive: true, force: true });
+  console.log(`🗑️  Jeu de règles supprimé: ${id}`);
+  return true;
+}
+
+/**
+ * Historique des versions d'un jeu de règles (la plus récente en premier), en lecture seule
+ * Une modification manuelle du fichier n'y apparaît qu'après la prochaine écriture (voir saveRuleset)
+ * @param {string} id - Identifiant du jeu de règles
+ * @returns {Array<Object>|null} Versions {version, savedAt, reason} ou null si le jeu n'existe pas
+ */
+function listRulesetHistory(id) {
+  if (!readRuleset(id)) {
+    return null;
+  }
+
+  return listVersionNumbers(id)
+    .reverse()
+    .map(version => {
+      const { savedAt, reason } = loadRulesetVersion(id, version);
+      return { version, savedAt, reason };
+    });
+}
+
+/**
+ * Revient à une version précédente (enregistrée comme nouvelle version)
+ * @param {string} id - Identifiant du jeu de règles
+ * @param {number} version - Version à restaurer
+ * @returns {Object} Jeu de règles restauré
+ * @throws {Error} error.code = 'NOT_FOUND' (jeu ou version) ou 'INVALID'
+ */
+function rollbackRuleset(id, version) {
+  const existing = requireRuleset(id);
+  const snapshot = loadRulesetVersion(id, version);
+  if (!snapshot) {
+    throw rulesError('NOT_FOUND', `Version introuvable: ${id} v${version}`);
+  }
+  return saveRuleset(id, snapshot.content, `retour à la version ${version}`, existing);
+}
+
+module.exports = {
+  DEFAULT_RULESET_ID,
+  RULES_HISTORY_LIMIT,
+  isValidRulesetId,
+  rulesetExists,
+  validateRulesDocument,
+  readRulesFile,
+  readRuleset,
+  getRuleset,
+  getRulesetVersion,
+  loadRulesetVersion,
+  listRulesetIds,
+  listRulesets,
+  createRuleset,
+  replaceRuleset,
+  patchRuleset,
+  deleteRuleset,
+  listRulesetHistory,
+  rollbackRuleset
+};
@@ -0,0 +1,154 @@
+/**
+ * Tests unitaires pour le service rulesStore
+ *
+ * Pour exécuter : node backend/services/rulesStore.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_RULESET_ID,
+  validateRulesDocument,
+  getRuleset,
+  listRulesets,
+  createRuleset,
+  replaceRuleset,
+  patchRuleset,
+  deleteRuleset,
+  listRulesetHistory,
+  rollbackRuleset
+} = require('./rulesStore');
+const { loadRules, cleanSegment } = require('./applyRules');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Retourne le code de l'erreur levée par une fonction
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {string|null} error.code ou null si aucune erreur
+ */
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+console.log(`${BLUE}=== Tests du service rulesStore ===${RESET}\n`);
+
+// Test 1: Validation
+console.log(`${BLUE}Test 1: Validation${RESET}`);
+assertEquals(validateRulesDocument({ blacklist: ['euh'], maxLineLength: 42 }).length, 0, 'Règles minimales valides');
+const errors = validateRulesDocument({ maxLineLength: 5, subtitles: { maxLines: 0, vitesse: 1 }, blacklst: [] });
+assert(errors.some(error => error.startsWith('champ inconnu "blacklst"')), 'Champ inconnu signalé');
+assert(errors.some(error => error.startsWith('maxLineLength')), 'Longueur de ligne bornée');
+assert(errors.includes('subtitles.maxLines: nombre positif attendu'), 'Contrainte de sous-titrage vérifiée');
+assert(errors.some(error => error.startsWith('subtitles: champ inconnu "vitesse"')), 'Contrainte inconnue signalée');
+assertEquals(getRuleset().id, DEFAULT_RULESET_ID, 'Jeu par défaut lu depuis rules.json');
+assertEquals(listRulesets()[0].id, DEFAULT_RULESET_ID, 'Jeu par défaut listé en premier');
+console.log('');
+
+// Test 2: Jeux nommés et historique
+console.log(`${BLUE}Test 2: Jeux nommés et historique${RESET}`);
+const id = `test-regles-${process.pid}`;
+try {
+  const created = createRuleset({ id, name: 'Projet test', blacklist: ['genre'], replacements: { cbc: 'CBC' } });
+  assertEquals(created.version, 1, 'Version 1 à la création');
+  assertEquals(created.maxLineLength, getRuleset().maxLineLength, 'Champs absents repris du jeu par défaut');
+  assertEquals(errorCode(() => createRuleset({ id, name: 'Doublon' })), 'EXISTS', 'Doublon refusé');
+  assertEquals(errorCode(() => createRuleset({ id: DEFAULT_RULESET_ID })), 'INVALID', 'Identifiant réservé refusé');
+  assertEquals(errorCode(() => createRuleset({ id: 'autre', from: 'absent' })), 'NOT_FOUND', 'Jeu de départ introuvable');
+
+  const patched = patchRuleset(id, { replacements: { gpt: 'GPT', cbc: null }, maxLineLength: 37 });
+  assertEquals(JSON.stringify(patched.replacements), '{"gpt":"GPT"}', 'Correctif partiel fusionné, null supprime');
+  assertEquals(patched.maxLineLength, 37, 'Longueur de ligne modifiée');
+  assertEquals(patched.version, 2, 'Nouvelle version enregistrée');
+  assertEquals(errorCode(() => patchRuleset(id, { maxLineLength: 'long' })), 'INVALID', 'Correctif invalide refusé');
+  assertEquals(getRuleset(id).version, 2, 'Correctif invalide non enregistré');
+
+  const replaced = replaceRuleset(id, { blacklist: ['tsé'] });
+  assertEquals(replaced.name, 'Projet test', 'Nom conservé au remplacement');
+  assertEquals(Object.keys(replaced.replacements).length, 0, 'Champs absents retirés au remplacement');
+  assertEquals(errorCode(() => replaceRuleset('absent', {})), 'NOT_FOUND', 'Remplacement d\'un jeu absent');
+
+  // Test 3: Règles appliquées et rechargement
+  console.log(`\n${BLUE}Test 3: Règles appliquées et rechargement${RESET}`);
+  patchRuleset(id, { replacements: { cbc: 'CBC' } });
+  const rules = loadRules('fr', id);
+  assertEquals(rules.rulesetId, id, 'Jeu de règles consigné');
+  assertEquals(rules.rulesetVersion, 4, 'Version consignée');
+  assert(rules.blacklist.includes('tsé') && rules.blacklist.includes('euh'), 'Blacklists du jeu et de la langue combinées');
+  assertEquals(loadRules('fr', id), rules, 'Règles réutilisées tant que les fichiers ne changent pas');
+  assertEquals(cleanSegment({ text: 'Euh tsé la cbc', start: 0, end: 1 }, rules).text, 'la CBC', 'Nettoyage avec le jeu du projet');
+  assertEquals(errorCode(() => loadRules('fr', 'absent')), 'NOT_FOUND', 'Jeu de règles inconnu refusé');
+
+  const file = path.join(__dirname, '../rules/rulesets', `${id}.json`);
+  const edited = { ...JSON.parse(fs.readFileSync(file, 'utf8')), replacements: { cbc: 'Radio-Canada' } };
+  fs.writeFileSync(file, JSON.stringify(edited, null, 2));
+  assertEquals(loadRules('fr', id).replacements.cbc, 'Radio-Canada', 'Modification manuelle du fichier rechargée');
+
+  // Test 4: Retour arrière
+  console.log(`\n${BLUE}Test 4: Retour arrière${RESET}`);
+  const history = listRulesetHistory(id);
+  assertEquals(history.length, 4, 'Toutes les versions listées');
+  assertEquals(listRulesetHistory(id).length, 4, 'Lecture de l\'historique sans écriture');
+  const restored = rollbackRuleset(id, 2);
+  assertEquals(restored.maxLineLength, 37, 'Contenu de la version restauré');
+  assertEquals(JSON.stringify(restored.blacklist), '["genre"]', 'Blacklist de la version restaurée');
+  assertEquals(restored.version, 6, 'Restauration enregistrée comme nouvelle version');
+  const afterRollback = listRulesetHistory(id);
+  assertEquals(afterRollback[0].reason, 'retour à la version 2', 'Origine de la restauration consignée');
+  assertEquals(afterRollback[1].reason, 'modification manuelle du fichier', 'Modification manuelle enregistrée avant l\'écriture suivante');
+  assertEquals(errorCode(() => rollbackRuleset(id, 99)), 'NOT_FOUND', 'Version inconnue refusée');
+
+  assert(deleteRuleset(id), 'Jeu de règles supprimé');
+  assertEquals(getRuleset(id), null, 'Jeu absent après suppression');
+  assertEquals(errorCode(() => deleteRuleset(DEFAULT_RULESET_ID)), 'INVALID', 'Jeu par défaut protégé');
+} finally {
+  deleteRuleset(id);
+}
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
@@ -0,0 +1,394 @@
+/**
+ * Index de recherche plein texte des transcriptions en cache (cache/search-index.json)
+ * Répond à « dans quel entretien a-t-on parlé de X ? » sans ouvrir les fichiers du cache.
+ *
+ * Chaque fichier est indexé d'après sa variante en cache la plus récente : texte brut (Whisper),
+ * segments nettoyés et sous-titres corrigés par le LLM. Les segments sont conservés dans l'index,
+ * l'index inversé (terme → segments) est reconstruit en mémoire à partir d'eux.
+ *
+ * L'index est synchronisé avec l'index du cache avant chaque recherche : les nouvelles variantes
+ * sont indexées, celles supprimées ou évincées sont retirées.
+ * La recherche ignore la casse et les accents ; les termes de 3 lettres ou plus trouvent aussi
+ * les mots qui commencent par eux (ex: "entretien" trouve "entretiens").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR } = require('./cacheIndex');
+const { listCaches, loadCache } = require('./cacheManager');
+const { cuesFromTranscription } = require('./subtitleSerializer');
+const { assignSpeakersByTime } = require('./speakerLabels');
+const { formatTimestamp } = require('./subtitleTime');
+
+const SEARCH_INDEX_PATH = path.join(CACHE_DIR, 'search-index.json');
+
+// Version du format de l'index : une autre version entraîne une réindexation complète
+const SEARCH_INDEX_VERSION = 1;
+
+// Sources de texte indexées, de la plus corrigée à la plus brute (ordre de préférence des résultats)
+const SEARCH_SOURCES = ['formatted', 'cleaned', 'raw'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Longueur maximale d'un extrait (les segments plus longs sont coupés autour du premier terme trouvé)
+const SNIPPET_LENGTH = 160;
+
+// Longueur minimale d'un terme de recherche pour trouver aussi les mots qui commencent par lui
+const PREFIX_MIN_LENGTH = 3;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+let documents = null;
+let terms = null;
+
+/**
+ * Forme normalisée d'un mot : minuscules, sans accents
+ * @param {string} word - Mot
+ * @returns {string} Terme
+ */
+function normalizeTerm(word) {
+  return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Découpe un texte en termes, avec leur position dans le texte d'origine
+ * @param {string} text - Texte
+ * @returns {Array<Object>} Termes {term, start, end}
+ */
+function tokenize(text) {
+  return [...String(text || '').matchAll(WORD_PATTERN)].map(match => ({
+    term: normalizeTerm(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Indique si un terme du texte correspond à un terme de la requête
+ * @param {string} term - Terme du texte
+ * @param {string} queryTerm - Terme de la requête
+ * @returns {boolean}
+ */
+function matchesTerm(term, queryTerm) {
+  return term === queryTerm || (queryTerm.length >= PREFIX_MIN_LENGTH && term.startsWith(queryTerm));
+}
+
+/**
+ * Construit le document indexé d'une transcription en cache
+ * @param {Object} variant - Variante en cache (voir listCaches)
+ * @param {Object} cached - Cache chargé {transcription, metadata}
+ * @returns {Object} Document {cacheKey, hash, originalFile, language, createdAt, duration, segments}
+ */
+function buildDocument(variant, cached) {
+  const { transcription, metadata } = cached;
+  const cues = Object.fromEntries(SEARCH_SOURCES.map(source => [source, cuesFromTranscription(transcription, source)]));
+
+  // Les segments bruts n'ont pas de locuteur : repris des segments nettoyés (diarisation)
+  cues.raw = assignSpeakersByTime(cues.raw, cues.cleaned);
+
+  const segments = SEARCH_SOURCES.flatMap(source => cues[source]
+    .filter(cue => cue.text && Number.isFinite(cue.start))
+    .map(cue => ({
+      source,
+      index: cue.index,
+      start: cue.start,
+      end: cue.end,
+      speaker: cue.speaker || null,
+      text: cue.text
+    })));
+
+  return {
+    cacheKey: variant.cacheKey,
+    hash: variant.hash,
+    originalFile: metadata.originalFile || transcription.input?.originalFile || null,
+    language: metadata.language || transcription.input?.language || null,
+    createdAt: metadata.createdAt || variant.createdAt,
+    duration: transcription.raw?.duration ?? null,
+    segments
+  };
+}
+
+/**
+ * Reconstruit l'index inversé en mémoire
+ */
+function buildTerms() {
+  terms = new Map();
+  Object.values(documents).forEach(document => {
+    document.segments.forEach((segment, position) => {
+      new Set(tokenize(segment.text).map(token => token.term)).forEach(term => {
+        if (!terms.has(term)) {
+          terms.set(term, []);
+        }
+        terms.get(term).push({ document, position });
+      });
+    });
+  });
+}
+
+/**
+ * Charge l'index depuis le disque (vide s'il est absent, illisible ou d'une autre version)
+ */
+function loadIndex() {
+  documents = {};
+  if (!fs.existsSync(SEARCH_INDEX_PATH)) {
+    return;
+  }
+  try {
+    const stored = JSON.parse(fs.readFileSync(SEARCH_INDEX_PATH, 'utf8'));
+    if (stored.version === SEARCH_INDEX_VERSION && stored.documents) {
+      documents = stored.documents;
+    }
+  } catch (error) {
+    console.error(`⚠️  Index de recherche illisible (${error.message}), réindexation...`);
+  }
+}
+
+/**
+ * Sauvegarde l'index sur disque (écriture atomique via fichier temporaire)
+ */
+function persistIndex() {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  const tmpFile = `${SEARCH_INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({
+    version: SEARCH_INDEX_VERSION,
+    updatedAt: new Date().toISOString(),
+    documents
+  }));
+  fs.renameSync(tmpFile, SEARCH_INDEX_PATH);
+}
+
+/**
+ * Synchronise l'index avec le cache : indexe la variante la plus récente de chaque fichier
+ * et retire les fichiers qui ne sont plus en cache
+ * @returns {Object} {added, removed, documentCount}
+ */
+function syncSearchIndex() {
+  if (!documents) {
+    loadIndex();
+  }
+
+  // listCaches : de la variante la plus récente à la plus ancienne
+  const latest = new Map();
+  listCaches().forEach(variant => {
+    if (!latest.has(variant.hash)) {
+      latest.set(variant.hash, variant);
+    }
+  });
+
+  let added = 0;
+  let removed = 0;
+
+  Object.keys(documents).forEach(hash => {
+    if (!latest.has(hash)) {
+      delete documents[hash];
+      removed++;
+    }
+  });
+
+  latest.forEach((variant, hash) => {
+    if (documents[hash]?.cacheKey === variant.cacheKey) {
+      return;
+    }
+    // Une recherche ne compte pas comme une utilisation du cache (ordre d'éviction inchangé)
+    const cached = loadCache(variant.cacheKey, { recordAccess: false });
+    if (!cached) {
+      return;
+    }
+    documents[hash] = buildDocument(variant, cached);
+    added++;
+  });
+
+  if (added + removed > 0 || !terms) {
+    if (added + removed > 0) {
+      persistIndex();
+      console.log(`🔎 Index de recherche: ${added} transcription(s) indexée(s), ${removed} retirée(s)`);
+    }
+    buildTerms();
+  }
+
+  return { added, removed, documentCount: Object.keys(documents).length };
+}
+
+/**
+ * Réindexe toutes les transcriptions en cache
+ * @returns {Object} {added, removed, documentCount}
+ */
+function rebuildSearchIndex() {
+  documents = {};
+  terms = null;
+  const summary = syncSearchIndex();
+  persistIndex();
+  return summary;
+}
+
+/**
+ * Crée une erreur de paramètre de recherche
+ * @param {string} message - Message
+ * @returns {Error} Erreur avec code INVALID
+ */
+function invalid(message) {
+  const error = new Error(message);
+  error.code = 'INVALID';
+  return error;
+}
+
+/**
+ * Convertit un filtre de date (ISO ou AAAA-MM-JJ)
+ * @param {string} value - Date
+ * @param {string} name - Nom du filtre (pour l'erreur)
+ * @param {boolean} endOfDay - Une date sans heure inclut toute la journée
+ * @returns {number|null} Horodatage en millisecondes, null si absent
+ */
+function parseDateFilter(value, name, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw invalid(`Date invalide pour "${name}": ${value}`);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Extrait d'un segment et positions des termes trouvés dans l'extrait
+ * @param {string} text - Texte du segment
+ * @param {Array<Object>} matches - Termes trouvés {start, end}
+ * @returns {Object} {snippet, highlights: [[début, fin]]}
+ */
+function buildSnippet(text, matches) {
+  let from = 0;
+  let to = text.length;
+
+  if (text.length > SNIPPET_LENGTH) {
+    from = Math.max(0, Math.min(matches[0].start - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH));
+    to = from + SNIPPET_LENGTH;
+  }
+
+  const prefix = from > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(from, to)}${to < text.length ? '…' : ''}`;
+  const highlights = matches
+    .filter(match => match.start >= from && match.end <= to)
+    .map(match => [match.start - from + prefix.length, match.end - from + prefix.length]);
+
+  return { snippet, highlights };
+}
+
+/**
+ * Recherche des segments dans les transcriptions en cache
+ * Tous les termes de la requête doivent figurer dans le segment.
+ * Un même passage trouvé dans plusieurs sources (brut, nettoyé, corrigé) n'est retourné qu'une fois,
+ * dans sa version la plus corrigée ; matchedIn liste les sources où il a été trouvé.
+ * @param {string} query - Texte recherché
+ * @param {Object} filters - Filtres
+ * @param {string} filters.language - Langue de la transcription (ex: fr)
+ * @param {string} filters.speaker - Locuteur (ex: SPEAKER_00)
+ * @param {string} filters.from - Transcriptions créées à partir de cette date
+ * @param {string} filters.to - Transcriptions créées jusqu'à cette date (incluse)
+ * @param {string} filters.source - Limiter à une source : raw, cleaned ou formatted
+ * @param {number} filters.limit - Nombre maximal de résultats (défaut: 50, max: 200)
+ * @returns {Object} {query, total, results}
+ * @throws {Error} error.code = 'INVALID' si la requête est vide ou un filtre invalide
+ */
+function searchTranscriptions(query, filters = {}) {
+  const queryTerms = [...new Set(tokenize(query).map(token => token.term))];
+  if (queryTerms.length === 0) {
+    throw invalid('La recherche doit contenir au moins un mot');
+  }
+  if (filters.source && !SEARCH_SOURCES.includes(filters.source)) {
+    throw invalid(`Source non supportée: ${filters.source} (disponibles: ${SEARCH_SOURCES.join(', ')})`);
+  }
+  const from = parseDateFilter(filters.from, 'from');
+  const to = parseDateFilter(filters.to, 'to', true);
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const language = filters.language ? filters.language.toLowerCase() : null;
+  const speaker = filters.speaker ? filters.speaker.toLowerCase() : null;
+
+  syncSearchIndex();
+
+  // Segments contenant chaque terme de la requête (mot exact ou commençant par le terme)
+  let candidates = null;
+  for (const queryTerm of queryTerms) {
+    const found = new Map();
+    terms.forEach((postings, term) => {
+      if (matchesTerm(term, queryTerm)) {
+        postings.forEach(({ document, position }) => found.set(document.segments[position], document));
+      }
+    });
+    candidates = candidates ? new Map([...candidates].filter(([segment]) => found.has(segment))) : found;
+  }
+
+  const passages = new Map();
+  candidates.forEach((document, segment) => {
+    const createdAt = new Date(document.createdAt).getTime();
+
+    if ((language && (document.language || '').toLowerCase() !== language)
+      || (speaker && (segment.speaker || '').toLowerCase() !== speaker)
+      || (filters.source && segment.source !== filters.source)
+      || (from !== null && createdAt < from)
+      || (to !== null && createdAt > to)) {
+      return;
+    }
+
+    // Même passage dans plusieurs sources : conserver la version la plus corrigée
+    const passageId = `${document.hash}:${segment.start.toFixed(1)}`;
+    const existing = passages.get(passageId);
+    if (existing) {
+      existing.matchedIn.push(segment.source);
+      if (SEARCH_SOURCES.indexOf(segment.source) < SEARCH_SOURCES.indexOf(existing.segment.source)) {
+        existing.segment = segment;
+      }
+      return;
+    }
+    passages.set(passageId, { document, segment, matchedIn: [segment.source] });
+  });
+
+  const normalizedQuery = queryTerms.join(' ');
+  const results = [...passages.values()].map(({ document, segment, matchedIn }) => {
+    const tokens = tokenize(segment.text);
+    const matches = tokens.filter(token => queryTerms.some(queryTerm => matchesTerm(token.term, queryTerm)));
+    const exactCount = queryTerms.filter(queryTerm => tokens.some(token => token.term === queryTerm)).length;
+    const phrase = tokens.map(token => token.term).join(' ').includes(normalizedQuery);
+
+    return {
+      cacheKey: document.cacheKey,
+      fileHash: document.hash,
+      file: document.originalFile ? path.basename(document.originalFile) : null,
+      originalFile: document.originalFile,
+      language: document.language,
+      createdAt: document.createdAt,
+      source: segment.source,
+      matchedIn: SEARCH_SOURCES.filter(source => matchedIn.includes(source)),
+      segmentIndex: segment.index,
+      start: segment.start,
+      end: segment.end,
+      timestamp: formatTimestamp(segment.start, '.'),
+      speaker: segment.speaker,
+      text: segment.text,
+      ...buildSnippet(segment.text, matches),
+      score: queryTerms.length + exactCount + (phrase && queryTerms.length > 1 ? queryTerms.length : 0)
+    };
+  });
+
+  // Les plus pertinents d'abord, puis les transcriptions récentes, puis l'ordre dans le fichier
+  results.sort((a, b) => b.score - a.score
+    || new Date(b.createdAt) - new Date(a.createdAt)
+    || a.start - b.start);
+
+  return {
+    query,
+    total: results.length,
+    results: results.slice(0, limit)
+  };
+}
+
+module.exports = {
+  SEARCH_INDEX_PATH,
+  SEARCH_SOURCES,
+  normalizeTerm,
+  tokenize,
+  syncSearchIndex,
+  rebuildSearchIndex,
+  searchTranscriptions
+};
@@ -0,0 +1,189 @@
+/**
+ * Tests unitaires pour la recherche plein texte dans les transcriptions en cache
+ *
+ * Pour exécuter : node backend/services/searchIndex.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Cache temporaire : le cache du serveur (cache/) et son index de recherche ne sont pas touchés
+process.env.CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'staily-cache-'));
+
+const { CACHE_DIR } = require('./cacheIndex');
+const { buildCacheKey, saveCache, deleteCache } = require('./cacheManager');
+const { tokenize, syncSearchIndex, rebuildSearchIndex, searchTranscriptions } = require('./searchIndex');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// Hash fictifs des transcriptions de test
+const HASH_FR = 'b'.repeat(63) + '1';
+const HASH_EN = 'b'.repeat(63) + '2';
+
+const KEY_FR_OLD = buildCacheKey(HASH_FR, { modelSize: 'small' });
+const KEY_FR = buildCacheKey(HASH_FR, { modelSize: 'medium' });
+const KEY_EN = buildCacheKey(HASH_EN, { modelSize: 'small' });
+
+/**
+ * Résultats d'une recherche (jusqu'à 200)
+ */
+function search(query, filters = {}) {
+  return searchTranscriptions(query, { limit: 200, ...filters }).results;
+}
+
+console.log(`${BLUE}=== Tests de la recherche plein texte ===${RESET}\n`);
+
+try {
+  // Test 1: Découpage en termes
+  console.log(`${BLUE}Test 1: Découpage en termes${RESET}`);
+  const tokens = tokenize('L\'Été du Zorglub, 2026 !');
+  assertEquals(tokens.map(token => token.term).join(','), 'l,ete,du,zorglub,2026', 'Minuscules, sans accents ni ponctuation');
+  assertEquals(tokens[1].start, 2, 'Position dans le texte d\'origine');
+  assertEquals(tokens[1].end, 5, 'Fin du terme');
+  console.log('');
+
+  // Transcriptions de test : un entretien en français (deux variantes, avec diarisation) et un en anglais
+  saveCache(KEY_FR_OLD, {
+    raw: { segments: [{ id: 0, start: 0, end: 2, text: 'ancienne variante zorglub' }] }
+  }, null, { language: 'fr', originalFile: '/uploads/entretien-1.mp3', createdAt: '2026-03-01T10:00:00.000Z' });
+  saveCache(KEY_FR, {
+    raw: {
+      duration: 30,
+      segments: [
+        { id: 0, start: 0, end: 4.5, text: 'euh bonjour on parle du zorglub aujourd\'hui' },
+        { id: 1, start: 4.5, end: 9, text: 'le farfadet électrique est arrivé' },
+        { id: 2, start: 9, end: 14, text: 'et les farfadets du budget' }
+      ]
+    },
+    cleaned: {
+      segments: [
+        { start: 0, end: 4.5, text: 'Bonjour, on parle du Zorglub aujourd\'hui.', speaker: 'SPEAKER_00' },
+        { start: 4.5, end: 9, text: 'Le farfadet électrique est arrivé.', speaker: 'SPEAKER_01' },
+        { start: 9, end: 14, text: 'Et les farfadets du budget.', speaker: 'SPEAKER_00' }
+      ]
+    },
+    formatted: {
+      srt: [
+        { index: 1, start: '00:00:00,000', end: '00:00:04,500', text: 'Bonjour, on parle du Zorglub aujourd\'hui.' },
+        { index: 2, start: '00:00:20,000', end: '00:00:25,000', text: 'Zorglub farfadet : même combat.' }
+      ]
+    }
+  }, null, { language: 'fr', originalFile: '/uploads/entretien-1.mp3', createdAt: '2026-03-02T10:00:00.000Z' });
+  saveCache(KEY_EN, {
+    raw: { segments: [{ id: 0, start: 61.2, end: 64, text: `The zorglub budget ${'was discussed at length '.repeat(10)}before the farfadet vote.` }] }
+  }, null, { language: 'en', originalFile: '/uploads/interview-2.mp3', createdAt: '2026-05-10T10:00:00.000Z' });
+
+  // Test 2: Indexation
+  console.log(`${BLUE}Test 2: Indexation${RESET}`);
+  assertEquals(syncSearchIndex().added, 2, 'Nouvelles transcriptions indexées');
+  assertEquals(syncSearchIndex().added, 0, 'Transcriptions déjà indexées ignorées');
+  assert(search('ancienne').length === 0, 'Seule la variante la plus récente est indexée');
+  console.log('');
+
+  // Test 3: Recherche
+  console.log(`${BLUE}Test 3: Recherche${RESET}`);
+  const zorglub = search('ZORGLUB');
+  assertEquals(zorglub.length, 3, 'Insensible à la casse, un passage par segment');
+  const greeting = zorglub.find(result => result.fileHash === HASH_FR && result.start === 0);
+  assertEquals(greeting.source, 'formatted', 'Version la plus corrigée retournée');
+  assertEquals(greeting.matchedIn.join(','), 'formatted,cleaned,raw', 'Sources du passage listées');
+  assertEquals(greeting.file, 'entretien-1.mp3', 'Nom du fichier');
+  assertEquals(greeting.cacheKey, KEY_FR, 'Clé de la variante');
+  assertEquals(greeting.timestamp, '00:00:00.000', 'Horodatage du segment');
+
+  const accents = search('electrique');
+  assertEquals(accents.length, 1, 'Insensible aux accents');
+  assertEquals(accents[0].speaker, 'SPEAKER_01', 'Locuteur du segment');
+  assertEquals(accents[0].snippet.slice(accents[0].highlights[0][0], accents[0].highlights[0][1]), 'électrique', 'Terme surligné dans l\'extrait');
+
+  assertEquals(search('farfadet').length, 4, 'Mots commençant par le terme trouvés (farfadets)');
+  assertEquals(search('farfadet budget').length, 2, 'Tous les termes requis');
+  const rawOnly = search('euh');
+  assertEquals(rawOnly.length, 1, 'Texte brut recherché');
+  assertEquals(rawOnly[0].source, 'raw', 'Passage trouvé dans le texte brut uniquement');
+  assertEquals(rawOnly[0].speaker, 'SPEAKER_00', 'Locuteur repris des segments nettoyés');
+
+  const long = search('vote');
+  assert(long[0].snippet.startsWith('…') && long[0].snippet.length <= 162, 'Extrait coupé autour du terme');
+  assertEquals(long[0].snippet.slice(long[0].highlights[0][0], long[0].highlights[0][1]), 'vote', 'Surlignage décalé dans l\'extrait');
+
+  const ranked = search('zorglub farfadet');
+  assertEquals(ranked[0].text, 'Zorglub farfadet : même combat.', 'Expression exacte classée en premier');
+  console.log('');
+
+  // Test 4: Filtres
+  console.log(`${BLUE}Test 4: Filtres${RESET}`);
+  assert(search('zorglub', { language: 'EN' }).every(result => result.fileHash === HASH_EN), 'Filtre par langue');
+  assertEquals(search('zorglub', { language: 'en' }).length, 1, 'Transcription anglaise trouvée');
+  assertEquals(search('farfadet', { speaker: 'speaker_00' }).map(result => result.start).join(','), '9', 'Filtre par locuteur');
+  assertEquals(search('zorglub', { from: '2026-04-01' }).length, 1, 'Filtre par date de début');
+  assertEquals(search('zorglub', { to: '2026-03-02' }).length, 2, 'Date de fin incluse');
+  assertEquals(search('farfadet', { source: 'raw' }).length, 3, 'Filtre par source');
+
+  const errors = [() => searchTranscriptions('  ... '), () => searchTranscriptions('zorglub', { from: 'hier' }), () => searchTranscriptions('zorglub', { source: 'gpt' })]
+    .map(run => {
+      try {
+        run();
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    });
+  assertEquals(errors.join(','), 'INVALID,INVALID,INVALID', 'Requête vide, date et source invalides refusées');
+  console.log('');
+
+  // Test 5: Synchronisation avec le cache
+  console.log(`${BLUE}Test 5: Synchronisation avec le cache${RESET}`);
+  deleteCache(KEY_EN);
+  assertEquals(search('zorglub', { language: 'en' }).length, 0, 'Transcription supprimée du cache retirée de l\'index');
+  deleteCache(KEY_FR);
+  assertEquals(search('ancienne').length, 1, 'Variante précédente indexée à sa place');
+  assertEquals(rebuildSearchIndex().documentCount, 1, 'Index reconstruit');
+  assertEquals(search('zorglub').length, 1, 'Recherche après reconstruction');
+  console.log('');
+} finally {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+}
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
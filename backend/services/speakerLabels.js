@@ -0,0 +1,155 @@
+/**
+ * Gestion des locuteurs (diarisation)
+ * Attribution des étiquettes aux segments, convention du tiret dans les sous-titres
+ * et regroupement des tours de parole
+ */
+
+const { parseTimestamp } = require('./subtitleTime');
+
+/**
+ * Applique le résultat de la diarisation aux segments de transcription
+ * @param {Array<Object>} segments - Segments de transcription
+ * @param {Object} diarization - Résultat de diarizeAudio {speakers, segments: [{id, speaker}]}
+ * @returns {Array<Object>} Nouveaux segments avec la propriété speaker
+ */
+function applySpeakerLabels(segments, diarization) {
+  const speakerById = new Map(diarization.segments.map(s => [s.id, s.speaker]));
+
+  return segments.map((segment, index) => ({
+    ...segment,
+    speaker: speakerById.get(segment.id ?? index) ?? diarization.segments[index]?.speaker ?? null
+  }));
+}
+
+/**
+ * Attribue un locuteur à des entrées re-découpées (SRT GPT, sous-titres fusionnés)
+ * d'après le segment étiqueté qui les chevauche le plus
+ * @param {Array<Object>} entries - Entrées {start, end} (secondes ou temps SRT)
+ * @param {Array<Object>} speakerSegments - Segments {start, end, speaker} en secondes
+ * @returns {Array<Object>} Nouvelles entrées avec la propriété speaker
+ */
+function assignSpeakersByTime(entries, speakerSegments) {
+  const labelled = speakerSegments.filter(s => s.speaker);
+  if (labelled.length === 0) {
+    return entries;
+  }
+
+  return entries.map(entry => {
+    const start = parseTimestamp(entry.start);
+    const end = parseTimestamp(entry.end);
+    let best = null;
+    let bestOverlap = -Infinity;
+
+    for (const segment of labelled) {
+      const overlap = Math.min(end, segment.end) - Math.max(start, segment.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        best = segment;
+      }
+    }
+
+    return { ...entry, speaker: best.speaker };
+  });
+}
+
+/**
+ * Indique si plusieurs locuteurs sont présents
+ * @param {Array<Object>} entries - Entrées avec la propriété speaker
+ * @returns {boolean}
+ */
+function hasMultipleSpeakers(entries) {
+  return new Set(entries.map(e => e.speaker).filter(Boolean)).size > 1;
+}
+
+/**
+ * Applique la convention du tiret (règle 7 du verbatim corrigé) :
+ * chaque prise de parole commence par "- " lorsque plusieurs personnes parlent
+ * @param {Array<Object>} entries - Entrées de sous-titres avec la propriété speaker
+ * @param {string} textKey - Propriété contenant le texte (défaut: 'text')
+ * @returns {Array<Object>} Nouvelles entrées avec le texte préfixé
+ */
+function withSpeakerDashes(entries, textKey = 'text') {
+  if (!hasMultipleSpeakers(entries)) {
+    return entries;
+  }
+
+  let previousSpeaker = null;
+
+  return entries.map(entry => {
+    const isNewTurn = entry.speaker && entry.speaker !== previousSpeaker;
+    previousSpeaker = entry.speaker || previousSpeaker;
+
+    const text = entry[textKey] || '';
+    if (!isNewTurn || /^\s*-/.test(text)) {
+      return entry;
+    }
+
+    return { ...entry, [textKey]: `- ${text.trimStart()}` };
+  });
+}
+
+/**
+ * Regroupe les segments consécutifs d'un même locuteur en tours de parole
+ * @param {Array<Object>} segments - Segments avec la propriété speaker
+ * @param {string} textKey - Propriété contenant le texte (défaut: 'text')
+ * @returns {Array<Object>} Tours [{speaker, start, end, text, segmentIds}]
+ */
+function groupSpeakerTurns(segments, textKey = 'text') {
+  const turns = [];
+
+  segments.forEach((segment, index) => {
+    const last = turns[turns.length - 1];
+    const text = (segment[textKey] || '').replace(/\s+/g, ' ').trim();
+    const id = segment.id ?? index;
+
+    if (last && last.speaker === segment.speaker) {
+      last.end = segment.end;
+      last.text = `${last.text} ${text}`.trim();
+      last.segmentIds.push(id);
+    } else {
+      turns.push({
+        speaker: segment.speaker || null,
+        start: segment.start,
+        end: segment.end,
+        text,
+        segmentIds: [id]
+      });
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Construit l'export JSON des locuteurs (liste, temps de parole, tours)
+ * @param {Array<Object>} segments - Segments avec la propriété speaker
+ * @param {string} textKey - Propriété contenant le texte (défaut: 'text')
+ * @returns {Object} {count, speakers: [{label, turnCount, speakingTime}], turns}
+ */
+function buildSpeakerExport(segments, textKey = 'text') {
+  const turns = groupSpeakerTurns(segments, textKey);
+  const stats = new Map();
+
+  turns.forEach(turn => {
+    if (!turn.speaker) return;
+    const entry = stats.get(turn.speaker) || { label: turn.speaker, turnCount: 0, speakingTime: 0 };
+    entry.turnCount++;
+    entry.speakingTime = Math.round((entry.speakingTime + (turn.end - turn.start)) * 100) / 100;
+    stats.set(turn.speaker, entry);
+  });
+
+  return {
+    count: stats.size,
+    speakers: Array.from(stats.values()),
+    turns
+  };
+}
+
+module.exports = {
+  applySpeakerLabels,
+  assignSpeakersByTime,
+  hasMultipleSpeakers,
+  withSpeakerDashes,
+  groupSpeakerTurns,
+  buildSpeakerExport
+};
@@ -0,0 +1,120 @@
+/**
+ * Tests unitaires pour le service speakerLabels
+ *
+ * Pour exécuter : node backend/services/speakerLabels.test.js
+ */
+
+const {
+  applySpeakerLabels,
+  assignSpeakersByTime,
+  withSpeakerDashes,
+  groupSpeakerTurns,
+  buildSpeakerExport
+} = require('./speakerLabels');
+const { generateSRTFile } = require('./gptFormatter');
+const { generateCorrectedSRT } = require('./rulesEngine');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+console.log(`${BLUE}=== Tests du service speakerLabels ===${RESET}\n`);
+
+const segments = [
+  { id: 0, start: 0, end: 2, text: 'Bonjour, comment ça va ?' },
+  { id: 1, start: 2, end: 3.5, text: 'Très bien, merci.' },
+  { id: 2, start: 3.5, end: 5, text: 'Et toi ?' },
+  { id: 3, start: 5, end: 7, text: 'Ça va aussi.' }
+];
+const diarization = {
+  speakers: ['SPEAKER_1', 'SPEAKER_2'],
+  segments: [
+    { id: 0, speaker: 'SPEAKER_1' },
+    { id: 1, speaker: 'SPEAKER_2' },
+    { id: 2, speaker: 'SPEAKER_2' },
+    { id: 3, speaker: 'SPEAKER_1' }
+  ]
+};
+
+// Test 1: Attribution des locuteurs
+console.log(`${BLUE}Test 1: Attribution des locuteurs${RESET}`);
+const labelled = applySpeakerLabels(segments, diarization);
+assertEquals(labelled.map(s => s.speaker).join(','), 'SPEAKER_1,SPEAKER_2,SPEAKER_2,SPEAKER_1', 'Applique les locuteurs par id');
+assert(segments[0].speaker === undefined, 'Ne modifie pas les segments d\'origine');
+const retimed = assignSpeakersByTime([
+  { start: '00:00:00,000', end: '00:00:01,900' },
+  { start: '00:00:02,100', end: '00:00:04,800' }
+], labelled);
+assertEquals(retimed.map(e => e.speaker).join(','), 'SPEAKER_1,SPEAKER_2', 'Réattribue par chevauchement des temps SRT');
+console.log('');
+
+// Test 2: Convention du tiret
+console.log(`${BLUE}Test 2: Convention du tiret${RESET}`);
+const dashed = withSpeakerDashes(labelled);
+assertEquals(dashed.map(s => s.text.startsWith('- ')).join(','), 'true,true,false,true', 'Tiret à chaque changement de locuteur');
+assertEquals(
+  withSpeakerDashes(labelled.map(s => ({ ...s, speaker: 'SPEAKER_1' })))[0].text,
+  'Bonjour, comment ça va ?',
+  'Pas de tiret avec un seul locuteur'
+);
+assertEquals(
+  withSpeakerDashes([{ ...labelled[0], text: '- Déjà marqué' }, labelled[1]])[0].text,
+  '- Déjà marqué',
+  'Ne double pas un tiret existant'
+);
+const srt = generateSRTFile(labelled.map((s, i) => ({ index: i + 1, start: '00:00:00,000', end: '00:00:01,000', text: s.text, speaker: s.speaker })));
+assert(srt.includes('\n- Très bien, merci.\n') && srt.includes('\nEt toi ?\n'), 'generateSRTFile applique les tirets');
+const correctedSrt = generateCorrectedSRT(labelled.map(s => ({ ...s, correctedText: s.text })));
+assert(correctedSrt.includes('\n- Ça va aussi.\n'), 'generateCorrectedSRT applique les tirets');
+console.log('');
+
+// Test 3: Tours de parole
+console.log(`${BLUE}Test 3: Tours de parole${RESET}`);
+const turns = groupSpeakerTurns(labelled);
+assertEquals(turns.length, 3, 'Regroupe les segments consécutifs du même locuteur');
+assertEquals(turns[1].text, 'Très bien, merci. Et toi ?', 'Concatène le texte du tour');
+assertEquals(turns[1].segmentIds.join(','), '1,2', 'Conserve les ids des segments');
+const exported = buildSpeakerExport(labelled);
+assertEquals(exported.count, 2, 'Compte les locuteurs');
+assertEquals(exported.speakers[0].speakingTime, 4, 'Calcule le temps de parole');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
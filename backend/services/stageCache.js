@@ -0,0 +1,314 @@
+/**
+ * Cache des étapes intermédiaires du pipeline de transcription
+ * Chaque étape (audio extrait, qualité audio, audio amélioré, sortie Whisper par modèle,
+ * diarisation, segments nettoyés, correction GPT) est mise en cache séparément.
+ *
+ * Clé d'une étape : <étape>-<empreinte de {étape, clé de l'étape parente, paramètres}>
+ * Les clés s'enchaînent depuis le hash du fichier : de nouvelles règles de nettoyage
+ * ne changent que les clés des étapes "cleaned" et suivantes, la sortie Whisper est réutilisée.
+ *
+ * Stockage : cache/stages/<hash du fichier>/<clé>.json (+ <clé>.wav pour les étapes audio)
+ * Les étapes sont recensées dans l'index du cache (voir cacheIndex.js) et soumises à la même limite de taille
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CACHE_DIR, computeConfigFingerprint } = require('./cacheManager');
+const { ENTRY_TYPES, recordEntry, recordHit, forgetEntry, listEntries, enforceSizeLimit } = require('./cacheIndex');
+const { extractAudio, EXTRACTION_FORMAT } = require('../scripts/extractAudio');
+
+const STAGES_DIR = path.join(CACHE_DIR, 'stages');
+
+// Version du format des étapes : à incrémenter quand la forme des données en cache change
+const STAGE_CACHE_VERSION = 1;
+
+// Étapes du pipeline, dans l'ordre d'exécution
+const STAGES = {
+  AUDIO: 'audio',
+  AUDIO_QUALITY: 'audio-quality',
+  ENHANCED_AUDIO: 'enhanced-audio',
+  WHISPER: 'whisper',
+  DIARIZATION: 'diarization',
+  CLEANED: 'cleaned',
+  GPT: 'gpt'
+};
+
+const FILE_HASH_PATTERN = /^[a-f0-9]{64}$/;
+const STAGE_KEY_PATTERN = /^([a-z-]+)-([a-f0-9]{16})$/;
+
+/**
+ * Dossier des étapes d'un fichier
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {string} Chemin du dossier
+ */
+function stagesDir(fileHash) {
+  return path.join(STAGES_DIR, fileHash);
+}
+
+/**
+ * Vérifie un hash de fichier et une clé d'étape (ils composent des chemins)
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @param {string} key - Clé d'étape
+ * @returns {boolean}
+ */
+function isValidStageRef(fileHash, key) {
+  return FILE_HASH_PATTERN.test(fileHash || '') && STAGE_KEY_PATTERN.test(key || '');
+}
+
+/**
+ * Calcule la clé d'une étape
+ * @param {string} stage - Étape (voir STAGES)
+ * @param {string} parent - Clé de l'étape dont les données sont l'entrée (hash du fichier pour la première)
+ * @param {Object} params - Paramètres qui déterminent le résultat de l'étape
+ * @returns {string} Clé <étape>-<empreinte>
+ */
+function computeStageKey(stage, parent, params = {}) {
+  return `${stage}-${computeConfigFingerprint({ version: STAGE_CACHE_VERSION, stage, parent, params })}`;
+}
+
+/**
+ * Charge une étape en cache
+ * Le champ artefact des données (ex: audioPath) pointe vers le fichier audio en cache
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @param {string} key - Clé de l'étape
+ * @returns {Object|null} Entrée {stage, key, parent, params, createdAt, artifact, data}, null si absente ou incomplète
+ */
+function loadStage(fileHash, key) {
+  if (!isValidStageRef(fileHash, key)) {
+    return null;
+  }
+  const entryPath = path.join(stagesDir(fileHash), `${key}.json`);
+  if (!fs.existsSync(entryPath)) {
+    // Étape évincée ou supprimée hors de l'application
+    forgetEntry(ENTRY_TYPES.STAGE, fileHash, key);
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    if (entry.artifact) {
+      const artifactPath = path.join(stagesDir(fileHash), entry.artifact.file);
+      // Fichier audio supprimé à la main : l'étape doit être recalculée
+      if (!fs.existsSync(artifactPath)) {
+        return null;
+      }
+      entry.data = { ...entry.data, [entry.artifact.field]: artifactPath };
+    }
+    recordHit(ENTRY_TYPES.STAGE, fileHash, key);
+    return entry;
+  } catch (error) {
+    console.error(`❌ Erreur lecture étape ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sauvegarde une étape (écriture atomique via fichier temporaire)
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @param {Object} entry - Étape {stage, key, parent, params, data}
+ * @param {string} artifactField - Champ de data contenant le chemin d'un fichier audio à copier (optionnel)
+ * @returns {Object} Entrée sauvegardée
+ */
+function saveStage(fileHash, entry, artifactField = null) {
+  if (!isValidStageRef(fileHash, entry.key)) {
+    throw new Error(`Clé d'étape invalide: ${entry.key}`);
+  }
+  const dir = stagesDir(fileHash);
+  fs.mkdirSync(dir, { recursive: true });
+
+  let artifact = null;
+  let data = entry.data;
+  if (artifactField) {
+    const source = data[artifactField];
+    const file = `${entry.key}${path.extname(source)}`;
+    fs.copyFileSync(source, path.join(dir, `${file}.tmp`));
+    fs.renameSync(path.join(dir, `${file}.tmp`), path.join(dir, file));
+    artifact = { field: artifactField, file };
+    // Chemin local de l'exécution d'origine : sans intérêt une fois en cache
+    data = { ...data, [artifactField]: null };
+  }
+
+  const meta = {
+    stage: entry.stage,
+    key: entry.key,
+    parent: entry.parent,
+    params: entry.params,
+    createdAt: new Date().toISOString(),
+    artifact
+  };
+  const saved = { ...meta, data };
+  const target = path.join(dir, `${entry.key}.json`);
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(saved, null, 2));
+  fs.renameSync(tmpFile, target);
+
+  // Index du cache (sans les données), puis limite de taille
+  const files = [path.join('stages', fileHash, `${entry.key}.json`)];
+  if (artifact) {
+    files.push(path.join('stages', fileHash, artifact.file));
+  }
+  const indexed = recordEntry(ENTRY_TYPES.STAGE, fileHash, entry.key, files, meta);
+  enforceSizeLimit({ keepId: indexed.id });
+  return saved;
+}
+
+/**
+ * Liste les étapes en cache d'un fichier (d'après l'index, sans leurs données)
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {Array<Object>} Étapes {stage, key, parent, params, createdAt, artifact, size, lastAccessAt, hits},
+ *   des plus anciennes aux plus récentes
+ */
+function listStages(fileHash) {
+  if (!FILE_HASH_PATTERN.test(fileHash || '')) {
+    return [];
+  }
+
+  return listEntries(ENTRY_TYPES.STAGE)
+    .filter(entry => entry.hash === fileHash)
+    .map(entry => ({ ...entry.meta, size: entry.size, lastAccessAt: entry.lastAccessAt, hits: entry.hits }))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Arbre des étapes en cache d'un fichier : chaque étape a pour enfants les étapes calculées à partir d'elle
+ * (ex: une sortie Whisper et les nettoyages obtenus avec différentes versions des règles)
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {Array<Object>} Étapes racines {stage, key, params, createdAt, size, children}
+ */
+function buildStageTree(fileHash) {
+  const stages = listStages(fileHash);
+  const nodes = new Map(stages.map(stage => [stage.key, { ...stage, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = nodes.get(node.parent);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      // Parent = hash du fichier, ou étape parente supprimée
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * Liste les fichiers ayant des étapes en cache
+ * @returns {Array<string>} Hash SHA-256 des fichiers
+ */
+function listStagedFiles() {
+  return [...new Set(listEntries(ENTRY_TYPES.STAGE).map(entry => entry.hash))];
+}
+
+/**
+ * Statistiques du cache des étapes
+ * @returns {Object} {fileCount, stageCount, totalSize}
+ */
+function getStageStats() {
+  const files = listStagedFiles();
+  let stageCount = 0;
+  let totalSize = 0;
+
+  files.forEach(fileHash => {
+    listStages(fileHash).forEach(stage => {
+      stageCount++;
+      totalSize += stage.size;
+    });
+  });
+
+  return { fileCount: files.length, stageCount, totalSize };
+}
+
+/**
+ * Supprime toutes les étapes en cache d'un fichier
+ * @param {string} fileHash - Hash SHA-256 du fichier
+ * @returns {number} Nombre d'étapes supprimées
+ */
+function deleteStages(fileHash) {
+  const stages = listStages(fileHash);
+  if (FILE_HASH_PATTERN.test(fileHash || '') && fs.existsSync(stagesDir(fileHash))) {
+    fs.rmSync(stagesDir(fileHash), { recursive: true, force: true });
+  }
+  stages.forEach(stage => forgetEntry(ENTRY_TYPES.STAGE, fileHash, stage.key));
+  return stages.length;
+}
+
+/**
+ * Crée le cache d'étapes d'une exécution du pipeline
+ * @param {string} fileHash - Hash SHA-256 du fichier (null = cache désactivé, les étapes sont toujours calculées)
+ * @returns {Object} {fileHash, run(stage, options, compute), summary()}
+ */
+function createStageCache(fileHash = null) {
+  const enabled = FILE_HASH_PATTERN.test(fileHash || '');
+  const reused = [];
+  const computed = [];
+
+  /**
+   * Exécute une étape, ou récupère son résultat en cache
+   * Seuls les résultats obtenus sans erreur sont mis en cache
+   * @param {string} stage - Étape (voir STAGES)
+   * @param {Object} options - {parent: clé de l'étape d'entrée (défaut: hash du fichier), params, artifact: champ du chemin audio}
+   * @param {Function} compute - async () => données de l'étape (objet sérialisable en JSON)
+   * @returns {Promise<Object>} {key, data, fromCache}
+   */
+  async function run(stage, options, compute) {
+    const { parent = fileHash, params = {}, artifact = null } = options;
+    const key = computeStageKey(stage, parent, params);
+
+    if (enabled) {
+      const cached = loadStage(fileHash, key);
+      if (cached) {
+        console.log(`♻️  Étape ${stage} récupérée du cache (${key})`);
+        reused.push(stage);
+        return { key, data: cached.data, fromCache: true };
+      }
+    }
+
+    const data = await compute();
+    computed.push(stage);
+
+    if (enabled) {
+      try {
+        saveStage(fileHash, { stage, key, parent, params, data }, artifact);
+      } catch (error) {
+        console.error(`⚠️  Erreur sauvegarde étape ${stage}: ${error.message}`);
+      }
+    }
+    return { key, data, fromCache: false };
+  }
+
+  /**
+   * Extrait l'audio d'un fichier (WAV 16 kHz mono), ou récupère l'audio extrait en cache
+   * @param {string} filePath - Chemin absolu du fichier
+   * @returns {Promise<Object>} {key, data: {audioPath}, fromCache}
+   */
+  function audio(filePath) {
+    return run(
+      STAGES.AUDIO,
+      { params: EXTRACTION_FORMAT, artifact: 'audioPath' },
+      async () => ({ audioPath: await extractAudio(filePath) })
+    );
+  }
+
+  return {
+    fileHash: enabled ? fileHash : null,
+    run,
+    audio,
+    summary: () => ({ enabled, reused: [...reused], computed: [...computed] })
+  };
+}
+
+module.exports = {
+  STAGES,
+  STAGES_DIR,
+  computeStageKey,
+  loadStage,
+  saveStage,
+  listStages,
+  buildStageTree,
+  listStagedFiles,
+  getStageStats,
+  deleteStages,
+  createStageCache
+};
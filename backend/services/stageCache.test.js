@@ -0,0 +1,189 @@
+/**
+ * Tests unitaires pour le cache des étapes intermédiaires du pipeline
+ *
+ * Pour exécuter : node backend/services/stageCache.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  STAGES,
+  computeStageKey,
+  loadStage,
+  listStages,
+  buildStageTree,
+  listStagedFiles,
+  deleteStages,
+  createStageCache
+} = require('./stageCache');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+// Hash fictif propre aux tests (aucun fichier réel n'a ce hash)
+const HASH = 'e'.repeat(63) + '0';
+
+/**
+ * Simule un pipeline : audio extrait → Whisper → nettoyage
+ * @param {Object} stageCache - Cache des étapes
+ * @param {Object} counters - Nombre d'exécutions réelles par étape
+ * @param {Object} options - {modelSize, rulesVersion, audioSource}
+ * @returns {Promise<Object>} Clés et données des étapes
+ */
+async function runFakePipeline(stageCache, counters, { modelSize, rulesVersion, audioSource }) {
+  const audio = await stageCache.run(STAGES.AUDIO, { params: { sampleRate: 16000 }, artifact: 'audioPath' }, async () => {
+    counters.audio++;
+    return { audioPath: audioSource };
+  });
+  const whisper = await stageCache.run(STAGES.WHISPER, { parent: audio.key, params: { modelSize } }, async () => {
+    counters.whisper++;
+    return { language: 'fr', segments: [{ start: 0, end: 1, text: `euh bonjour (${modelSize})` }] };
+  });
+  const cleaned = await stageCache.run(STAGES.CLEANED, { parent: whisper.key, params: { rules: { version: rulesVersion } } }, async () => {
+    counters.cleaned++;
+    return { segments: whisper.data.segments.map(segment => ({ ...segment, text: segment.text.replace('euh ', '') })) };
+  });
+  return { audio, whisper, cleaned };
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du cache des étapes ===${RESET}\n`);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stage-cache-'));
+  const audioSource = path.join(tmpDir, 'audio.wav');
+  fs.writeFileSync(audioSource, 'RIFF-fake-wav');
+
+  try {
+    // Test 1: Clés d'étapes
+    console.log(`${BLUE}Test 1: Clés d'étapes${RESET}`);
+    const key = computeStageKey(STAGES.WHISPER, HASH, { modelSize: 'small', language: 'fr' });
+    assert(/^whisper-[a-f0-9]{16}$/.test(key), 'Clé <étape>-<empreinte>');
+    assertEquals(computeStageKey(STAGES.WHISPER, HASH, { language: 'fr', modelSize: 'small' }), key, 'Indépendante de l\'ordre des paramètres');
+    assert(computeStageKey(STAGES.WHISPER, HASH, { modelSize: 'medium', language: 'fr' }) !== key, 'Autres paramètres, autre clé');
+    assert(computeStageKey(STAGES.WHISPER, `audio-${'0'.repeat(16)}`, { modelSize: 'small', language: 'fr' }) !== key, 'Autre entrée, autre clé');
+    assertEquals(loadStage(HASH, '../rules'), null, 'Clé invalide refusée');
+    assertEquals(loadStage('invalide', key), null, 'Hash invalide refusé');
+    console.log('');
+
+    // Test 2: Réutilisation des étapes
+    console.log(`${BLUE}Test 2: Réutilisation des étapes${RESET}`);
+    const counters = { audio: 0, whisper: 0, cleaned: 0 };
+    const first = await runFakePipeline(createStageCache(HASH), counters, { modelSize: 'small', rulesVersion: 1, audioSource });
+    assertEquals(first.audio.fromCache, false, 'Première exécution calculée');
+    assertEquals(first.audio.data.audioPath, audioSource, 'Chemin audio de l\'exécution d\'origine');
+
+    const sameCache = createStageCache(HASH);
+    const second = await runFakePipeline(sameCache, counters, { modelSize: 'small', rulesVersion: 1, audioSource });
+    assertEquals(counters.whisper, 1, 'Même configuration : Whisper non relancé');
+    assertEquals(second.cleaned.data.segments[0].text, 'bonjour (small)', 'Données de l\'étape relues');
+    assertEquals(sameCache.summary().reused.join(','), 'audio,whisper,cleaned', 'Étapes réutilisées listées');
+    assert(second.audio.data.audioPath !== audioSource && fs.readFileSync(second.audio.data.audioPath, 'utf8') === 'RIFF-fake-wav', 'Audio copié dans le cache');
+
+    const rulesCache = createStageCache(HASH);
+    const third = await runFakePipeline(rulesCache, counters, { modelSize: 'small', rulesVersion: 2, audioSource });
+    assertEquals(counters.whisper, 1, 'Nouvelles règles : sortie Whisper réutilisée');
+    assertEquals(counters.cleaned, 2, 'Nouvelles règles : nettoyage refait');
+    assertEquals(third.whisper.key, first.whisper.key, 'Clé Whisper inchangée');
+    assertEquals(rulesCache.summary().computed.join(','), 'cleaned', 'Seule l\'étape de nettoyage calculée');
+
+    await runFakePipeline(createStageCache(HASH), counters, { modelSize: 'medium', rulesVersion: 2, audioSource });
+    assertEquals(counters.audio, 1, 'Autre modèle : audio extrait réutilisé');
+    assertEquals(counters.whisper, 2, 'Autre modèle : Whisper relancé');
+    console.log('');
+
+    // Test 3: Erreurs et cache désactivé
+    console.log(`${BLUE}Test 3: Erreurs et cache désactivé${RESET}`);
+    const failing = createStageCache(HASH);
+    let failure = null;
+    try {
+      await failing.run(STAGES.GPT, { parent: first.cleaned.key, params: { model: 'test' } }, async () => {
+        throw new Error('LLM indisponible');
+      });
+    } catch (error) {
+      failure = error.message;
+    }
+    assertEquals(failure, 'LLM indisponible', 'Erreur de l\'étape propagée');
+    assertEquals(loadStage(HASH, computeStageKey(STAGES.GPT, first.cleaned.key, { model: 'test' })), null, 'Échec non mis en cache');
+
+    const disabled = createStageCache(null);
+    const disabledCounters = { audio: 0, whisper: 0, cleaned: 0 };
+    await runFakePipeline(disabled, disabledCounters, { modelSize: 'small', rulesVersion: 1, audioSource });
+    await runFakePipeline(disabled, disabledCounters, { modelSize: 'small', rulesVersion: 1, audioSource });
+    assertEquals(disabledCounters.whisper, 2, 'Cache désactivé : étapes toujours calculées');
+    assertEquals(disabled.summary().enabled, false, 'Cache désactivé signalé');
+    console.log('');
+
+    // Test 4: Arbre des étapes
+    console.log(`${BLUE}Test 4: Arbre des étapes${RESET}`);
+    const stages = listStages(HASH);
+    assertEquals(stages.length, 6, 'Étapes listées (1 audio, 2 Whisper, 3 nettoyages)');
+    assert(stages.every(stage => stage.data === undefined && stage.size > 0), 'Liste sans les données, avec la taille');
+    assert(listStagedFiles().includes(HASH), 'Fichier listé');
+
+    const tree = buildStageTree(HASH);
+    assertEquals(tree.length, 1, 'Une racine : l\'audio extrait');
+    assertEquals(tree[0].stage, STAGES.AUDIO, 'Racine de l\'arbre');
+    assertEquals(tree[0].children.length, 2, 'Deux sorties Whisper (small, medium)');
+    const smallNode = tree[0].children.find(node => node.key === first.whisper.key);
+    assertEquals(smallNode.children.length, 2, 'Deux nettoyages de la sortie small (règles v1, v2)');
+
+    fs.unlinkSync(second.audio.data.audioPath);
+    const counterBefore = counters.audio;
+    await runFakePipeline(createStageCache(HASH), counters, { modelSize: 'small', rulesVersion: 1, audioSource });
+    assertEquals(counters.audio, counterBefore + 1, 'Audio supprimé du cache : étape recalculée');
+
+    assertEquals(deleteStages(HASH), 6, 'Étapes du fichier supprimées');
+    assertEquals(listStages(HASH).length, 0, 'Plus aucune étape');
+    console.log('');
+  } finally {
+    deleteStages(HASH);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
@@ -0,0 +1,271 @@
+/**
+ * Profils de style par client pour le Verbatim Corrigé
+ * Chaque profil active, remplace ou complète les sections des règles
+ * (format de l'heure, censure des sacres, noms des interlocuteurs, anglicismes...)
+ * et ajoute des instructions particulières. Stockage : profiles/<id>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VERBATIM_RULE_SECTIONS } = require('./rulesEngine');
+
+// Dossier de stockage des profils
+const PROFILES_DIR = path.join(__dirname, '../profiles');
+
+// Identifiant d'un profil (nom de fichier sûr)
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Longueur maximale des textes libres d'un profil
+const MAX_TEXT_LENGTH = 4000;
+
+/**
+ * Initialise le dossier des profils s'il n'existe pas
+ */
+function initProfilesDir() {
+  if (!fs.existsSync(PROFILES_DIR)) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
+    console.log('📁 Dossier profiles/ créé');
+  }
+}
+
+/**
+ * Chemin du fichier JSON d'un profil
+ * @param {string} id - Identifiant du profil
+ * @returns {string} Chemin du fichier
+ */
+function profilePath(id) {
+  return path.join(PROFILES_DIR, `${id}.json`);
+}
+
+/**
+ * Indique si un identifiant de profil est valide
+ * @param {string} id - Identifiant
+ * @returns {boolean}
+ */
+function isValidProfileId(id) {
+  return typeof id === 'string' && PROFILE_ID_PATTERN.test(id);
+}
+
+/**
+ * Dérive un identifiant à partir du nom du profil
+ * @param {string} name - Nom du profil
+ * @returns {string} Identifiant (ex: "Radio-Canada" → "radio-canada")
+ */
+function slugifyProfileName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 64);
+}
+
+/**
+ * Valide le contenu d'un profil
+ * @param {Object} data - {name, description, sections, customInstructions}
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateProfile(data) {
+  const errors = [];
+  const sectionIds = VERBATIM_RULE_SECTIONS.map(section => section.id);
+
+  if (!data || typeof data !== 'object') {
+    return ['Le profil doit être un objet JSON'];
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    errors.push('"name" est requis');
+  }
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('"description" doit être une chaîne');
+  }
+  if (data.customInstructions !== undefined &&
+      (typeof data.customInstructions !== 'string' || data.customInstructions.length > MAX_TEXT_LENGTH)) {
+    errors.push(`"customInstructions" doit être une chaîne de ${MAX_TEXT_LENGTH} caractères maximum`);
+  }
+
+  if (data.sections !== undefined) {
+    if (!data.sections || typeof data.sections !== 'object' || Array.isArray(data.sections)) {
+      errors.push('"sections" doit être un objet { <section>: { enabled, content, append } }');
+    } else {
+      Object.entries(data.sections).forEach(([id, override]) => {
+        if (!sectionIds.includes(id)) {
+          errors.push(`Section inconnue: ${id} (${sectionIds.join(', ')})`);
+          return;
+        }
+        if (!override || typeof override !== 'object') {
+          errors.push(`sections.${id} doit être un objet`);
+          return;
+        }
+        if (override.enabled !== undefined && typeof override.enabled !== 'boolean') {
+          errors.push(`sections.${id}.enabled doit être un booléen`);
+        }
+        ['content', 'append'].forEach(key => {
+          if (override[key] !== undefined &&
+              (typeof override[key] !== 'string' || override[key].length > MAX_TEXT_LENGTH)) {
+            errors.push(`sections.${id}.${key} doit être une chaîne de ${MAX_TEXT_LENGTH} caractères maximum`);
+          }
+        });
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Garde uniquement les champs connus d'un profil
+ * @param {Object} data - Données reçues
+ * @returns {Object} {name, description, sections, customInstructions}
+ */
+function normalizeProfile(data) {
+  const sections = {};
+  Object.entries(data.sections || {}).forEach(([id, override]) => {
+    sections[id] = {};
+    ['enabled', 'content', 'append'].forEach(key => {
+      if (override[key] !== undefined) {
+        sections[id][key] = override[key];
+      }
+    });
+  });
+
+  return {
+    name: data.name.trim(),
+    description: data.description || '',
+    sections,
+    customInstructions: data.customInstructions || ''
+  };
+}
+
+/**
+ * Sauvegarde un profil sur disque (écriture atomique via fichier temporaire)
+ * @param {Object} profile - Profil complet
+ */
+function persistProfile(profile) {
+  initProfilesDir();
+  const target = profilePath(profile.id);
+  const tmpFile = `${target}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(profile, null, 2));
+  fs.renameSync(tmpFile, target);
+}
+
+/**
+ * Charge un profil
+ * @param {string} id - Identifiant du profil
+ * @returns {Object|null} Profil ou null s'il n'existe pas
+ */
+function loadProfile(id) {
+  if (!isValidProfileId(id) || !fs.existsSync(profilePath(id))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(profilePath(id), 'utf8'));
+}
+
+/**
+ * Liste les profils (du plus récemment modifié au plus ancien)
+ * @returns {Array<Object>} Profils {id, name, description, updatedAt}
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        const { id, name, description, updatedAt } = JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, file), 'utf8'));
+        return { id, name, description, updatedAt };
+      } catch (error) {
+        console.error(`⚠️  Profil illisible ignoré: ${file} (${error.message})`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * Crée un profil
+ * @param {Object} data - {id?, name, description, sections, customInstructions}
+ * @returns {Object} Profil créé
+ * @throws {Error} error.code = 'INVALID' (error.details) ou 'EXISTS'
+ */
+function createProfile(data) {
+  const errors = validateProfile(data);
+  const id = data?.id || slugifyProfileName(data?.name);
+
+  if (!isValidProfileId(id)) {
+    errors.push(`Identifiant invalide: "${id}" (minuscules, chiffres et tirets)`);
+  }
+  if (errors.length > 0) {
+    const error = new Error('Profil invalide');
+    error.code = 'INVALID';
+    error.details = errors;
+    throw error;
+  }
+  if (fs.existsSync(profilePath(id))) {
+    const error = new Error(`Le profil existe déjà: ${id}`);
+    error.code = 'EXISTS';
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const profile = { id, ...normalizeProfile(data), createdAt: now, updatedAt: now };
+  persistProfile(profile);
+  console.log(`🎨 Profil créé: ${id}`);
+  return profile;
+}
+
+/**
+ * Met à jour un profil (remplacement complet des champs modifiables)
+ * @param {string} id - Identifiant du profil
+ * @param {Object} data - {name, description, sections, customInstructions}
+ * @returns {Object|null} Profil mis à jour ou null s'il n'existe pas
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function updateProfile(id, data) {
+  const existing = loadProfile(id);
+  if (!existing) {
+    return null;
+  }
+
+  const errors = validateProfile(data);
+  if (errors.length > 0) {
+    const error = new Error('Profil invalide');
+    error.code = 'INVALID';
+    error.details = errors;
+    throw error;
+  }
+
+  const profile = { id, ...normalizeProfile(data), createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+  persistProfile(profile);
+  console.log(`🎨 Profil mis à jour: ${id}`);
+  return profile;
+}
+
+/**
+ * Supprime un profil
+ * @param {string} id - Identifiant du profil
+ * @returns {boolean} true si le profil existait
+ */
+function deleteProfile(id) {
+  if (!loadProfile(id)) {
+    return false;
+  }
+  fs.unlinkSync(profilePath(id));
+  console.log(`🗑️  Profil supprimé: ${id}`);
+  return true;
+}
+
+module.exports = {
+  PROFILES_DIR,
+  isValidProfileId,
+  slugifyProfileName,
+  validateProfile,
+  loadProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
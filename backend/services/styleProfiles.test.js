@@ -0,0 +1,156 @@
+/**
+ * Tests unitaires pour le service styleProfiles
+ *
+ * Pour exécuter : node backend/services/styleProfiles.test.js
+ */
+
+const {
+  isValidProfileId,
+  slugifyProfileName,
+  validateProfile,
+  loadProfile,
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} = require('./styleProfiles');
+const { VERBATIM_RULES, buildVerbatimRules, applyVerbatimRules } = require('./rulesEngine');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Retourne le code de l'erreur levée par une fonction
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {string|null} error.code ou null si aucune erreur
+ */
+function errorCode(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service styleProfiles ===${RESET}\n`);
+
+  // Test 1: Construction des règles
+  console.log(`${BLUE}Test 1: Construction des règles${RESET}`);
+  assertEquals(buildVerbatimRules(), VERBATIM_RULES, 'Sans profil, règles standard inchangées');
+  assertEquals(buildVerbatimRules({ sections: {} }), VERBATIM_RULES, 'Profil vide = règles standard');
+
+  const rules = buildVerbatimRules({
+    sections: {
+      anglicisms: { enabled: false },
+      numbers: { content: '- Heure : 14 h 54' },
+      profanity: { append: '- Censurer les sacres' }
+    },
+    customInstructions: 'Nommer l\'animatrice « Marie »'
+  });
+  assert(!rules.includes('## 5. ANGLICISMES'), 'Section désactivée omise');
+  assert(rules.includes('## 6. CITATIONS'), 'Numérotation des autres sections conservée');
+  assert(rules.includes('## 4. CHIFFRES ET NOMBRES\n- Heure : 14 h 54\n'), 'Contenu de section remplacé');
+  assert(!rules.includes('Heure : 14h54'), 'Ancien contenu retiré');
+  assert(rules.includes('- Censurer les sacres'), 'Contenu ajouté à la section');
+  assert(rules.includes('INSTRUCTIONS PARTICULIÈRES DU CLIENT\nNommer l\'animatrice « Marie »'), 'Instructions particulières ajoutées');
+  console.log('');
+
+  // Test 2: Validation
+  console.log(`${BLUE}Test 2: Validation${RESET}`);
+  assertEquals(slugifyProfileName('Télé-Québec  Jeunesse'), 'tele-quebec-jeunesse', 'Identifiant dérivé du nom');
+  assert(isValidProfileId('radio-canada') && !isValidProfileId('../etc'), 'Identifiants de fichier sûrs');
+  assertEquals(validateProfile({ name: 'Client' }).length, 0, 'Profil minimal valide');
+  const errors = validateProfile({ sections: { inconnue: {}, numbers: { enabled: 'non' } } });
+  assert(errors.includes('"name" est requis'), 'Nom requis');
+  assert(errors.some(error => error.startsWith('Section inconnue: inconnue')), 'Section inconnue détectée');
+  assert(errors.includes('sections.numbers.enabled doit être un booléen'), 'Type de enabled vérifié');
+  console.log('');
+
+  // Test 3: Création, mise à jour et suppression
+  console.log(`${BLUE}Test 3: Création, mise à jour et suppression${RESET}`);
+  const id = `test-profil-${process.pid}`;
+  try {
+    const created = createProfile({ id, name: 'Test', sections: { character: { enabled: false, extra: 1 } } });
+    assertEquals(JSON.stringify(created.sections), '{"character":{"enabled":false}}', 'Champs inconnus écartés');
+    assertEquals(loadProfile(id).name, 'Test', 'Profil enregistré sur disque');
+    assert(listProfiles().some(profile => profile.id === id), 'Profil listé');
+    assertEquals(errorCode(() => createProfile({ id, name: 'Test' })), 'EXISTS', 'Doublon refusé');
+    assertEquals(errorCode(() => createProfile({ id: 'A B', name: 'Test' })), 'INVALID', 'Identifiant invalide refusé');
+
+    const updated = updateProfile(id, { name: 'Test 2', customInstructions: 'Tutoyer' });
+    assertEquals(updated.createdAt, created.createdAt, 'Date de création conservée');
+    assertEquals(loadProfile(id).customInstructions, 'Tutoyer', 'Profil mis à jour');
+    assertEquals(updateProfile('profil-absent', { name: 'X' }), null, 'Mise à jour d\'un profil absent');
+    assertEquals(errorCode(() => updateProfile(id, { name: '' })), 'INVALID', 'Mise à jour invalide refusée');
+
+    // Test 4: Profil appliqué (serveur factice)
+    console.log(`\n${BLUE}Test 4: Profil appliqué${RESET}`);
+    const server = await startStubServer(0);
+    const stub = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+    try {
+      const result = await applyVerbatimRules([{ start: 0, end: 1, text: 'euh oui' }], { llm: stub, profile: loadProfile(id) });
+      assertEquals(result.metadata.profile.id, id, 'Profil consigné dans les métadonnées');
+      assertEquals(result.metadata.profile.name, 'Test 2', 'Nom du profil consigné');
+      const standard = await applyVerbatimRules([{ start: 0, end: 1, text: 'oui' }], { llm: stub });
+      assertEquals(standard.metadata.profile, null, 'Aucun profil par défaut');
+    } finally {
+      server.close();
+    }
+
+    assert(deleteProfile(id), 'Profil supprimé');
+    assertEquals(loadProfile(id), null, 'Profil absent après suppression');
+    assert(!deleteProfile(id), 'Suppression d\'un profil absent');
+  } finally {
+    deleteProfile(id);
+  }
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
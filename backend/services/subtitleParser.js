@@ -0,0 +1,232 @@
+/**
+ * Lecture des fichiers de sous-titres SRT et WebVTT
+ * Produit des sous-titres {index, id, start, end, text} en conservant les lignes
+ * et en signalant les blocs illisibles au lieu d'échouer
+ */
+
+const { parseTimestamp } = require('./subtitleTime');
+
+// Ligne de temps "début --> fin [paramètres WebVTT]"
+const TIMING_LINE = /^\s*(\S+)\s+-->\s+(\S+)(?:\s+(.*))?$/;
+
+/**
+ * Détecte le format d'un contenu de sous-titres
+ * @param {string} content - Contenu du fichier
+ * @returns {string} 'vtt' ou 'srt'
+ */
+function detectSubtitleFormat(content) {
+  return /^\uFEFF?WEBVTT/.test(content) ? 'vtt' : 'srt';
+}
+
+/**
+ * Découpe le contenu en blocs séparés par des lignes vides
+ * @param {string} content - Contenu du fichier
+ * @returns {Array<Object>} Blocs {lines, lineNumber}
+ */
+function splitBlocks(content) {
+  const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    if (line.trim() === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lines: [], lineNumber: i + 1 };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+}
+
+// Début d'une réplique de dialogue ("- Salut")
+const DIALOGUE_LINE = /^\s*[-–—]\s*/;
+
+/**
+ * Décode les entités HTML courantes des sous-titres
+ * @param {string} text - Texte
+ * @returns {string} Texte décodé
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extrait le locuteur d'une balise de voix WebVTT et retire le balisage
+ * @param {string} text - Texte WebVTT (<v Nom>texte</v>, <i>, <b>...)
+ * @returns {Object} {text, speaker}
+ */
+function stripVTTMarkup(text) {
+  const voice = /<v(?:\.[^\s>]+)?\s+([^>]+)>/.exec(text);
+
+  return { text: decodeEntities(text.replace(/<[^>]+>/g, '')), speaker: voice ? voice[1].trim() : null };
+}
+
+/**
+ * Retire le balisage SRT (<i>, <b>, <u>, <font ...>, positions {\an8})
+ * Les autres chevrons sont conservés : ils peuvent faire partie du texte
+ * @param {string} text - Texte SRT
+ * @returns {string} Texte brut
+ */
+function stripSRTMarkup(text) {
+  return decodeEntities(text
+    .replace(/<\/?(?:i|b|u|font)\b[^>]*>/gi, '')
+    .replace(/\{\\[^}]*\}/g, ''));
+}
+
+/**
+ * Lit un fichier de sous-titres (SRT ou WebVTT)
+ * @param {string} content - Contenu du fichier
+ * @param {string} format - 'srt', 'vtt' ou 'auto' (défaut)
+ * @returns {Object} {format, cues: [{index, id, start, end, text, speaker?, lineNumber}], errors: [{lineNumber, message}]}
+ */
+function parseSubtitles(content, format = 'auto') {
+  const resolvedFormat = format === 'auto' ? detectSubtitleFormat(content) : format;
+  const cues = [];
+  const errors = [];
+
+  splitBlocks(content).forEach(block => {
+    const first = block.lines[0].trim();
+
+    // En-tête et blocs non affichés du WebVTT
+    if (resolvedFormat === 'vtt' && (/^WEBVTT/.test(first) || /^(NOTE|STYLE|REGION)(\s|$)/.test(first))) {
+      return;
+    }
+
+    const timingIndex = block.lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) {
+      errors.push({ lineNumber: block.lineNumber, message: `Bloc sans ligne de temps: "${first.substring(0, 40)}"` });
+      return;
+    }
+
+    const timing = TIMING_LINE.exec(block.lines[timingIndex]);
+    const textLines = block.lines.slice(timingIndex + 1);
+    const rawText = textLines.join('\n');
+    const { text, speaker } = resolvedFormat === 'vtt' ? stripVTTMarkup(rawText) : { text: stripSRTMarkup(rawText), speaker: null };
+
+    const cue = {
+      index: cues.length + 1,
+      id: timingIndex === 1 ? first : null,
+      start: timing ? parseTimestamp(timing[1]) : NaN,
+      end: timing ? parseTimestamp(timing[2]) : NaN,
+      text: text.trim(),
+      lineNumber: block.lineNumber
+    };
+
+    if (speaker) {
+      cue.speaker = speaker;
+    }
+    if (timing && timing[3] && resolvedFormat === 'vtt') {
+      cue.settings = timing[3].trim();
+    }
+
+    cues.push(cue);
+  });
+
+  return { format: resolvedFormat, cues, errors };
+}
+
+/**
+ * Répliques d'un sous-titre de dialogue ("- Salut\n- Allo")
+ * Une ligne sans tiret prolonge la réplique précédente
+ * @param {string} text - Texte du sous-titre
+ * @returns {Array<string>} Répliques (une seule si le sous-titre n'est pas un dialogue)
+ */
+function splitDialogue(text) {
+  const lines = text.split('\n');
+  if (lines.filter(line => DIALOGUE_LINE.test(line)).length < 2) {
+    return [text];
+  }
+
+  return lines.reduce((turns, line) => {
+    if (DIALOGUE_LINE.test(line) || turns.length === 0) {
+      turns.push(line.replace(DIALOGUE_LINE, ''));
+    } else {
+      turns[turns.length - 1] += `\n${line}`;
+    }
+    return turns;
+  }, []);
+}
+
+/**
+ * Convertit des sous-titres lus en segments de transcription
+ * Les sous-titres sans temps valides ou sans texte sont ignorés
+ * Les répliques d'un dialogue deviennent des segments distincts : la durée du sous-titre
+ * est répartie selon leur longueur
+ * @param {Array<Object>} cues - Sous-titres retournés par parseSubtitles
+ * @returns {Array<Object>} Segments {id, start, end, text, speaker?}
+ */
+function cuesToSegments(cues) {
+  return cues
+    .filter(cue => Number.isFinite(cue.start) && Number.isFinite(cue.end) && cue.end > cue.start && cue.text)
+    .flatMap(cue => {
+      // Les lignes d'une réplique forment une seule phrase pour la correction
+      const turns = splitDialogue(cue.text)
+        .map(turn => turn.replace(/\s*\n\s*/g, ' ').trim())
+        .filter(Boolean);
+      const totalLength = turns.reduce((total, turn) => total + turn.length, 0);
+      let start = cue.start;
+
+      return turns.map((turn, i) => {
+        const end = i === turns.length - 1
+          ? cue.end
+          : Math.round((start + ((cue.end - cue.start) * turn.length) / totalLength) * 1000) / 1000;
+        const segment = { start, end, text: turn };
+        if (cue.speaker) {
+          segment.speaker = cue.speaker;
+        }
+        start = end;
+        return segment;
+      });
+    })
+    .map((segment, i) => ({ id: i, ...segment }));
+}
+
+/**
+ * Construit une transcription à partir d'un fichier de sous-titres existant
+ * (même forme que le pipeline Whisper : raw et cleaned)
+ * @param {string} content - Contenu SRT ou WebVTT
+ * @param {string} format - 'srt', 'vtt' ou 'auto' (défaut)
+ * @returns {Object} {raw, cleaned, subtitleImport: {format, cueCount, segmentCount, skippedCues, errors}}
+ */
+function transcriptionFromSubtitles(content, format = 'auto') {
+  const parsed = parseSubtitles(content, format);
+  const segments = cuesToSegments(parsed.cues);
+  const text = segments.map(seg => seg.text).join(' ');
+
+  return {
+    raw: {
+      text,
+      segments,
+      language: null,
+      duration: segments.length > 0 ? segments[segments.length - 1].end : 0
+    },
+    cleaned: {
+      text,
+      segments
+    },
+    subtitleImport: {
+      format: parsed.format,
+      cueCount: parsed.cues.length,
+      segmentCount: segments.length,
+      skippedCues: parsed.cues.length - segments.length,
+      errors: parsed.errors
+    }
+  };
+}
+
+module.exports = {
+  detectSubtitleFormat,
+  parseSubtitles,
+  cuesToSegments,
+  transcriptionFromSubtitles
+};
@@ -0,0 +1,387 @@
+/**
+ * Moteur de re-découpage et de re-synchronisation des sous-titres
+ * Garantit localement les contraintes de lisibilité (vitesse de lecture, durées,
+ * deux lignes de maxLineLength, écart minimal) au lieu de les demander à GPT
+ */
+
+const { loadRules } = require('./applyRules');
+const { parseTimestamp } = require('./subtitleTime');
+
+/**
+ * Contraintes par défaut (surchargées par la section "subtitles" de rules.json)
+ */
+const DEFAULT_SUBTITLE_CONSTRAINTS = {
+  maxCharsPerSecond: 17,  // Vitesse de lecture maximale (caractères par seconde)
+  minDuration: 1,         // Durée minimale d'un sous-titre (secondes)
+  maxDuration: 7,         // Durée maximale d'un sous-titre (secondes)
+  mergeBelow: 3,          // Les sous-titres plus courts sont fusionnés avec le suivant si possible
+  maxMergeGap: 1,         // Silence maximal entre deux sous-titres fusionnables (secondes)
+  maxLines: 2,            // Nombre maximal de lignes
+  maxLineLength: 42,      // Caractères maximum par ligne
+  minGap: 0.08            // Écart minimal entre deux sous-titres (secondes)
+};
+
+// Ponctuation de fin de proposition : point de coupure privilégié
+const BREAK_PUNCTUATION = /[.,!?;:…]$/;
+
+// Silence entre deux mots considéré comme une pause naturelle (secondes)
+const NATURAL_PAUSE = 0.3;
+
+// Durée minimale d'un sous-titre comprimé par un chevauchement (secondes)
+const MIN_CUE_SPAN = 0.1;
+
+/**
+ * Charge les contraintes de sous-titrage depuis rules.json
+ * @param {Object} rules - Règles déjà chargées (optionnel)
+ * @returns {Object} Contraintes complètes
+ */
+function loadSubtitleConstraints(rules = null) {
+  const source = rules || loadRules();
+
+  return {
+    ...DEFAULT_SUBTITLE_CONSTRAINTS,
+    ...(source.maxLineLength ? { maxLineLength: source.maxLineLength } : {}),
+    ...(source.subtitles || {})
+  };
+}
+
+/**
+ * Arrondit un temps à la milliseconde
+ * @param {number} seconds - Temps en secondes
+ * @returns {number} Temps arrondi
+ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Texte sur une seule ligne (sans sauts de ligne ni espaces multiples)
+ * @param {string} text - Texte du sous-titre
+ * @returns {string} Texte aplati
+ */
+function flattenText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Nombre de caractères lus (sans le tiret de locuteur ni les sauts de ligne)
+ * @param {string} text - Texte du sous-titre
+ * @returns {number} Nombre de caractères
+ */
+function readableLength(text) {
+  return flattenText(text).replace(/^-\s*/, '').length;
+}
+
+/**
+ * Répartit un texte sur des lignes de maxLineLength caractères
+ * Sur deux lignes, la coupure équilibre les longueurs et privilégie la ponctuation
+ * @param {string} text - Texte du sous-titre
+ * @param {number} maxLineLength - Caractères maximum par ligne
+ * @param {number} maxLines - Nombre maximal de lignes visé
+ * @returns {Array<string>} Lignes (peut dépasser maxLines si le texte est trop long)
+ */
+function wrapSubtitleText(text, maxLineLength, maxLines = 2) {
+  const flat = flattenText(text);
+  if (flat.length <= maxLineLength) {
+    return flat ? [flat] : [];
+  }
+
+  const words = flat.split(' ');
+
+  // Coupure équilibrée sur deux lignes
+  if (maxLines >= 2) {
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let i = 1; i < words.length; i++) {
+      const top = words.slice(0, i).join(' ');
+      const bottom = words.slice(i).join(' ');
+      if (top.length > maxLineLength || bottom.length > maxLineLength) continue;
+
+      const score = Math.abs(top.length - bottom.length) - (BREAK_PUNCTUATION.test(top) ? 15 : 0);
+      if (score < bestScore) {
+        bestScore = score;
+        best = [top, bottom];
+      }
+    }
+
+    if (best) {
+      return best;
+    }
+  }
+
+  // Remplissage glouton
+  const lines = [];
+  let current = '';
+  words.forEach(word => {
+    if (current && `${current} ${word}`.length > maxLineLength) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+
+  return lines;
+}
+
+/**
+ * Indique si un texte tient dans le cadre (maxLines lignes de maxLineLength)
+ * @param {string} text - Texte
+ * @param {Object} constraints - Contraintes
+ * @returns {boolean}
+ */
+function fitsFrame(text, constraints) {
+  return wrapSubtitleText(text, constraints.maxLineLength, constraints.maxLines).length <= constraints.maxLines;
+}
+
+/**
+ * Découpe un segment en mots horodatés
+ * Utilise les timestamps par mot s'ils correspondent au texte, sinon répartit
+ * la durée proportionnellement au nombre de caractères
+ * @param {Object} segment - Segment {start, end, text, words?}
+ * @returns {Array<Object>} Mots [{text, start, end}]
+ */
+function segmentTokens(segment) {
+  const texts = flattenText(segment.text).split(' ').filter(Boolean);
+
+  if (Array.isArray(segment.words) && segment.words.length === texts.length) {
+    return texts.map((text, i) => ({
+      text,
+      start: segment.words[i].start,
+      end: segment.words[i].end,
+      word: segment.words[i]
+    }));
+  }
+
+  const totalChars = texts.reduce((sum, text) => sum + text.length + 1, 0) || 1;
+  const duration = segment.end - segment.start;
+  let offset = 0;
+
+  return texts.map(text => {
+    const start = segment.start + (duration * offset) / totalChars;
+    offset += text.length + 1;
+    return { text, start, end: segment.start + (duration * offset) / totalChars };
+  });
+}
+
+/**
+ * Construit un sous-titre à partir d'une suite de mots
+ * @param {Array<Object>} tokens - Mots horodatés
+ * @param {Object} segment - Segment d'origine (locuteur, présence des mots)
+ * @returns {Object} Sous-titre
+ */
+function cueFromTokens(tokens, segment) {
+  const cue = {
+    start: tokens[0].start,
+    end: tokens[tokens.length - 1].end,
+    text: tokens.map(t => t.text).join(' ')
+  };
+
+  if (segment.speaker) {
+    cue.speaker = segment.speaker;
+  }
+  if (tokens.every(t => t.word)) {
+    cue.words = tokens.map(t => t.word);
+  }
+
+  return cue;
+}
+
+/**
+ * Découpe un segment trop long (durée ou nombre de caractères) aux frontières de mots
+ * en privilégiant les silences entre les mots et la ponctuation
+ * @param {Object} segment - Segment {start, end, text, words?, speaker?}
+ * @param {Object} constraints - Contraintes
+ * @returns {Array<Object>} Sous-titres
+ */
+function splitSegment(segment, constraints) {
+  const duration = segment.end - segment.start;
+  if (duration <= constraints.maxDuration && fitsFrame(segment.text, constraints)) {
+    return [cueFromTokens(segmentTokens(segment), segment)];
+  }
+
+  const tokens = segmentTokens(segment);
+  const cues = [];
+  let current = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const candidate = [...current, token];
+    const candidateText = candidate.map(t => t.text).join(' ');
+    const tooLong = candidate.length > 1 && (
+      token.end - candidate[0].start > constraints.maxDuration || !fitsFrame(candidateText, constraints)
+    );
+
+    if (!tooLong) {
+      current = candidate;
+      i++;
+      continue;
+    }
+
+    // Couper à la meilleure pause (silence, ponctuation) de la seconde moitié du sous-titre
+    let cut = current.length;
+    let bestPause = NATURAL_PAUSE;
+    for (let k = current.length - 1; k >= Math.max(1, Math.ceil(current.length / 2)); k--) {
+      const silence = current[k].start - current[k - 1].end;
+      const pause = silence + (BREAK_PUNCTUATION.test(current[k - 1].text) ? NATURAL_PAUSE + 0.01 : 0);
+      if (pause > bestPause) {
+        bestPause = pause;
+        cut = k;
+      }
+    }
+
+    cues.push(cueFromTokens(current.slice(0, cut), segment));
+    i -= current.length - cut;
+    current = [];
+  }
+
+  if (current.length > 0) {
+    cues.push(cueFromTokens(current, segment));
+  }
+
+  return cues;
+}
+
+/**
+ * Fusionne les sous-titres trop courts avec le suivant (même locuteur, silence court,
+ * résultat conforme aux contraintes de durée et de cadre)
+ * @param {Array<Object>} cues - Sous-titres
+ * @param {Object} constraints - Contraintes
+ * @returns {Array<Object>} Sous-titres fusionnés
+ */
+function mergeShortCues(cues, constraints) {
+  const merged = [];
+
+  cues.forEach(cue => {
+    const last = merged[merged.length - 1];
+
+    const canMerge = last &&
+      last.end - last.start < constraints.mergeBelow &&
+      last.speaker === cue.speaker &&
+      cue.start - last.end <= constraints.maxMergeGap &&
+      cue.end - last.start <= constraints.maxDuration &&
+      fitsFrame(`${last.text} ${cue.text}`, constraints);
+
+    if (canMerge) {
+      last.end = cue.end;
+      last.text = `${last.text} ${cue.text}`;
+      last.words = last.words && cue.words ? [...last.words, ...cue.words] : undefined;
+      if (!last.words) delete last.words;
+    } else {
+      merged.push({ ...cue });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Ajuste les temps : écart minimal, durée minimale (et vitesse de lecture) en
+ * empiétant sur les silences, durée maximale
+ * @param {Array<Object>} cues - Sous-titres triés
+ * @param {Object} constraints - Contraintes
+ * @returns {Array<Object>} Sous-titres ajustés
+ */
+function adjustTimings(cues, constraints) {
+  // Résoudre les chevauchements et garantir l'écart minimal
+  for (let i = 1; i < cues.length; i++) {
+    const prev = cues[i - 1];
+    const cue = cues[i];
+
+    if (cue.start < prev.end + constraints.minGap) {
+      prev.end = Math.max(prev.start + MIN_CUE_SPAN, cue.start - constraints.minGap);
+      if (cue.start < prev.end + constraints.minGap) {
+        cue.start = prev.end + constraints.minGap;
+        cue.end = Math.max(cue.end, cue.start + MIN_CUE_SPAN);
+      }
+    }
+  }
+
+  // Allonger les sous-titres trop courts ou trop rapides à lire
+  cues.forEach((cue, i) => {
+    const required = Math.min(
+      constraints.maxDuration,
+      Math.max(constraints.minDuration, readableLength(cue.text) / constraints.maxCharsPerSecond)
+    );
+
+    if (cue.end - cue.start < required) {
+      const next = cues[i + 1];
+      const limit = next ? next.start - constraints.minGap : Infinity;
+      cue.end = Math.max(cue.end, Math.min(cue.start + required, limit));
+
+      const prev = cues[i - 1];
+      if (cue.end - cue.start < required) {
+        const floor = prev ? prev.end + constraints.minGap : 0;
+        cue.start = Math.min(cue.start, Math.max(floor, cue.end - required));
+      }
+    }
+
+    if (cue.end - cue.start > constraints.maxDuration) {
+      cue.end = cue.start + constraints.maxDuration;
+    }
+  });
+
+  return cues;
+}
+
+/**
+ * Re-découpe et re-synchronise des segments en sous-titres conformes
+ * @param {Array<Object>} segments - Segments {start, end, text, words?, speaker?}
+ *   (start/end en secondes ou au format SRT, ex: SRT retourné par GPT)
+ * @param {Object} customConstraints - Contraintes (défaut: rules.json)
+ * @returns {Object} {cues: [{index, start, end, text, speaker?, words?}], stats}
+ */
+function retimeSubtitles(segments, customConstraints = null) {
+  const constraints = { ...DEFAULT_SUBTITLE_CONSTRAINTS, ...(customConstraints || loadSubtitleConstraints()) };
+
+  const normalized = segments
+    .map(segment => ({
+      ...segment,
+      start: parseTimestamp(segment.start),
+      end: parseTimestamp(segment.end),
+      text: flattenText(segment.text)
+    }))
+    .filter(segment => segment.text && Number.isFinite(segment.start) && Number.isFinite(segment.end))
+    .sort((a, b) => a.start - b.start);
+
+  const split = normalized.flatMap(segment => splitSegment(segment, constraints));
+  const merged = mergeShortCues(split, constraints);
+  const adjusted = adjustTimings(merged, constraints);
+
+  const cues = adjusted.map((cue, index) => ({
+    ...cue,
+    index: index + 1,
+    start: roundTime(cue.start),
+    end: roundTime(cue.end),
+    text: wrapSubtitleText(cue.text, constraints.maxLineLength, constraints.maxLines).join('\n')
+  }));
+
+  const violations = cues.filter(cue => {
+    const duration = cue.end - cue.start;
+    return duration < constraints.minDuration - 0.001 ||
+      readableLength(cue.text) / duration > constraints.maxCharsPerSecond + 0.01 ||
+      cue.text.split('\n').length > constraints.maxLines;
+  }).length;
+
+  return {
+    cues,
+    stats: {
+      inputSegments: normalized.length,
+      splitSegments: split.length - normalized.length,
+      mergedCues: split.length - merged.length,
+      outputCues: cues.length,
+      remainingViolations: violations,
+      constraints
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SUBTITLE_CONSTRAINTS,
+  loadSubtitleConstraints,
+  wrapSubtitleText,
+  retimeSubtitles
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests unitaires pour le service subtitleRetimer
+ *
+ * Pour exécuter : node backend/services/subtitleRetimer.test.js
+ */
+
+const {
+  loadSubtitleConstraints,
+  wrapSubtitleText,
+  retimeSubtitles
+} = require('./subtitleRetimer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+console.log(`${BLUE}=== Tests du service subtitleRetimer ===${RESET}\n`);
+
+const constraints = loadSubtitleConstraints({
+  maxLineLength: 42,
+  subtitles: { maxCharsPerSecond: 17, minDuration: 1, maxDuration: 7, mergeBelow: 3, maxMergeGap: 1, maxLines: 2, minGap: 0.08 }
+});
+
+// Test 1: Répartition sur deux lignes
+console.log(`${BLUE}Test 1: Répartition sur deux lignes${RESET}`);
+assertEquals(wrapSubtitleText('Texte court', 42).join('|'), 'Texte court', 'Garde une ligne courte');
+const wrapped = wrapSubtitleText('Aujourd\'hui nous allons parler de la transcription automatique', 42);
+assertEquals(wrapped.length, 2, 'Coupe en deux lignes');
+assert(wrapped.every(line => line.length <= 42), 'Respecte maxLineLength');
+assertEquals(
+  wrapSubtitleText('Bonjour à tous, nous allons commencer la réunion', 42)[0],
+  'Bonjour à tous,',
+  'Privilégie une coupure après la ponctuation'
+);
+console.log('');
+
+// Test 2: Découpage des segments longs
+console.log(`${BLUE}Test 2: Découpage des segments longs${RESET}`);
+const longSegment = {
+  start: 0,
+  end: 12,
+  text: 'Aujourd\'hui nous allons parler de la transcription automatique, des sous-titres et de toutes les contraintes que les diffuseurs imposent.'
+};
+const { cues: splitCues, stats } = retimeSubtitles([longSegment], constraints);
+assert(splitCues.length >= 2, 'Découpe un segment de 12s');
+assert(splitCues.every(cue => cue.end - cue.start <= 7), 'Aucun sous-titre au-delà de maxDuration');
+assert(splitCues.every(cue => cue.text.split('\n').length <= 2), 'Au plus deux lignes par sous-titre');
+assertEquals(stats.remainingViolations, 0, 'Aucune violation restante');
+
+const withWords = retimeSubtitles([{
+  start: 0,
+  end: 9,
+  text: 'un deux trois quatre cinq six',
+  words: [
+    { word: 'un', start: 0, end: 1 }, { word: 'deux', start: 1, end: 2 }, { word: 'trois', start: 2, end: 3 },
+    { word: 'quatre', start: 6, end: 7 }, { word: 'cinq', start: 7, end: 8 }, { word: 'six', start: 8, end: 9 }
+  ]
+}], constraints).cues;
+assertEquals(withWords.length, 2, 'Découpe d\'après les timestamps des mots');
+assertEquals(withWords[1].start, 6, 'Le second sous-titre commence au mot suivant');
+console.log('');
+
+// Test 3: Fusion et temps
+console.log(`${BLUE}Test 3: Fusion et temps${RESET}`);
+const merged = retimeSubtitles([
+  { start: 0, end: 1.2, text: 'Bonjour.' },
+  { start: 1.3, end: 2, text: 'Comment ça va ?' },
+  { start: 2.5, end: 3, text: 'Bien.', speaker: 'SPEAKER_2' }
+], constraints).cues;
+assertEquals(merged[0].text, 'Bonjour. Comment ça va ?', 'Fusionne les sous-titres courts du même locuteur');
+assertEquals(merged.length, 2, 'Ne fusionne pas entre locuteurs');
+assert(merged[1].start - merged[0].end >= 0.08 - 0.0001, 'Respecte l\'écart minimal');
+const fast = retimeSubtitles([{ start: 10, end: 10.4, text: 'Une phrase trop rapide pour être lue' }], constraints).cues[0];
+assert((fast.end - fast.start) * 17 >= 'Une phrase trop rapide pour être lue'.length, 'Allonge selon la vitesse de lecture');
+const gpt = retimeSubtitles([{ index: 1, start: '00:00:01,000', end: '00:00:01,300', text: 'OK' }], constraints).cues[0];
+assertEquals(gpt.end - gpt.start, 1, 'Accepte les temps SRT et applique la durée minimale');
+const overlap = retimeSubtitles([
+  { start: 0, end: 4, text: 'Premier sous-titre assez long pour rester seul.' },
+  { start: 3.5, end: 6, text: 'Second sous-titre qui chevauche le premier.' }
+], constraints).cues;
+assert(overlap[1].start >= overlap[0].end + 0.08 - 0.0001, 'Résout les chevauchements');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
@@ -0,0 +1,475 @@
+/**
+ * Sérialisation des sous-titres en plusieurs formats
+ * SRT (web, montage), WebVTT (lecteurs HTML5), TTML/DFXP (diffuseurs, plateformes VOD)
+ * et SCC (CEA-608, diffusion télé historique)
+ */
+
+const { parseTimestamp, formatTimestamp, secondsToFrames, framesToDropFrameTimecode } = require('./subtitleTime');
+const { withSpeakerDashes } = require('./speakerLabels');
+
+/**
+ * Formats d'export supportés
+ */
+const SUBTITLE_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  ttml: { extension: 'ttml', contentType: 'application/ttml+xml; charset=utf-8' },
+  dfxp: { extension: 'dfxp', contentType: 'application/ttml+xml; charset=utf-8' },
+  scc: { extension: 'scc', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Position par défaut des sous-titres WebVTT (bas de l'image, centré)
+const DEFAULT_VTT_CUE_SETTINGS = 'line:90% align:center';
+
+/**
+ * Sous-titre normalisé, commun à tous les formats
+ * @typedef {Object} SubtitleCue
+ * @property {number} index - Numéro du sous-titre (à partir de 1)
+ * @property {number} start - Début en secondes
+ * @property {number} end - Fin en secondes
+ * @property {string} text - Texte (lignes séparées par \n)
+ * @property {string} [speaker] - Locuteur (diarisation)
+ * @property {Array<Object>} [words] - Timestamps par mot (re-découpage)
+ */
+
+/**
+ * Extrait les sous-titres d'une transcription en cache
+ * @param {Object} transcription - Transcription du cache ({formatted, cleaned, raw})
+ * @param {string} source - 'formatted' (SRT GPT), 'cleaned', 'raw' ou 'auto' (premier disponible)
+ * @returns {Array<SubtitleCue>} Sous-titres normalisés
+ */
+function cuesFromTranscription(transcription, source = 'auto') {
+  const sources = {
+    formatted: transcription.formatted?.srt,
+    cleaned: transcription.cleaned?.segments,
+    raw: transcription.raw?.segments
+  };
+
+  const order = source === 'auto' ? ['formatted', 'cleaned', 'raw'] : [source];
+  const selected = order.map(name => sources[name]).find(entries => Array.isArray(entries) && entries.length > 0);
+
+  if (!selected) {
+    return [];
+  }
+
+  return selected.map((entry, index) => ({
+    index: index + 1,
+    start: parseTimestamp(entry.start),
+    end: parseTimestamp(entry.end),
+    text: String(entry.text || '').trim(),
+    ...(entry.speaker ? { speaker: entry.speaker } : {}),
+    ...(Array.isArray(entry.words) ? { words: entry.words } : {})
+  }));
+}
+
+/**
+ * Échappe les caractères spéciaux XML/HTML
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+function escapeMarkup(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Génère un fichier SRT
+ * @param {Array<SubtitleCue>} cues - Sous-titres
+ * @returns {string} Contenu SRT
+ */
+function toSRT(cues) {
+  return withSpeakerDashes(cues).map((cue, index) => {
+    return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Génère un fichier WebVTT
+ * Le locuteur est indiqué par une balise de voix <v> (au lieu du tiret)
+ * @param {Array<SubtitleCue>} cues - Sous-titres
+ * @param {Object} options - Options
+ * @param {string} options.cueSettings - Paramètres de position (défaut: 'line:90% align:center', '' pour aucun)
+ * @returns {string} Contenu WebVTT
+ */
+function toVTT(cues, options = {}) {
+  const { cueSettings = DEFAULT_VTT_CUE_SETTINGS } = options;
+
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${cueSettings ? ` ${cueSettings}` : ''}`;
+    const text = escapeMarkup(cue.text);
+    const payload = cue.speaker ? `<v ${escapeMarkup(cue.speaker)}>${text}</v>` : text;
+
+    return `${index + 1}\n${timing}\n${payload}\n`;
+  });
+
+  return ['WEBVTT\n', ...blocks].join('\n');
+}
+
+/**
+ * Génère un fichier TTML (profil DFXP, TTML 1)
+ * Le locuteur est déclaré comme ttm:agent et référencé par chaque paragraphe
+ * @param {Array<SubtitleCue>} cues - Sous-titres
+ * @param {Object} options - Options
+ * @param {string} options.language - Langue du document (défaut: 'fr')
+ * @returns {string} Contenu TTML
+ */
+function toTTML(cues, options = {}) {
+  const { language = 'fr' } = options;
+
+  const speakers = [...new Set(cues.map(cue => cue.speaker).filter(Boolean))];
+  const agentId = (speaker) => `agent-${speaker.replace(/[^A-Za-z0-9_.-]/g, '_')}`;
+
+  const agents = speakers.map(speaker => [
+    `      <ttm:agent xml:id="${agentId(speaker)}" type="person">`,
+    `        <ttm:name type="alias">${escapeMarkup(speaker)}</ttm:name>`,
+    '      </ttm:agent>'
+  ].join('\n'));
+
+  const paragraphs = withSpeakerDashes(cues).map((cue, index) => {
+    const agent = cue.speaker ? ` ttm:agent="${agentId(cue.speaker)}"` : '';
+    const text = cue.text.split('\n').map(escapeMarkup).join('<br/>');
+    return `      <p xml:id="sub${index + 1}" begin="${formatTimestamp(cue.start, '.')}" end="${formatTimestamp(cue.end, '.')}"${agent}>${text}</p>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttm="http://www.w3.org/ns/ttml#metadata" xml:lang="${escapeMarkup(language)}">`,
+    '  <head>',
+    '    <metadata>',
+    ...agents,
+    '    </metadata>',
+    '    <styling>',
+    '      <style xml:id="default" tts:fontFamily="proportionalSansSerif" tts:fontSize="100%" tts:color="white" tts:backgroundColor="black" tts:textAlign="center"/>',
+    '    </styling>',
+    '    <layout>',
+    '      <region xml:id="bottom" tts:origin="10% 80%" tts:extent="80% 15%" tts:displayAlign="after" tts:textAlign="center"/>',
+    '    </layout>',
+    '  </head>',
+    '  <body style="default" region="bottom">',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+}
+
+// ==================== SCC (CEA-608) ====================
+
+// Largeur d'une rangée CEA-608 et nombre maximum de rangées affichées
+const SCC_ROW_WIDTH = 32;
+const SCC_MAX_ROWS = 4;
+
+// Codes de contrôle du canal 1 (octets sans parité)
+const SCC_CONTROL = {
+  RCL: [0x14, 0x20], // Resume Caption Loading (mode pop-on)
+  ENM: [0x14, 0x2e], // Erase Non-displayed Memory
+  EOC: [0x14, 0x2f], // End Of Caption (affiche le tampon)
+  EDM: [0x14, 0x2c]  // Erase Displayed Memory (efface l'écran)
+};
+
+// Preamble Address Codes : [premier octet, second octet de base] pour les rangées 12 à 15
+const SCC_PAC_ROWS = {
+  12: [0x13, 0x40],
+  13: [0x13, 0x60],
+  14: [0x14, 0x40],
+  15: [0x14, 0x60]
+};
+
+// Caractères du jeu standard qui diffèrent de l'ASCII
+const SCC_STANDARD_OVERRIDES = {
+  'á': 0x2a, 'é': 0x5c, 'í': 0x5e, 'ó': 0x5f, 'ú': 0x60,
+  'ç': 0x7b, '÷': 0x7c, 'Ñ': 0x7d, 'ñ': 0x7e, '■': 0x7f
+};
+
+// Caractères ASCII absents du jeu standard (remplacés par les codes étendus)
+const SCC_ASCII_UNAVAILABLE = new Set(['*', '\\', '^', '_', '`', '{', '|', '}', '~']);
+
+// Caractères spéciaux (0x11 0x30-0x3f)
+const SCC_SPECIAL = {
+  '®': 0x30, '°': 0x31, '½': 0x32, '¿': 0x33, '™': 0x34, '¢': 0x35, '£': 0x36, '♪': 0x37,
+  'à': 0x38, 'è': 0x3a, 'â': 0x3b, 'ê': 0x3c, 'î': 0x3d, 'ô': 0x3e, 'û': 0x3f
+};
+
+// Caractères étendus espagnol/français (0x12 0x20-0x3f)
+const SCC_EXTENDED_12 = {
+  'Á': 0x20, 'É': 0x21, 'Ó': 0x22, 'Ú': 0x23, 'Ü': 0x24, 'ü': 0x25, '‘': 0x26, '¡': 0x27,
+  '*': 0x28, '’': 0x29, '—': 0x2a, '©': 0x2b, '℠': 0x2c, '•': 0x2d, '“': 0x2e, '”': 0x2f,
+  'À': 0x30, 'Â': 0x31, 'Ç': 0x32, 'È': 0x33, 'Ê': 0x34, 'Ë': 0x35, 'ë': 0x36, 'Î': 0x37,
+  'Ï': 0x38, 'ï': 0x39, 'Ô': 0x3a, 'Ù': 0x3b, 'ù': 0x3c, 'Û': 0x3d, '«': 0x3e, '»': 0x3f
+};
+
+// Caractères étendus portugais/allemand (0x13 0x20-0x3f)
+const SCC_EXTENDED_13 = {
+  'Ã': 0x20, 'ã': 0x21, 'Í': 0x22, 'Ì': 0x23, 'ì': 0x24, 'Ò': 0x25, 'ò': 0x26, 'Õ': 0x27,
+  'õ': 0x28, '{': 0x29, '}': 0x2a, '\\': 0x2b, '^': 0x2c, '_': 0x2d, '|': 0x2e, '~': 0x2f,
+  'Ä': 0x30, 'ä': 0x31, 'Ö': 0x32, 'ö': 0x33, 'ß': 0x34, '¥': 0x35, '¤': 0x36, '¦': 0x37,
+  'Å': 0x38, 'å': 0x39, 'Ø': 0x3a, 'ø': 0x3b
+};
+
+// Substitutions pour les caractères sans équivalent CEA-608
+const SCC_SUBSTITUTIONS = {
+  'œ': 'oe', 'Œ': 'OE', 'æ': 'ae', 'Æ': 'AE', '…': '...', '–': '-',
+  '\u00a0': ' ', '\u202f': ' ', '\u2009': ' ', 'ÿ': 'y', 'Ÿ': 'Y'
+};
+
+/**
+ * Ajoute le bit de parité impaire (bit 7) à un octet 7 bits
+ * @param {number} byte - Octet 0x00-0x7f
+ * @returns {number} Octet avec parité
+ */
+function withOddParity(byte) {
+  let ones = 0;
+  for (let bit = 0; bit < 7; bit++) {
+    ones += (byte >> bit) & 1;
+  }
+  return ones % 2 === 0 ? byte | 0x80 : byte;
+}
+
+/**
+ * Formate une paire d'octets en mot hexadécimal SCC (ex: "9420")
+ * @param {Array<number>} pair - Deux octets sans parité
+ * @returns {string} Mot SCC
+ */
+function sccWord([first, second]) {
+  return [first, second].map(byte => withOddParity(byte).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Caractère de repli affiché par les décodeurs qui ignorent les codes étendus
+ * (le code étendu efface ce caractère et le remplace)
+ * @param {string} char - Caractère étendu
+ * @returns {string} Caractère de base
+ */
+function fallbackChar(char) {
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (/^[A-Za-z]$/.test(base)) return base;
+  if ('‘’'.includes(char)) return '\'';
+  if ('“”«»'.includes(char)) return '"';
+  return '-';
+}
+
+/**
+ * Encode une rangée de texte en suite d'éléments SCC
+ * Élément {bytes: [octet]} pour un caractère standard, {pair: [b1, b2]} pour un code à deux octets
+ * @param {string} text - Texte de la rangée
+ * @returns {Array<Object>} Éléments encodés
+ */
+function encodeSCCText(text) {
+  const items = [];
+  const pushStandard = (byte) => items.push({ byte });
+
+  for (const rawChar of text) {
+    const substitution = SCC_SUBSTITUTIONS[rawChar];
+    const chars = substitution !== undefined ? substitution : rawChar;
+
+    for (const char of chars) {
+      if (SCC_STANDARD_OVERRIDES[char] !== undefined) {
+        pushStandard(SCC_STANDARD_OVERRIDES[char]);
+      } else if (SCC_SPECIAL[char] !== undefined) {
+        items.push({ pair: [0x11, SCC_SPECIAL[char]] });
+      } else if (SCC_EXTENDED_12[char] !== undefined) {
+        pushStandard(fallbackChar(char).charCodeAt(0));
+        items.push({ pair: [0x12, SCC_EXTENDED_12[char]] });
+      } else if (SCC_EXTENDED_13[char] !== undefined) {
+        pushStandard(fallbackChar(char).charCodeAt(0));
+        items.push({ pair: [0x13, SCC_EXTENDED_13[char]] });
+      } else if (char >= ' ' && char <= '~' && !SCC_ASCII_UNAVAILABLE.has(char)) {
+        pushStandard(char.charCodeAt(0));
+      } else {
+        const base = fallbackChar(char);
+        pushStandard(base.charCodeAt(0));
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Convertit des éléments encodés en mots SCC (deux octets par mot)
+ * Les codes à deux octets sont doublés, comme les codes de contrôle
+ * @param {Array<Object>} items - Éléments encodés
+ * @returns {Array<string>} Mots SCC
+ */
+function itemsToSCCWords(items) {
+  const words = [];
+  let pending = null;
+
+  const flush = () => {
+    if (pending !== null) {
+      words.push(sccWord([pending, 0x00]));
+      pending = null;
+    }
+  };
+
+  items.forEach(item => {
+    if (item.pair) {
+      flush();
+      words.push(sccWord(item.pair), sccWord(item.pair));
+    } else if (pending === null) {
+      pending = item.byte;
+    } else {
+      words.push(sccWord([pending, item.byte]));
+      pending = null;
+    }
+  });
+
+  flush();
+  return words;
+}
+
+/**
+ * Découpe un texte en rangées de 32 caractères maximum
+ * @param {string} text - Texte du sous-titre
+ * @returns {Array<string>} Rangées
+ */
+function wrapSCCRows(text) {
+  const rows = [];
+
+  text.split('\n').forEach(line => {
+    let current = '';
+    line.trim().split(/\s+/).filter(Boolean).forEach(word => {
+      const chunks = word.match(new RegExp(`.{1,${SCC_ROW_WIDTH}}`, 'gu')) || [];
+      chunks.forEach(chunk => {
+        if (!current) {
+          current = chunk;
+        } else if (current.length + 1 + chunk.length <= SCC_ROW_WIDTH) {
+          current += ` ${chunk}`;
+        } else {
+          rows.push(current);
+          current = chunk;
+        }
+      });
+    });
+    if (current) rows.push(current);
+  });
+
+  return rows;
+}
+
+/**
+ * Mots SCC positionnant le curseur au début d'une rangée centrée
+ * PAC avec indentation (multiple de 4) puis Tab Offset pour le reste
+ * @param {number} row - Rangée (12 à 15)
+ * @param {number} length - Longueur du texte de la rangée
+ * @returns {Array<string>} Mots SCC (doublés)
+ */
+function sccRowPosition(row, length) {
+  const column = Math.max(0, Math.floor((SCC_ROW_WIDTH - length) / 2));
+  const indent = Math.floor(column / 4);
+  const tabOffset = column % 4;
+  const [first, base] = SCC_PAC_ROWS[row];
+
+  const pac = sccWord([first, base | 0x10 | (indent << 1)]);
+  const words = [pac, pac];
+
+  if (tabOffset > 0) {
+    const tab = sccWord([0x17, 0x20 + tabOffset]);
+    words.push(tab, tab);
+  }
+
+  return words;
+}
+
+/**
+ * Génère un fichier SCC (Scenarist, CEA-608 canal 1, mode pop-on, 29,97 drop-frame)
+ * Chaque sous-titre est chargé hors écran (RCL, ENM) puis affiché à son début (EOC)
+ * et effacé à sa fin (EDM) s'il n'est pas immédiatement remplacé
+ * @param {Array<SubtitleCue>} cues - Sous-titres
+ * @returns {string} Contenu SCC
+ */
+function toSCC(cues) {
+  const lines = ['Scenarist_SCC V1.0', ''];
+  let lastFrame = -1;
+
+  // Découper les sous-titres de plus de 4 rangées en plusieurs affichages
+  const displays = [];
+  withSpeakerDashes(cues).forEach(cue => {
+    const rows = wrapSCCRows(cue.text);
+    const pages = [];
+    for (let i = 0; i < rows.length; i += SCC_MAX_ROWS) {
+      pages.push(rows.slice(i, i + SCC_MAX_ROWS));
+    }
+    const pageDuration = (cue.end - cue.start) / Math.max(pages.length, 1);
+    pages.forEach((pageRows, page) => {
+      displays.push({
+        start: cue.start + page * pageDuration,
+        end: cue.start + (page + 1) * pageDuration,
+        rows: pageRows
+      });
+    });
+  });
+
+  displays.forEach((display, index) => {
+    const rcl = sccWord(SCC_CONTROL.RCL);
+    const enm = sccWord(SCC_CONTROL.ENM);
+    const eoc = sccWord(SCC_CONTROL.EOC);
+    const words = [rcl, rcl, enm, enm];
+
+    // Aligner le texte sur les rangées du bas
+    const firstRow = 16 - display.rows.length;
+    display.rows.forEach((row, i) => {
+      words.push(...sccRowPosition(firstRow + i, row.length));
+      words.push(...itemsToSCCWords(encodeSCCText(row)));
+    });
+    words.push(eoc, eoc);
+
+    // Chaque mot occupe une image : le chargement commence avant le début pour que EOC tombe à l'heure
+    const startFrame = secondsToFrames(display.start);
+    const loadFrame = Math.max(startFrame - words.length + 1, lastFrame + 1, 0);
+    lines.push(`${framesToDropFrameTimecode(loadFrame)}\t${words.join(' ')}`, '');
+    lastFrame = loadFrame + words.length - 1;
+
+    // Effacer l'écran à la fin, sauf si le sous-titre suivant prend le relais
+    const next = displays[index + 1];
+    const endFrame = secondsToFrames(display.end);
+    if (!next || secondsToFrames(next.start) - endFrame > 1) {
+      const clearFrame = Math.max(endFrame, lastFrame + 1);
+      const edm = sccWord(SCC_CONTROL.EDM);
+      lines.push(`${framesToDropFrameTimecode(clearFrame)}\t${edm} ${edm}`, '');
+      lastFrame = clearFrame + 1;
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Sérialise des sous-titres dans le format demandé
+ * @param {Array<SubtitleCue>} cues - Sous-titres
+ * @param {string} format - srt, vtt, ttml, dfxp ou scc
+ * @param {Object} options - Options propres au format (language, cueSettings)
+ * @returns {string} Contenu du fichier
+ */
+function serializeSubtitles(cues, format, options = {}) {
+  switch (format) {
+    case 'srt':
+      return toSRT(cues);
+    case 'vtt':
+      return toVTT(cues, options);
+    case 'ttml':
+    case 'dfxp':
+      return toTTML(cues, options);
+    case 'scc':
+      return toSCC(cues);
+    default:
+      throw new Error(`Format de sous-titres non supporté: ${format}`);
+  }
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  cuesFromTranscription,
+  serializeSubtitles,
+  toSRT,
+  toVTT,
+  toTTML,
+  toSCC,
+  encodeSCCText,
+  withOddParity
+};
@@ -0,0 +1,112 @@
+/**
+ * Tests unitaires pour le service subtitleSerializer
+ *
+ * Pour exécuter : node backend/services/subtitleSerializer.test.js
+ */
+
+const {
+  cuesFromTranscription,
+  serializeSubtitles,
+  encodeSCCText,
+  withOddParity
+} = require('./subtitleSerializer');
+const { framesToDropFrameTimecode } = require('./subtitleTime');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+console.log(`${BLUE}=== Tests du service subtitleSerializer ===${RESET}\n`);
+
+const transcription = {
+  raw: { segments: [{ id: 0, start: 0, end: 1, text: 'brut' }] },
+  cleaned: {
+    segments: [
+      { id: 0, start: 1.5, end: 3.25, text: 'Bonjour à tous', speaker: 'SPEAKER_1' },
+      { id: 1, start: 3.5, end: 5, text: 'Ça va & vous ?', speaker: 'SPEAKER_2' }
+    ]
+  },
+  formatted: null
+};
+
+// Test 1: Extraction des sous-titres
+console.log(`${BLUE}Test 1: Extraction des sous-titres${RESET}`);
+const cues = cuesFromTranscription(transcription);
+assertEquals(cues.length, 2, 'Utilise les segments nettoyés sans SRT GPT');
+assertEquals(cuesFromTranscription(transcription, 'raw')[0].text, 'brut', 'Respecte la source demandée');
+const fromGpt = cuesFromTranscription({ formatted: { srt: [{ index: 1, start: '00:00:01,200', end: '00:00:02,000', text: 'GPT' }] } });
+assertEquals(fromGpt[0].start, 1.2, 'Convertit les temps SRT du formatage GPT');
+console.log('');
+
+// Test 2: SRT et WebVTT
+console.log(`${BLUE}Test 2: SRT et WebVTT${RESET}`);
+const srt = serializeSubtitles(cues, 'srt');
+assert(srt.startsWith('1\n00:00:01,500 --> 00:00:03,250\n- Bonjour à tous\n'), 'SRT avec tiret de locuteur');
+const vtt = serializeSubtitles(cues, 'vtt');
+assert(vtt.startsWith('WEBVTT\n\n1\n00:00:01.500 --> 00:00:03.250 line:90% align:center\n'), 'En-tête et paramètres de cue WebVTT');
+assert(vtt.includes('<v SPEAKER_2>Ça va &amp; vous ?</v>'), 'Balise de voix et échappement WebVTT');
+assert(!serializeSubtitles(cues, 'vtt', { cueSettings: '' }).includes('align:'), 'Paramètres de cue désactivables');
+console.log('');
+
+// Test 3: TTML
+console.log(`${BLUE}Test 3: TTML${RESET}`);
+const ttml = serializeSubtitles(cues, 'ttml', { language: 'fr' });
+assert(ttml.includes('xmlns="http://www.w3.org/ns/ttml"') && ttml.includes('xml:lang="fr"'), 'Espace de noms et langue TTML');
+assert(ttml.includes('<p xml:id="sub1" begin="00:00:01.500" end="00:00:03.250" ttm:agent="agent-SPEAKER_1">'), 'Paragraphe avec agent');
+assert(ttml.includes('<ttm:agent xml:id="agent-SPEAKER_2" type="person">'), 'Déclaration des agents');
+assert(serializeSubtitles([{ start: 0, end: 1, text: 'Ligne 1\nLigne 2' }], 'dfxp').includes('Ligne 1<br/>Ligne 2'), 'Sauts de ligne en <br/>');
+console.log('');
+
+// Test 4: SCC
+console.log(`${BLUE}Test 4: SCC${RESET}`);
+assertEquals(withOddParity(0x14).toString(16), '94', 'Parité impaire ajoutée');
+assertEquals(withOddParity(0x20).toString(16), '20', 'Parité impaire conservée');
+assertEquals(framesToDropFrameTimecode(1800), '00:01:00;02', 'Timecode drop-frame saute les images 0 et 1');
+assertEquals(framesToDropFrameTimecode(17982), '00:10:00;00', 'Timecode drop-frame exact toutes les 10 minutes');
+assertEquals(encodeSCCText('É').map(item => item.pair ? item.pair.join(',') : item.byte).join(' '), `${'E'.charCodeAt(0)} 18,33`, 'Caractère étendu précédé de son repli');
+const scc = serializeSubtitles([{ start: 2, end: 4, text: 'Salut' }], 'scc');
+const sccLines = scc.split('\n').filter(Boolean);
+assertEquals(sccLines[0], 'Scenarist_SCC V1.0', 'En-tête SCC');
+assert(sccLines[1].includes('9420 9420 94ae 94ae 9476 9476 97a1 97a1 d361 ec75 f480 942f 942f'), 'Chargement pop-on centré sur la rangée 15');
+assert(sccLines[2].endsWith('\t942c 942c'), 'Effacement en fin de sous-titre');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+/**
+ * Conversion des temps de sous-titres (SRT, WebVTT, TTML, SCC)
+ */
+
+// Cadence NTSC utilisée par le SCC (29,97 images/s)
+const NTSC_FRAME_RATE = 30000 / 1001;
+
+/**
+ * Convertit un temps (secondes, "HH:MM:SS,mmm", "HH:MM:SS.mmm" ou "MM:SS.mmm") en secondes
+ * @param {string|number} time - Temps à convertir
+ * @returns {number} Secondes (NaN si le format est invalide)
+ */
+function parseTimestamp(time) {
+  if (typeof time === 'number') {
+    return time;
+  }
+
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(String(time).trim());
+  if (!match) {
+    return NaN;
+  }
+
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(millis.padEnd(3, '0'), 10) / 1000;
+}
+
+/**
+ * Formate des secondes en HH:MM:SS + séparateur + mmm
+ * @param {number} seconds - Temps en secondes
+ * @param {string} separator - ',' pour SRT, '.' pour WebVTT et TTML
+ * @returns {string} Temps formaté
+ */
+function formatTimestamp(seconds, separator = ',') {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+/**
+ * Convertit des secondes en numéro d'image à 29,97 images/s
+ * @param {number} seconds - Temps en secondes
+ * @returns {number} Numéro d'image
+ */
+function secondsToFrames(seconds) {
+  return Math.max(0, Math.round(seconds * NTSC_FRAME_RATE));
+}
+
+/**
+ * Formate un numéro d'image en timecode drop-frame 29,97 (HH:MM:SS;FF)
+ * Les images 0 et 1 sont sautées chaque minute, sauf toutes les dix minutes
+ * @param {number} frames - Numéro d'image
+ * @returns {string} Timecode drop-frame
+ */
+function framesToDropFrameTimecode(frames) {
+  const framesPer10Minutes = 17982;
+  const framesPerMinute = 1798;
+
+  const tenMinuteBlocks = Math.floor(frames / framesPer10Minutes);
+  const remainder = frames % framesPer10Minutes;
+  let adjusted = frames + 18 * tenMinuteBlocks;
+  if (remainder > 1) {
+    adjusted += 2 * Math.floor((remainder - 2) / framesPerMinute);
+  }
+
+  const ff = adjusted % 30;
+  const ss = Math.floor(adjusted / 30) % 60;
+  const mm = Math.floor(adjusted / 1800) % 60;
+  const hh = Math.floor(adjusted / 108000);
+
+  return `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')};${String(ff).padStart(2, '0')}`;
+}
+
+module.exports = {
+  NTSC_FRAME_RATE,
+  parseTimestamp,
+  formatTimestamp,
+  secondsToFrames,
+  framesToDropFrameTimecode
+};
@@ -0,0 +1,204 @@
+/**
+ * Validateur de conformité des sous-titres
+ * Vérifie un fichier SRT/VTT (ou des sous-titres en mémoire) contre les
+ * contraintes de livraison de rules.json avant envoi au client
+ */
+
+const { loadSubtitleConstraints } = require('./subtitleRetimer');
+
+/**
+ * Niveaux de gravité
+ */
+const SEVERITY = {
+  ERROR: 'error',     // Refusé par le client (chevauchement, cadre dépassé, temps invalide)
+  WARNING: 'warning', // Gêne la lecture (durée, vitesse de lecture)
+  INFO: 'info'        // Remarque (écart minimal, numérotation)
+};
+
+/**
+ * Règles vérifiées et leur gravité
+ */
+const VALIDATION_RULES = {
+  INVALID_TIMESTAMP: { rule: 'invalid-timestamp', severity: SEVERITY.ERROR },
+  TIMESTAMP_ORDER: { rule: 'timestamp-order', severity: SEVERITY.ERROR },
+  CUE_ORDER: { rule: 'cue-order', severity: SEVERITY.ERROR },
+  OVERLAP: { rule: 'overlap', severity: SEVERITY.ERROR },
+  EMPTY_CUE: { rule: 'empty-cue', severity: SEVERITY.ERROR },
+  LINE_TOO_LONG: { rule: 'line-too-long', severity: SEVERITY.ERROR },
+  TOO_MANY_LINES: { rule: 'too-many-lines', severity: SEVERITY.ERROR },
+  TOO_SHORT: { rule: 'too-short', severity: SEVERITY.WARNING },
+  TOO_LONG: { rule: 'too-long', severity: SEVERITY.WARNING },
+  READING_SPEED: { rule: 'reading-speed', severity: SEVERITY.WARNING },
+  MIN_GAP: { rule: 'min-gap', severity: SEVERITY.INFO },
+  PARSE_ERROR: { rule: 'parse-error', severity: SEVERITY.ERROR }
+};
+
+// Tolérance d'arrondi sur les temps (millisecondes des formats texte)
+const EPSILON = 0.0005;
+
+/**
+ * Nombre de caractères lus (sans le tiret de locuteur ni les sauts de ligne)
+ * @param {string} text - Texte du sous-titre
+ * @returns {number}
+ */
+function readableLength(text) {
+  return text.replace(/\s*\n\s*/g, ' ').trim().replace(/^-\s*/, '').length;
+}
+
+/**
+ * Crée une violation
+ * @param {Object} definition - Entrée de VALIDATION_RULES
+ * @param {Object} cue - Sous-titre concerné (null pour une erreur de lecture)
+ * @param {string} message - Message lisible
+ * @param {Object} details - Valeurs mesurées et limites
+ * @returns {Object} Violation
+ */
+function violation(definition, cue, message, details = {}) {
+  return {
+    cueIndex: cue ? cue.index : null,
+    cueId: cue ? cue.id ?? null : null,
+    rule: definition.rule,
+    severity: definition.severity,
+    message,
+    details
+  };
+}
+
+/**
+ * Valide une liste de sous-titres
+ * @param {Array<Object>} cues - Sous-titres {index, start, end, text} (index à partir de 1)
+ * @param {Object} customConstraints - Contraintes (défaut: rules.json)
+ * @returns {Object} {valid, summary: {errors, warnings, infos, cuesWithErrors}, violations}
+ */
+function validateSubtitles(cues, customConstraints = null) {
+  const constraints = { ...loadSubtitleConstraints(), ...(customConstraints || {}) };
+  const violations = [];
+  let previous = null;
+
+  cues.forEach(cue => {
+    const hasValidTimes = Number.isFinite(cue.start) && Number.isFinite(cue.end);
+    const duration = cue.end - cue.start;
+    const lines = cue.text ? cue.text.split('\n') : [];
+
+    // Temps
+    if (!hasValidTimes) {
+      violations.push(violation(VALIDATION_RULES.INVALID_TIMESTAMP, cue, 'Horodatage illisible'));
+    } else {
+      if (duration <= 0) {
+        violations.push(violation(VALIDATION_RULES.TIMESTAMP_ORDER, cue,
+          'La fin du sous-titre précède ou égale son début', { start: cue.start, end: cue.end }));
+      }
+
+      if (previous) {
+        if (cue.start < previous.start - EPSILON) {
+          violations.push(violation(VALIDATION_RULES.CUE_ORDER, cue,
+            `Commence avant le sous-titre précédent (#${previous.index})`, { start: cue.start, previousStart: previous.start }));
+        } else if (cue.start < previous.end - EPSILON) {
+          violations.push(violation(VALIDATION_RULES.OVERLAP, cue,
+            `Chevauche le sous-titre #${previous.index} de ${(previous.end - cue.start).toFixed(3)}s`,
+            { overlap: Math.round((previous.end - cue.start) * 1000) / 1000, previousIndex: previous.index }));
+        } else if (cue.start - previous.end < constraints.minGap - EPSILON) {
+          violations.push(violation(VALIDATION_RULES.MIN_GAP, cue,
+            `Écart de ${(cue.start - previous.end).toFixed(3)}s avec le sous-titre #${previous.index} (minimum ${constraints.minGap}s)`,
+            { gap: Math.round((cue.start - previous.end) * 1000) / 1000, minGap: constraints.minGap }));
+        }
+      }
+
+      if (duration > 0 && duration < constraints.minDuration - EPSILON) {
+        violations.push(violation(VALIDATION_RULES.TOO_SHORT, cue,
+          `Durée de ${duration.toFixed(3)}s (minimum ${constraints.minDuration}s)`, { duration, minDuration: constraints.minDuration }));
+      }
+      if (duration > constraints.maxDuration + EPSILON) {
+        violations.push(violation(VALIDATION_RULES.TOO_LONG, cue,
+          `Durée de ${duration.toFixed(3)}s (maximum ${constraints.maxDuration}s)`, { duration, maxDuration: constraints.maxDuration }));
+      }
+    }
+
+    // Texte
+    if (!cue.text || !cue.text.trim()) {
+      violations.push(violation(VALIDATION_RULES.EMPTY_CUE, cue, 'Sous-titre vide'));
+    } else {
+      if (lines.length > constraints.maxLines) {
+        violations.push(violation(VALIDATION_RULES.TOO_MANY_LINES, cue,
+          `${lines.length} lignes (maximum ${constraints.maxLines})`, { lineCount: lines.length, maxLines: constraints.maxLines }));
+      }
+
+      lines.forEach((line, lineIndex) => {
+        if (line.length > constraints.maxLineLength) {
+          violations.push(violation(VALIDATION_RULES.LINE_TOO_LONG, cue,
+            `Ligne ${lineIndex + 1}: ${line.length} caractères (maximum ${constraints.maxLineLength})`,
+            { line: lineIndex + 1, length: line.length, maxLineLength: constraints.maxLineLength }));
+        }
+      });
+
+      if (hasValidTimes && duration > 0) {
+        const charsPerSecond = readableLength(cue.text) / duration;
+        if (charsPerSecond > constraints.maxCharsPerSecond + 0.01) {
+          violations.push(violation(VALIDATION_RULES.READING_SPEED, cue,
+            `${charsPerSecond.toFixed(1)} caractères/s (maximum ${constraints.maxCharsPerSecond})`,
+            { charsPerSecond: Math.round(charsPerSecond * 10) / 10, maxCharsPerSecond: constraints.maxCharsPerSecond }));
+        }
+      }
+    }
+
+    if (hasValidTimes) {
+      previous = cue;
+    }
+  });
+
+  return buildReport(violations, cues.length);
+}
+
+/**
+ * Construit le rapport de validation
+ * @param {Array<Object>} violations - Violations détectées
+ * @param {number} cueCount - Nombre de sous-titres
+ * @returns {Object} Rapport
+ */
+function buildReport(violations, cueCount) {
+  const count = (severity) => violations.filter(v => v.severity === severity).length;
+  const cuesWithErrors = new Set(
+    violations.filter(v => v.severity === SEVERITY.ERROR && v.cueIndex !== null).map(v => v.cueIndex)
+  );
+
+  return {
+    valid: count(SEVERITY.ERROR) === 0,
+    summary: {
+      cueCount,
+      errors: count(SEVERITY.ERROR),
+      warnings: count(SEVERITY.WARNING),
+      infos: count(SEVERITY.INFO),
+      cuesWithErrors: Array.from(cuesWithErrors).sort((a, b) => a - b),
+      byRule: violations.reduce((acc, v) => ({ ...acc, [v.rule]: (acc[v.rule] || 0) + 1 }), {})
+    },
+    violations
+  };
+}
+
+/**
+ * Valide le résultat de parseSubtitles (inclut les blocs illisibles)
+ * @param {Object} parsed - {cues, errors} retourné par parseSubtitles
+ * @param {Object} customConstraints - Contraintes (défaut: rules.json)
+ * @returns {Object} Rapport de validation
+ */
+function validateParsedSubtitles(parsed, customConstraints = null) {
+  const report = validateSubtitles(parsed.cues, customConstraints);
+
+  if (parsed.errors.length === 0) {
+    return report;
+  }
+
+  const parseViolations = parsed.errors.map(error => ({
+    ...violation(VALIDATION_RULES.PARSE_ERROR, null, error.message),
+    lineNumber: error.lineNumber
+  }));
+
+  return buildReport([...parseViolations, ...report.violations], parsed.cues.length);
+}
+
+module.exports = {
+  SEVERITY,
+  VALIDATION_RULES,
+  validateSubtitles,
+  validateParsedSubtitles
+};
@@ -0,0 +1,134 @@
+/**
+ * Tests unitaires pour les services subtitleParser et subtitleValidator
+ *
+ * Pour exécuter : node backend/services/subtitleValidator.test.js
+ */
+
+const { parseSubtitles, detectSubtitleFormat, transcriptionFromSubtitles } = require('./subtitleParser');
+const { validateSubtitles, validateParsedSubtitles } = require('./subtitleValidator');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+console.log(`${BLUE}=== Tests des services subtitleParser et subtitleValidator ===${RESET}\n`);
+
+const constraints = {
+  maxCharsPerSecond: 17, minDuration: 1, maxDuration: 7, maxLines: 2, maxLineLength: 42, minGap: 0.08
+};
+
+// Test 1: Lecture SRT et VTT
+console.log(`${BLUE}Test 1: Lecture SRT et VTT${RESET}`);
+const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:03,500\r\nBonjour\r\nà tous\r\n\r\n2\r\n00:00:04,000 --> 00:00:06,000\r\nSuite\r\n';
+const parsedSrt = parseSubtitles(srt);
+assertEquals(parsedSrt.format, 'srt', 'Détecte le format SRT');
+assertEquals(parsedSrt.cues.length, 2, 'Lit tous les blocs (BOM et CRLF)');
+assertEquals(parsedSrt.cues[0].text, 'Bonjour\nà tous', 'Conserve les lignes');
+assertEquals(parsedSrt.cues[1].start, 4, 'Convertit les temps');
+assertEquals(parseSubtitles('1\n00:00:01,000 --> 00:00:03,000\n<i>Bonjour</i> tout le <font color="#ffff00">monde</font>\n{\\an8}<b>&amp;</b> à <3\n').cues[0].text,
+  'Bonjour tout le monde\n& à <3', 'Retire le balisage SRT');
+
+const vtt = 'WEBVTT\n\nNOTE commentaire\n\nintro\n00:01.000 --> 00:02.500 line:90%\n<v Marie>Salut &amp; bienvenue</v>\n';
+const parsedVtt = parseSubtitles(vtt);
+assertEquals(detectSubtitleFormat(vtt), 'vtt', 'Détecte le format VTT');
+assertEquals(parsedVtt.cues.length, 1, 'Ignore l\'en-tête et les NOTE');
+assertEquals(parsedVtt.cues[0].text, 'Salut & bienvenue', 'Retire le balisage');
+assertEquals(parsedVtt.cues[0].speaker, 'Marie', 'Extrait le locuteur de la balise de voix');
+assertEquals(parsedVtt.cues[0].id, 'intro', 'Conserve l\'identifiant du sous-titre');
+assertEquals(parsedVtt.cues[0].settings, 'line:90%', 'Conserve les paramètres de cue');
+console.log('');
+
+// Test 2: Violations
+console.log(`${BLUE}Test 2: Violations${RESET}`);
+const report = validateSubtitles([
+  { index: 1, start: 0, end: 2, text: 'Premier sous-titre' },
+  { index: 2, start: 1.5, end: 3, text: 'Chevauche le premier' },
+  { index: 3, start: 5, end: 4, text: 'Fin avant début' },
+  { index: 4, start: 6, end: 6.5, text: 'Court' },
+  { index: 5, start: 7, end: 15, text: 'Trop long' },
+  { index: 6, start: 16, end: 17, text: 'Beaucoup trop de texte pour lire' },
+  { index: 7, start: 18, end: 22, text: 'Une ligne beaucoup trop longue pour le cadre réglementaire' },
+  { index: 8, start: 22.5, end: 25, text: 'Un\nDeux\nTrois' },
+  { index: 9, start: 26, end: 27, text: '' },
+  { index: 10, start: 27.02, end: 29, text: 'Trop proche' }
+], constraints);
+const rulesOf = (index) => report.violations.filter(v => v.cueIndex === index).map(v => v.rule).join(',');
+assertEquals(rulesOf(1), '', 'Sous-titre conforme');
+assertEquals(rulesOf(2), 'overlap', 'Détecte le chevauchement');
+assertEquals(rulesOf(3), 'timestamp-order', 'Détecte fin avant début');
+assertEquals(rulesOf(4), 'too-short', 'Détecte un sous-titre trop court');
+assertEquals(rulesOf(5), 'too-long', 'Détecte un sous-titre trop long');
+assertEquals(rulesOf(6), 'reading-speed', 'Détecte la vitesse de lecture');
+assertEquals(rulesOf(7), 'line-too-long', 'Détecte une ligne trop longue');
+assertEquals(rulesOf(8), 'too-many-lines', 'Détecte plus de deux lignes');
+assertEquals(rulesOf(9), 'empty-cue', 'Détecte un sous-titre vide');
+assertEquals(rulesOf(10), 'min-gap', 'Signale un écart trop faible');
+assertEquals(report.violations.find(v => v.rule === 'overlap').severity, 'error', 'Chevauchement en erreur');
+assertEquals(report.violations.find(v => v.rule === 'reading-speed').severity, 'warning', 'Vitesse de lecture en avertissement');
+assert(!report.valid, 'Rapport invalide en présence d\'erreurs');
+assertEquals(report.summary.cuesWithErrors.join(','), '2,3,7,8,9', 'Liste les sous-titres en erreur');
+console.log('');
+
+// Test 3: Erreurs de lecture
+console.log(`${BLUE}Test 3: Erreurs de lecture${RESET}`);
+const broken = validateParsedSubtitles(parseSubtitles('1\n00:00:01,000 --> 00:00:xx,000\nTexte\n\nbloc orphelin\n'), constraints);
+assert(broken.violations.some(v => v.rule === 'invalid-timestamp' && v.cueIndex === 1), 'Signale un horodatage illisible');
+assert(broken.violations.some(v => v.rule === 'parse-error' && v.lineNumber === 5), 'Signale un bloc sans ligne de temps');
+assert(validateParsedSubtitles(parsedSrt, constraints).valid, 'Fichier conforme valide');
+console.log('');
+
+// Test 4: Import en transcription
+console.log(`${BLUE}Test 4: Import en transcription${RESET}`);
+const imported = transcriptionFromSubtitles(srt + '\r\n3\r\n00:00:07,000 --> 00:00:xx,000\r\nIllisible\r\n');
+assertEquals(imported.raw.segments.length, 2, 'Ignore les sous-titres aux temps illisibles');
+assertEquals(imported.raw.segments[0].text, 'Bonjour à tous', 'Lignes fusionnées en un segment');
+assertEquals(imported.raw.segments[1].id, 1, 'Identifiants de segments consécutifs');
+assertEquals(imported.raw.duration, 6, 'Durée issue du dernier segment');
+assertEquals(imported.subtitleImport.skippedCues, 1, 'Compte les sous-titres ignorés');
+assertEquals(transcriptionFromSubtitles(vtt).cleaned.segments[0].speaker, 'Marie', 'Conserve le locuteur WebVTT');
+const dialogue = transcriptionFromSubtitles('1\n00:00:10,000 --> 00:00:13,000\n- Salut\n- Allo, ça va\nbien ?\n').raw.segments;
+assertEquals(dialogue.map(segment => segment.text).join(' | '), 'Salut | Allo, ça va bien ?', 'Répliques d\'un dialogue en segments distincts');
+assertEquals(dialogue[0].start, 10, 'Première réplique au début du sous-titre');
+assert(dialogue[0].end > 10 && dialogue[0].end === dialogue[1].start && dialogue[1].end === 13, 'Durée répartie entre les répliques');
+assertEquals(dialogue[1].id, 1, 'Identifiants des répliques consécutifs');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
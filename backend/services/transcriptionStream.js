@@ -0,0 +1,190 @@
+/**
+ * Flux de segments d'une transcription Whisper
+ * transcribe.py --stream écrit un message JSON par ligne (info, segment, done, error) :
+ * la sortie n'est plus limitée en taille et chaque segment est disponible dès son décodage
+ * (transcriptions partielles, points de reprise des jobs longs)
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+/**
+ * Erreur d'une transcription annulée
+ * @returns {Error} error.code = 'CANCELLED'
+ */
+function cancelledError() {
+  const error = new Error('Transcription annulée');
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * Exécute transcribe.py --stream et reconstitue le résultat à partir des messages
+ * @param {string} command - Exécutable (Python de l'environnement virtuel)
+ * @param {Array<string>} args - Arguments (script, fichier audio, ..., --stream)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Annulation (arrêt du processus, error.code = 'CANCELLED'), optionnel
+ * @param {Function} options.onEvent - ({type: 'info', info} | {type: 'segment', segment}) => void, optionnel
+ * @returns {Promise<Object>} Résultat de transcription {language, ..., segments}
+ */
+function runStreamingTranscription(command, args, options = {}) {
+  const { signal = null, onEvent = null } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(cancelledError());
+    }
+
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'], ...(signal ? { signal } : {}) });
+    let info = null;
+    const segments = [];
+    let done = false;
+    let failure = null;
+    let settled = false;
+
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        // Sortie Python hors protocole (print d'une bibliothèque)
+        console.log(line);
+        return;
+      }
+
+      if (message.type === 'info') {
+        info = message.info;
+      } else if (message.type === 'segment') {
+        segments.push(message.segment);
+      } else if (message.type === 'done') {
+        done = true;
+        return;
+      } else if (message.type === 'error') {
+        failure = message.error;
+        return;
+      } else {
+        return;
+      }
+
+      try {
+        onEvent?.(message.type === 'info' ? { type: 'info', info } : { type: 'segment', segment: message.segment });
+      } catch (error) {
+        console.error(`⚠️  Suivi de la transcription: ${error.message}`);
+      }
+    });
+
+    // Logs Python (chargement du modèle, langue détectée...) affichés au fil de l'eau
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => console.log(chunk.trimEnd()));
+
+    child.on('error', error => {
+      if (error.name === 'AbortError') {
+        return settle(cancelledError());
+      }
+      console.error(`❌ Erreur transcription: ${error.message}`);
+      settle(new Error(`Échec de la transcription: ${error.message}`));
+    });
+
+    child.on('close', (code, exitSignal) => {
+      if (settled) return;
+      if (signal?.aborted) {
+        return settle(cancelledError());
+      }
+      if (code !== 0 || !done) {
+        const reason = failure || (exitSignal ? `signal ${exitSignal}` : `code ${code}`);
+        console.error(`❌ Erreur transcription: ${reason}`);
+        return settle(new Error(`Échec de la transcription: ${reason}`));
+      }
+      settle(null, { ...info, segments });
+    });
+  });
+}
+
+/**
+ * Crée un flux d'événements consommable avec for await...of
+ * Les événements poussés avant d'être lus sont conservés dans l'ordre
+ * @returns {Object} Flux {push(event), end(), fail(error), [Symbol.asyncIterator]}
+ */
+function createEventStream() {
+  const buffered = [];
+  const waiting = [];
+  let finished = false;
+  let failure = null;
+
+  function push(event) {
+    if (finished) return;
+    const reader = waiting.shift();
+    if (reader) {
+      reader.resolve({ value: event, done: false });
+    } else {
+      buffered.push(event);
+    }
+  }
+
+  function end() {
+    if (finished) return;
+    finished = true;
+    waiting.splice(0).forEach(reader => reader.resolve({ value: undefined, done: true }));
+  }
+
+  function fail(error) {
+    if (finished) return;
+    finished = true;
+    // L'erreur n'est levée qu'une fois : au lecteur en attente, sinon à la prochaine lecture
+    const readers = waiting.splice(0);
+    if (readers.length > 0) {
+      readers.forEach(reader => reader.reject(error));
+    } else {
+      failure = error;
+    }
+  }
+
+  function next() {
+    if (buffered.length > 0) {
+      return Promise.resolve({ value: buffered.shift(), done: false });
+    }
+    if (failure) {
+      const error = failure;
+      failure = null;
+      return Promise.reject(error);
+    }
+    if (finished) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  return {
+    push,
+    end,
+    fail,
+    [Symbol.asyncIterator]() {
+      return {
+        next,
+        return() {
+          buffered.length = 0;
+          failure = null;
+          end();
+          return Promise.resolve({ value: undefined, done: true });
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  runStreamingTranscription,
+  createEventStream
+};
@@ -0,0 +1,217 @@
+/**
+ * Tests unitaires pour le flux de segments de transcription (processus Node factices)
+ *
+ * Pour exécuter : node backend/services/transcriptionStream.test.js
+ */
+
+const { runStreamingTranscription, createEventStream } = require('./transcriptionStream');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Exécute un script Node qui imite transcribe.py --stream
+ * @param {string} source - Code du script (fonction emit(message) disponible)
+ * @param {Object} options - Options de runStreamingTranscription
+ * @returns {Promise<Object>} Résultat
+ */
+function runScript(source, options) {
+  const script = `const emit = message => console.log(JSON.stringify(message));\n${source}`;
+  return runStreamingTranscription(process.execPath, ['-e', script], options);
+}
+
+/**
+ * Code de l'erreur d'une promesse rejetée
+ * @param {Promise} promise - Promesse
+ * @returns {Promise<string|null>} error.code, message ou null si résolue
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.code || error.message;
+  }
+}
+
+const INFO = { language: 'fr', source_language: 'fr', language_probability: 0.98, duration: 12.5, task: 'transcribe' };
+
+async function run() {
+  console.log(`${BLUE}=== Tests du flux de segments de transcription ===${RESET}\n`);
+
+  // Test 1: Résultat reconstitué à partir des messages
+  console.log(`${BLUE}Test 1: Résultat reconstitué${RESET}`);
+  const events = [];
+  const result = await runScript(`
+    emit({ type: 'info', info: ${JSON.stringify(INFO)} });
+    emit({ type: 'segment', segment: { id: 1, start: 0, end: 2.5, text: 'Bonjour' } });
+    console.log('Sortie hors protocole');
+    emit({ type: 'segment', segment: { id: 2, start: 2.5, end: 4, text: 'à tous' } });
+    emit({ type: 'done', segment_count: 2, json_path: 'tmp/audio.json' });
+  `, { onEvent: event => events.push(event) });
+  assertEquals(result.language, 'fr', 'Informations du résultat');
+  assertEquals(result.duration, 12.5, 'Durée conservée');
+  assertEquals(result.segments.map(segment => segment.text).join(' '), 'Bonjour à tous', 'Segments dans l\'ordre');
+  assertEquals(events.map(event => event.type).join(','), 'info,segment,segment', 'Événements transmis au fil de l\'eau');
+  assertEquals(events[2].segment.id, 2, 'Segment transmis tel quel');
+  const noCallback = await runScript(`
+    emit({ type: 'info', info: ${JSON.stringify(INFO)} });
+    emit({ type: 'done', segment_count: 0 });
+  `);
+  assertEquals(noCallback.segments.length, 0, 'Suivi optionnel, transcription sans segment');
+  const throwing = await runScript(`
+    emit({ type: 'info', info: ${JSON.stringify(INFO)} });
+    emit({ type: 'segment', segment: { id: 1, start: 0, end: 1, text: 'Test' } });
+    emit({ type: 'done', segment_count: 1 });
+  `, { onEvent: () => { throw new Error('suivi défaillant'); } });
+  assertEquals(throwing.segments.length, 1, 'Erreur du suivi sans effet sur la transcription');
+  console.log('');
+
+  // Test 2: Sortie volumineuse (au-delà de l'ancienne limite de 10 Mo)
+  console.log(`${BLUE}Test 2: Sortie volumineuse${RESET}`);
+  let streamedCount = 0;
+  const large = await runScript(`
+    emit({ type: 'info', info: ${JSON.stringify(INFO)} });
+    const text = 'mot '.repeat(250);
+    for (let i = 0; i < 12000; i++) {
+      emit({ type: 'segment', segment: { id: i + 1, start: i, end: i + 1, text } });
+    }
+    emit({ type: 'done', segment_count: 12000 });
+  `, { onEvent: event => { if (event.type === 'segment') streamedCount++; } });
+  assertEquals(large.segments.length, 12000, 'Tous les segments lus (plus de 12 Mo)');
+  assertEquals(streamedCount, 12000, 'Tous les segments transmis');
+  console.log('');
+
+  // Test 3: Erreurs
+  console.log(`${BLUE}Test 3: Erreurs${RESET}`);
+  assertEquals(
+    await rejection(runScript(`
+      emit({ type: 'error', error: 'Fichier audio introuvable: tmp/absent.wav' });
+      process.exit(1);
+    `)),
+    'Échec de la transcription: Fichier audio introuvable: tmp/absent.wav',
+    'Message d\'erreur du script'
+  );
+  assertEquals(await rejection(runScript('process.exit(2);')), 'Échec de la transcription: code 2', 'Code de sortie sans message');
+  assertEquals(
+    await rejection(runScript(`emit({ type: 'info', info: ${JSON.stringify(INFO)} });`)),
+    'Échec de la transcription: code 0',
+    'Flux incomplet (sans message de fin) refusé'
+  );
+  const missing = await rejection(runStreamingTranscription('/nonexistent/python', ['transcribe.py']));
+  assert(missing.startsWith('Échec de la transcription:') && missing.includes('ENOENT'), 'Exécutable introuvable');
+  console.log('');
+
+  // Test 4: Annulation
+  console.log(`${BLUE}Test 4: Annulation${RESET}`);
+  const controller = new AbortController();
+  const received = [];
+  const cancelled = rejection(runScript(`
+    emit({ type: 'info', info: ${JSON.stringify(INFO)} });
+    emit({ type: 'segment', segment: { id: 1, start: 0, end: 1, text: 'Premier' } });
+    setTimeout(() => emit({ type: 'done', segment_count: 1 }), 10000);
+  `, {
+    signal: controller.signal,
+    onEvent: event => {
+      received.push(event);
+      if (event.type === 'segment') controller.abort();
+    }
+  }));
+  const startedAt = Date.now();
+  assertEquals(await cancelled, 'CANCELLED', 'Transcription annulée en cours');
+  assert(Date.now() - startedAt < 5000, 'Processus arrêté sans attendre la fin');
+  assertEquals(received.length, 2, 'Segments reçus avant l\'annulation');
+  const aborted = new AbortController();
+  aborted.abort();
+  assertEquals(await rejection(runScript('emit({ type: \'done\' });', { signal: aborted.signal })), 'CANCELLED', 'Signal déjà annulé');
+  console.log('');
+
+  // Test 5: Flux d'événements (for await...of)
+  console.log(`${BLUE}Test 5: Flux d'événements${RESET}`);
+  const stream = createEventStream();
+  stream.push({ type: 'info' });
+  stream.push({ type: 'segment', id: 1 });
+  setTimeout(() => {
+    stream.push({ type: 'segment', id: 2 });
+    stream.end();
+    stream.push({ type: 'segment', id: 3 });
+  }, 20);
+  const read = [];
+  for await (const event of stream) {
+    read.push(event.id ? `${event.type}:${event.id}` : event.type);
+  }
+  assertEquals(read.join(','), 'info,segment:1,segment:2', 'Événements lus dans l\'ordre, avant et après leur arrivée');
+
+  const failing = createEventStream();
+  failing.push({ type: 'segment', id: 1 });
+  setTimeout(() => failing.fail(new Error('Worker arrêté')), 20);
+  const beforeFailure = [];
+  let failureMessage = null;
+  try {
+    for await (const event of failing) {
+      beforeFailure.push(event.id);
+    }
+  } catch (error) {
+    failureMessage = error.message;
+  }
+  assertEquals(beforeFailure.length, 1, 'Événements reçus avant l\'erreur');
+  assertEquals(failureMessage, 'Worker arrêté', 'Erreur levée par for await');
+  const afterFailure = await failing[Symbol.asyncIterator]().next();
+  assertEquals(afterFailure.done, true, 'Flux terminé après l\'erreur');
+
+  const interrupted = createEventStream();
+  interrupted.push({ type: 'segment', id: 1 });
+  interrupted.push({ type: 'segment', id: 2 });
+  for await (const event of interrupted) {
+    if (event.id === 1) break;
+  }
+  const afterBreak = await interrupted[Symbol.asyncIterator]().next();
+  assertEquals(afterBreak.done, true, 'Lecture interrompue (break) : flux terminé');
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
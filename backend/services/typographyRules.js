@@ -0,0 +1,267 @@
+/**
+ * Règles de chiffres et de typographie appliquées localement
+ * Applique de façon déterministe la section 4 des règles de verbatim corrigé
+ * (nombres < 10 en lettres, 25 %, 15 $, 14h54) et la typographie française
+ * (espaces fines insécables, guillemets « », majuscules accentuées),
+ * avant ou à la place du passage au LLM. Chaque modification est rapportée.
+ * Une section désactivée ou réécrite par un profil de style est laissée au LLM.
+ */
+
+const { getRuleSet } = require('./ruleRegistry');
+
+// Espaces typographiques
+const NO_BREAK_SPACE = '\u00A0';
+const NARROW_NO_BREAK_SPACE = '\u202F';
+
+// Chiffres isolés écrits en lettres ("1" reste en chiffre en français : un/une)
+const NUMBER_WORDS = {
+  fr: ['zéro', null, 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf'],
+  en: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine']
+};
+
+// Montant écrit en toutes lettres, par symbole monétaire
+const CURRENCY_WORDS = {
+  $: 'dollars?',
+  '€': 'euros?'
+};
+
+// Majuscules sans accent fréquentes dans les transcriptions
+const FRENCH_ACCENTED_CAPITALS = {
+  A: 'À',
+  Ca: 'Ça',
+  Etat: 'État',
+  Etats: 'États',
+  Etre: 'Être',
+  Etes: 'Êtes',
+  Etait: 'Était',
+  Etaient: 'Étaient',
+  Eté: 'Été',
+  Ecole: 'École',
+  Egalement: 'Également',
+  Evidemment: 'Évidemment',
+  Economie: 'Économie',
+  Energie: 'Énergie',
+  Epoque: 'Époque',
+  Equipe: 'Équipe',
+  Etudiant: 'Étudiant',
+  Etudiants: 'Étudiants'
+};
+
+// Nombre (avec décimales éventuelles) : 15, 15,50, 15.50
+const AMOUNT = '\\d+(?:[.,]\\d+)?';
+
+/**
+ * Remplace les occurrences d'un motif en consignant chaque modification
+ * @param {string} text - Texte à traiter
+ * @param {RegExp} pattern - Motif (global)
+ * @param {Function} replacer - (match, ...groups) => remplacement
+ * @param {string} rule - Identifiant de la règle
+ * @param {Array<Object>} changes - Modifications {rule, before, after} (complété)
+ * @returns {string} Texte modifié
+ */
+function replaceTracked(text, pattern, replacer, rule, changes) {
+  return text.replace(pattern, (...args) => {
+    const match = args[0];
+    const replacement = replacer(...args);
+    if (replacement !== match) {
+      changes.push({ rule, before: match, after: replacement });
+    }
+    return replacement;
+  });
+}
+
+/**
+ * Règles locales, dans l'ordre d'application, avec la section des règles de
+ * verbatim corrigé qu'elles appliquent (voir ruleRegistry)
+ * Les pourcentages, montants et heures passent avant les chiffres en lettres,
+ * qui ne touchent pas aux chiffres déjà rattachés à un symbole
+ */
+const TYPOGRAPHY_RULES = [
+  {
+    id: 'percent',
+    section: 'numbers',
+    description: 'Pourcentages avec symbole (25 % en français, 25% en anglais)',
+    appliesTo: () => true,
+    apply: (text, ruleSet, changes) => {
+      const words = ruleSet.language === 'fr' ? 'pour\\s?cent' : 'per\\s?cent';
+      const separator = ruleSet.language === 'fr' ? NO_BREAK_SPACE : '';
+      return replaceTracked(text, new RegExp(`(${AMOUNT})\\s*(?:%|${words}\\b)`, 'gi'),
+        (match, amount) => `${amount}${separator}%`, 'percent', changes);
+    }
+  },
+  {
+    id: 'currency',
+    section: 'numbers',
+    description: 'Montants avec symbole (15 $ ou 15 € en français, $15 en anglais)',
+    appliesTo: ruleSet => Boolean(ruleSet.typography?.currency),
+    apply: (text, ruleSet, changes) => {
+      const symbol = ruleSet.typography.currency;
+      const escaped = symbol.replace(/[$]/g, '\\$&');
+      const words = CURRENCY_WORDS[symbol] ? `|${CURRENCY_WORDS[symbol]}\\b` : '';
+      const format = amount => (ruleSet.language === 'fr' ? `${amount}${NO_BREAK_SPACE}${symbol}` : `${symbol}${amount}`);
+
+      const suffixed = replaceTracked(text, new RegExp(`(${AMOUNT})\\s*(?:${escaped}${words})`, 'gi'),
+        (match, amount) => format(amount), 'currency', changes);
+      return replaceTracked(suffixed, new RegExp(`(?<!\\d\\s?)${escaped}\\s?(${AMOUNT})(?!\\s?${escaped})`, 'g'),
+        (match, amount) => format(amount), 'currency', changes);
+    }
+  },
+  {
+    id: 'time',
+    section: 'numbers',
+    description: 'Heures au format du jeu de règles (14h54 au Québec, 14:54 en France)',
+    appliesTo: ruleSet => Boolean(ruleSet.typography?.timeFormat),
+    apply: (text, ruleSet, changes) => {
+      const separator = ruleSet.typography.timeFormat.includes(':') ? ':' : 'h';
+      return replaceTracked(text, /(?<![\d:,.])([01]?\d|2[0-3])\s?(?::|h)\s?([0-5]\d)(?![\d:])/g,
+        (match, hours, minutes) => `${hours}${separator}${minutes}`, 'time', changes);
+    }
+  },
+  {
+    id: 'number-words',
+    section: 'numbers',
+    description: 'Nombres < 10 en lettres',
+    appliesTo: ruleSet => Boolean(NUMBER_WORDS[ruleSet.language]),
+    apply: (text, ruleSet, changes) => {
+      const words = NUMBER_WORDS[ruleSet.language];
+      // Chiffre isolé : ni décimale, ni heure, ni montant, ni pourcentage, ni millier (1 500), ni intervalle (6-7, 3 – 4)
+      const pattern = /(?<![\w.,:/$€–-])(?<!\d\s?[-–]\s?)(\d)(?![\w.,:/]?\d|\w|\s?[%$€]|\s?h(?:\d|\b)|\s\d{3}\b|\s?[ap]\.?m\b|\s?[-–]\s?\d)/gi;
+      return replaceTracked(text, pattern, (match, digit) => words[Number(digit)] || match, 'number-words', changes);
+    }
+  },
+  {
+    id: 'french-quotes',
+    section: 'quotes',
+    description: 'Guillemets français « » avec espaces insécables',
+    appliesTo: ruleSet => ruleSet.language === 'fr',
+    apply: (text, ruleSet, changes) => {
+      const converted = replaceTracked(text, /["“]\s*([^"“”]+?)\s*["”]/g,
+        (match, quoted) => `«${NO_BREAK_SPACE}${quoted}${NO_BREAK_SPACE}»`, 'french-quotes', changes);
+      return replaceTracked(converted, /«\s*([^«»]*?)\s*»/g,
+        (match, quoted) => `«${NO_BREAK_SPACE}${quoted}${NO_BREAK_SPACE}»`, 'french-quotes', changes);
+    }
+  },
+  {
+    id: 'french-spacing',
+    section: 'punctuation',
+    description: 'Espace fine insécable avant : ; ! ?',
+    appliesTo: ruleSet => ruleSet.language === 'fr',
+    apply: (text, ruleSet, changes) => replaceTracked(text, /(\S)[ \u00A0]?([;:!?])/g, (match, previous, mark, offset, source) => {
+      const next = source.substring(offset + match.length, offset + match.length + 2);
+      // Suite de ponctuations (?!), heure (14:54) ou adresse (https://)
+      if (/[;:!?]/.test(previous) || (mark === ':' && (/^\d/.test(next) && /\d/.test(previous))) || (mark === ':' && next === '//')) {
+        return match;
+      }
+      return `${previous}${NARROW_NO_BREAK_SPACE}${mark}`;
+    }, 'french-spacing', changes)
+  },
+  {
+    id: 'accented-capitals',
+    section: 'punctuation',
+    description: 'Majuscules accentuées (À, Ça, É)',
+    appliesTo: ruleSet => ruleSet.language === 'fr',
+    apply: (text, ruleSet, changes) => {
+      const words = Object.keys(FRENCH_ACCENTED_CAPITALS).sort((a, b) => b.length - a.length).join('|');
+      // "A" ne devient "À" qu'en début de phrase ("catégorie A"), "A-t-il" reste un verbe
+      return replaceTracked(text, new RegExp(`(?<![\\p{L}\\d'’])(${words})(?![\\p{L}\\d'’-])`, 'gu'), (match, word, offset, source) => {
+        if (word === 'A' && !/(?:^|[.!?…]\s+|-\s+|\n)$/.test(source.substring(0, offset))) {
+          return match;
+        }
+        return FRENCH_ACCENTED_CAPITALS[word];
+      }, 'accented-capitals', changes);
+    }
+  },
+  {
+    id: 'english-spacing',
+    section: 'punctuation',
+    description: 'Aucune espace avant : ; ! ?',
+    appliesTo: ruleSet => ruleSet.language === 'en',
+    apply: (text, ruleSet, changes) => replaceTracked(text, /(\S)[ \u00A0\u202F]+([;:!?])(?=\s|$)/g,
+      (match, previous, mark) => `${previous}${mark}`, 'english-spacing', changes)
+  }
+];
+
+/**
+ * Indique si un profil de style laisse une section aux règles standard
+ * @param {Object} profile - Profil de style (null = règles standard)
+ * @param {string} section - Identifiant de la section
+ * @returns {boolean} false si la section est désactivée ou réécrite par le profil
+ */
+function isStandardSection(profile, section) {
+  const override = profile?.sections?.[section];
+  return !override || (override.enabled !== false && override.content === undefined);
+}
+
+/**
+ * Applique les règles d'un jeu de règles résolu à un texte
+ * @param {string} text - Texte à traiter
+ * @param {Object} ruleSet - Jeu de règles (voir ruleRegistry.getRuleSet)
+ * @param {Object} profile - Profil de style (null = règles standard)
+ * @returns {Object} {text, changes: [{rule, before, after}]}
+ */
+function applyRuleSetTypography(text, ruleSet, profile) {
+  const changes = [];
+
+  // Langue sans jeu de règles : les conventions du jeu par défaut ne s'appliquent pas
+  if (ruleSet.fallback) {
+    return { text: String(text || ''), changes };
+  }
+
+  const result = TYPOGRAPHY_RULES
+    .filter(rule => rule.appliesTo(ruleSet) && isStandardSection(profile, rule.section))
+    .reduce((current, rule) => rule.apply(current, ruleSet, changes), String(text || ''));
+
+  return { text: result, changes };
+}
+
+/**
+ * Applique les règles de chiffres et de typographie à un texte
+ * @param {string} text - Texte à traiter
+ * @param {string} language - Langue ou jeu de règles (voir ruleRegistry.resolveRuleSetId)
+ * @param {Object} profile - Profil de style (null = règles standard)
+ * @returns {Object} {text, changes: [{rule, before, after}]}
+ */
+function applyTypography(text, language = null, profile = null) {
+  return applyRuleSetTypography(text, getRuleSet(language), profile);
+}
+
+/**
+ * Applique les règles de chiffres et de typographie à des segments
+ * @param {Array<Object>} segments - Segments {text, ...}
+ * @param {string} language - Langue ou jeu de règles (voir ruleRegistry.resolveRuleSetId)
+ * @param {Object} options - {profile, field: champ texte des segments (défaut: text)}
+ * @returns {Object} {segments, changes: [{segment, rule, before, after}], statistics: {segmentsModified, changes, byRule}}
+ */
+function applyTypographyToSegments(segments, language = null, options = {}) {
+  const { profile = null, field = 'text' } = options;
+  const ruleSet = getRuleSet(language);
+  const changes = [];
+  let segmentsModified = 0;
+
+  const processed = segments.map((segment, index) => {
+    const result = applyRuleSetTypography(segment[field], ruleSet, profile);
+    if (result.changes.length === 0) {
+      return segment;
+    }
+    segmentsModified++;
+    changes.push(...result.changes.map(change => ({ segment: index, ...change })));
+    return { ...segment, [field]: result.text };
+  });
+
+  const byRule = changes.reduce((counts, change) => {
+    counts[change.rule] = (counts[change.rule] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    segments: processed,
+    changes,
+    statistics: { segmentsModified, changes: changes.length, byRule }
+  };
+}
+
+module.exports = {
+  TYPOGRAPHY_RULES,
+  applyTypography,
+  applyTypographyToSegments
+};
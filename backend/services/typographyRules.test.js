@@ -0,0 +1,160 @@
+/**
+ * Tests unitaires pour le service typographyRules
+ *
+ * Pour exécuter : node backend/services/typographyRules.test.js
+ */
+
+const { applyTypography, applyTypographyToSegments } = require('./typographyRules');
+const { applyVerbatimRules } = require('./rulesEngine');
+const { startStubServer } = require('../scripts/llmStubServer');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+// Espaces typographiques
+const NBSP = '\u00A0';
+const NNBSP = '\u202F';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Texte après application des règles locales
+ * @param {string} text - Texte à traiter
+ * @param {string} language - Langue ou jeu de règles
+ * @returns {string} Texte traité
+ */
+function typo(text, language) {
+  return applyTypography(text, language).text;
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du service typographyRules ===${RESET}\n`);
+
+  // Test 1: Chiffres et nombres (français)
+  console.log(`${BLUE}Test 1: Chiffres et nombres (français)${RESET}`);
+  assertEquals(typo('Il a 3 enfants et 12 chats', 'fr'), 'Il a trois enfants et 12 chats', 'Nombres < 10 en lettres');
+  assertEquals(typo('1 fois', 'fr'), '1 fois', '"1" conservé (un/une)');
+  assertEquals(typo('la page 6-7, 3-4 personnes', 'fr-CA'), 'la page 6-7, 3-4 personnes', 'Intervalles conservés');
+  assertEquals(typo('de 2 – 5 ans, 4–8 pages', 'fr-FR'), 'de 2 – 5 ans, 4–8 pages', 'Intervalles avec tiret demi-cadratin');
+  assertEquals(typo('3,5 km, le 2e, 1 500 amis, SPEAKER_2', 'fr'), '3,5 km, le 2e, 1 500 amis, SPEAKER_2', 'Décimales, ordinaux, milliers et étiquettes conservés');
+  assertEquals(typo('25% ou 25 pour cent', 'fr'), `25${NBSP}% ou 25${NBSP}%`, 'Pourcentages');
+  assertEquals(typo('15$, $20 et 5 dollars', 'fr-CA'), `15${NBSP}$, 20${NBSP}$ et 5${NBSP}$`, 'Montants en dollars');
+  assertEquals(typo('15 euros', 'fr-FR'), `15${NBSP}€`, 'Montants en euros (France)');
+  assertEquals(typo('À 14:54 ou 9 h 05', 'fr-CA'), 'À 14h54 ou 9h05', 'Heure au Québec');
+  assertEquals(typo('À 14h54', 'fr-FR'), 'À 14:54', 'Heure en France');
+  console.log('');
+
+  // Test 2: Typographie française
+  console.log(`${BLUE}Test 2: Typographie française${RESET}`);
+  assertEquals(typo('Vraiment?! Oui : non; bon !', 'fr'), `Vraiment${NNBSP}?! Oui${NNBSP}: non${NNBSP}; bon${NNBSP}!`, 'Espaces fines avant : ; ! ?');
+  assertEquals(typo('Voir https://x.ca', 'fr'), 'Voir https://x.ca', 'Adresses conservées');
+  assertEquals(typo('Elle a dit "bonjour"', 'fr'), `Elle a dit «${NBSP}bonjour${NBSP}»`, 'Guillemets français');
+  assertEquals(typo('Ca va. A demain. La catégorie A. A-t-il fini', 'fr'), 'Ça va. À demain. La catégorie A. A-t-il fini', 'Majuscules accentuées');
+  assertEquals(typo('Etat et Ecole', 'fr'), 'État et École', 'É majuscule');
+  console.log('');
+
+  // Test 3: Anglais et langues sans jeu
+  console.log(`${BLUE}Test 3: Anglais et langues sans jeu${RESET}`);
+  assertEquals(typo('I have 3 kids , 1 dog', 'en'), 'I have three kids , one dog', 'Nombres < 10 en lettres (anglais)');
+  assertEquals(typo('pages 6-7 for 3 - 4 people', 'en'), 'pages 6-7 for 3 - 4 people', 'Intervalles conservés (anglais)');
+  assertEquals(typo('25 percent, 15 dollars or $ 20 at 5 p.m. and 2:30', 'en'), '25%, $15 or $20 at 5 p.m. and 2:30', 'Pourcentages, montants et heures (anglais)');
+  assertEquals(typo('Really ? Yes !', 'en'), 'Really? Yes!', 'Aucune espace avant la ponctuation (anglais)');
+  assertEquals(typo('Tengo 3 gatos?', 'es'), 'Tengo 3 gatos?', 'Langue sans jeu de règles : texte inchangé');
+  console.log('');
+
+  // Test 4: Rapport des modifications
+  console.log(`${BLUE}Test 4: Rapport des modifications${RESET}`);
+  const report = applyTypographyToSegments([
+    { start: 0, end: 1, text: 'Il a 3 ans' },
+    { start: 1, end: 2, text: 'Rien à faire' },
+    { start: 2, end: 3, text: 'Ca coûte 5$' }
+  ], 'fr');
+  assertEquals(report.statistics.segmentsModified, 2, 'Segments modifiés comptés');
+  assertEquals(report.changes[0].segment, 0, 'Index du segment rapporté');
+  assertEquals(`${report.changes[0].before} → ${report.changes[0].after}`, '3 → trois', 'Avant/après rapportés');
+  assertEquals(JSON.stringify(report.statistics.byRule), '{"number-words":1,"currency":1,"accented-capitals":1}', 'Modifications comptées par règle');
+  assert(report.segments[1].start === 1 && report.segments[1].text === 'Rien à faire', 'Segment inchangé conservé');
+  const twice = applyTypographyToSegments(report.segments, 'fr');
+  assertEquals(twice.changes.length, 0, 'Règles idempotentes');
+
+  const profile = { sections: { numbers: { content: '- Heure : 14 h 54' }, punctuation: { enabled: false } } };
+  const withProfile = applyTypographyToSegments([{ text: 'À 14:54, 3 fois?' }], 'fr', { profile });
+  assertEquals(withProfile.segments[0].text, 'À 14:54, 3 fois?', 'Sections réécrites ou désactivées par le profil laissées au LLM');
+  console.log('');
+
+  // Test 5: Avant ou à la place du LLM
+  console.log(`${BLUE}Test 5: Avant ou à la place du LLM${RESET}`);
+  const segments = [{ start: 0, end: 1, text: 'euh il a 3 ans', speaker: 'SPEAKER_0' }];
+  const local = await applyVerbatimRules(segments, { typography: 'only', llm: { provider: 'vllm' } });
+  assertEquals(local.correctedSegments[0].correctedText, 'euh il a trois ans', 'Règles locales sans LLM ni configuration');
+  assertEquals(local.metadata.provider, 'local', 'Fournisseur local consigné');
+  assertEquals(local.correctedSegments[0].speaker, 'SPEAKER_0', 'Locuteur conservé');
+  assertEquals(local.typography.changes.length, 1, 'Modifications locales rapportées');
+
+  const server = await startStubServer(0);
+  const stub = { provider: 'openai-compatible', baseUrl: `http://localhost:${server.address().port}/v1`, model: 'stub' };
+  try {
+    const before = await applyVerbatimRules(segments, { llm: stub });
+    assertEquals(before.correctedSegments[0].correctedText, 'il a trois ans', 'Règles locales puis LLM');
+    assertEquals(before.correctedSegments[0].originalText, 'euh il a 3 ans', 'Texte d\'origine conservé');
+    assertEquals(before.statistics.typographyChanges, 1, 'Modifications locales comptées');
+
+    const none = await applyVerbatimRules(segments, { llm: stub, typography: 'none' });
+    assertEquals(none.correctedSegments[0].correctedText, 'il a 3 ans', 'Règles locales désactivables');
+  } finally {
+    server.close();
+  }
+
+  let modeError = null;
+  try {
+    await applyVerbatimRules(segments, { typography: 'after' });
+  } catch (error) {
+    modeError = error.message;
+  }
+  assert(modeError && modeError.startsWith('Mode de typographie inconnu'), 'Mode inconnu refusé');
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
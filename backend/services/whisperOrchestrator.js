@@ -7,13 +7,22 @@ const { checkAudioQuality } = require('./audioQualityChecker');
 const { autoEnhance } = require('./audioEnhancer');
 const { analyzeTranscriptionQuality } = require('./transcriptionQualityAnalyzer');
 const { transcribeAudio } = require('../scripts/transcribeAudio');
-const { formatWithGPT } = require('./gptFormatter');
+const { buildWhisperHints } = require('./glossaries');
+const { resolveWhisperSettings, describeWhisperSettings } = require('./whisperSettings');
+const { formatWithGPT, getPromptVersion } = require('./gptFormatter');
+const { diarizeAudio } = require('../scripts/diarizeAudio');
+const { applySpeakerLabels, assignSpeakersByTime } = require('./speakerLabels');
+const { createPipelineEmitter } = require('./pipelineEvents');
+const { resolveLLMConfig, getLLMConfigError } = require('./llmClient');
+const { STAGES, createStageCache } = require('./stageCache');
 const path = require('path');
 const fs = require('fs');
 
 /**
  * Configuration des stratégies de fallback Whisper
  * L'orchestrateur essaiera les modèles dans cet ordre selon la qualité audio
+ * "whisper" : paramètres de décodage propres à la stratégie (voir whisperSettings.js),
+ * les paramètres de la requête restent prioritaires
  */
 const WHISPER_FALLBACK_STRATEGIES = [
   // Stratégie 1: Modèle tiny - Rapide pour audio de bonne qualité
@@ -46,7 +55,9 @@ const WHISPER_FALLBACK_STRATEGIES = [
     modelSize: 'medium',
     description: 'Modèle medium (haute précision)',
     minAudioQuality: 20,
-    estimatedSpeed: 'Lent (~90s pour 1min audio)'
+    estimatedSpeed: 'Lent (~90s pour 1min audio)',
+    // Audio difficile : sans amorce du segment précédent, moins de boucles de répétition
+    whisper: { conditionOnPreviousText: false }
   },
   // Stratégie 5: Modèle large-v3 - Précision maximale en dernier recours
   {
@@ -54,10 +65,61 @@ const WHISPER_FALLBACK_STRATEGIES = [
     modelSize: 'large-v3',
     description: 'Modèle large-v3 (précision maximale)',
     minAudioQuality: 0,
-    estimatedSpeed: 'Très lent (~180s pour 1min audio)'
+    estimatedSpeed: 'Très lent (~180s pour 1min audio)',
+    whisper: { conditionOnPreviousText: false, beamSize: 8 }
   }
 ];
 
+// Intervalle minimal entre deux points de reprise d'une transcription en cours
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+/**
+ * Suivi d'une tentative de transcription : les segments reçus au fil du décodage
+ * sont publiés par lots (événement partial-transcript) au plus toutes les CHECKPOINT_INTERVAL_MS
+ * @param {PipelineEventEmitter} events - Émetteur d'événements du pipeline
+ * @param {Object} attemptInfo - {attempt, strategy, progressStart, progressSpan}
+ * @returns {Object} {onEvent: callback de transcribeAudio, flush: publie les segments restants}
+ */
+function createCheckpointRecorder(events, { attempt, strategy, progressStart, progressSpan }) {
+  let info = null;
+  let pending = [];
+  let segmentCount = 0;
+  let lastFlushAt = Date.now();
+
+  function flush() {
+    if (pending.length === 0) return;
+    const processedSeconds = pending[pending.length - 1].end;
+    const duration = info?.duration || null;
+    const fraction = duration ? Math.min(1, processedSeconds / duration) : 0;
+
+    events.partialTranscript({
+      attempt,
+      strategy,
+      segments: pending,
+      segmentCount,
+      processedSeconds,
+      duration,
+      progress: progressStart + progressSpan * fraction
+    });
+    pending = [];
+    lastFlushAt = Date.now();
+  }
+
+  function onEvent(event) {
+    if (event.type === 'info') {
+      info = event.info;
+      return;
+    }
+    pending.push(event.segment);
+    segmentCount++;
+    if (Date.now() - lastFlushAt >= CHECKPOINT_INTERVAL_MS) {
+      flush();
+    }
+  }
+
+  return { onEvent, flush };
+}
+
 /**
  * Résultat d'orchestration
  * @typedef {Object} OrchestrationResult
@@ -67,8 +129,11 @@ const WHISPER_FALLBACK_STRATEGIES = [
  * @property {Object} transcription - Résultat de transcription
  * @property {Object} enhancement - Informations sur l'amélioration audio
  * @property {Object} fallback - Informations sur les fallbacks utilisés
+ * @property {Object} diarization - Locuteurs détectés si la diarisation est activée
  * @property {Object} gptCorrection - Correction GPT si appliquée
  * @property {string} finalAudioPath - Chemin du fichier audio utilisé
+ * @property {Object} stageKeys - Clés des étapes en cache {audioQuality, enhancedAudio, whisper, segments, gpt}
+ *   ("segments" : segments transcrits, après diarisation le cas échéant)
  * @property {Array<string>} warnings - Avertissements
  * @property {string} userMessage - Message à afficher à l'utilisateur
  */
@@ -79,20 +144,40 @@ const WHISPER_FALLBACK_STRATEGIES = [
  * @param {Object} options - Options de transcription
  * @param {string} options.modelSize - Taille du modèle Whisper (défaut: 'base')
  * @param {string} options.language - Langue (défaut: null = auto)
+ * @param {boolean} options.wordTimestamps - Timestamps par mot dans les segments (défaut: false)
  * @param {boolean} options.autoEnhance - Amélioration audio automatique (défaut: true)
  * @param {boolean} options.useFallback - Utiliser les fallbacks (défaut: true)
  * @param {boolean} options.useGPTCorrection - Correction GPT si qualité faible (défaut: true)
- * @param {string} options.openaiApiKey - Clé API OpenAI
+ * @param {boolean} options.diarize - Identifier les locuteurs de chaque segment (défaut: false)
+ * @param {number} options.numSpeakers - Nombre de locuteurs connu (défaut: null = estimation)
+ * @param {Object} options.glossary - Glossaire du projet, vocabulaire transmis à Whisper (voir glossaries.js)
+ * @param {Object} options.whisper - Paramètres de décodage, prioritaires sur ceux des stratégies (voir whisperSettings.js)
+ * @param {AbortSignal} options.signal - Annulation de la transcription en cours, sans fallback (optionnel)
+ * @param {Object} options.llm - Fournisseur LLM de la correction {provider, baseUrl, model} (défaut: environnement)
+ * @param {string} options.openaiApiKey - Clé API OpenAI (raccourci pour llm.apiKey)
+ * @param {PipelineEventEmitter} options.events - Émetteur d'événements structurés (voir pipelineEvents.js)
+ * @param {Object} options.stageCache - Cache des étapes intermédiaires (voir stageCache.js, défaut: désactivé)
+ * @param {string} options.audioStageKey - Clé de l'étape qui a produit audioPath (défaut: hash du fichier)
  * @returns {Promise<OrchestrationResult>}
  */
 async function orchestrateTranscription(audioPath, options = {}) {
   const {
     modelSize = 'large-v3',
     language = null,
+    wordTimestamps = false,
     autoEnhance: autoEnhanceEnabled = true,
     useFallback = true,
     useGPTCorrection = true,
-    openaiApiKey = null
+    diarize = false,
+    numSpeakers = null,
+    glossary = null,
+    whisper = null,
+    signal = null,
+    llm = {},
+    openaiApiKey = null,
+    events = createPipelineEmitter(),
+    stageCache = createStageCache(),
+    audioStageKey = stageCache.fileHash
   } = options;
 
   console.log('\n🎬 === ORCHESTRATION INTELLIGENTE DE TRANSCRIPTION ===');
@@ -101,6 +186,11 @@ async function orchestrateTranscription(audioPath, options = {}) {
   console.log(`🔧 Amélioration auto: ${autoEnhanceEnabled ? 'OUI' : 'NON'}`);
   console.log(`🔄 Fallbacks: ${useFallback ? 'OUI' : 'NON'}`);
   console.log(`🧠 Correction GPT: ${useGPTCorrection ? 'OUI' : 'NON'}`);
+  console.log(`🗣️  Diarisation: ${diarize ? 'OUI' : 'NON'}`);
+  console.log(`📖 Glossaire: ${glossary ? `${glossary.name} (${glossary.terms.length} termes)` : 'AUCUN'}`);
+
+  // Vocabulaire du glossaire, identique pour chaque tentative
+  const whisperHints = buildWhisperHints(glossary);
 
   const result = {
     success: false,
@@ -109,8 +199,16 @@ async function orchestrateTranscription(audioPath, options = {}) {
     transcription: null,
     enhancement: null,
     fallback: null,
+    diarization: null,
     gptCorrection: null,
     finalAudioPath: audioPath,
+    stageKeys: {
+      audioQuality: null,
+      enhancedAudio: null,
+      whisper: null,
+      segments: null,
+      gpt: null
+    },
     warnings: [],
     userMessage: ''
   };
@@ -118,36 +216,56 @@ async function orchestrateTranscription(audioPath, options = {}) {
   try {
     // ÉTAPE 1: Analyse de la qualité audio
     console.log('\n📍 ÉTAPE 1: Analyse de la qualité audio');
-    const audioQualityReport = await checkAudioQuality(audioPath);
+    events.stage('audio-quality', 15, 'Analyse de la qualité audio');
+    const qualityStage = await stageCache.run(STAGES.AUDIO_QUALITY, { parent: audioStageKey }, () => checkAudioQuality(audioPath));
+    const audioQualityReport = qualityStage.data;
     result.audioQuality = audioQualityReport;
+    result.stageKeys.audioQuality = qualityStage.key;
+    events.audioQuality(audioQualityReport);
 
     let workingAudioPath = audioPath;
+    // Étape dont est issu l'audio transcrit (l'amélioration dépend du rapport de qualité)
+    let workingAudioKey = audioStageKey;
 
     // ÉTAPE 2: Amélioration audio si nécessaire
     if (autoEnhanceEnabled && audioQualityReport.needsEnhancement) {
       console.log('\n📍 ÉTAPE 2: Amélioration audio nécessaire');
+      events.stage('enhancement', 20, 'Amélioration de l\'audio');
       try {
-        const enhancement = await autoEnhance(audioPath, audioQualityReport);
+        const enhancementStage = await stageCache.run(
+          STAGES.ENHANCED_AUDIO,
+          { parent: qualityStage.key, artifact: 'enhancedPath' },
+          () => autoEnhance(audioPath, audioQualityReport)
+        );
+        const enhancement = enhancementStage.data;
         result.enhancement = enhancement;
+        result.stageKeys.enhancedAudio = enhancementStage.key;
         workingAudioPath = enhancement.enhancedPath;
+        workingAudioKey = enhancementStage.key;
         result.finalAudioPath = workingAudioPath;
         
         console.log(`✅ Audio amélioré: ${path.basename(workingAudioPath)}`);
         result.warnings.push(`Audio amélioré avec preset ${enhancement.preset}`);
+        events.enhancement({ status: 'applied', preset: enhancement.preset });
       } catch (enhanceError) {
         console.error(`⚠️  Échec amélioration audio: ${enhanceError.message}`);
         result.warnings.push(`Impossible d'améliorer l'audio: ${enhanceError.message}`);
+        events.enhancement({ status: 'failed', reason: enhanceError.message });
       }
     } else if (!audioQualityReport.needsEnhancement) {
       console.log('\n📍 ÉTAPE 2: Qualité audio acceptable, pas d\'amélioration nécessaire');
+      events.enhancement({ status: 'skipped', reason: 'Qualité audio acceptable, pas d\'amélioration nécessaire' });
     } else {
       console.log('\n📍 ÉTAPE 2: Amélioration audio désactivée');
+      events.enhancement({ status: 'skipped', reason: 'Amélioration audio désactivée' });
     }
 
     // ÉTAPE 3: Tentative de transcription avec stratégie de fallback intelligente
     console.log('\n📍 ÉTAPE 3: Transcription avec Whisper (stratégie adaptative)');
+    events.stage('transcription', 30, 'Transcription Whisper');
     
     let transcription = null;
+    let transcriptionKey = null;
     let transcriptionQualityReport = null;
     let usedStrategy = null;
     const attemptedStrategies = [];
@@ -186,11 +304,39 @@ async function orchestrateTranscription(audioPath, options = {}) {
       console.log(`      Modèle: ${strategy.modelSize} | Vitesse: ${strategy.estimatedSpeed || 'N/A'}`);
       attemptedStrategies.push(strategy.name);
 
+      // Décodage : défauts < stratégie < requête
+      const whisperSettings = resolveWhisperSettings(strategy.whisper, whisper);
+      console.log(`      Décodage: ${describeWhisperSettings(whisperSettings)}`);
+      events.attempt({
+        attempt: i + 1,
+        totalAttempts: strategies.length,
+        strategy,
+        progress: 30 + (50 * i) / strategies.length
+      });
+      const checkpoints = createCheckpointRecorder(events, {
+        attempt: i + 1,
+        strategy,
+        progressStart: 30 + (50 * i) / strategies.length,
+        progressSpan: 50 / strategies.length
+      });
+
       try {
         const startTime = Date.now();
         
-        // Transcription
-        transcription = await transcribeAudio(workingAudioPath, strategy.modelSize, language);
+        // Transcription (sortie brute en cache par modèle et paramètres de décodage)
+        const whisperStage = await stageCache.run(STAGES.WHISPER, {
+          parent: workingAudioKey,
+          params: { modelSize: strategy.modelSize, language, wordTimestamps, whisper: whisperSettings, hints: whisperHints }
+        }, () => transcribeAudio(workingAudioPath, strategy.modelSize, language, {
+          wordTimestamps,
+          whisper: whisperSettings,
+          signal,
+          onEvent: checkpoints.onEvent,
+          ...whisperHints
+        }));
+        transcription = whisperStage.data;
+        transcriptionKey = whisperStage.key;
+        checkpoints.flush();
         
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
         console.log(`      ⏱️  Temps de transcription: ${duration}s`);
@@ -200,6 +346,13 @@ async function orchestrateTranscription(audioPath, options = {}) {
         
         console.log(`      📊 Qualité transcription: ${transcriptionQualityReport.qualityScore}/100 (${transcriptionQualityReport.qualityLevel})`);
         console.log(`      📝 Segments obtenus: ${transcription.segments.length}`);
+        events.attemptResult({
+          attempt: i + 1,
+          strategy,
+          qualityReport: transcriptionQualityReport,
+          durationSeconds: parseFloat(duration),
+          segmentCount: transcription.segments.length
+        });
         
         // Si la qualité est acceptable, on arrête
         if (transcriptionQualityReport.isAcceptable) {
@@ -218,10 +371,13 @@ async function orchestrateTranscription(audioPath, options = {}) {
           }
         }
       } catch (transcribeError) {
+        // Segments déjà décodés conservés dans le point de reprise
+        checkpoints.flush();
         console.error(`   ❌ Échec avec ${strategy.modelSize}: ${transcribeError.message}`);
+        events.attemptResult({ attempt: i + 1, strategy, error: transcribeError.message });
         
-        // Si c'est la dernière stratégie, on propage l'erreur
-        if (isLastStrategy) {
+        // Si c'est la dernière stratégie ou une annulation, on propage l'erreur
+        if (isLastStrategy || transcribeError.code === 'CANCELLED') {
           throw transcribeError;
         } else {
           console.log(`   🔄 Tentative avec le modèle suivant...`);
@@ -231,45 +387,94 @@ async function orchestrateTranscription(audioPath, options = {}) {
 
     result.transcription = transcription;
     result.transcriptionQuality = transcriptionQualityReport;
+    result.stageKeys.whisper = transcriptionKey;
+    result.stageKeys.segments = transcriptionKey;
     result.fallback = {
       strategiesAttempted: attemptedStrategies,
       usedStrategy: usedStrategy?.name,
-      usedModel: usedStrategy?.modelSize
+      usedModel: usedStrategy?.modelSize,
+      whisperSettings: transcription?.whisperSettings || null
     };
 
+    // ÉTAPE 3b: Diarisation (locuteur de chaque segment)
+    if (diarize && transcription && transcription.segments.length > 0) {
+      console.log('\n📍 ÉTAPE 3b: Identification des locuteurs');
+      events.stage('diarization', 82, 'Identification des locuteurs');
+      try {
+        const diarizationStage = await stageCache.run(
+          STAGES.DIARIZATION,
+          { parent: transcriptionKey, params: { numSpeakers } },
+          () => diarizeAudio(workingAudioPath, transcription.segments, { numSpeakers })
+        );
+        const diarization = diarizationStage.data;
+        transcription.segments = applySpeakerLabels(transcription.segments, diarization);
+        result.stageKeys.segments = diarizationStage.key;
+        result.diarization = {
+          speakers: diarization.speakers,
+          count: diarization.speakers.length
+        };
+        console.log(`   ✅ ${diarization.speakers.length} locuteur(s) identifié(s)`);
+      } catch (diarizeError) {
+        console.error(`   ⚠️  Échec diarisation: ${diarizeError.message}`);
+        result.warnings.push(`Identification des locuteurs impossible: ${diarizeError.message}`);
+        events.warning('diarization', `Identification des locuteurs impossible: ${diarizeError.message}`);
+      }
+    }
+
     // ÉTAPE 4: Correction GPT si qualité insuffisante
     if (useGPTCorrection && transcriptionQualityReport && !transcriptionQualityReport.isAcceptable) {
       console.log('\n📍 ÉTAPE 4: Correction GPT nécessaire');
       
-      if (!openaiApiKey) {
-        console.log('   ⚠️  Clé API OpenAI non fournie, correction GPT ignorée');
-        result.warnings.push('Correction GPT non disponible (clé API manquante)');
+      const llmOptions = { ...(openaiApiKey ? { apiKey: openaiApiKey } : {}), ...llm };
+      const llmConfig = resolveLLMConfig(llmOptions);
+      const llmConfigError = getLLMConfigError(llmConfig);
+
+      if (llmConfigError) {
+        console.log(`   ⚠️  ${llmConfigError}, correction GPT ignorée`);
+        result.warnings.push(`Correction GPT non disponible (${llmConfigError})`);
+        events.gptCorrection({ status: 'skipped', reason: `Correction GPT non disponible (${llmConfigError})` });
       } else {
         try {
-          console.log('   🧠 Envoi à GPT-4o-mini pour correction...');
+          console.log(`   🧠 Envoi à ${llmConfig.model} (${llmConfig.provider}) pour correction...`);
+          events.gptCorrection({ status: 'started', progress: 85 });
           
           // Préparer les segments pour GPT
           const segments = transcription.segments.map(s => ({
             start: s.start,
             end: s.end,
+            speaker: s.speaker,
             text: s.text
           }));
 
-          const gptResult = await formatWithGPT(segments, openaiApiKey);
-          result.gptCorrection = gptResult;
+          const gptStage = await stageCache.run(STAGES.GPT, {
+            parent: result.stageKeys.segments,
+            params: { provider: llmConfig.provider, baseUrl: llmConfig.baseUrl, model: llmConfig.model, promptVersion: getPromptVersion() }
+          }, () => formatWithGPT(segments, llmOptions));
+          const gptResult = gptStage.data;
+          result.stageKeys.gpt = gptStage.key;
+
+          // GPT re-découpe les sous-titres : locuteurs réattribués d'après les timestamps
+          if (result.diarization && Array.isArray(gptResult.srt)) {
+            gptResult.srt = assignSpeakersByTime(gptResult.srt, transcription.segments);
+          }
+          result.gptCorrection = { ...gptResult, model: llmConfig.model };
           
           console.log(`   ✅ Correction GPT appliquée`);
           console.log(`   📝 Résumé: ${gptResult.summary}`);
-          result.warnings.push('Transcription corrigée par GPT-4o-mini');
+          result.warnings.push(`Transcription corrigée par ${llmConfig.model}`);
+          events.gptCorrection({ status: 'applied', summary: gptResult.summary });
         } catch (gptError) {
           console.error(`   ⚠️  Échec correction GPT: ${gptError.message}`);
           result.warnings.push(`Correction GPT échouée: ${gptError.message}`);
+          events.gptCorrection({ status: 'failed', reason: gptError.message });
         }
       }
     } else if (transcriptionQualityReport?.isAcceptable) {
       console.log('\n📍 ÉTAPE 4: Qualité acceptable, correction GPT non nécessaire');
+      events.gptCorrection({ status: 'skipped', reason: 'Qualité acceptable, correction GPT non nécessaire' });
     } else {
       console.log('\n📍 ÉTAPE 4: Correction GPT désactivée');
+      events.gptCorrection({ status: 'skipped', reason: 'Correction GPT désactivée' });
     }
 
     // ÉTAPE 5: Déterminer le succès et générer le message utilisateur
@@ -344,9 +549,14 @@ function generateUserMessage(result) {
     messages.push(`\n🤖 Modèle utilisé: ${result.fallback.usedModel}`);
   }
 
+  // Informations sur les locuteurs
+  if (result.diarization) {
+    messages.push(`\n🗣️ ${result.diarization.count} locuteur(s) identifié(s)`);
+  }
+
   // Informations sur la correction GPT
   if (result.gptCorrection) {
-    messages.push('\n🧠 Transcription corrigée par GPT-4o-mini');
+    messages.push(`\n🧠 Transcription corrigée par ${result.gptCorrection.model || 'GPT-4o-mini'}`);
   }
 
   // Recommandations
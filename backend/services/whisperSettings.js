@@ -0,0 +1,237 @@
+/**
+ * Paramètres de décodage faster-whisper
+ * Valeurs par défaut, validation des paramètres reçus ("whisper" des routes de transcription)
+ * et conversion en arguments pour whisper/transcribe.py
+ *
+ * Ordre de priorité : requête > stratégie de fallback > environnement > défauts
+ *   WHISPER_DEVICE        cpu (défaut), cuda ou auto
+ *   WHISPER_COMPUTE_TYPE  int8 (défaut), float16, etc. (voir COMPUTE_TYPES)
+ */
+
+// Valeurs utilisées quand rien n'est précisé (comportement historique de transcribe.py)
+const DEFAULT_WHISPER_SETTINGS = {
+  beamSize: 5,
+  temperature: [0, 0.2, 0.4, 0.6, 0.8, 1],
+  vadFilter: true,
+  vadParameters: {},
+  device: 'cpu',
+  computeType: 'int8',
+  conditionOnPreviousText: true,
+  noSpeechThreshold: 0.6,
+  task: 'transcribe'
+};
+
+const DEVICES = ['cpu', 'cuda', 'auto'];
+const COMPUTE_TYPES = ['default', 'auto', 'int8', 'int8_float32', 'int8_float16', 'int8_bfloat16', 'int16', 'float16', 'bfloat16', 'float32'];
+const TASKS = ['transcribe', 'translate'];
+
+// Paramètres VAD (Silero) acceptés et bornes
+const VAD_PARAMETERS = {
+  threshold: { min: 0, max: 1 },
+  minSpeechDurationMs: { min: 0, max: 10000, integer: true },
+  minSilenceDurationMs: { min: 0, max: 10000, integer: true },
+  speechPadMs: { min: 0, max: 5000, integer: true }
+};
+
+// Bornes du faisceau de recherche et nombre maximal de températures
+const MAX_BEAM_SIZE = 20;
+const MAX_TEMPERATURES = 10;
+
+/**
+ * Indique si une valeur est un nombre compris entre deux bornes
+ * @param {*} value - Valeur
+ * @param {number} min - Minimum inclus
+ * @param {number} max - Maximum inclus
+ * @returns {boolean}
+ */
+function isNumberBetween(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Valide des paramètres de décodage (tous optionnels)
+ * @param {Object} settings - {beamSize, temperature, vadFilter, vadParameters, device, computeType,
+ *                             conditionOnPreviousText, noSpeechThreshold, task}
+ * @returns {Array<string>} Erreurs (vide si valide)
+ */
+function validateWhisperSettings(settings) {
+  if (settings === null || settings === undefined) {
+    return [];
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['Les paramètres Whisper doivent être un objet JSON'];
+  }
+
+  const errors = [];
+  const known = Object.keys(DEFAULT_WHISPER_SETTINGS);
+  Object.keys(settings).filter(key => !known.includes(key)).forEach(key => {
+    errors.push(`Paramètre Whisper inconnu: ${key} (attendu: ${known.join(', ')})`);
+  });
+
+  const {
+    beamSize, temperature, vadFilter, vadParameters, device, computeType,
+    conditionOnPreviousText, noSpeechThreshold, task
+  } = settings;
+
+  if (beamSize !== undefined && (!Number.isInteger(beamSize) || beamSize < 1 || beamSize > MAX_BEAM_SIZE)) {
+    errors.push(`"beamSize" doit être un entier de 1 à ${MAX_BEAM_SIZE}`);
+  }
+  if (temperature !== undefined) {
+    const schedule = Array.isArray(temperature) ? temperature : [temperature];
+    if (schedule.length === 0 || schedule.length > MAX_TEMPERATURES || !schedule.every(value => isNumberBetween(value, 0, 1))) {
+      errors.push(`"temperature" doit être un nombre de 0 à 1 ou une liste de 1 à ${MAX_TEMPERATURES} nombres`);
+    }
+  }
+  if (vadFilter !== undefined && typeof vadFilter !== 'boolean') {
+    errors.push('"vadFilter" doit être un booléen');
+  }
+  if (vadParameters !== undefined) {
+    if (!vadParameters || typeof vadParameters !== 'object' || Array.isArray(vadParameters)) {
+      errors.push('"vadParameters" doit être un objet');
+    } else {
+      Object.entries(vadParameters).forEach(([key, value]) => {
+        const bounds = VAD_PARAMETERS[key];
+        if (!bounds) {
+          errors.push(`Paramètre VAD inconnu: ${key} (attendu: ${Object.keys(VAD_PARAMETERS).join(', ')})`);
+        } else if (!isNumberBetween(value, bounds.min, bounds.max) || (bounds.integer && !Number.isInteger(value))) {
+          errors.push(`vadParameters.${key} doit être ${bounds.integer ? 'un entier' : 'un nombre'} de ${bounds.min} à ${bounds.max}`);
+        }
+      });
+    }
+  }
+  if (device !== undefined && !DEVICES.includes(device)) {
+    errors.push(`"device" doit être ${DEVICES.join(', ')}`);
+  }
+  if (computeType !== undefined && !COMPUTE_TYPES.includes(computeType)) {
+    errors.push(`"computeType" doit être ${COMPUTE_TYPES.join(', ')}`);
+  }
+  if (conditionOnPreviousText !== undefined && typeof conditionOnPreviousText !== 'boolean') {
+    errors.push('"conditionOnPreviousText" doit être un booléen');
+  }
+  if (noSpeechThreshold !== undefined && !isNumberBetween(noSpeechThreshold, 0, 1)) {
+    errors.push('"noSpeechThreshold" doit être un nombre de 0 à 1');
+  }
+  if (task !== undefined && !TASKS.includes(task)) {
+    errors.push(`"task" doit être ${TASKS.join(' ou ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Valeurs par défaut, avec le matériel configuré par l'environnement
+ * @returns {Object} Paramètres complets
+ */
+function getDefaultWhisperSettings() {
+  const env = process.env;
+  return {
+    ...DEFAULT_WHISPER_SETTINGS,
+    device: DEVICES.includes(env.WHISPER_DEVICE) ? env.WHISPER_DEVICE : DEFAULT_WHISPER_SETTINGS.device,
+    computeType: COMPUTE_TYPES.includes(env.WHISPER_COMPUTE_TYPE) ? env.WHISPER_COMPUTE_TYPE : DEFAULT_WHISPER_SETTINGS.computeType
+  };
+}
+
+/**
+ * Résout les paramètres complets d'une transcription
+ * Chaque couche remplace les valeurs de la précédente (les paramètres VAD sont fusionnés)
+ * @param {...Object} layers - Paramètres partiels, du moins au plus prioritaire (null ignoré)
+ * @returns {Object} Paramètres complets
+ * @throws {Error} error.code = 'INVALID' (error.details)
+ */
+function resolveWhisperSettings(...layers) {
+  return layers.filter(Boolean).reduce((resolved, layer) => {
+    const errors = validateWhisperSettings(layer);
+    if (errors.length > 0) {
+      const error = new Error('Paramètres Whisper invalides');
+      error.code = 'INVALID';
+      error.details = errors;
+      throw error;
+    }
+
+    const defined = Object.fromEntries(Object.entries(layer).filter(([, value]) => value !== undefined));
+    return {
+      ...resolved,
+      ...defined,
+      vadParameters: { ...resolved.vadParameters, ...layer.vadParameters }
+    };
+  }, getDefaultWhisperSettings());
+}
+
+/**
+ * Arguments de whisper/transcribe.py pour des paramètres complets
+ * Forme --option=valeur : une valeur commençant par un tiret reste une valeur
+ * @param {Object} settings - Paramètres résolus (voir resolveWhisperSettings)
+ * @returns {Array<string>} Arguments
+ */
+function buildWhisperArgs(settings) {
+  const temperature = Array.isArray(settings.temperature) ? settings.temperature : [settings.temperature];
+  const args = [
+    `--beam-size=${settings.beamSize}`,
+    `--temperature=${temperature.join(',')}`,
+    `--device=${settings.device}`,
+    `--compute-type=${settings.computeType}`,
+    `--no-speech-threshold=${settings.noSpeechThreshold}`,
+    `--task=${settings.task}`
+  ];
+
+  if (!settings.vadFilter) {
+    args.push('--no-vad-filter');
+  } else if (Object.keys(settings.vadParameters).length > 0) {
+    args.push(`--vad-parameters=${JSON.stringify(settings.vadParameters)}`);
+  }
+  if (!settings.conditionOnPreviousText) {
+    args.push('--no-condition-on-previous-text');
+  }
+
+  return args;
+}
+
+/**
+ * Paramètres de décodage pour le worker persistant (voir whisper/worker.py)
+ * Mêmes valeurs que buildWhisperArgs, sous forme d'objet
+ * @param {Object} settings - Paramètres résolus (voir resolveWhisperSettings)
+ * @returns {Object} {beam_size, temperature, vad_filter, vad_parameters, condition_on_previous_text, no_speech_threshold, task}
+ */
+function buildWhisperDecoding(settings) {
+  return {
+    beam_size: settings.beamSize,
+    temperature: settings.temperature,
+    vad_filter: settings.vadFilter,
+    vad_parameters: settings.vadFilter && Object.keys(settings.vadParameters).length > 0 ? settings.vadParameters : null,
+    condition_on_previous_text: settings.conditionOnPreviousText,
+    no_speech_threshold: settings.noSpeechThreshold,
+    task: settings.task
+  };
+}
+
+/**
+ * Résumé d'une ligne pour les logs
+ * @param {Object} settings - Paramètres résolus
+ * @returns {string} ex: "beam 5, température 0-1, VAD OUI, cpu/int8, transcribe"
+ */
+function describeWhisperSettings(settings) {
+  const temperature = Array.isArray(settings.temperature) ? settings.temperature : [settings.temperature];
+  const temperatures = temperature.length > 1
+    ? `${temperature[0]}-${temperature[temperature.length - 1]}`
+    : `${temperature[0]}`;
+  return [
+    `beam ${settings.beamSize}`,
+    `température ${temperatures}`,
+    `VAD ${settings.vadFilter ? 'OUI' : 'NON'}`,
+    `contexte précédent ${settings.conditionOnPreviousText ? 'OUI' : 'NON'}`,
+    `${settings.device}/${settings.computeType}`,
+    settings.task
+  ].join(', ');
+}
+
+module.exports = {
+  DEFAULT_WHISPER_SETTINGS,
+  DEVICES,
+  COMPUTE_TYPES,
+  TASKS,
+  validateWhisperSettings,
+  resolveWhisperSettings,
+  buildWhisperArgs,
+  buildWhisperDecoding,
+  describeWhisperSettings
+};
@@ -0,0 +1,163 @@
+/**
+ * Tests unitaires pour les paramètres de décodage Whisper
+ *
+ * Pour exécuter : node backend/services/whisperSettings.test.js
+ */
+
+const {
+  DEFAULT_WHISPER_SETTINGS,
+  validateWhisperSettings,
+  resolveWhisperSettings,
+  buildWhisperArgs,
+  buildWhisperDecoding,
+  describeWhisperSettings
+} = require('./whisperSettings');
+const { WHISPER_FALLBACK_STRATEGIES } = require('./whisperOrchestrator');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+console.log(`${BLUE}=== Tests des paramètres de décodage Whisper ===${RESET}\n`);
+
+// Test 1: Validation
+console.log(`${BLUE}Test 1: Validation${RESET}`);
+assertEquals(validateWhisperSettings(null).length, 0, 'Aucun paramètre valide');
+assertEquals(validateWhisperSettings({ beamSize: 8, temperature: 0, task: 'translate' }).length, 0, 'Paramètres valides');
+assertEquals(validateWhisperSettings({ temperature: [0, 0.5] }).length, 0, 'Liste de températures valide');
+assertEquals(validateWhisperSettings([1]).length, 1, 'Liste refusée');
+const errors = validateWhisperSettings({
+  beamSize: 0,
+  temperature: [0, 2],
+  vadParameters: { threshold: 0.5, minSilenceDurationMs: 12.5, pad: 1 },
+  computeType: 'int4',
+  task: 'resume',
+  beam: 5
+});
+assert(errors.some(error => error.startsWith('Paramètre Whisper inconnu: beam')), 'Paramètre inconnu détecté');
+assert(errors.some(error => error.startsWith('"beamSize"')), 'Faisceau hors bornes');
+assert(errors.some(error => error.startsWith('"temperature"')), 'Température hors bornes');
+assert(errors.some(error => error.startsWith('vadParameters.minSilenceDurationMs')), 'Durée VAD entière attendue');
+assert(errors.some(error => error.startsWith('Paramètre VAD inconnu: pad')), 'Paramètre VAD inconnu détecté');
+assert(errors.some(error => error.startsWith('"computeType"')), 'Précision inconnue détectée');
+assert(errors.some(error => error.startsWith('"task"')), 'Tâche inconnue détectée');
+assertEquals(errors.length, 7, 'Toutes les erreurs rapportées');
+console.log('');
+
+// Test 2: Résolution des paramètres
+console.log(`${BLUE}Test 2: Résolution des paramètres${RESET}`);
+const defaults = resolveWhisperSettings();
+assertEquals(defaults.beamSize, 5, 'Faisceau par défaut');
+assertEquals(defaults.vadFilter, true, 'VAD activé par défaut');
+assertEquals(`${defaults.device}/${defaults.computeType}`, 'cpu/int8', 'Matériel par défaut');
+
+const layered = resolveWhisperSettings(
+  { conditionOnPreviousText: false, beamSize: 8, vadParameters: { threshold: 0.4 } },
+  { beamSize: 3, vadParameters: { speechPadMs: 200 } }
+);
+assertEquals(layered.beamSize, 3, 'La dernière couche l\'emporte');
+assertEquals(layered.conditionOnPreviousText, false, 'Valeur d\'une couche précédente conservée');
+assertEquals(JSON.stringify(layered.vadParameters), '{"threshold":0.4,"speechPadMs":200}', 'Paramètres VAD fusionnés');
+assertEquals(resolveWhisperSettings({ beamSize: undefined }).beamSize, 5, 'Valeur indéfinie ignorée');
+assertEquals(JSON.stringify(resolveWhisperSettings(layered)), JSON.stringify(layered), 'Paramètres résolus stables');
+
+let code = null;
+try {
+  resolveWhisperSettings({ beamSize: 100 });
+} catch (error) {
+  code = error.code;
+}
+assertEquals(code, 'INVALID', 'Paramètres invalides refusés');
+
+process.env.WHISPER_DEVICE = 'cuda';
+process.env.WHISPER_COMPUTE_TYPE = 'float16';
+assertEquals(`${resolveWhisperSettings().device}/${resolveWhisperSettings().computeType}`, 'cuda/float16', 'Matériel configuré par l\'environnement');
+assertEquals(resolveWhisperSettings({ computeType: 'int8' }).computeType, 'int8', 'Requête prioritaire sur l\'environnement');
+process.env.WHISPER_COMPUTE_TYPE = 'inconnu';
+assertEquals(resolveWhisperSettings().computeType, 'int8', 'Valeur d\'environnement inconnue ignorée');
+delete process.env.WHISPER_DEVICE;
+delete process.env.WHISPER_COMPUTE_TYPE;
+console.log('');
+
+// Test 3: Arguments de transcribe.py
+console.log(`${BLUE}Test 3: Arguments de transcribe.py${RESET}`);
+assertEquals(
+  buildWhisperArgs(resolveWhisperSettings()).join(' '),
+  '--beam-size=5 --temperature=0,0.2,0.4,0.6,0.8,1 --device=cpu --compute-type=int8 --no-speech-threshold=0.6 --task=transcribe',
+  'Arguments par défaut'
+);
+const custom = buildWhisperArgs(resolveWhisperSettings({
+  temperature: 0,
+  vadParameters: { minSilenceDurationMs: 500 },
+  conditionOnPreviousText: false,
+  task: 'translate'
+}));
+assert(custom.includes('--temperature=0'), 'Température unique');
+assert(custom.includes('--vad-parameters={"minSilenceDurationMs":500}'), 'Paramètres VAD en JSON');
+assert(custom.includes('--no-condition-on-previous-text'), 'Amorce du texte précédent désactivée');
+assert(custom.includes('--task=translate'), 'Tâche de traduction');
+const noVad = buildWhisperArgs(resolveWhisperSettings({ vadFilter: false, vadParameters: { threshold: 0.3 } }));
+assert(noVad.includes('--no-vad-filter') && !noVad.some(arg => arg.startsWith('--vad-parameters')), 'VAD désactivé sans paramètres');
+const decoding = buildWhisperDecoding(resolveWhisperSettings({ beamSize: 3, vadParameters: { speechPadMs: 200 }, task: 'translate' }));
+assertEquals(
+  JSON.stringify(decoding),
+  '{"beam_size":3,"temperature":[0,0.2,0.4,0.6,0.8,1],"vad_filter":true,"vad_parameters":{"speechPadMs":200},"condition_on_previous_text":true,"no_speech_threshold":0.6,"task":"translate"}',
+  'Paramètres de décodage du worker persistant'
+);
+assertEquals(buildWhisperDecoding(resolveWhisperSettings()).vad_parameters, null, 'Paramètres VAD absents par défaut');
+assertEquals(
+  describeWhisperSettings(resolveWhisperSettings()),
+  'beam 5, température 0-1, VAD OUI, contexte précédent OUI, cpu/int8, transcribe',
+  'Résumé pour les logs'
+);
+console.log('');
+
+// Test 4: Stratégies de fallback
+console.log(`${BLUE}Test 4: Stratégies de fallback${RESET}`);
+assert(WHISPER_FALLBACK_STRATEGIES.every(strategy => validateWhisperSettings(strategy.whisper).length === 0), 'Paramètres des stratégies valides');
+const ultimate = WHISPER_FALLBACK_STRATEGIES.find(strategy => strategy.name === 'LARGE_ULTIMATE');
+assertEquals(resolveWhisperSettings(ultimate.whisper).conditionOnPreviousText, false, 'Stratégie de dernier recours sans amorce');
+assertEquals(resolveWhisperSettings(ultimate.whisper, { beamSize: 5 }).beamSize, 5, 'Requête prioritaire sur la stratégie');
+const tiny = WHISPER_FALLBACK_STRATEGIES.find(strategy => strategy.name === 'TINY_FAST');
+assertEquals(resolveWhisperSettings(tiny.whisper).beamSize, DEFAULT_WHISPER_SETTINGS.beamSize, 'Stratégie sans paramètres = défauts');
+console.log('');
+
+// Résumé
+console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+if (testsFailed === 0) {
+  console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+  process.exit(0);
+} else {
+  console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+  process.exit(1);
+}
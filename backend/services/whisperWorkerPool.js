@@ -0,0 +1,438 @@
+/**
+ * Pool de workers Whisper persistants (whisper/worker.py)
+ * Chaque worker garde ses modèles chargés en mémoire : seul le premier appel
+ * d'un modèle paie son chargement. Dialogue en JSON, une ligne par message
+ * (stdin/stdout), avec identifiant de requête, annulation et contrôle de santé
+ *
+ * Configuration par variables d'environnement :
+ *   WHISPER_WORKERS                    Nombre de workers (défaut: 1, 0 = un processus Python par transcription)
+ *   WHISPER_WORKER_MAX_MEMORY_MB       Mémoire estimée des modèles gardés par worker, en Mo : les moins récemment
+ *                                      utilisés sont retirés jusqu'à ce que le nouveau tienne (défaut: 4096)
+ *   WHISPER_WORKER_MAX_MODELS          Nombre maximal de modèles par worker (défaut: 0 = selon la mémoire uniquement)
+ *   WHISPER_WORKER_HEALTH_INTERVAL_MS  Intervalle des contrôles de santé (défaut: 60000, 0 = désactivé)
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Délai de réponse d'un worker à un contrôle de santé
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Clé d'un modèle chargé (identique à celle de worker.py)
+ * @param {Object} params - Paramètres de transcription {model_size, device, compute_type}
+ * @returns {string} ex: "small/cpu/int8"
+ */
+function modelKeyOf(params) {
+  return `${params.model_size || 'large-v3'}/${params.device || 'cpu'}/${params.compute_type || 'int8'}`;
+}
+
+/**
+ * Erreur d'une transcription annulée
+ * @param {string} id - Identifiant de la requête
+ * @returns {Error} error.code = 'CANCELLED'
+ */
+function cancelledError(id) {
+  const error = new Error(`Transcription annulée: ${id}`);
+  error.code = 'CANCELLED';
+  return error;
+}
+
+/**
+ * Crée un pool de workers Whisper
+ * Les workers sont démarrés à la demande ; une requête va de préférence à un worker
+ * inactif qui a déjà chargé son modèle, sinon à un nouveau worker, sinon au moins récemment utilisé
+ * @param {Object} options - Options du pool
+ * @param {number} options.size - Nombre maximal de workers (défaut: 1)
+ * @param {number} options.maxMemoryMb - Mémoire estimée des modèles gardés par worker, en Mo (défaut: 4096)
+ * @param {number} options.maxModels - Nombre maximal de modèles par worker (défaut: 0 = selon la mémoire uniquement)
+ * @param {string} options.command - Exécutable du worker (défaut: venv/bin/python)
+ * @param {Array<string>} options.args - Arguments du worker (défaut: whisper/worker.py --max-memory-mb=N --max-models=N)
+ * @param {number} options.healthTimeoutMs - Délai de réponse aux contrôles de santé (défaut: 5000)
+ * @returns {Object} Pool {transcribe, cancel, checkHealth, startHealthChecks, getStatus, shutdown}
+ */
+function createWhisperWorkerPool(options = {}) {
+  const {
+    size = 1,
+    maxMemoryMb = 4096,
+    maxModels = 0,
+    command = path.join(__dirname, '../venv/bin/python'),
+    args = [path.join(__dirname, '../whisper/worker.py'), `--max-memory-mb=${maxMemoryMb}`, `--max-models=${maxModels}`],
+    healthTimeoutMs = HEALTH_TIMEOUT_MS
+  } = options;
+
+  const workers = [];
+  const queue = [];
+  let healthTimer = null;
+  let closed = false;
+
+  /**
+   * Traite une ligne JSON reçue d'un worker
+   * @param {Object} worker - Worker émetteur
+   * @param {string} line - Message JSON
+   */
+  function handleMessage(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.error(`⚠️  Worker Whisper ${worker.pid}: message illisible ignoré`);
+      return;
+    }
+
+    if (Array.isArray(message.models)) {
+      worker.models = message.models;
+    }
+
+    if (message.type === 'ready') {
+      worker.ready = true;
+      return;
+    }
+
+    if (message.type === 'health') {
+      const check = worker.healthChecks.get(message.id);
+      if (check) {
+        worker.healthChecks.delete(message.id);
+        check(message);
+      }
+      return;
+    }
+
+    const entry = worker.current;
+    if (!entry || entry.id !== message.id) {
+      return;
+    }
+
+    // Transcription en streaming : informations puis segments au fil du décodage
+    if (message.type === 'info' || message.type === 'segment') {
+      try {
+        entry.onEvent?.(message.type === 'info'
+          ? { type: 'info', info: message.info }
+          : { type: 'segment', segment: message.segment });
+      } catch (error) {
+        console.error(`⚠️  Suivi de la transcription ${entry.id}: ${error.message}`);
+      }
+      return;
+    }
+
+    worker.current = null;
+    worker.lastUsedAt = Date.now();
+    entry.cleanup();
+
+    if (message.type === 'result') {
+      worker.completed++;
+      entry.resolve({ result: message.result, model: message.model || null, workerPid: worker.pid });
+    } else {
+      entry.reject(message.cancelled ? cancelledError(entry.id) : new Error(message.error || 'Erreur du worker Whisper'));
+    }
+    setImmediate(dispatch);
+  }
+
+  /**
+   * Retire un worker arrêté et rejette sa requête en cours
+   * @param {Object} worker - Worker arrêté
+   * @param {string} reason - Cause de l'arrêt
+   */
+  function removeWorker(worker, reason) {
+    const index = workers.indexOf(worker);
+    if (index === -1) {
+      return;
+    }
+    workers.splice(index, 1);
+    worker.healthChecks.forEach(check => check(null));
+    worker.healthChecks.clear();
+
+    if (worker.current) {
+      const entry = worker.current;
+      worker.current = null;
+      entry.cleanup();
+      entry.reject(entry.cancelRequested ? cancelledError(entry.id) : new Error(`Worker Whisper arrêté: ${reason}`));
+    }
+    if (!closed) {
+      console.log(`⚠️  Worker Whisper ${worker.pid || '?'} arrêté (${reason})`);
+    }
+    setImmediate(dispatch);
+  }
+
+  /**
+   * Démarre un worker
+   * @returns {Object} Worker {process, pid, ready, current, models, completed, lastUsedAt}
+   */
+  function spawnWorker() {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const worker = {
+      process: child,
+      pid: child.pid,
+      ready: false,
+      current: null,
+      models: [],
+      completed: 0,
+      startedAt: Date.now(),
+      lastUsedAt: 0,
+      healthChecks: new Map()
+    };
+    workers.push(worker);
+    console.log(`🚀 Worker Whisper démarré (pid ${child.pid || '?'})`);
+
+    let buffer = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(line => line.trim()).forEach(line => handleMessage(worker, line));
+    });
+
+    // Logs Python (chargement des modèles, langue détectée...)
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => console.log(chunk.trimEnd()));
+
+    child.stdin.on('error', () => {});
+    child.on('error', error => removeWorker(worker, error.message));
+    child.on('exit', (code, signal) => removeWorker(worker, signal ? `signal ${signal}` : `code ${code}`));
+
+    return worker;
+  }
+
+  /**
+   * Envoie un message JSON à un worker
+   * @param {Object} worker - Worker destinataire
+   * @param {Object} message - Message
+   */
+  function send(worker, message) {
+    if (worker.process.stdin.writable) {
+      worker.process.stdin.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  /**
+   * Worker qui doit traiter une requête (null si tous sont occupés)
+   * @param {Object} entry - Requête en attente
+   * @returns {Object|null}
+   */
+  function pickWorker(entry) {
+    const idle = workers.filter(worker => !worker.current);
+    const warm = idle.find(worker => worker.models.includes(entry.modelKey));
+    if (warm) {
+      return warm;
+    }
+    if (workers.length < size) {
+      return spawnWorker();
+    }
+    return idle.sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0] || null;
+  }
+
+  /**
+   * Attribue les requêtes en attente aux workers disponibles
+   */
+  function dispatch() {
+    while (queue.length > 0 && !closed) {
+      const worker = pickWorker(queue[0]);
+      if (!worker) {
+        return;
+      }
+      const entry = queue.shift();
+      worker.current = entry;
+      entry.worker = worker;
+      send(worker, { id: entry.id, type: 'transcribe', params: entry.params });
+    }
+  }
+
+  /**
+   * Transcrit un fichier avec un worker
+   * @param {Object} params - Paramètres de worker.py {audio_path, model_size, language, word_timestamps,
+   *                          initial_prompt, hotwords, device, compute_type, decoding, stream}
+   * @param {Object} requestOptions - {id: identifiant de requête (défaut: UUID), signal: AbortSignal d'annulation,
+   *                                  onEvent: ({type: 'info', info} | {type: 'segment', segment}) => void, avec params.stream}
+   * @returns {Promise<Object>} {result, model: {size, cached, loadSeconds}, workerPid}
+   */
+  function transcribe(params, requestOptions = {}) {
+    const { id = crypto.randomUUID(), signal = null, onEvent = null } = requestOptions;
+
+    return new Promise((resolve, reject) => {
+      if (closed) {
+        return reject(new Error('Pool de workers Whisper arrêté'));
+      }
+      if (signal?.aborted) {
+        return reject(cancelledError(id));
+      }
+
+      const onAbort = () => cancel(id);
+      const entry = {
+        id,
+        params,
+        modelKey: modelKeyOf(params),
+        resolve,
+        reject,
+        onEvent,
+        worker: null,
+        cancelRequested: false,
+        cleanup: () => signal?.removeEventListener('abort', onAbort)
+      };
+      signal?.addEventListener('abort', onAbort);
+
+      queue.push(entry);
+      dispatch();
+    });
+  }
+
+  /**
+   * Annule une requête (retirée de la file, ou interrompue entre deux segments)
+   * @param {string} id - Identifiant de la requête
+   * @returns {boolean} true si la requête était en attente ou en cours
+   */
+  function cancel(id) {
+    const queuedIndex = queue.findIndex(entry => entry.id === id);
+    if (queuedIndex !== -1) {
+      const [entry] = queue.splice(queuedIndex, 1);
+      entry.cleanup();
+      entry.reject(cancelledError(id));
+      return true;
+    }
+
+    const worker = workers.find(candidate => candidate.current?.id === id);
+    if (!worker) {
+      return false;
+    }
+    worker.current.cancelRequested = true;
+    send(worker, { id, type: 'cancel' });
+    return true;
+  }
+
+  /**
+   * Contrôle de santé de chaque worker
+   * Un worker qui ne répond pas dans le délai est arrêté (redémarré à la prochaine requête)
+   * @returns {Promise<Array<Object>>} [{pid, healthy, current, queued, models, uptime}]
+   */
+  function checkHealth() {
+    return Promise.all(workers.map(worker => new Promise(resolve => {
+      const id = crypto.randomUUID();
+      const timer = setTimeout(() => {
+        worker.healthChecks.delete(id);
+        console.error(`❌ Worker Whisper ${worker.pid} sans réponse depuis ${healthTimeoutMs}ms, arrêt`);
+        worker.process.kill('SIGKILL');
+        resolve({ pid: worker.pid, healthy: false, current: worker.current?.id || null, models: worker.models });
+      }, healthTimeoutMs);
+
+      worker.healthChecks.set(id, message => {
+        clearTimeout(timer);
+        resolve(message
+          ? { pid: worker.pid, healthy: true, current: message.current, queued: message.queued, models: message.models, uptime: message.uptime }
+          : { pid: worker.pid, healthy: false, current: null, models: worker.models });
+      });
+      send(worker, { id, type: 'health' });
+    })));
+  }
+
+  /**
+   * Lance les contrôles de santé périodiques (sans empêcher l'arrêt du processus Node)
+   * @param {number} intervalMs - Intervalle entre deux contrôles
+   */
+  function startHealthChecks(intervalMs) {
+    if (healthTimer || !intervalMs) {
+      return;
+    }
+    healthTimer = setInterval(() => {
+      checkHealth().then(results => {
+        const unhealthy = results.filter(result => !result.healthy);
+        if (unhealthy.length > 0) {
+          console.error(`⚠️  ${unhealthy.length} worker(s) Whisper sans réponse`);
+        }
+      });
+    }, intervalMs);
+    healthTimer.unref();
+  }
+
+  /**
+   * État du pool (sans interroger les workers)
+   * @returns {Object} {size, maxMemoryMb, maxModels, queued, workers: [{pid, ready, busy, current, models, completed, uptime}]}
+   */
+  function getStatus() {
+    return {
+      size,
+      maxMemoryMb,
+      maxModels,
+      queued: queue.length,
+      workers: workers.map(worker => ({
+        pid: worker.pid,
+        ready: worker.ready,
+        busy: Boolean(worker.current),
+        current: worker.current?.id || null,
+        models: worker.models,
+        completed: worker.completed,
+        uptime: Math.round((Date.now() - worker.startedAt) / 1000)
+      }))
+    };
+  }
+
+  /**
+   * Arrête le pool : requêtes en attente rejetées, workers arrêtés à la fermeture de stdin
+   * @param {number} timeoutMs - Délai avant arrêt forcé des workers (défaut: 5000)
+   * @returns {Promise<void>} Résolue quand tous les workers sont arrêtés
+   */
+  function shutdown(timeoutMs = 5000) {
+    closed = true;
+    clearInterval(healthTimer);
+    queue.splice(0).forEach(entry => {
+      entry.cleanup();
+      entry.reject(new Error('Pool de workers Whisper arrêté'));
+    });
+
+    return Promise.all(workers.map(worker => new Promise(resolve => {
+      const timer = setTimeout(() => worker.process.kill('SIGKILL'), timeoutMs);
+      worker.process.once('exit', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      if (worker.current) {
+        // Le worker peut s'arrêter (fin de stdin) avant de traiter l'annulation : la requête reste annulée
+        worker.current.cancelRequested = true;
+        send(worker, { id: worker.current.id, type: 'cancel' });
+      }
+      worker.process.stdin.end();
+    }))).then(() => undefined);
+  }
+
+  return { transcribe, cancel, checkHealth, startHealthChecks, getStatus, shutdown };
+}
+
+// Pool partagé par les routes (créé au premier appel)
+let sharedPool = null;
+
+/**
+ * Pool partagé configuré par l'environnement
+ * @returns {Object|null} Pool, ou null si WHISPER_WORKERS=0 (un processus par transcription)
+ */
+function getWhisperWorkerPool() {
+  const size = parseInt(process.env.WHISPER_WORKERS ?? '1', 10);
+  if (!(size > 0)) {
+    return null;
+  }
+
+  if (!sharedPool) {
+    sharedPool = createWhisperWorkerPool({
+      size,
+      maxMemoryMb: parseInt(process.env.WHISPER_WORKER_MAX_MEMORY_MB, 10) || 4096,
+      maxModels: parseInt(process.env.WHISPER_WORKER_MAX_MODELS, 10) || 0
+    });
+    sharedPool.startHealthChecks(parseInt(process.env.WHISPER_WORKER_HEALTH_INTERVAL_MS ?? '60000', 10));
+  }
+  return sharedPool;
+}
+
+/**
+ * Arrête le pool partagé s'il a été créé
+ * @returns {Promise<void>}
+ */
+function shutdownWhisperWorkerPool() {
+  const pool = sharedPool;
+  sharedPool = null;
+  return pool ? pool.shutdown() : Promise.resolve();
+}
+
+module.exports = {
+  createWhisperWorkerPool,
+  getWhisperWorkerPool,
+  shutdownWhisperWorkerPool
+};
@@ -0,0 +1,227 @@
+/**
+ * Tests unitaires pour le pool de workers Whisper (avec le worker factice)
+ *
+ * Pour exécuter : node backend/services/whisperWorkerPool.test.js
+ */
+
+const path = require('path');
+const { createWhisperWorkerPool } = require('./whisperWorkerPool');
+
+// Couleurs pour l'affichage
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const RESET = '\x1b[0m';
+const BLUE = '\x1b[34m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, testName) {
+  if (condition) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, testName) {
+  if (actual === expected) {
+    console.log(`${GREEN}✓${RESET} ${testName}`);
+    testsPassed++;
+  } else {
+    console.log(`${RED}✗${RESET} ${testName}`);
+    console.log(`  Attendu: "${expected}"`);
+    console.log(`  Obtenu:  "${actual}"`);
+    testsFailed++;
+  }
+}
+
+const STUB = path.join(__dirname, '../scripts/whisperWorkerStub.js');
+
+/**
+ * Pool de workers factices
+ * @param {Object} options - {size, maxModels, healthTimeoutMs}
+ * @returns {Object} Pool
+ */
+function createStubPool({ size = 1, maxModels = 2, healthTimeoutMs = 1000 } = {}) {
+  return createWhisperWorkerPool({
+    size,
+    maxModels,
+    command: process.execPath,
+    args: [STUB, `--max-models=${maxModels}`],
+    healthTimeoutMs
+  });
+}
+
+/**
+ * Paramètres de transcription minimaux
+ * @param {string} modelSize - Taille du modèle
+ * @param {string} audioPath - Fichier audio (sans effet sur le worker factice, sauf crash/hang)
+ * @returns {Object}
+ */
+function request(modelSize, audioPath = 'tmp/audio.wav') {
+  return { audio_path: audioPath, model_size: modelSize, device: 'cpu', compute_type: 'int8', decoding: { task: 'transcribe' } };
+}
+
+/**
+ * Code de l'erreur d'une promesse rejetée
+ * @param {Promise} promise - Promesse
+ * @returns {Promise<string|null>} error.code, message ou null si résolue
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.code || error.message;
+  }
+}
+
+async function run() {
+  console.log(`${BLUE}=== Tests du pool de workers Whisper ===${RESET}\n`);
+
+  // Test 1: Modèles gardés en mémoire
+  console.log(`${BLUE}Test 1: Modèles gardés en mémoire${RESET}`);
+  let pool = createStubPool({ maxModels: 1 });
+  try {
+    const first = await pool.transcribe(request('tiny'), { id: 'req-1' });
+    assertEquals(first.result.segments.length, 5, 'Transcription reçue du worker');
+    assertEquals(first.model.cached, false, 'Premier appel : modèle chargé');
+    const second = await pool.transcribe(request('tiny'));
+    assertEquals(second.model.cached, true, 'Deuxième appel : modèle déjà en mémoire');
+    assertEquals(second.workerPid, first.workerPid, 'Même processus réutilisé');
+    await pool.transcribe(request('base'));
+    const evicted = await pool.transcribe(request('tiny'));
+    assertEquals(evicted.model.cached, false, 'Modèle le moins récemment utilisé retiré (LRU)');
+    assertEquals(pool.getStatus().workers[0].models.join(','), 'tiny/cpu/int8', 'Modèles en mémoire suivis par le pool');
+    assertEquals(pool.getStatus().workers[0].completed, 4, 'Transcriptions comptées');
+  } finally {
+    await pool.shutdown();
+  }
+  console.log('');
+
+  // Test 2: Plusieurs workers
+  console.log(`${BLUE}Test 2: Plusieurs workers${RESET}`);
+  pool = createStubPool({ size: 2 });
+  try {
+    const [tiny, base] = await Promise.all([pool.transcribe(request('tiny')), pool.transcribe(request('base'))]);
+    assert(tiny.workerPid !== base.workerPid, 'Requêtes parallèles sur deux workers');
+    assertEquals(pool.getStatus().workers.length, 2, 'Workers démarrés à la demande');
+    const warm = await pool.transcribe(request('base'));
+    assertEquals(warm.workerPid, base.workerPid, 'Requête envoyée au worker qui a déjà le modèle');
+    assertEquals(warm.model.cached, true, 'Aucun rechargement');
+  } finally {
+    await pool.shutdown();
+  }
+  console.log('');
+
+  // Test 3: Annulation
+  console.log(`${BLUE}Test 3: Annulation${RESET}`);
+  pool = createStubPool();
+  try {
+    const controller = new AbortController();
+    const running = rejection(pool.transcribe(request('tiny'), { signal: controller.signal }));
+    const queued = rejection(pool.transcribe(request('tiny'), { id: 'en-attente' }));
+    assertEquals(pool.getStatus().queued, 1, 'Deuxième requête en file');
+    assert(pool.cancel('en-attente'), 'Requête en file annulée');
+    setTimeout(() => controller.abort(), 80);
+    assertEquals(await running, 'CANCELLED', 'Requête en cours interrompue (AbortSignal)');
+    assertEquals(await queued, 'CANCELLED', 'Requête en file rejetée');
+    assert(!pool.cancel('inconnue'), 'Annulation d\'une requête inconnue');
+    const aborted = new AbortController();
+    aborted.abort();
+    assertEquals(await rejection(pool.transcribe(request('tiny'), { signal: aborted.signal })), 'CANCELLED', 'Signal déjà annulé');
+    const after = await pool.transcribe(request('tiny'));
+    assertEquals(after.result.segments.length, 5, 'Worker réutilisable après une annulation');
+  } finally {
+    await pool.shutdown();
+  }
+  console.log('');
+
+  // Test 4: Santé et redémarrage
+  console.log(`${BLUE}Test 4: Santé et redémarrage${RESET}`);
+  pool = createStubPool({ healthTimeoutMs: 300 });
+  try {
+    await pool.transcribe(request('tiny'));
+    const [health] = await pool.checkHealth();
+    assertEquals(health.healthy, true, 'Worker en bonne santé');
+    assertEquals(health.models.join(','), 'tiny/cpu/int8', 'Modèles rapportés par le worker');
+
+    const crashed = await rejection(pool.transcribe(request('tiny', 'tmp/crash.wav')));
+    assert(String(crashed).startsWith('Worker Whisper arrêté'), 'Arrêt brutal : requête rejetée');
+    assertEquals(pool.getStatus().workers.length, 0, 'Worker arrêté retiré du pool');
+    const restarted = await pool.transcribe(request('tiny'));
+    assertEquals(restarted.model.cached, false, 'Nouveau worker démarré à la requête suivante');
+
+    const hanging = rejection(pool.transcribe(request('tiny', 'tmp/hang.wav')));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const [stuck] = await pool.checkHealth();
+    assertEquals(stuck.healthy, false, 'Worker bloqué détecté');
+    assert(String(await hanging).startsWith('Worker Whisper arrêté'), 'Requête du worker bloqué rejetée');
+    const recovered = await pool.transcribe(request('tiny'));
+    assertEquals(recovered.result.segments.length, 5, 'Pool rétabli après l\'arrêt du worker bloqué');
+  } finally {
+    await pool.shutdown();
+  }
+  console.log('');
+
+  // Test 5: Segments au fil du décodage
+  console.log(`${BLUE}Test 5: Segments au fil du décodage${RESET}`);
+  pool = createStubPool();
+  const streamed = [];
+  const streamedResponse = await pool.transcribe({ ...request('tiny'), stream: true }, {
+    onEvent: event => streamed.push(event)
+  });
+  assertEquals(streamed.map(event => event.type).join(','), 'info,segment,segment,segment,segment,segment', 'Informations puis segments reçus');
+  assertEquals(streamed[0].info.language, 'fr', 'Informations du résultat avant les segments');
+  assertEquals(streamed[5].segment.text, streamedResponse.result.segments[4].text, 'Segments identiques au résultat final');
+  const silent = [];
+  await pool.transcribe(request('tiny'), { onEvent: event => silent.push(event) });
+  assertEquals(silent.length, 0, 'Aucun segment sans params.stream');
+  const throwing = await pool.transcribe({ ...request('tiny'), stream: true }, {
+    onEvent: () => { throw new Error('suivi défaillant'); }
+  });
+  assertEquals(throwing.result.segments.length, 5, 'Erreur du suivi sans effet sur la transcription');
+  await pool.shutdown();
+  console.log('');
+
+  // Test 6: Arrêt du pool
+  console.log(`${BLUE}Test 6: Arrêt du pool${RESET}`);
+  pool = createStubPool();
+  await pool.transcribe(request('tiny'));
+  const pending = rejection(pool.transcribe(request('tiny')));
+  const queuedAtShutdown = rejection(pool.transcribe(request('tiny')));
+  await pool.shutdown();
+  assertEquals(await queuedAtShutdown, 'Pool de workers Whisper arrêté', 'Requêtes en file rejetées à l\'arrêt');
+  assertEquals(await pending, 'CANCELLED', 'Requête en cours annulée à l\'arrêt');
+  assertEquals(pool.getStatus().workers.length, 0, 'Workers arrêtés');
+  assertEquals(await rejection(pool.transcribe(request('tiny'))), 'Pool de workers Whisper arrêté', 'Nouvelles requêtes refusées');
+
+  // Worker arrêté (fin de stdin, puis arrêt forcé) sans avoir traité l'annulation
+  pool = createStubPool();
+  const blocked = rejection(pool.transcribe(request('tiny', 'tmp/hang.wav')));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await pool.shutdown(200);
+  assertEquals(await blocked, 'CANCELLED', 'Requête en cours annulée même si le worker s\'arrête avant l\'annulation');
+  console.log('');
+
+  // Résumé
+  console.log(`${BLUE}=== Résumé des tests ===${RESET}`);
+  console.log(`${GREEN}Tests réussis: ${testsPassed}${RESET}`);
+  console.log(`${RED}Tests échoués: ${testsFailed}${RESET}`);
+
+  if (testsFailed === 0) {
+    console.log(`\n${GREEN}✓ Tous les tests sont passés !${RESET}`);
+    process.exit(0);
+  } else {
+    console.log(`\n${RED}✗ Certains tests ont échoué${RESET}`);
+    process.exit(1);
+  }
+}
+
+run().catch(error => {
+  console.error(`${RED}✗ Erreur inattendue: ${error.message}${RESET}`);
+  process.exit(1);
+});
@@ -24,6 +24,26 @@ function log(color, message) {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
+/**
+ * Lance un job /transcribe-robust et attend son résultat
+ */
+async function runRobustJob(payload) {
+  const { data } = await axios.post(`${API_URL}/transcribe-robust`, payload);
+
+  while (true) {
+    const { data: status } = await axios.get(`${API_URL}/jobs/${data.jobId}`);
+
+    if (status.job.status === 'completed') {
+      return status.job.result;
+    }
+    if (status.job.status === 'failed') {
+      throw new Error(status.job.error);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+}
+
 async function testCacheSystem() {
   console.log('\n' + '='.repeat(80));
   log('cyan', '🧪 TEST DU SYSTÈME DE CACHE');
@@ -50,7 +70,7 @@ async function testCacheSystem() {
   const start1 = Date.now();
   
   try {
-    const response1 = await axios.post(`${API_URL}/transcribe-robust`, {
+    const result1 = await runRobustJob({
       filePath: testFile,
       modelSize: 'tiny',
       language: 'fr',
@@ -64,10 +84,10 @@ async function testCacheSystem() {
     const time1 = ((Date.now() - start1) / 1000).toFixed(2);
     
     log('green', `✅ Succès en ${time1}s`);
-    log('blue', `   fromCache: ${response1.data.fromCache}`);
-    log('blue', `   Segments: ${response1.data.raw?.segments?.length || 0}`);
+    log('blue', `   fromCache: ${result1.fromCache}`);
+    log('blue', `   Segments: ${result1.raw?.segments?.length || 0}`);
     
-    if (response1.data.fromCache) {
+    if (result1.fromCache) {
       log('yellow', '   ⚠️  ATTENTION: Le cache était déjà présent !');
     }
   } catch (error) {
@@ -88,7 +108,7 @@ async function testCacheSystem() {
   const start2 = Date.now();
   
   try {
-    const response2 = await axios.post(`${API_URL}/transcribe-robust`, {
+    const result2 = await runRobustJob({
       filePath: testFile,
       modelSize: 'tiny',
       language: 'fr',
@@ -102,15 +122,15 @@ async function testCacheSystem() {
     const time2 = ((Date.now() - start2) / 1000).toFixed(2);
     
     log('green', `✅ Succès en ${time2}s`);
-    log('blue', `   fromCache: ${response2.data.fromCache}`);
-    log('blue', `   Segments: ${response2.data.raw?.segments?.length || 0}`);
+    log('blue', `   fromCache: ${result2.fromCache}`);
+    log('blue', `   Segments: ${result2.raw?.segments?.length || 0}`);
     
-    if (response2.data.cacheMetadata) {
-      log('blue', `   Cache créé: ${new Date(response2.data.cacheMetadata.createdAt).toLocaleString('fr-FR')}`);
-      log('blue', `   Temps sauvegardé: ${response2.data.cacheMetadata.processingTime}`);
+    if (result2.cacheMetadata) {
+      log('blue', `   Cache créé: ${new Date(result2.cacheMetadata.createdAt).toLocaleString('fr-FR')}`);
+      log('blue', `   Temps sauvegardé: ${result2.cacheMetadata.processingTime}`);
     }
     
-    if (!response2.data.fromCache) {
+    if (!result2.fromCache) {
       log('red', '   ❌ PROBLÈME: Le cache n\'a pas été utilisé !');
     }
   } catch (error) {
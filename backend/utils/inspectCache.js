@@ -5,18 +5,28 @@
  * 
  * Usage:
  *   node backend/utils/inspectCache.js                    # Liste tous les caches
- *   node backend/utils/inspectCache.js <hash>             # Affiche un cache spécifique
+ *   node backend/utils/inspectCache.js <clé|hash>         # Affiche un cache (hash seul: variante la plus récente)
+ *   node backend/utils/inspectCache.js --variants <hash>  # Variantes en cache d'un fichier (une par configuration)
+ *   node backend/utils/inspectCache.js --stages [hash]    # Arbre des étapes intermédiaires (d'un fichier ou de tous)
  *   node backend/utils/inspectCache.js --stats            # Statistiques du cache
- *   node backend/utils/inspectCache.js --clean [days]     # Nettoie les vieux caches
+ *   node backend/utils/inspectCache.js --clean [days]     # Nettoie les caches non utilisés depuis [days] jours
+ *   node backend/utils/inspectCache.js --reindex          # Reconstruit les index du cache et de recherche depuis les fichiers
  */
 
 const {
   loadCache,
+  resolveCacheKey,
+  parseCacheKey,
   listCaches,
+  listCacheVariants,
   getCacheStats,
   cleanOldCaches,
   deleteCache
 } = require('../services/cacheManager');
+const { rebuildIndex, enforceSizeLimit } = require('../services/cacheIndex');
+const { rebuildSearchIndex } = require('../services/searchIndex');
+const { pruneFingerprints } = require('../services/audioFingerprint');
+const { buildStageTree, listStagedFiles, getStageStats } = require('../services/stageCache');
 
 // Couleurs pour l'affichage
 const COLORS = {
@@ -33,6 +43,54 @@ function colorize(text, color) {
   return `${COLORS[color]}${text}${COLORS.reset}`;
 }
 
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+/**
+ * Résumé des paramètres d'une étape
+ */
+function describeStageParams(node) {
+  const params = node.params || {};
+  switch (node.stage) {
+    case 'audio':
+      return `${params.sampleRate} Hz, ${params.channels} canal`;
+    case 'whisper':
+      return `modèle ${params.modelSize}, beam ${params.whisper?.beamSize}, langue ${params.language || 'auto'}`;
+    case 'diarization':
+      return `${params.numSpeakers || 'auto'} locuteur(s)`;
+    case 'cleaned':
+      return `règles ${params.rules?.id} v${params.rules?.version}${params.glossary ? `, glossaire ${params.glossary.id}` : ''}`;
+    case 'gpt':
+      return `${params.provider}/${params.model} (prompt ${params.promptVersion})`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Affiche l'arbre des étapes intermédiaires d'un fichier
+ * @returns {number} Nombre d'étapes affichées
+ */
+function printStageTree(hash) {
+  const roots = buildStageTree(hash);
+  let count = 0;
+
+  const printNode = (node, prefix, isLast) => {
+    const details = describeStageParams(node);
+    const audio = node.artifact ? ' 🎵' : '';
+    console.log(`${prefix}${isLast ? '└─' : '├─'} ${colorize(node.stage, 'green')} ${colorize(node.key.split('-').pop(), 'yellow')}${details ? ` ${details}` : ''}${audio} (${formatSize(node.size)})`);
+    count++;
+    const childPrefix = `${prefix}${isLast ? '   ' : '│  '}`;
+    node.children.forEach((child, index) => printNode(child, childPrefix, index === node.children.length - 1));
+  };
+
+  roots.forEach((root, index) => printNode(root, '   ', index === roots.length - 1));
+  return count;
+}
+
 /**
  * Affiche un cache spécifique
  */
@@ -40,7 +98,9 @@ function inspectCache(hash) {
   console.log(colorize('\n🔍 Inspection du cache', 'bright'));
   console.log(colorize('═'.repeat(60), 'blue'));
   
-  const cache = loadCache(hash);
+  const cacheKey = resolveCacheKey(hash);
+  // Une inspection ne compte pas comme un accès (ordre d'éviction inchangé)
+  const cache = cacheKey ? loadCache(cacheKey, { recordAccess: false }) : null;
   
   if (!cache) {
     console.log(colorize(`\n❌ Cache non trouvé: ${hash}`, 'red'));
@@ -52,12 +112,24 @@ function inspectCache(hash) {
   
   // Métadonnées
   console.log(colorize('\n📋 Métadonnées:', 'cyan'));
-  console.log(`   Hash: ${colorize(metadata.hash || hash, 'yellow')}`);
+  console.log(`   Hash: ${colorize(parseCacheKey(cacheKey).hash, 'yellow')}`);
+  console.log(`   Clé: ${metadata.cacheKey || cacheKey}`);
+  console.log(`   Configuration: ${metadata.fingerprint || 'non précisée (ancienne entrée)'}${metadata.pipelineConfig ? ` (pipeline ${metadata.pipelineConfig.pipeline})` : ''}`);
   console.log(`   Créé le: ${colorize(metadata.createdAt || 'inconnu', 'green')}`);
   console.log(`   Modèle: ${metadata.modelSize || 'inconnu'}`);
   console.log(`   Langue: ${metadata.language || 'inconnu'}`);
   console.log(`   Durée traitement: ${metadata.processingTime || 'inconnu'}`);
   console.log(`   Fichier original: ${metadata.originalFile || 'inconnu'}`);
+  const indexed = listCaches().find(entry => entry.cacheKey === cacheKey);
+  if (indexed) {
+    console.log(`   Taille: ${formatSize(indexed.size)} | Utilisations: ${indexed.hits} | Dernier accès: ${new Date(indexed.lastAccessAt).toLocaleString('fr-FR')}`);
+  }
+  
+  // Étapes intermédiaires réutilisables
+  console.log(colorize('\n🌳 Étapes en cache:', 'cyan'));
+  if (printStageTree(parseCacheKey(cacheKey).hash) === 0) {
+    console.log('   Aucune');
+  }
   
   // Transcription
   if (transcription) {
@@ -121,15 +193,81 @@ function listAllCaches() {
     const date = new Date(cache.createdAt);
     const dateStr = date.toLocaleString('fr-FR');
     const hashShort = cache.hash.substring(0, 12);
+    const configuration = cache.fingerprint ? ` ${colorize(cache.fingerprint, 'cyan')}` : '';
     
-    console.log(`${colorize(`${index + 1}.`, 'green')} ${colorize(hashShort, 'yellow')}...`);
+    console.log(`${colorize(`${index + 1}.`, 'green')} ${colorize(hashShort, 'yellow')}...${configuration}`);
     console.log(`   Créé: ${dateStr}`);
     console.log(`   Modèle: ${cache.modelSize || 'inconnu'} | Langue: ${cache.language || 'inconnu'}`);
     console.log(`   Fichier: ${cache.originalFile || 'inconnu'}`);
+    console.log(`   Taille: ${formatSize(cache.size)} | Utilisations: ${cache.hits} | Dernier accès: ${new Date(cache.lastAccessAt).toLocaleString('fr-FR')}`);
     console.log('');
   });
   
-  console.log(colorize('💡 Utilisez: node backend/utils/inspectCache.js <hash> pour voir les détails', 'cyan'));
+  console.log(colorize('💡 Utilisez: node backend/utils/inspectCache.js <clé> pour voir les détails', 'cyan'));
+  console.log(colorize('═'.repeat(80), 'blue'));
+}
+
+/**
+ * Liste les variantes en cache d'un fichier
+ */
+function listVariants(hash) {
+  console.log(colorize('\n🧬 Variantes en cache', 'bright'));
+  console.log(colorize('═'.repeat(80), 'blue'));
+  
+  const parsed = parseCacheKey(hash);
+  const variants = parsed ? listCacheVariants(parsed.hash) : [];
+  
+  if (variants.length === 0) {
+    console.log(colorize(`\n❌ Aucune variante pour: ${hash}`, 'yellow'));
+    return;
+  }
+  
+  console.log(`\n${colorize('Fichier:', 'cyan')} ${parsed.hash} (${variants.length} variante(s))\n`);
+  
+  variants.forEach((variant, index) => {
+    const config = variant.pipelineConfig;
+    console.log(`${colorize(`${index + 1}.`, 'green')} ${colorize(variant.fingerprint || 'ancienne entrée', 'yellow')} - ${new Date(variant.createdAt).toLocaleString('fr-FR')}`);
+    console.log(`   Pipeline: ${config?.pipeline || 'inconnu'} | Modèle: ${variant.modelSize || 'inconnu'} | Langue: ${variant.language || 'inconnu'}`);
+    if (config) {
+      console.log(`   Règles: ${config.rules.id} v${config.rules.version} | LLM: ${config.llm ? `${config.llm.provider}/${config.llm.model} (prompt ${config.llm.promptVersion})` : 'aucun'}`);
+    }
+    console.log(`   Clé: ${variant.cacheKey}`);
+    console.log('');
+  });
+  
+  console.log(colorize('═'.repeat(80), 'blue'));
+}
+
+/**
+ * Affiche l'arbre des étapes intermédiaires d'un fichier, ou de tous les fichiers
+ */
+function listStages(hash = null) {
+  console.log(colorize('\n🌳 Étapes intermédiaires en cache', 'bright'));
+  console.log(colorize('═'.repeat(80), 'blue'));
+  
+  const parsed = hash ? parseCacheKey(hash) : null;
+  if (hash && !parsed) {
+    console.log(colorize(`\n❌ Hash invalide: ${hash}`, 'red'));
+    return;
+  }
+  const files = parsed ? [parsed.hash] : listStagedFiles();
+  let shown = 0;
+  
+  files.forEach(fileHash => {
+    const [variant] = listCacheVariants(fileHash);
+    console.log(`\n${colorize(fileHash.substring(0, 12), 'yellow')}... ${variant?.originalFile || ''}`);
+    const count = printStageTree(fileHash);
+    if (count === 0) {
+      console.log('   Aucune étape en cache');
+    }
+    shown += count;
+  });
+  
+  if (files.length === 0) {
+    console.log(colorize('\n❌ Aucune étape en cache', 'yellow'));
+  } else {
+    console.log(`\n${colorize('Total:', 'cyan')} ${shown} étape(s)`);
+  }
   console.log(colorize('═'.repeat(80), 'blue'));
 }
 
@@ -145,7 +283,11 @@ function showStats() {
   
   console.log(`\n${colorize('Nombre de caches:', 'cyan')} ${stats.cacheCount}`);
   console.log(`${colorize('Fichiers totaux:', 'cyan')} ${stats.fileCount}`);
-  console.log(`${colorize('Taille totale:', 'cyan')} ${stats.formattedSize}`);
+  console.log(`${colorize('Taille totale:', 'cyan')} ${stats.formattedSize} / ${stats.formattedMaxSize}`);
+  console.log(`${colorize('Utilisations:', 'cyan')} ${stats.hits}`);
+  
+  const stageStats = getStageStats();
+  console.log(`${colorize('Étapes intermédiaires:', 'cyan')} ${stageStats.stageCount} pour ${stageStats.fileCount} fichier(s), ${formatSize(stageStats.totalSize)}`);
   
   if (caches.length > 0) {
     const oldest = caches[caches.length - 1];
@@ -159,10 +301,10 @@ function showStats() {
 }
 
 /**
- * Nettoie les vieux caches
+ * Nettoie les caches non utilisés depuis maxAgeDays jours
  */
 function cleanCaches(maxAgeDays = 30) {
-  console.log(colorize(`\n🧹 Nettoyage des caches > ${maxAgeDays} jours`, 'bright'));
+  console.log(colorize(`\n🧹 Nettoyage des caches non utilisés depuis ${maxAgeDays} jours`, 'bright'));
   console.log(colorize('═'.repeat(60), 'blue'));
   
   const deletedCount = cleanOldCaches(maxAgeDays);
@@ -176,6 +318,33 @@ function cleanCaches(maxAgeDays = 30) {
   console.log(colorize('═'.repeat(60), 'blue'));
 }
 
+/**
+ * Reconstruit l'index du cache depuis les fichiers, applique la limite de taille,
+ * puis réindexe les transcriptions pour la recherche plein texte et supprime les empreintes acoustiques orphelines
+ */
+function reindexCache() {
+  console.log(colorize('\n🗂️  Reconstruction de l\'index du cache', 'bright'));
+  console.log(colorize('═'.repeat(60), 'blue'));
+  
+  const { results, stages, totalSize } = rebuildIndex();
+  console.log(colorize(`\n✅ ${results} résultat(s) et ${stages} étape(s) indexés (${formatSize(totalSize)})`, 'green'));
+  
+  const { evicted } = enforceSizeLimit();
+  if (evicted > 0) {
+    console.log(colorize(`🧹 ${evicted} entrée(s) évincée(s) (limite de taille)`, 'yellow'));
+  }
+  
+  const { documentCount } = rebuildSearchIndex();
+  console.log(colorize(`🔎 ${documentCount} transcription(s) dans l'index de recherche`, 'green'));
+  
+  const prunedFingerprints = pruneFingerprints();
+  if (prunedFingerprints > 0) {
+    console.log(colorize(`🔊 ${prunedFingerprints} empreinte(s) acoustique(s) orpheline(s) supprimée(s)`, 'yellow'));
+  }
+  
+  console.log(colorize('═'.repeat(60), 'blue'));
+}
+
 /**
  * Supprime un cache spécifique
  */
@@ -202,10 +371,13 @@ function showHelp() {
   console.log(colorize('═'.repeat(60), 'blue'));
   console.log('\nUsage:');
   console.log(`  ${colorize('node backend/utils/inspectCache.js', 'cyan')}                    Liste tous les caches`);
-  console.log(`  ${colorize('node backend/utils/inspectCache.js <hash>', 'cyan')}             Affiche un cache spécifique`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js <clé|hash>', 'cyan')}         Affiche un cache spécifique`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js --variants <hash>', 'cyan')}  Variantes en cache d'un fichier`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js --stages [hash]', 'cyan')}    Arbre des étapes intermédiaires`);
   console.log(`  ${colorize('node backend/utils/inspectCache.js --stats', 'cyan')}            Statistiques du cache`);
-  console.log(`  ${colorize('node backend/utils/inspectCache.js --clean [days]', 'cyan')}     Nettoie les vieux caches (défaut: 30j)`);
-  console.log(`  ${colorize('node backend/utils/inspectCache.js --delete <hash>', 'cyan')}    Supprime un cache spécifique`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js --clean [days]', 'cyan')}     Nettoie les caches inutilisés (défaut: 30j)`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js --reindex', 'cyan')}          Reconstruit les index du cache et de recherche`);
+  console.log(`  ${colorize('node backend/utils/inspectCache.js --delete <clé>', 'cyan')}     Supprime un cache spécifique`);
   console.log(`  ${colorize('node backend/utils/inspectCache.js --help', 'cyan')}             Affiche cette aide`);
   console.log(colorize('═'.repeat(60), 'blue'));
 }
@@ -223,6 +395,17 @@ function main() {
   } else if (args[0] === '--clean') {
     const days = parseInt(args[1]) || 30;
     cleanCaches(days);
+  } else if (args[0] === '--reindex') {
+    reindexCache();
+  } else if (args[0] === '--variants') {
+    if (!args[1]) {
+      console.log(colorize('\n❌ Hash requis pour --variants', 'red'));
+      showHelp();
+    } else {
+      listVariants(args[1]);
+    }
+  } else if (args[0] === '--stages') {
+    listStages(args[1] || null);
   } else if (args[0] === '--delete') {
     if (!args[1]) {
       console.log(colorize('\n❌ Hash requis pour --delete', 'red'));
@@ -240,4 +423,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { inspectCache, listAllCaches, showStats };
+module.exports = { inspectCache, listAllCaches, listVariants, listStages, showStats };
@@ -0,0 +1,254 @@
+#!/usr/bin/env python3
+"""
+Script de diarisation (qui parle quand ?) entièrement local, sur CPU
+Calcule une empreinte vocale (MFCC moyens + écart-type) pour chaque segment
+Whisper puis regroupe les segments par locuteur (clustering agglomératif)
+"""
+
+import sys
+import json
+import os
+import argparse
+import numpy as np
+from faster_whisper import decode_audio
+
+SAMPLE_RATE = 16000
+
+# Paramètres d'analyse spectrale (fenêtres de 25 ms, pas de 10 ms)
+N_FFT = 400
+HOP_LENGTH = 160
+N_MELS = 40
+N_MFCC = 20
+
+# Segments plus courts : empreinte peu fiable, locuteur hérité du voisin
+MIN_SEGMENT_DURATION = 0.5
+
+
+def mel_filterbank(n_mels=N_MELS, n_fft=N_FFT, sample_rate=SAMPLE_RATE):
+    """
+    Construit un banc de filtres triangulaires sur l'échelle de Mel
+
+    Returns:
+        np.ndarray: Matrice (n_mels, n_fft // 2 + 1)
+    """
+    def hz_to_mel(hz):
+        return 2595.0 * np.log10(1.0 + hz / 700.0)
+
+    def mel_to_hz(mel):
+        return 700.0 * (10 ** (mel / 2595.0) - 1.0)
+
+    mel_points = np.linspace(hz_to_mel(0), hz_to_mel(sample_rate / 2), n_mels + 2)
+    bins = np.floor((n_fft + 1) * mel_to_hz(mel_points) / sample_rate).astype(int)
+
+    filters = np.zeros((n_mels, n_fft // 2 + 1))
+    for m in range(1, n_mels + 1):
+        left, center, right = bins[m - 1], bins[m], bins[m + 1]
+        for k in range(left, center):
+            filters[m - 1, k] = (k - left) / max(center - left, 1)
+        for k in range(center, right):
+            filters[m - 1, k] = (right - k) / max(right - center, 1)
+
+    return filters
+
+
+def dct_matrix(n_mfcc=N_MFCC, n_mels=N_MELS):
+    """Matrice DCT-II orthonormée (n_mfcc, n_mels) pour passer du log-Mel aux MFCC"""
+    n = np.arange(n_mels)
+    k = np.arange(n_mfcc)[:, None]
+    matrix = np.cos(np.pi / n_mels * (n + 0.5) * k) * np.sqrt(2.0 / n_mels)
+    matrix[0] /= np.sqrt(2.0)
+    return matrix
+
+
+def compute_mfcc(audio):
+    """
+    Calcule les MFCC d'un signal audio mono 16 kHz
+
+    Returns:
+        np.ndarray: Matrice (frames, N_MFCC)
+    """
+    if len(audio) < N_FFT:
+        audio = np.pad(audio, (0, N_FFT - len(audio)))
+
+    frame_count = 1 + (len(audio) - N_FFT) // HOP_LENGTH
+    indices = np.arange(N_FFT)[None, :] + HOP_LENGTH * np.arange(frame_count)[:, None]
+    frames = audio[indices] * np.hanning(N_FFT)
+
+    power = np.abs(np.fft.rfft(frames, n=N_FFT)) ** 2
+    mel = power @ mel_filterbank().T
+    log_mel = np.log(mel + 1e-10)
+
+    return log_mel @ dct_matrix().T
+
+
+def segment_embedding(mfcc, start, end):
+    """
+    Empreinte vocale d'un segment : moyenne et écart-type des MFCC (sans le coefficient d'énergie)
+
+    Returns:
+        np.ndarray | None: Vecteur de dimension 2 * (N_MFCC - 1), None si segment trop court
+    """
+    if end - start < MIN_SEGMENT_DURATION:
+        return None
+
+    first = int(start * SAMPLE_RATE / HOP_LENGTH)
+    last = int(end * SAMPLE_RATE / HOP_LENGTH)
+    window = mfcc[first:last, 1:]
+
+    if len(window) < 10:
+        return None
+
+    return np.concatenate([window.mean(axis=0), window.std(axis=0)])
+
+
+def cluster_embeddings(embeddings, num_speakers=None, threshold=0.6, max_speakers=8):
+    """
+    Clustering agglomératif (lien moyen, distance cosinus)
+
+    Args:
+        embeddings (np.ndarray): Matrice (n, d) des empreintes
+        num_speakers (int): Nombre de locuteurs imposé, ou None pour utiliser le seuil
+        threshold (float): Distance cosinus maximale pour fusionner deux groupes
+        max_speakers (int): Nombre maximum de locuteurs si num_speakers est None
+
+    Returns:
+        list[int]: Étiquette de cluster pour chaque empreinte
+    """
+    n = len(embeddings)
+    if n == 0:
+        return []
+    if n == 1:
+        return [0]
+
+    # Standardisation puis normalisation L2 (distance cosinus = 1 - produit scalaire)
+    normalized = (embeddings - embeddings.mean(axis=0)) / (embeddings.std(axis=0) + 1e-8)
+    normalized /= np.linalg.norm(normalized, axis=1, keepdims=True) + 1e-8
+    distances = 1.0 - normalized @ normalized.T
+    np.fill_diagonal(distances, np.inf)
+
+    sizes = np.ones(n)
+    active = np.ones(n, dtype=bool)
+    labels = np.arange(n)
+    target = num_speakers or 1
+
+    while active.sum() > target:
+        masked = np.where(active[:, None] & active[None, :], distances, np.inf)
+        i, j = np.unravel_index(np.argmin(masked), masked.shape)
+        closest = masked[i, j]
+
+        # Arrêt au seuil sauf si le nombre maximum de locuteurs est encore dépassé
+        if num_speakers is None and closest > threshold and active.sum() <= max_speakers:
+            break
+
+        # Formule de Lance-Williams pour le lien moyen
+        merged = (sizes[i] * distances[i] + sizes[j] * distances[j]) / (sizes[i] + sizes[j])
+        distances[i, :] = merged
+        distances[:, i] = merged
+        distances[i, i] = np.inf
+        sizes[i] += sizes[j]
+        active[j] = False
+        labels[labels == j] = i
+
+    # Renuméroter les locuteurs par ordre d'apparition
+    mapping = {}
+    for label in labels:
+        if label not in mapping:
+            mapping[label] = len(mapping)
+    return [mapping[label] for label in labels]
+
+
+def diarize(audio_path, segments, num_speakers=None, threshold=0.6, max_speakers=8):
+    """
+    Attribue un locuteur à chaque segment de transcription
+
+    Args:
+        audio_path (str): Chemin du fichier audio
+        segments (list): Segments Whisper [{id, start, end, ...}]
+
+    Returns:
+        dict: {"speakers": [...], "segments": [{"id", "speaker"}]}
+    """
+    if not os.path.exists(audio_path):
+        raise FileNotFoundError(f"Fichier audio introuvable: {audio_path}")
+
+    print(f"🗣️  Diarisation de: {audio_path} ({len(segments)} segments)", file=sys.stderr)
+
+    audio = decode_audio(audio_path, sampling_rate=SAMPLE_RATE)
+    mfcc = compute_mfcc(audio)
+
+    embeddings = []
+    embedded_indices = []
+    for index, segment in enumerate(segments):
+        embedding = segment_embedding(mfcc, segment["start"], segment["end"])
+        if embedding is not None:
+            embeddings.append(embedding)
+            embedded_indices.append(index)
+
+    cluster_labels = cluster_embeddings(np.array(embeddings), num_speakers, threshold, max_speakers) if embeddings else []
+
+    # Segments trop courts : locuteur du segment précédent (ou suivant au début)
+    speaker_by_index = dict(zip(embedded_indices, cluster_labels))
+    assigned = []
+    previous = None
+    for index in range(len(segments)):
+        label = speaker_by_index.get(index, previous)
+        assigned.append(label)
+        if label is not None:
+            previous = label
+    first_known = next((label for label in assigned if label is not None), 0)
+    assigned = [first_known if label is None else label for label in assigned]
+
+    speakers = sorted(set(assigned))
+    print(f"✅ Locuteurs détectés: {len(speakers)}", file=sys.stderr)
+
+    return {
+        "speakers": [f"SPEAKER_{label + 1}" for label in speakers],
+        "segments": [
+            {"id": segment.get("id", index), "speaker": f"SPEAKER_{assigned[index] + 1}"}
+            for index, segment in enumerate(segments)
+        ]
+    }
+
+
+def parse_arguments():
+    """Analyse les arguments de la ligne de commande"""
+
+    parser = argparse.ArgumentParser(
+        description="Diarisation locale des segments de transcription",
+        epilog="Exemple: python diarize.py tmp/audio.wav tmp/audio.json --num-speakers 2"
+    )
+    parser.add_argument("audio_path", help="Chemin du fichier audio WAV")
+    parser.add_argument("segments_path", help="Fichier JSON de transcription (avec 'segments')")
+    parser.add_argument("--num-speakers", type=int, default=None,
+                        help="Nombre de locuteurs connu (sinon estimé avec le seuil)")
+    parser.add_argument("--threshold", type=float, default=0.6,
+                        help="Distance cosinus maximale pour regrouper deux locuteurs (défaut: 0.6)")
+    parser.add_argument("--max-speakers", type=int, default=8,
+                        help="Nombre maximum de locuteurs estimés (défaut: 8)")
+
+    return parser.parse_args()
+
+
+def main():
+    """Point d'entrée du script"""
+
+    args = parse_arguments()
+
+    try:
+        with open(args.segments_path, "r", encoding="utf-8") as f:
+            data = json.load(f)
+
+        segments = data["segments"] if isinstance(data, dict) else data
+        result = diarize(args.audio_path, segments, args.num_speakers, args.threshold, args.max_speakers)
+
+        # Afficher le JSON sur stdout (pour Node.js)
+        print(json.dumps(result, ensure_ascii=False))
+        sys.exit(0)
+
+    except Exception as e:
+        print(f"❌ Erreur: {str(e)}", file=sys.stderr)
+        sys.exit(1)
+
+
+if __name__ == "__main__":
+    main()
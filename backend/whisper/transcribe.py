@@ -2,74 +2,168 @@
 """
 Script de transcription audio avec faster-whisper
 Convertit un fichier audio WAV en JSON avec segments temporels
+
+Avec --stream, la sortie est en JSON ligne par ligne (NDJSON), au fil du décodage :
+    {"type": "info", "info": {"language": ..., "language_probability": ..., "duration": ..., "task": ...}}
+    {"type": "segment", "segment": {"id": ..., "start": ..., "end": ..., "text": ...}}
+    {"type": "done", "segment_count": ..., "json_path": ...}
+    {"type": "error", "error": ...}   (puis code de sortie 1)
 """
 
 import sys
 import json
 import os
+import argparse
+import inspect
 from pathlib import Path
 from faster_whisper import WhisperModel
 
-def transcribe_audio(audio_path, model_size="large-v3", language=None):
+# Paramètres de décodage par défaut (surchargés par les options de la ligne de commande)
+DEFAULT_DECODING = {
+    "beam_size": 5,
+    "temperature": [0.0, 0.2, 0.4, 0.6, 0.8, 1.0],
+    "vad_filter": True,
+    "vad_parameters": None,
+    "condition_on_previous_text": True,
+    "no_speech_threshold": 0.6,
+    "task": "transcribe",
+}
+
+
+class TranscriptionCancelled(Exception):
+    """Transcription interrompue à la demande (voir worker.py)"""
+
+
+def load_model(model_size="large-v3", device="cpu", compute_type="int8"):
     """
-    Transcrit un fichier audio avec faster-whisper
+    Charge un modèle faster-whisper
     
     Args:
-        audio_path (str): Chemin du fichier audio WAV
         model_size (str): Taille du modèle (tiny, base, small, medium, large-v3)
-        language (str): Code langue (fr, en, etc.) ou None pour détection auto
+        device (str): cpu, cuda ou auto
+        compute_type (str): int8 (CPU), float16 (GPU), etc.
     
     Returns:
-        dict: Résultat de transcription avec segments
+        WhisperModel: Modèle chargé
     """
     
-    # Vérifier que le fichier existe
-    if not os.path.exists(audio_path):
-        raise FileNotFoundError(f"Fichier audio introuvable: {audio_path}")
-    
-    print(f"🎤 Chargement du modèle Whisper '{model_size}'...", file=sys.stderr)
+    print(f"🎤 Chargement du modèle Whisper '{model_size}' ({device}/{compute_type})...", file=sys.stderr)
     
-    # Charger le modèle Whisper
     # device="cpu" pour CPU, "cuda" pour GPU
     # compute_type="int8" pour CPU (plus rapide), "float16" pour GPU
-    model = WhisperModel(
+    return WhisperModel(
         model_size,
-        device="cpu",
-        compute_type="int8"
+        device=device,
+        compute_type=compute_type
     )
+
+
+def transcribe_with_model(model, audio_path, language=None, word_timestamps=False,
+                          initial_prompt=None, hotwords=None, decoding=None, should_stop=None,
+                          on_info=None, on_segment=None):
+    """
+    Transcrit un fichier audio avec un modèle déjà chargé
+    
+    Args:
+        model (WhisperModel): Modèle chargé (voir load_model)
+        audio_path (str): Chemin du fichier audio WAV
+        language (str): Code langue (fr, en, etc.) ou None pour détection auto
+        word_timestamps (bool): Ajouter les timestamps de chaque mot aux segments
+        initial_prompt (str): Texte d'amorce (termes d'un glossaire) ou None
+        hotwords (str): Termes à favoriser (faster-whisper >= 1.0.2) ou None
+        decoding (dict): Paramètres de décodage (voir DEFAULT_DECODING), None = défauts
+        should_stop (callable): Appelée entre deux segments, True interrompt la transcription
+        on_info (callable): Appelée avec les informations du résultat (sans segments) avant le décodage
+        on_segment (callable): Appelée avec chaque segment dès qu'il est décodé
+    
+    Returns:
+        dict: Résultat de transcription avec segments
+    
+    Raises:
+        TranscriptionCancelled: si should_stop() retourne True
+    """
+    
+    # Vérifier que le fichier existe
+    if not os.path.exists(audio_path):
+        raise FileNotFoundError(f"Fichier audio introuvable: {audio_path}")
     
     print(f"🎵 Transcription de: {audio_path}", file=sys.stderr)
     
     # Transcrire l'audio
     # beam_size: taille du faisceau de recherche (5 = bon compromis)
+    # temperature: températures essayées successivement si le décodage échoue
     # language: langue de l'audio (None = détection automatique)
-    # vad_filter: filtre de détection de voix (réduit les segments vides)
+    # vad_filter / vad_parameters: filtre de détection de voix (réduit les segments vides)
+    # condition_on_previous_text: amorcer avec le segment précédent (False limite les boucles de répétition)
+    # no_speech_threshold: seuil de probabilité de silence au-delà duquel un segment est ignoré
+    # task: transcribe, ou translate (traduction vers l'anglais)
+    # word_timestamps: timestamps par mot (plus lent, utile pour le karaoké et le re-timing)
+    # initial_prompt / hotwords: vocabulaire du glossaire (noms propres, produits)
+    decoding = {**DEFAULT_DECODING, **(decoding or {})}
+    options = {key: value for key, value in decoding.items() if value is not None}
+    if not decoding["vad_filter"]:
+        options.pop("vad_parameters", None)
+    if hotwords:
+        if "hotwords" in inspect.signature(model.transcribe).parameters:
+            options["hotwords"] = hotwords
+        else:
+            # Versions antérieures de faster-whisper : le vocabulaire passe par l'amorce
+            print("⚠️  hotwords non pris en charge par cette version de faster-whisper, ajout à l'amorce", file=sys.stderr)
+            initial_prompt = initial_prompt or f"{hotwords}."
+    if initial_prompt:
+        options["initial_prompt"] = initial_prompt
+
     segments, info = model.transcribe(
         audio_path,
-        beam_size=5,
         language=language,
-        vad_filter=True,
-        word_timestamps=False
+        word_timestamps=word_timestamps,
+        **options
     )
     
     print(f"✅ Langue détectée: {info.language} (probabilité: {info.language_probability:.2f})", file=sys.stderr)
     
     # Construire le résultat JSON
+    # En traduction, le texte est en anglais : "language" décrit le texte, "source_language" l'audio
+    translated = decoding["task"] == "translate"
     result = {
-        "language": info.language,
+        "language": "en" if translated else info.language,
+        "source_language": info.language,
         "language_probability": round(info.language_probability, 4),
         "duration": round(info.duration, 2),
+        "task": decoding["task"],
         "segments": []
     }
+    if on_info:
+        on_info({key: value for key, value in result.items() if key != "segments"})
     
     # Extraire les segments avec timestamps
+    # Les segments sont décodés au fur et à mesure : l'interruption est possible entre deux segments
     for segment in segments:
-        result["segments"].append({
+        if should_stop and should_stop():
+            raise TranscriptionCancelled("Transcription annulée")
+        
+        segment_data = {
             "id": segment.id,
             "start": round(segment.start, 2),
             "end": round(segment.end, 2),
             "text": segment.text.strip()
-        })
+        }
+        
+        # Timestamps par mot (disponibles uniquement si word_timestamps=True)
+        if word_timestamps and segment.words:
+            segment_data["words"] = [
+                {
+                    "word": word.word.strip(),
+                    "start": round(word.start, 2),
+                    "end": round(word.end, 2),
+                    "probability": round(word.probability, 4)
+                }
+                for word in segment.words
+            ]
+        
+        result["segments"].append(segment_data)
+        if on_segment:
+            on_segment(segment_data)
         # Logs désactivés pour ne pas encombrer le terminal
         # print(f"  [{segment.start:.2f}s → {segment.end:.2f}s] {segment.text.strip()}", file=sys.stderr)
     
@@ -78,42 +172,177 @@ def transcribe_audio(audio_path, model_size="large-v3", language=None):
     return result
 
 
+def transcribe_audio(audio_path, model_size="large-v3", language=None, word_timestamps=False,
+                     initial_prompt=None, hotwords=None, device="cpu", compute_type="int8", decoding=None,
+                     on_info=None, on_segment=None):
+    """
+    Transcrit un fichier audio avec faster-whisper (chargement du modèle compris)
+    
+    Args:
+        audio_path (str): Chemin du fichier audio WAV
+        model_size (str): Taille du modèle (tiny, base, small, medium, large-v3)
+        language (str): Code langue (fr, en, etc.) ou None pour détection auto
+        word_timestamps (bool): Ajouter les timestamps de chaque mot aux segments
+        initial_prompt (str): Texte d'amorce (termes d'un glossaire) ou None
+        hotwords (str): Termes à favoriser (faster-whisper >= 1.0.2) ou None
+        device (str): cpu, cuda ou auto
+        compute_type (str): int8 (CPU), float16 (GPU), etc.
+        decoding (dict): Paramètres de décodage (voir DEFAULT_DECODING), None = défauts
+        on_info (callable): Informations du résultat avant le décodage (voir transcribe_with_model)
+        on_segment (callable): Chaque segment dès qu'il est décodé (voir transcribe_with_model)
+    
+    Returns:
+        dict: Résultat de transcription avec segments
+    """
+    
+    # Vérifier le fichier avant de charger le modèle (chargement coûteux)
+    if not os.path.exists(audio_path):
+        raise FileNotFoundError(f"Fichier audio introuvable: {audio_path}")
+    
+    model = load_model(model_size, device, compute_type)
+    return transcribe_with_model(model, audio_path, language, word_timestamps,
+                                 initial_prompt, hotwords, decoding,
+                                 on_info=on_info, on_segment=on_segment)
+
+
+def save_result(audio_path, result):
+    """
+    Sauvegarde le résultat JSON à côté du fichier audio
+    tmp/audio.wav → tmp/audio.json
+    
+    Returns:
+        Path: Chemin du fichier JSON
+    """
+    
+    json_path = Path(audio_path).with_suffix('.json')
+    with open(json_path, 'w', encoding='utf-8') as f:
+        json.dump(result, f, ensure_ascii=False, indent=2)
+    
+    print(f"💾 JSON sauvegardé: {json_path}", file=sys.stderr)
+    return json_path
+
+
+def emit(message):
+    """Écrit un message JSON sur une ligne de stdout (mode --stream)"""
+    print(json.dumps(message, ensure_ascii=False), flush=True)
+
+
+def parse_temperatures(value):
+    """Convertit "0,0.2,0.4" en liste de températures ("0.3" en valeur unique)"""
+    temperatures = [float(item) for item in value.split(",") if item.strip()]
+    if not temperatures:
+        raise argparse.ArgumentTypeError("au moins une température attendue")
+    return temperatures if len(temperatures) > 1 else temperatures[0]
+
+
+# Paramètres VAD reçus de Node (camelCase) → arguments faster-whisper
+VAD_PARAMETER_NAMES = {
+    "threshold": "threshold",
+    "minSpeechDurationMs": "min_speech_duration_ms",
+    "minSilenceDurationMs": "min_silence_duration_ms",
+    "speechPadMs": "speech_pad_ms",
+}
+
+
+def convert_vad_parameters(parameters):
+    """Convertit les paramètres VAD camelCase en arguments faster-whisper (ValueError si inconnus)"""
+    unknown = [key for key in parameters if key not in VAD_PARAMETER_NAMES]
+    if unknown:
+        raise ValueError(f"paramètres VAD inconnus: {', '.join(unknown)}")
+    return {VAD_PARAMETER_NAMES[key]: value for key, value in parameters.items()}
+
+
+def parse_vad_parameters(value):
+    """Convertit les paramètres VAD JSON (camelCase) en arguments faster-whisper"""
+    try:
+        return convert_vad_parameters(json.loads(value))
+    except (json.JSONDecodeError, ValueError) as error:
+        raise argparse.ArgumentTypeError(str(error))
+
+
+def parse_arguments():
+    """Analyse les arguments de la ligne de commande"""
+    
+    parser = argparse.ArgumentParser(
+        description="Transcription audio avec faster-whisper",
+        epilog="Exemple: python transcribe.py tmp/audio.wav base fr --word-timestamps"
+    )
+    parser.add_argument("audio_path", help="Chemin du fichier audio WAV")
+    parser.add_argument("model_size", nargs="?", default="large-v3",
+                        help="Modèle: tiny, base, small, medium, large-v3 (défaut: large-v3)")
+    parser.add_argument("language", nargs="?", default=None,
+                        help="Code langue (fr, en, etc.), détection auto si absent")
+    parser.add_argument("--word-timestamps", action="store_true",
+                        help="Ajouter les timestamps de chaque mot aux segments")
+    parser.add_argument("--initial-prompt", default=None,
+                        help="Texte d'amorce (ex: termes d'un glossaire)")
+    parser.add_argument("--hotwords", default=None,
+                        help="Termes à favoriser, ex: \"Staily, Radio-Canada\"")
+    parser.add_argument("--device", default="cpu", choices=["cpu", "cuda", "auto"],
+                        help="Matériel d'inférence (défaut: cpu)")
+    parser.add_argument("--compute-type", default="int8",
+                        help="Précision de calcul: int8 (CPU), float16 (GPU), etc. (défaut: int8)")
+    parser.add_argument("--beam-size", type=int, default=DEFAULT_DECODING["beam_size"],
+                        help="Taille du faisceau de recherche (défaut: 5)")
+    parser.add_argument("--temperature", type=parse_temperatures, default=DEFAULT_DECODING["temperature"],
+                        help="Température ou liste de températures, ex: 0,0.2,0.4 (défaut: 0 à 1 par pas de 0.2)")
+    parser.add_argument("--no-vad-filter", dest="vad_filter", action="store_false",
+                        help="Désactiver le filtre de détection de voix")
+    parser.add_argument("--vad-parameters", type=parse_vad_parameters, default=None,
+                        help="Paramètres VAD en JSON, ex: {\"minSilenceDurationMs\": 500}")
+    parser.add_argument("--no-condition-on-previous-text", dest="condition_on_previous_text", action="store_false",
+                        help="Ne pas amorcer chaque segment avec le texte précédent")
+    parser.add_argument("--no-speech-threshold", type=float, default=DEFAULT_DECODING["no_speech_threshold"],
+                        help="Seuil de probabilité de silence (défaut: 0.6)")
+    parser.add_argument("--task", default="transcribe", choices=["transcribe", "translate"],
+                        help="transcribe (défaut) ou translate (traduction vers l'anglais)")
+    parser.add_argument("--stream", action="store_true",
+                        help="Sortie JSON ligne par ligne (info, segments au fil du décodage, fin)")
+    
+    return parser.parse_args()
+
+
 def main():
     """Point d'entrée du script"""
     
-    # Vérifier les arguments
-    if len(sys.argv) < 2:
-        print("❌ Usage: python transcribe.py <audio.wav> [model_size] [language]", file=sys.stderr)
-        print("   Exemple: python transcribe.py tmp/audio.wav base fr", file=sys.stderr)
-        print("   Modèles: tiny, base, small, medium, large-v3", file=sys.stderr)
-        sys.exit(1)
-    
-    audio_path = sys.argv[1]
-    model_size = sys.argv[2] if len(sys.argv) > 2 else "large-v3"
-    language = sys.argv[3] if len(sys.argv) > 3 else None
+    args = parse_arguments()
+    audio_path = args.audio_path
     
     try:
         # Transcrire l'audio
-        result = transcribe_audio(audio_path, model_size, language)
-        
-        # Générer le chemin du fichier JSON de sortie
-        # tmp/audio.wav → tmp/audio.json
-        audio_file = Path(audio_path)
-        json_path = audio_file.with_suffix('.json')
-        
-        # Sauvegarder le résultat en JSON
-        with open(json_path, 'w', encoding='utf-8') as f:
-            json.dump(result, f, ensure_ascii=False, indent=2)
+        decoding = {
+            "beam_size": args.beam_size,
+            "temperature": args.temperature,
+            "vad_filter": args.vad_filter,
+            "vad_parameters": args.vad_parameters,
+            "condition_on_previous_text": args.condition_on_previous_text,
+            "no_speech_threshold": args.no_speech_threshold,
+            "task": args.task,
+        }
+        # En streaming, chaque segment est écrit dès qu'il est décodé
+        stream_callbacks = {
+            "on_info": lambda info: emit({"type": "info", "info": info}),
+            "on_segment": lambda segment: emit({"type": "segment", "segment": segment}),
+        } if args.stream else {}
+        result = transcribe_audio(audio_path, args.model_size, args.language, args.word_timestamps,
+                                  args.initial_prompt, args.hotwords, args.device, args.compute_type, decoding,
+                                  **stream_callbacks)
         
-        print(f"💾 JSON sauvegardé: {json_path}", file=sys.stderr)
+        # Sauvegarder le résultat en JSON (tmp/audio.wav → tmp/audio.json)
+        json_path = save_result(audio_path, result)
         
-        # Afficher le JSON sur stdout (pour Node.js)
-        print(json.dumps(result, ensure_ascii=False))
+        # Afficher le JSON sur stdout (pour Node.js), ou la fin du flux
+        if args.stream:
+            emit({"type": "done", "segment_count": len(result["segments"]), "json_path": str(json_path)})
+        else:
+            print(json.dumps(result, ensure_ascii=False))
         
         sys.exit(0)
         
     except Exception as e:
         print(f"❌ Erreur: {str(e)}", file=sys.stderr)
+        if args.stream:
+            emit({"type": "error", "error": str(e)})
         sys.exit(1)
 
 
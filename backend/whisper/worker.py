@@ -0,0 +1,270 @@
+#!/usr/bin/env python3
+"""
+Worker de transcription persistant (faster-whisper)
+Garde les modèles chargés en mémoire entre les requêtes, dans la limite d'un budget mémoire :
+les modèles les moins récemment utilisés sont retirés jusqu'à ce que le nouveau tienne
+et dialogue avec Node en JSON, une ligne par message (voir services/whisperWorkerPool.js)
+
+Requêtes (stdin):
+    {"id": "...", "type": "transcribe", "params": {"audio_path": ..., "model_size": ..., ...}}
+    {"id": "...", "type": "cancel"}      annule la requête "id" (en attente ou en cours)
+    {"id": "...", "type": "health"}      état du worker, répondu même pendant une transcription
+
+Réponses (stdout):
+    {"type": "ready", "pid": ..., "capacity": ..., "maxMemoryMb": ...}
+    {"id": "...", "type": "info", "info": {...}}            si params.stream : avant le décodage
+    {"id": "...", "type": "segment", "segment": {...}}      si params.stream : chaque segment décodé
+    {"id": "...", "type": "result", "result": {...}, "model": {...}, "models": [...]}
+    {"id": "...", "type": "error", "error": "...", "cancelled": false, "models": [...]}
+    {"id": "...", "type": "health", "pid": ..., "current": ..., "queued": ..., "models": [...], "memoryMb": ...}
+
+Les logs sont écrits sur stderr. Le worker s'arrête à la fermeture de stdin.
+
+Usage: python worker.py [--max-memory-mb 4096] [--max-models 0]
+"""
+
+import sys
+import json
+import os
+import time
+import argparse
+import threading
+import queue
+from collections import OrderedDict
+
+from transcribe import (
+    load_model, transcribe_with_model, save_result, convert_vad_parameters,
+    TranscriptionCancelled
+)
+
+# Sortie réservée au protocole : les print() des bibliothèques partent sur stderr
+protocol_out = sys.stdout
+sys.stdout = sys.stderr
+output_lock = threading.Lock()
+
+
+def send(message):
+    """Écrit un message JSON sur une ligne"""
+    with output_lock:
+        protocol_out.write(json.dumps(message, ensure_ascii=False) + "\n")
+        protocol_out.flush()
+
+
+# Mémoire approximative des modèles en float16 (Mo, poids CTranslate2 de faster-whisper)
+MODEL_MEMORY_MB = {
+    "tiny": 75, "tiny.en": 75,
+    "base": 145, "base.en": 145,
+    "small": 485, "small.en": 485,
+    "medium": 1530, "medium.en": 1530,
+    "large-v1": 3090, "large-v2": 3090, "large-v3": 3090, "large": 3090,
+    "large-v3-turbo": 1620, "turbo": 1620,
+    "distil-small.en": 335, "distil-medium.en": 790,
+    "distil-large-v2": 1510, "distil-large-v3": 1510
+}
+
+# Modèle inconnu (ex: chemin d'un modèle personnalisé) : compté comme un large
+DEFAULT_MODEL_MEMORY_MB = MODEL_MEMORY_MB["large-v3"]
+
+# Facteur selon la précision des poids (int8 : moitié du float16, float32 : double)
+COMPUTE_TYPE_FACTORS = {"int8": 0.5, "float32": 2.0}
+
+
+def estimate_model_memory(model_size, compute_type):
+    """Mémoire approximative d'un modèle chargé (Mo)"""
+    base = MODEL_MEMORY_MB.get(model_size, DEFAULT_MODEL_MEMORY_MB)
+    factor = next((value for prefix, value in COMPUTE_TYPE_FACTORS.items() if compute_type.startswith(prefix)), 1.0)
+    return round(base * factor)
+
+
+class ModelCache:
+    """Modèles chargés, du moins récemment utilisé au plus récent, avec leur mémoire estimée"""
+
+    def __init__(self, max_memory_mb, capacity=0):
+        self.max_memory_mb = max_memory_mb
+        self.capacity = capacity
+        self.models = OrderedDict()
+        self.memory = {}
+        self.lock = threading.Lock()
+
+    def memory_mb(self):
+        """Mémoire estimée des modèles chargés (Mo)"""
+        with self.lock:
+            return sum(self.memory.values())
+
+    def make_room(self, needed_mb):
+        """
+        Retire les modèles les moins récemment utilisés jusqu'à ce qu'un modèle de needed_mb tienne
+        dans le budget (et sous le nombre maximal de modèles s'il est fixé)
+        Un modèle plus gros que le budget est chargé seul
+        """
+        while self.models and (
+            sum(self.memory.values()) + needed_mb > self.max_memory_mb
+            or (self.capacity and len(self.models) >= self.capacity)
+        ):
+            evicted, _ = self.models.popitem(last=False)
+            freed = self.memory.pop(evicted)
+            print(f"♻️  Modèle retiré de la mémoire: {evicted} (~{freed} Mo)", file=sys.stderr)
+
+    def get(self, model_size, device, compute_type):
+        """
+        Retourne un modèle chargé (chargé au besoin, en retirant le moins récemment utilisé)
+
+        Returns:
+            tuple: (modèle, déjà en mémoire, durée de chargement en secondes)
+        """
+        key = f"{model_size}/{device}/{compute_type}"
+        with self.lock:
+            if key in self.models:
+                self.models.move_to_end(key)
+                return self.models[key], True, 0.0
+
+            needed_mb = estimate_model_memory(model_size, compute_type)
+            self.make_room(needed_mb)
+
+        started = time.time()
+        model = load_model(model_size, device, compute_type)
+        with self.lock:
+            self.models[key] = model
+            self.memory[key] = needed_mb
+        return model, False, round(time.time() - started, 2)
+
+    def keys(self):
+        with self.lock:
+            return list(self.models.keys())
+
+
+class Worker:
+    """Boucle de traitement : une transcription à la fois, dans l'ordre d'arrivée"""
+
+    def __init__(self, max_memory_mb, capacity=0):
+        self.cache = ModelCache(max_memory_mb, capacity)
+        self.requests = queue.Queue()
+        self.cancelled = set()
+        self.current = None
+        self.started_at = time.time()
+
+    def read_commands(self):
+        """Lit stdin (thread dédié) : annulations et santé sont traitées immédiatement"""
+        for line in sys.stdin:
+            line = line.strip()
+            if not line:
+                continue
+            try:
+                message = json.loads(line)
+            except json.JSONDecodeError as error:
+                print(f"⚠️  Message ignoré (JSON invalide): {error}", file=sys.stderr)
+                continue
+
+            kind = message.get("type")
+            if kind == "transcribe":
+                self.requests.put(message)
+            elif kind == "cancel":
+                self.cancelled.add(message.get("id"))
+            elif kind == "health":
+                send({
+                    "id": message.get("id"),
+                    "type": "health",
+                    "pid": os.getpid(),
+                    "current": self.current,
+                    "queued": self.requests.qsize(),
+                    "models": self.cache.keys(),
+                    "memoryMb": self.cache.memory_mb(),
+                    "uptime": round(time.time() - self.started_at, 1)
+                })
+            else:
+                send({"id": message.get("id"), "type": "error", "error": f"Type de message inconnu: {kind}"})
+
+        # stdin fermé : Node s'est arrêté ou demande l'arrêt
+        self.requests.put(None)
+
+    def transcribe(self, message):
+        """Exécute une requête de transcription et envoie sa réponse"""
+        request_id = message.get("id")
+        params = message.get("params") or {}
+
+        if request_id in self.cancelled:
+            self.cancelled.discard(request_id)
+            send({"id": request_id, "type": "error", "error": "Transcription annulée", "cancelled": True,
+                  "models": self.cache.keys()})
+            return
+
+        self.current = request_id
+        try:
+            model_size = params.get("model_size", "large-v3")
+            device = params.get("device", "cpu")
+            compute_type = params.get("compute_type", "int8")
+            decoding = dict(params.get("decoding") or {})
+            if decoding.get("vad_parameters"):
+                decoding["vad_parameters"] = convert_vad_parameters(decoding["vad_parameters"])
+
+            # Fichier vérifié avant un éventuel chargement de modèle
+            if not os.path.exists(params.get("audio_path", "")):
+                raise FileNotFoundError(f"Fichier audio introuvable: {params.get('audio_path')}")
+
+            model, cached, load_seconds = self.cache.get(model_size, device, compute_type)
+            stream_callbacks = {
+                "on_info": lambda info: send({"id": request_id, "type": "info", "info": info}),
+                "on_segment": lambda segment: send({"id": request_id, "type": "segment", "segment": segment}),
+            } if params.get("stream") else {}
+            result = transcribe_with_model(
+                model,
+                params["audio_path"],
+                params.get("language"),
+                params.get("word_timestamps", False),
+                params.get("initial_prompt"),
+                params.get("hotwords"),
+                decoding,
+                should_stop=lambda: request_id in self.cancelled,
+                **stream_callbacks
+            )
+            save_result(params["audio_path"], result)
+
+            send({
+                "id": request_id,
+                "type": "result",
+                "result": result,
+                "model": {"size": model_size, "cached": cached, "loadSeconds": load_seconds},
+                "models": self.cache.keys()
+            })
+        except TranscriptionCancelled as error:
+            print(f"⏹️  {error}: {request_id}", file=sys.stderr)
+            send({"id": request_id, "type": "error", "error": str(error), "cancelled": True,
+                  "models": self.cache.keys()})
+        except Exception as error:
+            print(f"❌ Erreur: {error}", file=sys.stderr)
+            send({"id": request_id, "type": "error", "error": str(error), "cancelled": False,
+                  "models": self.cache.keys()})
+        finally:
+            self.cancelled.discard(request_id)
+            self.current = None
+
+    def run(self):
+        reader = threading.Thread(target=self.read_commands, daemon=True)
+        reader.start()
+        send({"type": "ready", "pid": os.getpid(), "capacity": self.cache.capacity,
+              "maxMemoryMb": self.cache.max_memory_mb})
+        print(f"🟢 Worker Whisper prêt (pid {os.getpid()}, {self.cache.max_memory_mb} Mo pour les modèles)",
+              file=sys.stderr)
+
+        while True:
+            message = self.requests.get()
+            if message is None:
+                break
+            self.transcribe(message)
+
+        print(f"🛑 Worker Whisper arrêté (pid {os.getpid()})", file=sys.stderr)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Worker de transcription persistant (faster-whisper)")
+    parser.add_argument("--max-memory-mb", type=int, default=4096,
+                        help="Mémoire estimée maximale des modèles gardés en mémoire, en Mo (défaut: 4096)")
+    parser.add_argument("--max-models", type=int, default=0,
+                        help="Nombre maximal de modèles gardés en mémoire (défaut: 0 = selon la mémoire uniquement)")
+    args = parser.parse_args()
+
+    Worker(max(1, args.max_memory_mb), max(0, args.max_models)).run()
+
+
+if __name__ == "__main__":
+    main()